@@ -4,63 +4,348 @@
 //=================={Nadeko APP Module}========================
 //=============================================================
 
-let nadekoServerPort = 12345; // Default port
+// Nadeko~don instances URLs can be sent to, keyed by target ID (see createAppTargets), and the one used by default
+let appTargets = createAppTargets([DEFAULT_APP_TARGET]);
+let defaultTargetId = DEFAULT_APP_TARGET.id;
 let showPopup = true
+// Whether content scripts show a "Send to Nadeko" button over hovered players
+let hoverButtonEnabled = false;
+// Whether site extractors may fetch the data of the pages and embeds they know (see lib/site-extractors.js)
+let siteExtractorsEnabled = true;
+// Site rules in priority order, compiled by compileSiteRules (see lib/site-rules.js)
+let compiledSiteRules = compileSiteRules(DEFAULT_SITE_RULES);
+// The user's URL canonicalisation rules followed by the built-in ones (see lib/media-urls.js)
+let compiledCanonicalRules = compileCanonicalRules();
+// Size and MIME type thresholds for download interception (see lib/download-filters.js)
+let interceptThresholds = Object.assign({}, DEFAULT_INTERCEPT_THRESHOLDS);
+// Whether every intercepted download is confirmed by the user first, and where the prompt is shown ('window' or 'overlay')
+let askBeforeSending = false;
+let promptStyle = 'window';
+
+// Version of the JSON protocol spoken with Nadeko~don. Version 1 is the original `{url, filename}` body;
+// version 2 adds page context, cookies and the detected media details; version 3 adds batch sends
+// (see README "Nadeko~don Protocol").
+const NADEKO_PROTOCOL_VERSION = 3;
+
+// Protocol version agreed with each running app, keyed by endpoint. Cleared when the targets change.
+const appProtocolCache = new Map();
+
+// Cache for app availability to reduce repeated checks, keyed by target ID.
+// Structure: Map<targetId, {isAlive, lastChecked}>
+const localhostStatusCache = new Map();
+const LOCALHOST_STATUS_CACHE_TIME = 5000; // Cache for 5 seconds
+// Checks still waiting for an answer, keyed by target ID, so callers asking at the same time share one request
+const pendingStatusChecks = new Map();
+// The last check made because a send failed, keyed by target ID; other failures shortly after reuse its answer
+const failureStatusChecks = new Map();
+const SEND_FAILURE_CHECK_TIME = 2000;
 
-// Cache for localhost availability to reduce repeated checks.
-const localhostStatusCache = {
-    isAlive: false,
-    lastChecked: 0,
-    checkInterval: 5000 // Cache for 5 seconds
-};
+/**
+ * Turns the targets from the settings into the form used for sending.
+ * @param {Array<{id: string, name: string, scheme: string, host: string, port: number, basePath: string, token: string}>} targets
+ * @returns {Map<string, {id: string, name: string, endpoint: string, token: string}>}
+ */
+function createAppTargets(targets) {
+    return new Map(targets.map(target => [target.id, { id: target.id, name: target.name, endpoint: formatAppEndpoint(target), token: target.token }]));
+}
+
+/**
+ * Looks up a target, falling back to the default target for unknown (e.g. since deleted) IDs.
+ * @param {string | undefined} targetId
+ * @returns {{id: string, name: string, endpoint: string, token: string}}
+ */
+function getAppTarget(targetId) {
+    if (targetId && !appTargets.has(targetId)) {
+        console.warn(`[Background Script] Unknown target "${targetId}", using the default target.`);
+    }
+    return appTargets.get(targetId) || appTargets.get(defaultTargetId);
+}
+
+/**
+ * Picks the target for a send: the one named in the context, else the target of the first matching
+ * site rule that names one, else the default target.
+ * @param {string} url - The URL being sent.
+ * @param {object} context - Payload context; `targetId` and `pageUrl` (or `tabId`) are used.
+ * @returns {Promise<{id: string, name: string, endpoint: string, token: string}>}
+ */
+async function resolveSendTarget(url, context) {
+    if (context.targetId) {
+        return getAppTarget(context.targetId);
+    }
+    let pageUrl = context.pageUrl;
+    if (!pageUrl) {
+        const tab = await getTabSafely(context.tabId);
+        pageUrl = tab ? tab.url : null;
+    }
+    const rule = findMatchingSiteRule(compiledSiteRules, url, pageUrl, rule => Boolean(rule.target));
+    return getAppTarget(rule ? rule.target : defaultTargetId);
+}
+
+/**
+ * Applies the settings to the background state. Called on startup and whenever the settings change in any context.
+ * @param {object} settings - The complete settings (see lib/settings.js).
+ * @param {string[]} [changedKeys] - The settings that changed; all of them on startup.
+ */
+function applySettings(settings, changedKeys = Object.keys(settings)) {
+    showPopup = settings.showPopup;
+    hoverButtonEnabled = settings.hoverButton;
+    siteExtractorsEnabled = settings.siteExtractors;
+    compiledSiteRules = compileSiteRules(settings.siteRules);
+    compiledCanonicalRules = compileCanonicalRules(settings.urlCanonicalRules);
+    interceptThresholds = {
+        minSize: settings.interceptMinSize,
+        includeTypes: settings.interceptIncludeTypes,
+        excludeTypes: settings.interceptExcludeTypes,
+        belowThresholdAction: settings.belowThresholdAction
+    };
+    askBeforeSending = settings.askBeforeSending;
+    promptStyle = settings.promptStyle;
+    filenameTemplate = settings.filenameTemplate;
+    offlineQueueEnabled = settings.offlineQueueEnabled;
+    defaultTargetId = settings.defaultTargetId;
+    if (changedKeys.includes('targets')) {
+        appTargets = createAppTargets(settings.targets);
+        appProtocolCache.clear(); // Renegotiate with whatever runs on the new endpoints
+        localhostStatusCache.clear(); // Clear cache so the new endpoints are checked
+        failureStatusChecks.clear();
+        for (const targetId of appOnlineStates.keys()) {
+            if (!appTargets.has(targetId)) {
+                appOnlineStates.delete(targetId);
+            }
+        }
+    }
+    if (changedKeys.includes('targets') || changedKeys.includes('defaultTargetId')) {
+        updateContextMenu();
+    }
+    if (changedKeys.includes('hoverButton')) {
+        broadcastPageSettings();
+    }
+}
+
+/**
+ * Returns the settings content scripts need, as answered to "getPageSettings".
+ * @returns {{hoverButton: boolean}}
+ */
+function getPageSettings() {
+    return { hoverButton: hoverButtonEnabled };
+}
+
+/**
+ * Tells the content scripts of all open tabs about changed page settings.
+ */
+function broadcastPageSettings() {
+    const message = Object.assign({ type: "pageSettingsChanged" }, getPageSettings());
+    browser.tabs.query({}).then(tabs => {
+        tabs.forEach(tab => {
+            browser.tabs.sendMessage(tab.id, message).catch(error => {
+                // Tabs without the content script (e.g. about: pages) can't receive it
+            });
+        });
+    }).catch(error => {
+        console.warn('[Background Script] Could not send page settings to tabs:', error);
+    });
+}
 
 /**
- * Initializes the Nadeko server port from storage.
+ * Loads the settings (migrating old ones if needed) and the send queue.
  * This should be called once at the start of the background script.
  */
 async function initConfig() {
     try {
-        const result = await browser.storage.local.get('nadekoPort');
-        const checkedValue = await browser.storage.local.get('showPopup');
-        nadekoServerPort = result.nadekoPort || 12345;
-        showPopup = checkedValue.showPopup == 'true' ? true : (checkedValue.showPopup === 'false' ? false : DEFAULT_SHOW);
+        applySettings(await loadSettings());
+        console.debug(`[Background Script] Settings loaded (${appTargets.size} targets, ${compiledSiteRules.length} site rules).`);
+    } catch (error) {
+        console.error('[Background Script] Error loading settings, using defaults:', error);
+        applySettings(getDefaultSettings());
+    }
+    await loadSendQueue();
+}
+
+// Call initialization immediately; the connection monitor waits for it so the first check uses the stored port
+const configReady = initConfig();
+
+// Settings saved in the config window (or by "Remember for this site") take effect right away
+onSettingsChanged((settings, changedKeys) => {
+    console.debug(`[Background Script] Settings changed: ${changedKeys.join(', ')}`);
+    applySettings(settings, changedKeys);
+    if (changedKeys.includes('targets') || changedKeys.includes('defaultTargetId')) {
+        checkAppHealth();
+    }
+    if (changedKeys.includes('offlineQueueEnabled')) {
+        loadSendQueue();
+    }
+});
+
+/**
+ * Builds the headers sent with every request to the app: the protocol version, and the token if one is configured.
+ * @param {string} token - The target's token; empty for none.
+ * @param {object} [extraHeaders={}] - Additional headers; may override the protocol version.
+ * @returns {object}
+ */
+function appRequestHeaders(token, extraHeaders = {}) {
+    const headers = Object.assign({ 'X-Nadecon-Protocol': String(NADEKO_PROTOCOL_VERSION) }, extraHeaders);
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+}
+
+/**
+ * Negotiates the protocol version with the Nadeko app by asking `GET /protocol` for the highest version it speaks.
+ * Builds that predate the versioned protocol answer with an error or non-JSON body and are treated as version 1.
+ * The result is only cached for a successful answer, so a stopped, failing or legacy app is re-asked next time;
+ * setAppOnline also forgets it when the app comes back, as it may have been upgraded in the meantime.
+ * @param {{endpoint: string, token: string}} target - The target to ask.
+ * @param {boolean} [forceCheck=false] - If true, ignores the cached version.
+ * @returns {Promise<number>} - The version to use: the lower of the app's and NADEKO_PROTOCOL_VERSION.
+ */
+async function getAppProtocolVersion(target, forceCheck = false) {
+    if (!forceCheck && appProtocolCache.has(target.endpoint)) {
+        return appProtocolCache.get(target.endpoint);
+    }
+
+    let version = 1;
+    let negotiated = false;
+    const controller = new AbortController();
+    // The timeout also covers reading the body, so it is only cleared once that is done
+    const timeoutId = setTimeout(() => controller.abort(), 1000); // 1-second timeout
+    try {
+        const response = await fetch(`${target.endpoint}protocol`, {
+            method: 'GET',
+            headers: appRequestHeaders(target.token, { 'Accept': 'application/json' }),
+            signal: controller.signal
+        });
+
+        if (response.ok) {
+            const info = await response.json();
+            const appVersion = parseInt(info && info.protocol, 10);
+            // Only a real answer is cached; anything else (a proxy's error page, say) is asked again next time
+            if (appVersion >= 1) {
+                version = Math.min(appVersion, NADEKO_PROTOCOL_VERSION);
+                negotiated = true;
+            }
+        }
+    } catch (error) {
+        console.debug(`[Background Script] Protocol negotiation failed, using version 1: ${error.message}`);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (negotiated) {
+        appProtocolCache.set(target.endpoint, version);
+        console.debug(`[Background Script] Negotiated Nadeko protocol version ${version} with ${target.endpoint}`);
+    }
+    return version;
+}
+
+/**
+ * Collects the cookies the browser would send for a URL, so the app can fetch content behind a login.
+ * Uses the tab's cookie store so container tabs send their own cookies.
+ * @param {string} url - The media URL.
+ * @param {string | undefined} cookieStoreId - The cookie store of the originating tab, if known.
+ * @returns {Promise<Array<{name: string, value: string, domain: string, path: string, secure: boolean, httpOnly: boolean, expirationDate: number | null}>>}
+ */
+async function getCookiesForUrl(url, cookieStoreId) {
+    try {
+        const query = { url: url };
+        if (cookieStoreId) {
+            query.storeId = cookieStoreId;
+        }
+        const cookies = await browser.cookies.getAll(query);
+        return cookies.map(cookie => ({
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.domain,
+            path: cookie.path,
+            secure: cookie.secure,
+            httpOnly: cookie.httpOnly,
+            expirationDate: cookie.expirationDate !== undefined ? cookie.expirationDate : null
+        }));
+    } catch (error) {
+        console.warn(`[Background Script] Could not read cookies for ${url}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Reads a tab without throwing, for callers that only want optional page context.
+ * @param {number | undefined} tabId - The tab ID; negative or missing IDs (background requests) yield null.
+ * @returns {Promise<object | null>} - The tabs.Tab, or null if it does not exist.
+ */
+async function getTabSafely(tabId) {
+    if (tabId === undefined || tabId === null || tabId < 0) {
+        return null;
+    }
+    try {
+        return await browser.tabs.get(tabId);
     } catch (error) {
-        console.error('[Background Script] Error initializing Nadeko port from storage:', error);
-        nadekoServerPort = 12345; // Fallback to default
-        showPopup = true
+        console.warn(`[Background Script] Could not read tab ${tabId}:`, error);
+        return null;
     }
 }
 
-// Call initialization immediately
-initConfig();
+/**
+ * Builds the version 2 (and later) request body sent to the Nadeko app.
+ * @param {string} url - The URL to download.
+ * @param {string | null} filename - The desired filename, if any.
+ * @param {{tabId?: number, pageUrl?: string, referer?: string, requestHeaders?: Object<string, string>, contentType?: string | null, contentLength?: number | null, isManifest?: boolean, subtitles?: Array<object>}} context - What is known about where the URL came from.
+ * @param {number} [protocolVersion=NADEKO_PROTOCOL_VERSION] - The version agreed with the app, echoed in the body.
+ * @returns {Promise<object>}
+ */
+async function buildAppPayload(url, filename, context, protocolVersion = NADEKO_PROTOCOL_VERSION) {
+    const tab = await getTabSafely(context.tabId);
+    const pageUrl = context.pageUrl || (tab ? tab.url : null);
+    const headers = context.requestHeaders || getCapturedHeaders(url) || {};
+
+    return {
+        protocol: protocolVersion,
+        url: url,
+        filename: filename,
+        page: {
+            url: pageUrl,
+            title: tab ? tab.title : null
+        },
+        referer: context.referer || findCapturedHeader(headers, 'referer') || pageUrl,
+        userAgent: navigator.userAgent,
+        headers: headers,
+        cookies: await getCookiesForUrl(url, tab ? tab.cookieStoreId : undefined),
+        contentType: context.contentType || null,
+        contentLength: Number.isFinite(context.contentLength) ? context.contentLength : null,
+        isManifest: Boolean(context.isManifest),
+        subtitles: context.subtitles || []
+    };
+}
 
 /**
  * @description Sends a given URL and an optional filename to the local Nadeko Downloader application via a POST request.
- * This function first ensures the Nadeko server's port is initialized, then attempts the network request.
+ * This function first ensures the Nadeko server's port is initialized and the protocol version is negotiated, then attempts the network request.
+ * Apps speaking version 2 or later receive the full payload from buildAppPayload; older apps get the legacy `{url, filename}` body.
  * It returns a Promise that resolves on successful transmission or rejects if the request fails.
  * @param {string} url - The URL to be sent to the Nadeko Downloader for processing (e.g., downloading).
  * @param {string | null} [filename=null] - An optional desired filename for the downloaded content. If null, the Nadeko app determines the filename.
+ * @param {object} [context={}] - Page and media details forwarded to the app (see buildAppPayload); `targetId` picks the target (see resolveSendTarget).
  * @returns {Promise<void>} A Promise that resolves if the URL is successfully sent to the Nadeko application, or rejects with an Error if the request fails (due to network issues or an unsuccessful HTTP status).
  */
-async function sendUrlToApp(url, filename = null) {
-  // Ensure the Nadeko server port is initialized before making the request.
-  // If nadekoServerPort is not set, call initConfig() to determine it.
-  if (!nadekoServerPort) {
-      await initConfig();
-  }
+async function sendUrlToApp(url, filename = null, context = {}) {
+  // Ensure the target settings are loaded before making the request.
+  await configReady;
+
+  const target = await resolveSendTarget(url, context);
+  const protocolVersion = await getAppProtocolVersion(target);
+  const body = protocolVersion >= 2 ? await buildAppPayload(url, filename, context, protocolVersion) : { url: url, filename: filename };
 
   // Log a debug message indicating the attempt to send the URL, including the target URL, filename, and port.
-  console.debug(`[Background Script] Attempting to send URL to Nadeko App: ${url} (Filename: ${filename}) on port ${nadekoServerPort}`);
+  console.debug(`[Background Script] Attempting to send URL to Nadeko App: ${url} (Filename: ${filename}) to ${target.name} at ${target.endpoint} using protocol v${protocolVersion}`);
 
   // Return a new Promise to handle the asynchronous fetch operation.
   return new Promise((resolve, reject) => {
-    // Make a POST request to the local Nadeko server.
-    fetch(`http://localhost:${nadekoServerPort}`, {
+    // Make a POST request to the Nadeko server.
+    fetch(target.endpoint, {
       method: 'POST', // Use the POST method to send data.
-      // Convert the URL and filename into a JSON string for the request body.
-      body: JSON.stringify({ url: url, filename: filename }),
-      // Set the Content-Type header to indicate that the body is JSON.
-      headers: { 'Content-Type': 'application/json' }
+      // Convert the payload into a JSON string for the request body.
+      body: JSON.stringify(body),
+      // Set the Content-Type header to indicate that the body is JSON, tell the app which version it is, and authenticate.
+      headers: appRequestHeaders(target.token, { 'Content-Type': 'application/json', 'X-Nadecon-Protocol': String(protocolVersion) })
     })
     .then(response => {
       // Check if the HTTP response status is OK (2xx success code).
@@ -86,58 +371,267 @@ async function sendUrlToApp(url, filename = null) {
 }
 
 /**
- * Checks if the local application on localhost:nadekoServerPort is alive.
+ * Sends several URLs to one target in a single `POST batch` request. Needs protocol version 3;
+ * callers fall back to sendUrlToApp for older apps (see sendBatchToAppOrQueue).
+ * @param {{name: string, endpoint: string, token: string}} target - The target to send to.
+ * @param {Array<{url: string, filename: string | null, context: object}>} items - The URLs and their payload context.
+ * @returns {Promise<void>} - Rejects if the request fails or the app answers with an error status.
+ */
+async function sendBatchToApp(target, items) {
+    await configReady;
+    const protocolVersion = await getAppProtocolVersion(target);
+    if (protocolVersion < 3) {
+        throw new Error(`${target.name} does not support batch sends (protocol v${protocolVersion}).`);
+    }
+    const payloads = await Promise.all(items.map(item => buildAppPayload(item.url, item.filename, item.context, protocolVersion)));
+    console.debug(`[Background Script] Sending a batch of ${items.length} URLs to ${target.name} at ${target.endpoint}`);
+
+    const response = await fetch(`${target.endpoint}batch`, {
+        method: 'POST',
+        body: JSON.stringify({ protocol: protocolVersion, items: payloads }),
+        headers: appRequestHeaders(target.token, { 'Content-Type': 'application/json', 'X-Nadecon-Protocol': String(protocolVersion) })
+    });
+    if (!response.ok) {
+        console.error('[Background Script] Failed to send batch to Nadeko application. Status:', response.status);
+        throw new Error(`Failed to send batch. Status: ${response.status}`);
+    }
+    console.debug(`[Background Script] Successfully sent a batch of ${items.length} URLs to ${target.name}`);
+}
+
+/**
+ * Checks if a Nadeko application target is alive.
  * Uses a cache to avoid excessive checks.
  * @param {boolean} forceCheck - If true, bypasses the cache and performs a new fetch.
+ * @param {{id: string, endpoint: string, token: string}} [target] - The target to check; the default target if omitted.
  * @returns {Promise<boolean>} - True if alive, false otherwise.
  */
-async function isLocalhostAlive(forceCheck = false) {
-    const now = Date.now();
-    if (!forceCheck && now - localhostStatusCache.lastChecked < localhostStatusCache.checkInterval) {
-        console.debug(`[Background Script] Localhost status from cache: ${localhostStatusCache.isAlive}`);
-        return localhostStatusCache.isAlive;
+async function isLocalhostAlive(forceCheck = false, target = getAppTarget(defaultTargetId)) {
+    const cached = localhostStatusCache.get(target.id);
+    if (!forceCheck && cached && Date.now() - cached.lastChecked < LOCALHOST_STATUS_CACHE_TIME) {
+        console.debug(`[Background Script] Status of ${target.name} from cache: ${cached.isAlive}`);
+        return cached.isAlive;
+    }
+    if (pendingStatusChecks.has(target.id)) {
+        return pendingStatusChecks.get(target.id);
+    }
+    const check = checkAppStatus(target, forceCheck).finally(() => pendingStatusChecks.delete(target.id));
+    pendingStatusChecks.set(target.id, check);
+    return check;
+}
+
+/**
+ * Checks a target again after a send to it failed. A check that started after the send did, or that another failure
+ * asked for in the last SEND_FAILURE_CHECK_TIME, is answered from, so a run of failures (a batch, the queue, a flaky
+ * app) checks the app once instead of probing it, and possibly notifying, once per send.
+ * @param {{id: string, endpoint: string, token: string}} target - The target the send went to.
+ * @param {number} sendStartedAt - When the failed send started (Date.now()).
+ * @returns {Promise<boolean>} - True if alive, false otherwise.
+ */
+function isAliveAfterSendFailure(target, sendStartedAt) {
+    const cached = localhostStatusCache.get(target.id);
+    if (cached && cached.lastChecked >= sendStartedAt) {
+        return Promise.resolve(cached.isAlive);
     }
+    const recent = failureStatusChecks.get(target.id);
+    if (recent && Date.now() - recent.startedAt < SEND_FAILURE_CHECK_TIME) {
+        return recent.check;
+    }
+    const check = isLocalhostAlive(true, target);
+    failureStatusChecks.set(target.id, { check: check, startedAt: Date.now() });
+    return check;
+}
 
+/**
+ * Asks a target whether it is running, and records the answer. Use isLocalhostAlive, which shares running checks.
+ * @param {{id: string, name: string, endpoint: string, token: string}} target - The target to check.
+ * @param {boolean} forceCheck - Only for the log.
+ * @returns {Promise<boolean>} - True if alive, false otherwise.
+ */
+async function checkAppStatus(target, forceCheck) {
+    const now = Date.now();
     try {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 1000); // 1-second timeout
 
-        // Use the dynamically set nadekoServerPort
-        const response = await fetch(`http://localhost:${nadekoServerPort}/`, {
+        // Not 'no-cors': that mode drops the Authorization header, and the host permissions let us read the response anyway
+        const response = await fetch(target.endpoint, {
             method: 'HEAD',
-            mode: 'no-cors',
+            headers: appRequestHeaders(target.token),
             signal: controller.signal
         });
         clearTimeout(timeoutId);
 
-        const alive = response.ok || response.type === 'opaque';
-        localhostStatusCache.isAlive = alive;
-        localhostStatusCache.lastChecked = now;
-        console.debug(`[Background Script] Localhost check: ${alive ? 'Alive' : 'Not Alive'} on port ${nadekoServerPort} (Forced: ${forceCheck})`);
+        // A rejected token still means the app is running; the sends themselves will report the 401/403
+        const alive = response.ok || response.type === 'opaque' || response.status === 401 || response.status === 403;
+        if (response.status === 401 || response.status === 403) {
+            console.warn(`[Background Script] ${target.name} at ${target.endpoint} rejected the token (HTTP ${response.status}).`);
+        }
+        localhostStatusCache.set(target.id, { isAlive: alive, lastChecked: now });
+        console.debug(`[Background Script] Status check: ${target.name} is ${alive ? 'Alive' : 'Not Alive'} at ${target.endpoint} (Forced: ${forceCheck})`);
+        setAppOnline(target, alive);
         return alive;
     } catch (error) {
-        localhostStatusCache.isAlive = false;
-        localhostStatusCache.lastChecked = now;
-        console.warn(`[Background Script] Localhost check failed on port ${nadekoServerPort}: ${error.message}`);
+        localhostStatusCache.set(target.id, { isAlive: false, lastChecked: now });
+        console.warn(`[Background Script] Status check of ${target.name} failed at ${target.endpoint}: ${error.message}`);
+        setAppOnline(target, false);
         return false;
     }
 }
 
+/**
+ * Tries a target from the config window before it is saved, and describes the outcome.
+ * @param {{id: string, name: string, scheme: string, host: string, port: number, basePath: string, token: string}} targetSettings - The target as entered.
+ * @returns {Promise<{success: boolean, message: string}>} - success is true if the app answered and accepted the token.
+ */
+async function testAppConnection(targetSettings) {
+    const error = validateTarget(targetSettings);
+    if (error) {
+        return { success: false, message: error };
+    }
+    const endpoint = formatAppEndpoint(targetSettings);
 
-// Create a context menu item for "Send to Nadeko"
-browser.contextMenus.create({
-  id: "send-to-nadeko",
-  title: "Send to Nadeko",
-  contexts: ["page", "link", "video", "audio"]
-});
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 3000); // 3-second timeout; remote hosts can be slower
+        const response = await fetch(`${endpoint}protocol`, {
+            method: 'GET',
+            headers: appRequestHeaders(targetSettings.token, { 'Accept': 'application/json' }),
+            signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+
+        if (response.status === 401 || response.status === 403) {
+            return { success: false, message: `Reached ${endpoint}, but the token was rejected (HTTP ${response.status}).` };
+        }
+        if (!response.ok) {
+            // Builds that predate the versioned protocol have no /protocol endpoint
+            return { success: true, message: `Connected to ${endpoint} (protocol v1, HTTP ${response.status} on /protocol).` };
+        }
+        const info = await response.json().catch(() => ({}));
+        return { success: true, message: `Connected to ${endpoint} (protocol v${parseInt(info.protocol, 10) || 1}).` };
+    } catch (error) {
+        const reason = error.name === 'AbortError' ? 'timed out' : error.message;
+        return { success: false, message: `Could not reach ${endpoint}: ${reason}` };
+    }
+}
+
+//=============================================================
+//================={Download History Module}===================
+//=============================================================
+
+const HISTORY_STORAGE_KEY = 'downloadHistory';
+const MAX_HISTORY_ENTRIES = 500; // Oldest entries are dropped beyond this
+
+// Serialises read-modify-write cycles on the history so concurrent sends don't overwrite each other.
+let historyWriteChain = Promise.resolve();
+
+/**
+ * Applies a change to the stored history list, one change at a time.
+ * @param {function(Array<object>): Array<object>} update - Receives the current entries (newest first) and returns the new list.
+ * @returns {Promise<void>}
+ */
+function updateHistory(update) {
+    historyWriteChain = historyWriteChain.then(async () => {
+        const result = await browser.storage.local.get(HISTORY_STORAGE_KEY);
+        const entries = update(result[HISTORY_STORAGE_KEY] || []);
+        await browser.storage.local.set({ [HISTORY_STORAGE_KEY]: entries.slice(0, MAX_HISTORY_ENTRIES) });
+    }).catch(error => {
+        console.error('[Background Script] Error updating download history:', error);
+    });
+    return historyWriteChain;
+}
+
+/**
+ * Records what happened to a URL that was sent to Nadeko or handed to the browser.
+ * @param {{url: string, filename: string | null, tabId?: number, pageUrl?: string | null, pageTitle?: string | null, targetId?: string}} download - The URL, where it came from and, for Nadeko, which target it went to.
+ * @param {'nadeko' | 'browser'} route - Where the URL was sent.
+ * @param {'sent' | 'started' | 'failed'} outcome - 'sent' (accepted by Nadeko), 'started' (browser download began) or 'failed'.
+ * @param {string | null} [reason=null] - Why this route was taken or why it failed.
+ * @returns {Promise<void>}
+ */
+async function recordHistory(download, route, outcome, reason = null) {
+    let { pageUrl = null, pageTitle = null } = download;
+    if (!pageUrl) {
+        const tab = await getTabSafely(download.tabId);
+        pageUrl = tab ? tab.url : null;
+        pageTitle = pageTitle || (tab ? tab.title : null);
+    }
+
+    const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+        url: download.url,
+        filename: download.filename || null,
+        pageUrl: pageUrl,
+        pageTitle: pageTitle,
+        timestamp: Date.now(),
+        route: route,
+        target: route === 'nadeko' && download.targetId ? getAppTarget(download.targetId).name : null,
+        outcome: outcome,
+        reason: reason
+    };
+    console.debug(`[Background Script] History: ${route}/${outcome} ${entry.url}${reason ? ` (${reason})` : ''}`);
+    return updateHistory(entries => {
+        // Another try of a download that failed replaces its entry, so retries don't fill the history with copies
+        const previous = entries.find(other => isEarlierAttempt(other, entry));
+        if (previous) {
+            entry.attempts = (previous.attempts || 1) + 1;
+        }
+        return [entry].concat(entries.filter(other => other !== previous));
+    });
+}
+
+/**
+ * Whether a history entry is a failed earlier try of the same download as a new entry.
+ * @param {object} entry - A stored entry.
+ * @param {object} newEntry - The entry being recorded.
+ * @returns {boolean}
+ */
+function isEarlierAttempt(entry, newEntry) {
+    return entry.outcome === 'failed' && entry.url === newEntry.url && entry.route === newEntry.route && entry.target === newEntry.target;
+}
+
+// Serialises context menu rebuilds, since removeAll and create are asynchronous.
+let contextMenuUpdate = Promise.resolve();
+
+/**
+ * (Re)creates the "Send to Nadeko" context menu. With several targets it becomes a submenu whose first entry
+ * routes like every other send (site rules, then the default target) and whose other entries pick a target.
+ */
+function updateContextMenu() {
+    const contexts = ["page", "link", "video", "audio"];
+    contextMenuUpdate = contextMenuUpdate.then(async () => {
+        await browser.contextMenus.removeAll();
+        browser.contextMenus.create({ id: "send-to-nadeko", title: "Send to Nadeko", contexts: contexts });
+        if (appTargets.size <= 1) {
+            return;
+        }
+        browser.contextMenus.create({ id: "send-to-nadeko-auto", parentId: "send-to-nadeko", title: "Automatic (site rules, then default)", contexts: contexts });
+        browser.contextMenus.create({ id: "send-to-nadeko-separator", parentId: "send-to-nadeko", type: "separator", contexts: contexts });
+        for (const target of appTargets.values()) {
+            browser.contextMenus.create({
+                id: `send-to-target:${target.id}`,
+                parentId: "send-to-nadeko",
+                title: target.id === defaultTargetId ? `${target.name} (default)` : target.name,
+                contexts: contexts
+            });
+        }
+    }).catch(error => {
+        console.error('[Background Script] Error updating the context menu:', error);
+    });
+}
 
 // Listener for context menu clicks
 browser.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === "send-to-nadeko") {
+  const menuItemId = String(info.menuItemId);
+  if (menuItemId === "send-to-nadeko" || menuItemId === "send-to-nadeko-auto" || menuItemId.startsWith("send-to-target:")) {
     const urlToSend = info.linkUrl || info.srcUrl || info.pageUrl;
+    // Picking a target from the submenu overrides the site rules
+    const targetId = menuItemId.startsWith("send-to-target:") ? menuItemId.substring("send-to-target:".length) : undefined;
     if (urlToSend) {
-        console.debug(`[Background Script] Context menu clicked. Sending URL: ${urlToSend}`);
-        sendUrlToApp(urlToSend)
+        console.debug(`[Background Script] Context menu clicked. Sending URL: ${urlToSend} (Target: ${targetId || 'automatic'})`);
+        const context = { tabId: tab ? tab.id : undefined, pageUrl: info.pageUrl, targetId: targetId };
+        applyFilenameTemplate(urlToSend, null, context)
+        .then(filename => sendUrlToAppOrQueue(urlToSend, filename, context))
         .catch(error => {
             console.error(`[Background Script] Failed to send URL ${urlToSend} via context menu:`, error);
         });
@@ -148,386 +642,1574 @@ browser.contextMenus.onClicked.addListener((info, tab) => {
 });
 
 //=============================================================
-//==================={Url Info Sraper}=========================
+//================={Connection Monitor Module}=================
 //=============================================================
+
+const HEALTH_CHECK_INTERVAL = 10000; // Check the app every 10 seconds
+const CONNECTION_NOTIFICATION_ID = 'nadeko-connection';
+
+// Badge colours for the app state; the badge text is the number of media items found in the tab.
+const BADGE_COLORS = {
+    online: '#30e60b',
+    partial: '#ff9500', // Some targets are up, others are not
+    offline: '#ff0039',
+    unknown: '#808080'
+};
+
+// Last known state of each target, keyed by target ID. Targets that have not been checked yet are missing.
+const appOnlineStates = new Map();
+
 /**
- * Performs a HEAD request to get Content-Type, Content-Disposition, and Content-Length headers.
- * @param {string} url - The URL to check.
- * @returns {Promise<{valid: boolean, contentType: string | null, contentDisposition: string | null, contentLength: number | null}>}
+ * Colours the badge and sets the toolbar tooltip from the state of all targets.
  */
-async function fetchMediaHeaders(url) {
-    if (mediaDetailsCache.has(url)) {
-        return mediaDetailsCache.get(url);
+function updateConnectionBadge() {
+    const states = Array.from(appTargets.values()).map(target => appOnlineStates.get(target.id));
+    let color = BADGE_COLORS.unknown;
+    if (states.every(state => state === true)) {
+        color = BADGE_COLORS.online;
+    } else if (states.some(state => state === true)) {
+        color = BADGE_COLORS.partial;
+    } else if (states.some(state => state === false)) {
+        color = BADGE_COLORS.offline;
     }
+    browser.browserAction.setBadgeBackgroundColor({ color: color });
+    const lines = Array.from(appTargets.values()).map(target => {
+        const state = appOnlineStates.get(target.id);
+        return `${target.name}: ${state === undefined ? 'checking...' : (state ? 'connected' : 'not reachable')}`;
+    });
+    browser.browserAction.setTitle({ title: `NadeCon\n${lines.join('\n')}` });
+}
 
-    const promise = (async () => {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 2000); // 2-second timeout for HEAD request
-
-            const response = await fetch(url, { method: 'HEAD', mode: 'no-cors', signal: controller.signal });
-            clearTimeout(timeoutId);
-            
-            // For 'no-cors' requests, response.ok is always false if it's cross-origin,
-            // so we primarily rely on response.type === 'opaque'.
-            // If the request itself failed (e.g., network error, DNS, or CORS/CORP block),
-            // it will throw an error or be of type 'error'.
-            if (response.type === 'error') { // Explicitly check for 'error' type
-                console.warn(`[Background Script] HEAD request for ${url} resulted in a network error.`);
-                return { valid: false, contentType: null, contentDisposition: null, contentLength: null };
-            }
-
-            const contentType = response.headers.get('Content-Type');
-            const contentDisposition = response.headers.get('Content-Disposition');
-            const contentLengthHeader = response.headers.get('Content-Length');
-            const contentLength = contentLengthHeader ? parseInt(contentLengthHeader, 10) : null;
-
-            // Explicitly check for known media and streaming types
-            const isMedia = contentType && (
-                contentType.startsWith('video/') ||
-                contentType.startsWith('audio/') ||
-                contentType.startsWith('image/gif') ||
-                contentType.includes('mpegurl') || // HLS
-                contentType.includes('dash+xml') || // DASH
-                contentType.includes('application/octet-stream') // Generic binary, might be media
-            );
-
-            return { valid: isMedia, contentType, contentDisposition, contentLength };
-        } catch (error) {
-            // This catch block handles actual fetch API errors (e.g., AbortError from timeout, network issues)
-            console.warn(`[Background Script] Failed to fetch headers for ${url} (caught error): ${error.message}`);
-            return { valid: false, contentType: null, contentDisposition: null, contentLength: null };
+/**
+ * Records the result of a health check, updating the badge and notifying the user when the state of a target changes.
+ * The first result for a target only sets the badge; there is nothing to compare it with.
+ * @param {{id: string, name: string, endpoint: string}} target - The target that was checked.
+ * @param {boolean} alive - Whether it answered.
+ */
+function setAppOnline(target, alive) {
+    const previousState = appOnlineStates.get(target.id);
+    if (alive === previousState) {
+        return;
+    }
+    appOnlineStates.set(target.id, alive);
+    console.debug(`[Background Script] ${target.name} is now ${alive ? 'online' : 'offline'}`);
+    updateConnectionBadge();
+
+    if (previousState !== undefined) {
+        const queuedCount = sendQueue.filter(entry => getAppTarget(entry.context.targetId).id === target.id).length;
+        let message = alive ? `${target.name} is back at ${target.endpoint}.` : `${target.name} stopped answering at ${target.endpoint}.`;
+        if (alive && queuedCount > 0) {
+            message += ` Retrying ${queuedCount} queued ${queuedCount === 1 ? 'send' : 'sends'}.`;
         }
-    })();
+        browser.notifications.create(`${CONNECTION_NOTIFICATION_ID}:${target.id}`, {
+            type: 'basic',
+            iconUrl: browser.runtime.getURL('icons/nadecon-96.png'),
+            title: alive ? `${target.name} connected` : `${target.name} disconnected`,
+            message: message
+        }).catch(error => {
+            console.warn('[Background Script] Could not show connection notification:', error);
+        });
+    }
 
-    mediaDetailsCache.set(url, promise);
-    return promise;
+    if (alive) {
+        if (previousState === false) {
+            // Restarted, possibly as a newer build: negotiate the protocol again
+            appProtocolCache.delete(target.endpoint);
+        }
+        processSendQueue();
+    }
 }
 
 /**
- * Sanitizes a string to be a valid filename.
- * @param {string} filename - The original filename.
- * @returns {string} - The sanitized filename.
+ * Forces a health check of every target. Called periodically and whenever the targets change.
+ * While a target is up, queued sends for it whose backoff has expired are retried.
+ * @returns {Promise<boolean>} - True if the default target is alive.
  */
-function sanitizeFilenameCharacters(filename) {
-    const lastDotIndex = filename.lastIndexOf('.');
-    let namePart = filename;
-    let extPart = '';
+async function checkAppHealth() {
+    const results = await Promise.all(Array.from(appTargets.values()).map(target => isLocalhostAlive(true, target)));
+    if (results.some(Boolean) && sendQueue.length > 0) {
+        processSendQueue();
+    }
+    return appOnlineStates.get(defaultTargetId) === true;
+}
 
-    if (lastDotIndex > 0) {
-        namePart = filename.substring(0, lastDotIndex);
-        extPart = filename.substring(lastDotIndex);
+/**
+ * Shows the number of media items found in a tab on the toolbar badge of that tab.
+ * @param {number} tabId
+ */
+function updateMediaBadge(tabId) {
+    if (!(tabId >= 0)) {
+        return;
     }
+    const count = scrapedMediaUrls.get(tabId)?.size || 0;
+    browser.browserAction.setBadgeText({ text: count > 99 ? '99+' : (count > 0 ? String(count) : ''), tabId: tabId }).catch(error => {
+        // The tab may have been closed in the meantime
+    });
+}
+
+browser.browserAction.setBadgeBackgroundColor({ color: BADGE_COLORS.unknown });
+
+configReady.then(() => {
+    checkAppHealth();
+    setInterval(checkAppHealth, HEALTH_CHECK_INTERVAL);
+});
 
-    namePart = namePart.replace(/[/?%*:|"<>\\/]/g, '_');
-    namePart = namePart.replace(/^\.+|\.+$/g, '').trim();
+//=============================================================
+//==================={Send Queue Module}=======================
+//=============================================================
 
-    let cleanedFilename = namePart + extPart;
+const SEND_QUEUE_STORAGE_KEY = 'sendQueue';
+const MAX_QUEUED_SENDS = 100; // Oldest queued sends are dropped beyond this
+const SEND_RETRY_BASE_DELAY = 10000; // A send that fails while the app is up is retried after 10 seconds,
+const SEND_RETRY_MAX_DELAY = 15 * 60 * 1000; // then after twice as long each time, up to 15 minutes
 
-    const MAX_LENGTH = 200;
-    if (cleanedFilename.length > MAX_LENGTH) {
-        if (lastDotIndex > 0) {
-            const originalNameLength = namePart.length;
-            const originalExtLength = extPart.length;
-            const availableNameLength = MAX_LENGTH - originalExtLength;
+// Opt-in (the offlineQueueEnabled setting): keep the queue in storage across restarts, and queue
+// intercepted downloads instead of handing them to the browser while the app is down.
+let offlineQueueEnabled = false;
 
-            if (availableNameLength > 0) {
-                cleanedFilename = namePart.substring(0, availableNameLength) + extPart;
-            } else {
-                cleanedFilename = extPart.substring(0, MAX_LENGTH);
-            }
-        } else {
-            cleanedFilename = cleanedFilename.substring(0, MAX_LENGTH);
+// Sends waiting for the app, oldest first. Persisted under SEND_QUEUE_STORAGE_KEY when offlineQueueEnabled is set.
+// Structure: Array<{id, url, filename, context, queuedAt, attempts, nextAttemptAt, lastError}>
+let sendQueue = [];
+// Set while processSendQueue runs, so health checks don't start a second pass
+let sendQueueProcessing = false;
+
+// Captured headers that are credentials. They stay with queued sends in memory but are not written to storage,
+// so a send restored after a restart goes out without them (the app still gets the cookies, read at send time).
+const SECRET_HEADERS = ['authorization', 'cookie'];
+
+/**
+ * Copies a queue entry without the credentials among its captured request headers, for storage.
+ * @param {object} entry - The queue entry.
+ * @returns {object}
+ */
+function withoutSecretHeaders(entry) {
+    const headers = entry.context.requestHeaders;
+    if (!headers) {
+        return entry;
+    }
+    const kept = Object.fromEntries(Object.entries(headers).filter(([name]) => !SECRET_HEADERS.includes(name.toLowerCase())));
+    return Object.assign({}, entry, { context: Object.assign({}, entry.context, { requestHeaders: kept }) });
+}
+
+/**
+ * Loads the stored queue if the offline queue is enabled, or removes the stored copy if it is not.
+ * Entries already queued in memory this session are kept.
+ */
+async function loadSendQueue() {
+    try {
+        const result = await browser.storage.local.get(SEND_QUEUE_STORAGE_KEY);
+        if (offlineQueueEnabled) {
+            const storedEntries = Array.isArray(result[SEND_QUEUE_STORAGE_KEY]) ? result[SEND_QUEUE_STORAGE_KEY] : [];
+            const knownIds = new Set(sendQueue.map(entry => entry.id));
+            sendQueue = storedEntries.filter(entry => !knownIds.has(entry.id)).concat(sendQueue);
         }
+        await saveSendQueue();
+        console.debug(`[Background Script] Offline queue ${offlineQueueEnabled ? 'enabled' : 'disabled'}, ${sendQueue.length} queued sends.`);
+    } catch (error) {
+        console.error('[Background Script] Error loading the send queue from storage:', error);
     }
+}
 
-    if (cleanedFilename.length === 0) {
-        return 'downloaded_file';
+/**
+ * Stores the queue (or removes the stored copy if the offline queue is disabled) and tells open popups about it.
+ */
+async function saveSendQueue() {
+    try {
+        if (offlineQueueEnabled) {
+            await browser.storage.local.set({ [SEND_QUEUE_STORAGE_KEY]: sendQueue.map(withoutSecretHeaders) });
+        } else {
+            await browser.storage.local.remove(SEND_QUEUE_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('[Background Script] Error saving the send queue:', error);
     }
+    browser.runtime.sendMessage({ type: "sendQueueUpdated", entries: sendQueue }).catch(error => {
+        // This is fine if the popup isn't open
+    });
+}
 
-    return cleanedFilename;
+/**
+ * Adds a send to the queue.
+ * @param {string} url - The URL to send.
+ * @param {string | null} filename - The desired filename.
+ * @param {object} context - Payload context (see buildAppPayload).
+ * @param {string} reason - Why the send is queued, shown in the popup.
+ */
+function enqueueSend(url, filename, context, reason) {
+    sendQueue.push({
+        id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+        url: url,
+        filename: filename,
+        context: context,
+        queuedAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: reason
+    });
+    if (sendQueue.length > MAX_QUEUED_SENDS) {
+        const dropped = sendQueue.shift();
+        recordHistory(Object.assign({ url: dropped.url, filename: dropped.filename }, dropped.context), 'nadeko', 'failed', 'Dropped from the full send queue');
+    }
+    console.debug(`[Background Script] Queued ${url} until Nadeko~don is back (${sendQueue.length} queued)`);
+    saveSendQueue();
 }
 
 /**
- * Derives a suitable filename from a URL, Content-Type, and Content-Disposition.
- * @param {string} url - The original URL.
- * @param {string | null} contentType - The Content-Type header.
- * @param {string | null} contentDisposition - The Content-Disposition header.
- * @returns {string} - The derived filename.
- */
-function deriveFilename(url, contentType, contentDisposition) {
-    let filename = '';
-
-    if (contentDisposition) {
-        const match = /filename\*?=['"]?(?:UTF-8''|)(.*?)(?:['"]|$|;|\s)/i.exec(contentDisposition);
-        if (match && match[1]) {
-            try {
-                filename = decodeURIComponent(match[1].trim());
-            } catch (e) {
-                console.warn(`[Background Script] Failed to decode Content-Disposition filename: ${match[1]}`);
-                filename = match[1].trim();
-            }
+ * Sends a URL to Nadeko, queueing it if the app turns out to be down so it is sent on recovery.
+ * Errors reported by a running app (e.g. a 4xx/5xx status) are not queued.
+ * @param {string} url - The URL to send.
+ * @param {string | null} filename - The desired filename.
+ * @param {object} context - Payload context (see buildAppPayload).
+ * @returns {Promise<{queued: boolean}>} - Whether the send was queued instead of delivered.
+ */
+async function sendUrlToAppOrQueue(url, filename, context) {
+    // Settle the target now, so a queued send goes to the same target later
+    const target = await resolveSendTarget(url, context);
+    context = Object.assign({}, context, { targetId: target.id });
+    const download = { url: url, filename: filename, tabId: context.tabId, pageUrl: context.pageUrl, targetId: target.id };
+    const sendStartedAt = Date.now();
+    try {
+        await sendUrlToApp(url, filename, context);
+        recordHistory(download, 'nadeko', 'sent');
+        return { queued: false };
+    } catch (error) {
+        if (await isAliveAfterSendFailure(target, sendStartedAt)) {
+            recordHistory(download, 'nadeko', 'failed', error.message);
+            throw error;
         }
+        enqueueSend(url, filename, context, error.message);
+        return { queued: true };
     }
+}
 
-    if (!filename) {
-        try {
-            const urlObj = new URL(url);
-            filename = urlObj.pathname.split('/').pop() || 'unknown';
-            filename = filename.split('?')[0].split('#')[0];
-        } catch (e) {
-            console.warn(`[Background Script] Failed to parse URL for filename: ${url}`, e);
-            filename = 'unknown_file';
+/**
+ * Sends a selection of media items, one batch request per target. Apps older than protocol version 3 get one
+ * request per item instead. Like sendUrlToAppOrQueue, items for a target that turns out to be down are queued.
+ * @param {Array<{url: string, filename: string | null, context: object}>} items - The URLs and their payload context.
+ * @returns {Promise<{sent: number, queued: number, failed: number, errors: string[]}>}
+ */
+async function sendBatchToAppOrQueue(items) {
+    const result = { sent: 0, queued: 0, failed: 0, errors: [] };
+
+    // Group by target first; site rules may route items of the same page to different apps
+    const groups = new Map();
+    for (const item of items) {
+        const target = await resolveSendTarget(item.url, item.context);
+        const context = Object.assign({}, item.context, { targetId: target.id });
+        if (!groups.has(target.id)) {
+            groups.set(target.id, []);
         }
+        groups.get(target.id).push({ url: item.url, filename: item.filename, context: context });
     }
 
-    let fileExtension = '';
-    if (contentType) {
-        const typeParts = contentType.split('/');
-        if (typeParts.length > 1) {
-            fileExtension = typeParts[1].toLowerCase().split(';')[0];
-            if (fileExtension === 'jpeg') fileExtension = 'jpg';
-            if (fileExtension === 'x-mpegurl') fileExtension = 'm3u8';
-            if (fileExtension === 'vnd.apple.mpegurl') fileExtension = 'm3u8';
-            if (fileExtension === 'dash+xml') fileExtension = 'mpd';
-            if (fileExtension === 'octet-stream' && (url.includes('.bin') || url.includes('.dat'))) fileExtension = 'bin'; // Added .dat
-            if (fileExtension === 'octet-stream' && url.includes('.ts')) fileExtension = 'ts';
-            if (fileExtension === 'mp4a-latm') fileExtension = 'aac';
+    for (const [targetId, group] of groups) {
+        const target = getAppTarget(targetId);
+        if ((await getAppProtocolVersion(target)) < 3) {
+            for (const item of group) {
+                try {
+                    const { queued } = await sendUrlToAppOrQueue(item.url, item.filename, item.context);
+                    result[queued ? 'queued' : 'sent']++;
+                } catch (error) {
+                    result.failed++;
+                    result.errors.push(error.message);
+                }
+            }
+            continue;
+        }
+
+        const downloads = group.map(item => ({ url: item.url, filename: item.filename, tabId: item.context.tabId, pageUrl: item.context.pageUrl, targetId: targetId }));
+        const sendStartedAt = Date.now();
+        try {
+            await sendBatchToApp(target, group);
+            downloads.forEach(download => recordHistory(download, 'nadeko', 'sent', `Sent in a batch of ${group.length}`));
+            result.sent += group.length;
+        } catch (error) {
+            if (await isAliveAfterSendFailure(target, sendStartedAt)) {
+                downloads.forEach(download => recordHistory(download, 'nadeko', 'failed', error.message));
+                result.failed += group.length;
+                result.errors.push(error.message);
+            } else {
+                group.forEach(item => enqueueSend(item.url, item.filename, item.context, error.message));
+                result.queued += group.length;
+            }
         }
     }
+    return result;
+}
 
-    const currentExt = filename.includes('.') ? filename.split('.').pop() : '';
+/**
+ * Sends one queued entry. On failure the entry stays queued and its next attempt is pushed back.
+ * @param {object} entry - The queue entry.
+ * @returns {Promise<boolean>} - True if the app accepted the URL.
+ */
+async function sendQueuedEntry(entry) {
+    try {
+        await sendUrlToApp(entry.url, entry.filename, entry.context);
+        sendQueue = sendQueue.filter(queued => queued.id !== entry.id);
+        recordHistory(Object.assign({ url: entry.url, filename: entry.filename }, entry.context), 'nadeko', 'sent', 'Sent from the queue');
+        return true;
+    } catch (error) {
+        entry.attempts++;
+        entry.nextAttemptAt = Date.now() + Math.min(SEND_RETRY_BASE_DELAY * 2 ** (entry.attempts - 1), SEND_RETRY_MAX_DELAY);
+        entry.lastError = error.message;
+        console.warn(`[Background Script] Queued send failed (attempt ${entry.attempts}): ${entry.url}`, error);
+        return false;
+    }
+}
 
-    if (fileExtension && currentExt.toLowerCase() !== fileExtension) {
-        const mediaExtensions = ['mp4', 'webm', 'ogg', 'mp3', 'wav', 'flac', 'aac', 'avi', 'mov', 'mkv', 'wmv', 'gif', 'jpg', 'jpeg', 'png', 'svg', 'webp', 'm3u8', 'mpd', 'ts', 'bin', 'dat']; // Added .dat
-        if (!mediaExtensions.includes(currentExt.toLowerCase())) {
-            filename = `${filename}.${fileExtension}`;
+/**
+ * Sends every queued entry whose backoff has expired, oldest first. Entries for a target that is down are skipped.
+ */
+async function processSendQueue() {
+    if (sendQueueProcessing) {
+        return;
+    }
+    sendQueueProcessing = true;
+    try {
+        for (const entry of sendQueue.slice()) {
+            const target = getAppTarget(entry.context.targetId);
+            if (entry.nextAttemptAt > Date.now() || appOnlineStates.get(target.id) === false) {
+                continue;
+            }
+            const sendStartedAt = Date.now();
+            if (!(await sendQueuedEntry(entry))) {
+                // Marks the target offline if it stopped answering, so its other entries are skipped
+                await isAliveAfterSendFailure(target, sendStartedAt);
+            }
         }
+    } finally {
+        sendQueueProcessing = false;
+        await saveSendQueue();
     }
+}
+
+/**
+ * Carries out a choice made for a queued entry in the popup.
+ * @param {string} id - The queue entry ID.
+ * @param {'retry' | 'drop' | 'browser'} action - Send it to the app now, forget it, or download it in the browser instead.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the entry is unknown or the action failed.
+ */
+async function handleQueuedSendAction(id, action) {
+    const entry = sendQueue.find(queued => queued.id === id);
+    if (!entry) {
+        throw new Error('This send is no longer queued.');
+    }
+    const download = Object.assign({ url: entry.url, filename: entry.filename }, entry.context);
+
+    if (action === 'retry') {
+        const sent = await sendQueuedEntry(entry);
+        await saveSendQueue();
+        if (!sent) {
+            throw new Error(entry.lastError);
+        }
+    } else if (action === 'drop') {
+        sendQueue = sendQueue.filter(queued => queued.id !== id);
+        recordHistory(download, 'nadeko', 'failed', 'Dropped from the send queue');
+        await saveSendQueue();
+    } else if (action === 'browser') {
+        await downloadInBrowser(entry.url, entry.filename, entry.context.requestHeaders || getCapturedHeaders(entry.url));
+        sendQueue = sendQueue.filter(queued => queued.id !== id);
+        recordHistory(download, 'browser', 'started', 'Moved from the send queue');
+        await saveSendQueue();
+    } else {
+        throw new Error(`Unknown queue action "${action}".`);
+    }
+}
+
+//=============================================================
+//==================={Url Info Sraper}=========================
+//=============================================================
+// Maximum number of URLs whose classification is remembered; the least recently used are evicted first.
+const MAX_MEDIA_DETAILS = 500;
+
+// How long to wait for the response to a request seen in onBeforeRequest before probing the URL ourselves.
+const RESPONSE_WAIT_TIMEOUT = 5000;
+
+// How long a probe may take before the URL is given up on.
+const PROBE_TIMEOUT = 5000;
+
+// Classifications by URL (as normalised by modifyParams), so every URL is looked at once. Probes that failed are
+// not kept, so a timeout or server error does not mark a URL as non-media for the rest of the session.
+// Structure: LRU cache of url -> Promise<{valid, contentType, contentDisposition, contentLength}>
+const mediaDetailsCache = createLruCache(MAX_MEDIA_DETAILS);
+
+// Requests whose response headers a classification is waiting for, by URL as normalised by modifyParams.
+// Structure: Map<url, {resolve: function(object | null), timeoutId: number}>
+const awaitedResponses = new Map();
+
+/**
+ * Classifies a URL as media or not from its Content-Type, and gets its Content-Disposition and size.
+ * The headers come from the page's own request to the URL when it is in flight (see awaitedResponses), so most
+ * URLs cost no extra request; otherwise, or if that response never arrives, the URL is probed with a ranged GET.
+ * @param {string} url - The URL to check, normalised by modifyParams.
+ * @param {boolean} [requestInFlight=false] - Whether onBeforeRequest just saw the page request the URL.
+ * @returns {Promise<{valid: boolean, contentType: string | null, contentDisposition: string | null, contentLength: number | null}>}
+ */
+function fetchMediaHeaders(url, requestInFlight = false) {
+    if (mediaDetailsCache.has(url)) {
+        return mediaDetailsCache.get(url);
+    }
+
+    const promise = (requestInFlight ? waitForResponseHeaders(url) : Promise.resolve(null))
+        .then(details => details || probeMediaHeaders(url))
+        .then(details => {
+            if (details) {
+                return details;
+            }
+            mediaDetailsCache.delete(url); // Try again the next time the URL comes up
+            return { valid: false, contentType: null, contentDisposition: null, contentLength: null };
+        });
+    mediaDetailsCache.set(url, promise);
+    return promise;
+}
+
+/**
+ * Waits for onHeadersReceived to report the response to a request the page made.
+ * @param {string} url - The request URL, normalised by modifyParams.
+ * @returns {Promise<object | null>} - The classification (see classifyMediaHeaders), or null if no usable
+ *          response arrived in time.
+ */
+function waitForResponseHeaders(url) {
+    return new Promise(resolve => {
+        const timeoutId = setTimeout(() => {
+            awaitedResponses.delete(url);
+            resolve(null);
+        }, RESPONSE_WAIT_TIMEOUT);
+        awaitedResponses.set(url, { resolve: resolve, timeoutId: timeoutId });
+    });
+}
+
+/**
+ * Requests the first byte of a URL to read its headers. Unlike HEAD, every server answers GET, and the background
+ * page's host permission makes the response headers readable. The body is dropped unread, so servers that ignore
+ * the Range header do not send the whole file. The request goes out without the user's cookies: the URLs probed
+ * include API endpoints the page called, which must not be replayed as the user.
+ * @param {string} url - The URL to probe.
+ * @returns {Promise<{valid: boolean, contentType: string | null, contentDisposition: string | null, contentLength: number | null} | null>}
+ *          - null if the probe failed: a network error, the timeout or an HTTP error.
+ */
+async function probeMediaHeaders(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+    try {
+        const response = await fetch(url, { headers: { Range: 'bytes=0-0' }, credentials: 'omit', signal: controller.signal });
+        response.body?.cancel().catch(() => {});
+        if (!response.ok) {
+            console.warn(`[Background Script] Probing ${url} returned HTTP ${response.status}.`);
+            return null;
+        }
+        return classifyMediaHeaders(readMediaHeaders(response.headers, response.status));
+    } catch (error) {
+        // Network errors, CORS/CORP blocks and the timeout above
+        console.warn(`[Background Script] Failed to probe ${url}: ${error.message}`);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// --- WebRequest Listener for classifying media from the responses the page receives ---
+browser.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    const url = modifyParams(details.url);
+    const awaited = awaitedResponses.get(url);
+    if (!awaited) {
+        return;
+    }
+    awaitedResponses.delete(url);
+    clearTimeout(awaited.timeoutId);
+    // Redirects, errors and revalidations (304) say nothing about the media; the probe follows them instead
+    const usable = details.statusCode === 200 || details.statusCode === 206;
+    awaited.resolve(usable ? classifyMediaHeaders(readMediaHeaders(details.responseHeaders, details.statusCode)) : null);
+  },
+  { urls: ["<all_urls>"], types: ['media', 'object', 'sub_frame', 'xmlhttprequest'] },
+  ["responseHeaders"]
+);
+
+
+//==============================================================
+//================={Request Header Capture}=====================
+//==============================================================
+
+// Request headers worth replaying when the app (or the browser fallback) fetches the media again.
+// Deliberately an allowlist: cookies are sent separately through browser.cookies, and anything else
+// (client hints, tracking headers, proxy credentials) stays in the browser.
+const CAPTURED_HEADER_ALLOWLIST = ['authorization', 'origin', 'referer', 'user-agent', 'accept', 'accept-language', 'x-requested-with'];
+
+// Headers that downloads.download() refuses to set. Referer is accepted by Firefox 70+ and is the one most CDNs check.
+const DOWNLOAD_FORBIDDEN_HEADERS = ['origin'];
+
+// URLs we are downloading through the browser ourselves; onHeadersReceived must not intercept them again.
+const interceptionBypassUrls = new Set();
+
+// Maximum number of requests whose headers are remembered; the oldest entries are evicted first.
+const MAX_CAPTURED_REQUESTS = 500;
+
+// Headers actually sent by the page, keyed by the request URL as normalised by modifyParams
+// so media items (whose URL went through the same function) can look them up directly.
+// Structure: Map<url, {headers: Object<string, string>, requestId: string, capturedAt: number}>
+const capturedRequestHeaders = new Map();
+
+/**
+ * Reduces a webRequest header list to the allowlisted headers.
+ * @param {Array<{name: string, value?: string}>} requestHeaders - Headers as reported by webRequest.
+ * @returns {Object<string, string>} - Allowlisted header names (original case) mapped to their values.
+ */
+function filterCapturedHeaders(requestHeaders) {
+    const headers = {};
+    for (const header of requestHeaders || []) {
+        if (header.value !== undefined && CAPTURED_HEADER_ALLOWLIST.includes(header.name.toLowerCase())) {
+            headers[header.name] = header.value;
+        }
+    }
+    return headers;
+}
+
+/**
+ * Returns the headers captured for a URL, if its request was seen.
+ * @param {string} url - The media URL (raw or already normalised by modifyParams).
+ * @returns {Object<string, string> | null}
+ */
+function getCapturedHeaders(url) {
+    const entry = capturedRequestHeaders.get(modifyParams(url));
+    return entry ? entry.headers : null;
+}
+
+/**
+ * Looks up a captured header case-insensitively.
+ * @param {Object<string, string> | null} headers - Headers from getCapturedHeaders.
+ * @param {string} name - The header name.
+ * @returns {string | null}
+ */
+function findCapturedHeader(headers, name) {
+    for (const [headerName, value] of Object.entries(headers || {})) {
+        if (headerName.toLowerCase() === name) {
+            return value;
+        }
+    }
+    return null;
+}
+
+/**
+ * Converts captured headers to the list format accepted by downloads.download(), dropping forbidden ones.
+ * @param {Object<string, string> | null} headers
+ * @returns {Array<{name: string, value: string}>}
+ */
+function toDownloadHeaders(headers) {
+    return Object.entries(headers || {})
+        .filter(([name]) => !DOWNLOAD_FORBIDDEN_HEADERS.includes(name.toLowerCase()))
+        .map(([name, value]) => ({ name: name, value: value }));
+}
+
+// --- WebRequest Listener for capturing the headers each request was sent with ---
+browser.webRequest.onSendHeaders.addListener(
+  (details) => {
+    if (details.tabId < 0) {
+        return;
+    }
+    const headers = filterCapturedHeaders(details.requestHeaders);
+    if (Object.keys(headers).length === 0) {
+        return;
+    }
+
+    const key = modifyParams(details.url);
+    capturedRequestHeaders.delete(key); // Re-insert so the latest request counts as the newest entry
+    capturedRequestHeaders.set(key, { headers: headers, requestId: details.requestId, capturedAt: Date.now() });
+    if (capturedRequestHeaders.size > MAX_CAPTURED_REQUESTS) {
+        capturedRequestHeaders.delete(capturedRequestHeaders.keys().next().value);
+    }
+  },
+  { urls: ["<all_urls>"], types: ['media', 'object', 'sub_frame', 'xmlhttprequest', 'main_frame', 'other'] },
+  ["requestHeaders"]
+);
+
+/**
+ * Starts a regular browser download, replaying the headers the page used for the request where allowed.
+ * @param {string} url - The URL to download.
+ * @param {string} filename - The filename to save as.
+ * @param {Object<string, string> | null} [headers] - Headers to replay; defaults to those captured for the URL.
+ * @returns {Promise<number>} - The download ID.
+ */
+function downloadInBrowser(url, filename, headers = getCapturedHeaders(url)) {
+    const options = {
+        url: url,
+        filename: filename,
+        conflictAction: 'uniquify'
+    };
+    const downloadHeaders = toDownloadHeaders(headers);
+    if (downloadHeaders.length > 0) {
+        options.headers = downloadHeaders;
+    }
+    interceptionBypassUrls.add(url);
+    setTimeout(() => interceptionBypassUrls.delete(url), 30000); // Forget it if the response never arrives
+    return browser.downloads.download(options);
+}
+
+//==============================================================
+//================={Media Scraper Module}=======================
+//==============================================================
+
+// Using a Map to store unique media URLs found across all tabs
+// Structure: Map<tabId, Map<url, {url, filename, validMedia, isManifest, contentType, mimeType, contentLength, sizeText, source, duration?, width?, height?, thumbnail?, title?, extractor?, variants?, audioTracks?, subtitleTracks?}>>
+const scrapedMediaUrls = new Map();
+
+// Details of <video>/<audio> elements reported by content scripts (duration, resolution, thumbnail) and of videos
+// found by site extractors, keyed like scrapedMediaUrls. Kept apart so details arriving before the item is
+// classified are not lost.
+// Structure: Map<tabId, Map<url, {duration?, width?, height?, thumbnail?, title?, extractor?, filename?}>>
+const domMediaMetadata = new Map();
+
+// Canonical keys (see mediaKey) of URLs whose details are being fetched, per tab, so the many requests a player
+// makes for one file (ranges, rotating signatures) are classified once and listed as one item.
+// Structure: Map<tabId, Set<key>>
+const pendingMediaKeys = new Map();
+
+/**
+ * Computes the key a media URL is deduplicated by (see canonicalMediaKey in lib/media-urls.js).
+ * @param {string} url
+ * @returns {string}
+ */
+function mediaKey(url) {
+    return canonicalMediaKey(url, compiledCanonicalRules);
+}
+
+/**
+ * Looks up a tab's media item by canonical key.
+ * @param {number} tabId
+ * @param {string} key - From mediaKey.
+ * @returns {object | null}
+ */
+function findMediaItemByKey(tabId, key) {
+    for (const mediaItem of scrapedMediaUrls.get(tabId)?.values() || []) {
+        if (mediaItem.canonicalKey === key) {
+            return mediaItem;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the scrapedMediaUrls key of a listed item. That is the URL it was listed with, which stays the key when
+ * the item moves on to a newer URL of the same file (see refreshMediaItemUrl).
+ * @param {number} tabId
+ * @param {object | null} mediaItem
+ * @returns {string | null}
+ */
+function findMediaItemKey(tabId, mediaItem) {
+    for (const [key, item] of scrapedMediaUrls.get(tabId) || []) {
+        if (item === mediaItem) {
+            return key;
+        }
+    }
+    return null;
+}
+
+/**
+ * Downloads and parses an HLS or DASH manifest.
+ * @param {string} url - The manifest URL.
+ * @returns {Promise<object | null>} - The parsed manifest (see parseManifest), or null if it could not be fetched or parsed.
+ */
+async function fetchManifestDetails(url) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5-second timeout for manifest bodies
+
+        const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+        if (!response.ok) {
+            clearTimeout(timeoutId);
+            console.warn(`[Background Script] Manifest request for ${url} failed with status ${response.status}.`);
+            return null;
+        }
+        const text = await response.text();
+        clearTimeout(timeoutId);
+
+        return parseManifest(text, response.url || url);
+    } catch (error) {
+        console.warn(`[Background Script] Failed to fetch or parse manifest ${url}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Gets full media details (validity, content type, size, derived filename, isManifest flag) for a given URL.
+ * For manifests, the playlist is also parsed so every variant and audio/subtitle rendition is exposed.
+ * @param {string} url - The URL of the potential media.
+ * @param {boolean} [requestInFlight=false] - Whether the page is requesting the URL right now (see fetchMediaHeaders).
+ * @returns {Promise<{url: string, filename: string, validMedia: boolean, isManifest: boolean, contentType: string | null, mimeType: string | null, contentLength: number | null, sizeText: string | null, manifestType?: string, variants?: Array<object>, audioTracks?: Array<object>, subtitleTracks?: Array<object>}>}
+ */
+async function getMediaDetails(url, requestInFlight = false) {
+    url = modifyParams(url);
+    const { valid, contentType, contentDisposition, contentLength } = await fetchMediaHeaders(url, requestInFlight);
+    const filename = deriveFilename(url, contentType, contentDisposition);
+    // Servers often label manifests as text/plain or octet-stream, so fall back to the URL extension to spot them.
+    const isManifest = Boolean(contentType && (contentType.includes('mpegurl') || contentType.includes('dash+xml'))) ||
+        /\.(m3u8|mpd)(\?|#|$)/i.test(url);
+
+    const mediaItem = {
+        url,
+        filename,
+        validMedia: valid || isManifest,
+        isManifest: isManifest,
+        contentType: contentType || null,
+        mimeType: bareMimeType(contentType) || null,
+        contentLength: contentLength,
+        // The size of a playlist says nothing about the media it lists
+        sizeText: !isManifest && Number.isFinite(contentLength) ? formatFileSize(contentLength) : null
+    };
+
+    if (isManifest) {
+        const manifest = await fetchManifestDetails(url);
+        if (manifest) {
+            mediaItem.manifestType = manifest.type;
+            mediaItem.variants = manifest.variants;
+            mediaItem.audioTracks = manifest.audioTracks;
+            mediaItem.subtitleTracks = manifest.subtitleTracks;
+        }
+    }
+
+    return mediaItem;
+}
+
+
+/**
+ * Notifies the browser action popup and the tab's content script about a newly stored media item.
+ * @param {number} tabId - The ID of the tab the item belongs to.
+ * @param {object} mediaItem - The stored media item.
+ */
+function notifyMediaItemAdded(tabId, mediaItem) {
+    updateMediaBadge(tabId);
+
+    // Notify the main browser action popup to update its list
+    browser.runtime.sendMessage({ type: "urlAdded", mediaItem: mediaItem, tabId: tabId }).catch(error => {
+        // This is fine if the popup isn't open
+    });
+
+    // Only send message to content script if tabId is valid (>= 0)
+    if (tabId >= 0 && showPopup) {
+        // Send message to content script for popup display
+        browser.tabs.sendMessage(tabId, {
+            type: "showMediaPopup",
+            mediaItem: mediaItem
+        }).catch(error => {
+            console.warn(`[Background Script] Could not send showMediaPopup to tab ${tabId}:`, error);
+        });
+    } else {
+        console.debug(`[Background Script] Skipping showMediaPopup for invalid tabId: ${tabId}.`);
+    }
+
+    // The new item may be what a blob: player on the page is playing, or the video of subtitles seen earlier
+    matchBlobPlayers(tabId);
+    attachSubtitleTracks(tabId);
+}
+
+/**
+ * Adds a URL (along with its derived filename and manifest status) to the scrapedMediaUrls set for a specific tab.
+ * This function also sends the `showMediaPopup` message to the content script.
+ * Stream segments never become items of their own; they are folded into their stream by addSegmentUrl.
+ * @param {number} tabId - The ID of the tab where the URL was found.
+ * @param {string} url - The raw URL of the media.
+ * @param {string} source - 'webRequest', 'contentScript' or 'extractor' to indicate where the URL came from.
+ * @param {number} [frameId] - The frame that requested or displays the URL, used to match blob: players.
+ * @param {boolean} [requestInFlight=false] - Whether onBeforeRequest is seeing the page request the URL right now,
+ *        so its response can be classified instead of probing the URL (see fetchMediaHeaders).
+ */
+async function addMediaUrl(tabId, url, source, frameId, requestInFlight = false) {
+    const manifestItems = Array.from(scrapedMediaUrls.get(tabId)?.values() || []).filter(item => item.isManifest);
+    if (isLikelySegmentUrl(url, manifestItems)) {
+        return addSegmentUrl(tabId, url, frameId);
+    }
+    if (isLikelySubtitleUrl(url)) {
+        return addSubtitleTrack(tabId, url, { frameId: frameId });
+    }
+
+    // The same file under another signature, range or edge host is not listed again, but the listed item
+    // switches to the newest URL: older signatures and tokens expire
+    const key = mediaKey(url);
+    if (!pendingMediaKeys.has(tabId)) {
+        pendingMediaKeys.set(tabId, new Set());
+    }
+    const listedItem = findMediaItemByKey(tabId, key);
+    if (listedItem) {
+        return refreshMediaItemUrl(tabId, listedItem, url);
+    }
+    if (pendingMediaKeys.get(tabId).has(key)) {
+        console.debug(`[Background Script] ${url} is the same media as an item being added to tab ${tabId}. Skipping.`);
+        return;
+    }
+    pendingMediaKeys.get(tabId).add(key);
+    let mediaItem;
+    try {
+        mediaItem = await getMediaDetails(url, requestInFlight);
+    } finally {
+        pendingMediaKeys.get(tabId)?.delete(key);
+    }
+
+    if (!mediaItem.validMedia) {
+        // Subtitle files without a telling extension are only recognised by their Content-Type
+        const subtitleFormat = detectSubtitleFormat(mediaItem.url, mediaItem.contentType);
+        if (subtitleFormat) {
+            addSubtitleTrack(tabId, url, { format: subtitleFormat, frameId: frameId });
+        }
+        return;
+    }
+
+    if (!scrapedMediaUrls.has(tabId)) {
+        scrapedMediaUrls.set(tabId, new Map()); // Use a Map for media items per tab, keyed by URL
+    }
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+
+    // Check if exact URL already exists to prevent true duplicates
+    if (urlsForTab.has(mediaItem.url) || findMediaItemByKey(tabId, key)) {
+        console.debug(`[Background Script] URL ${mediaItem.url} already exists for tab ${tabId}. Skipping.`);
+        return;
+    }
+
+    // Keep the exact headers the page used, so the download can be replayed later
+    mediaItem.requestHeaders = getCapturedHeaders(url);
+    mediaItem.source = source;
+    mediaItem.frameId = frameId;
+    mediaItem.detectedAt = Date.now();
+    mediaItem.canonicalKey = key;
+    Object.assign(mediaItem, domMediaMetadata.get(tabId)?.get(key));
+
+    // Add the new media item to the tab's map
+    urlsForTab.set(mediaItem.url, mediaItem);
+
+    let logMessage = `[Background Script] Added media item for tab ${tabId} (${source}): ${mediaItem.filename} (${mediaItem.url})`;
+    if (mediaItem.isManifest) {
+        logMessage += ` (Type: Manifest, ${mediaItem.variants ? mediaItem.variants.length : 0} variants)`;
+    } else {
+        logMessage += " (Type: General Media)"; // Will only be 'General Media' for full files 
+    }
+    console.debug(logMessage);
+
+    if (mediaItem.isManifest) {
+        // Segments seen before their manifest were parked on the synthetic stream entry; move them over.
+        reassociateStreamGroups(tabId, mediaItem);
+    }
+
+    notifyMediaItemAdded(tabId, mediaItem);
+}
+
+/**
+ * Points a listed item at a newer URL of the same file, keeping its place in the list. Its captured headers are
+ * dropped with the old URL; sends look up those of the new one (see buildAppPayload). A manifest is parsed again,
+ * as its variant URLs are resolved against the manifest URL and often carry its signature too.
+ * @param {number} tabId
+ * @param {object} mediaItem - The listed item.
+ * @param {string} url - The newer URL, with the same mediaKey.
+ * @returns {Promise<void>}
+ */
+async function refreshMediaItemUrl(tabId, mediaItem, url) {
+    const newUrl = modifyParams(url);
+    if (newUrl === mediaItem.url) {
+        return;
+    }
+    const details = { url: newUrl, requestHeaders: getCapturedHeaders(newUrl) };
+    if (mediaItem.isManifest) {
+        const manifest = await fetchManifestDetails(newUrl);
+        if (manifest) {
+            Object.assign(details, { variants: manifest.variants, audioTracks: manifest.audioTracks, subtitleTracks: manifest.subtitleTracks });
+        }
+        if (findMediaItemKey(tabId, mediaItem) === null) {
+            return; // The tab moved on while the manifest was loading
+        }
+    }
+    console.debug(`[Background Script] Listed item of tab ${tabId} now points at ${newUrl} (was ${mediaItem.url})`);
+    mergeMediaItemDetails(tabId, mediaItem, details, mediaItem.url);
+}
+
+/**
+ * Records what a content script found out about a <video> or <audio> element (or a site extractor about a video)
+ * and updates the matching media item, if it is already listed, in the popup and the on-page popup.
+ * @param {number} tabId - The tab the element is in.
+ * @param {string} url - The element's source URL.
+ * @param {{duration?: number, width?: number, height?: number, thumbnail?: string, title?: string, extractor?: string, filename?: string}} metadata
+ */
+function updateMediaMetadata(tabId, url, metadata) {
+    const key = mediaKey(url);
+    if (!domMediaMetadata.has(tabId)) {
+        domMediaMetadata.set(tabId, new Map());
+    }
+    const metadataForTab = domMediaMetadata.get(tabId);
+    metadataForTab.set(key, Object.assign({}, metadataForTab.get(key), metadata));
+
+    const mediaItem = findMediaItemByKey(tabId, key);
+    if (mediaItem) {
+        mergeMediaItemDetails(tabId, mediaItem, metadata);
+    }
+    // Otherwise merged by addMediaUrl once the item exists
+}
+
+/**
+ * Adds details to a listed media item and refreshes it in the popup and the on-page popup.
+ * @param {number} tabId - The tab the item belongs to.
+ * @param {object} mediaItem - The stored media item.
+ * @param {object} details - The fields to add or replace.
+ * @param {string} [previousUrl] - The URL the popups know the item by, if details changes it.
+ */
+function mergeMediaItemDetails(tabId, mediaItem, details, previousUrl) {
+    Object.assign(mediaItem, details);
+    browser.runtime.sendMessage({ type: "urlUpdated", mediaItem: mediaItem, tabId: tabId, previousUrl: previousUrl }).catch(error => {
+        // This is fine if the popup isn't open
+    });
+    if (showPopup) {
+        browser.tabs.sendMessage(tabId, { type: "updateMediaPopup", mediaItem: mediaItem, previousUrl: previousUrl }).catch(error => {
+            console.warn(`[Background Script] Could not send updateMediaPopup to tab ${tabId}:`, error);
+        });
+    }
+}
+
+//==============================================================
+//================={Blob Player Module}=========================
+//==============================================================
+
+// Players built on Media Source Extensions show a blob: URL that cannot be downloaded; what they play arrives
+// through the manifest and segment requests seen by webRequest. Players reported by content scripts are matched
+// with those items, so the player's details end up on the item that can actually be sent.
+// Structure: Map<tabId, Map<blobUrl, {frameId, frameUrl, metadata, itemKey, fallbackTimer}>>
+const blobPlayers = new Map();
+const BLOB_PLAYER_FALLBACK_DELAY = 5000; // How long to wait for the player's requests before listing the page itself
+
+/**
+ * Ranks how likely a media item is what a blob: player plays; manifests beat segment streams beat plain files.
+ * @param {object} mediaItem
+ * @returns {number} - 0 if the item cannot be played through MSE at all.
+ */
+function rankBlobPlayerSource(mediaItem) {
+    if (mediaItem.isManifest) {
+        return 3;
+    }
+    if (mediaItem.isStream) {
+        return 2;
+    }
+    return /^(video|audio)\//.test(mediaItem.mimeType || '') ? 1 : 0;
+}
+
+/**
+ * Finds the item a blob: player most likely plays: the best-ranked, most recent candidate requested by the
+ * player's frame. If its own frame requested none, another frame's candidate is only taken when it is the only one
+ * in the tab; with several, the player stays unmatched and falls back to its page.
+ * @param {number} tabId
+ * @param {number} frameId - The frame the player is in.
+ * @returns {string | null} - The scrapedMediaUrls key of the item.
+ */
+function findBlobPlayerSource(tabId, frameId) {
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    if (!urlsForTab) {
+        return null;
+    }
+    const candidates = Array.from(urlsForTab.entries()).filter(([key, item]) => rankBlobPlayerSource(item) > 0);
+    const sameFrame = candidates.filter(([key, item]) => item.frameId === frameId);
+    if (sameFrame.length === 0) {
+        return candidates.length === 1 ? candidates[0][0] : null;
+    }
+    sameFrame.sort(([, a], [, b]) => rankBlobPlayerSource(b) - rankBlobPlayerSource(a) || (b.detectedAt || 0) - (a.detectedAt || 0));
+    return sameFrame[0][0];
+}
+
+/**
+ * Removes an item from a tab's list, the popup and the on-page popups.
+ * @param {number} tabId
+ * @param {string} key - The scrapedMediaUrls key of the item.
+ */
+function removeMediaItem(tabId, key) {
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    const mediaItem = urlsForTab && urlsForTab.get(key);
+    if (!mediaItem) {
+        return;
+    }
+    urlsForTab.delete(key);
+    updateMediaBadge(tabId);
+    browser.runtime.sendMessage({ type: "urlRemoved", url: mediaItem.url, tabId: tabId }).catch(error => {
+        // This is fine if the popup isn't open
+    });
+    browser.tabs.sendMessage(tabId, { type: "removeMediaPopup", url: mediaItem.url }).catch(error => {
+        console.warn(`[Background Script] Could not send removeMediaPopup to tab ${tabId}:`, error);
+    });
+}
+
+/**
+ * Records a blob: player reported by a content script, or updates its details, and matches it with an item.
+ * If nothing matches yet, matching is retried as items arrive (see matchBlobPlayers) until the fallback kicks in.
+ * @param {number} tabId
+ * @param {number} frameId - The frame the player is in.
+ * @param {string} blobUrl - The player's blob: source.
+ * @param {string} frameUrl - The URL of the player's frame.
+ * @param {{duration?: number, width?: number, height?: number, thumbnail?: string}} metadata - What the element knows so far.
+ */
+function registerBlobPlayer(tabId, frameId, blobUrl, frameUrl, metadata) {
+    if (!blobPlayers.has(tabId)) {
+        blobPlayers.set(tabId, new Map());
+    }
+    const playersForTab = blobPlayers.get(tabId);
+    let player = playersForTab.get(blobUrl);
+    if (!player) {
+        player = { frameId: frameId, frameUrl: frameUrl, metadata: {}, itemKey: null, fallbackTimer: null };
+        playersForTab.set(blobUrl, player);
+        console.debug(`[Background Script] blob: player found in tab ${tabId} (frame ${frameId}): ${blobUrl}`);
+    }
+    Object.assign(player.metadata, metadata);
+    matchBlobPlayer(tabId, blobUrl, player, true);
+}
+
+/**
+ * Matches one player with the best item currently known and copies its details over.
+ * Players already matched move to a better item when one shows up (e.g. the manifest after its segments);
+ * a fallback entry left without a player is removed then.
+ * @param {number} tabId
+ * @param {string} blobUrl
+ * @param {object} player - The blobPlayers entry.
+ * @param {boolean} [detailsChanged=false] - Whether the player reported new details that the item needs.
+ */
+function matchBlobPlayer(tabId, blobUrl, player, detailsChanged = false) {
+    const itemKey = findBlobPlayerSource(tabId, player.frameId);
+    if (!itemKey) {
+        if (!player.fallbackTimer) {
+            player.fallbackTimer = setTimeout(() => addBlobPlayerFallback(tabId, blobUrl, player), BLOB_PLAYER_FALLBACK_DELAY);
+        }
+        return;
+    }
+    clearTimeout(player.fallbackTimer);
+    player.fallbackTimer = null;
+    const previousKey = player.itemKey;
+    if (itemKey !== previousKey) {
+        console.debug(`[Background Script] blob: player ${blobUrl} in tab ${tabId} plays ${itemKey}`);
+        player.itemKey = itemKey;
+        const previousItem = previousKey && scrapedMediaUrls.get(tabId).get(previousKey);
+        if (previousItem && previousItem.isStream && !previousItem.segmentCount) {
+            removeMediaItem(tabId, previousKey);
+        }
+    }
+    if ((detailsChanged || itemKey !== previousKey) && Object.keys(player.metadata).length > 0) {
+        mergeMediaItemDetails(tabId, scrapedMediaUrls.get(tabId).get(itemKey), player.metadata);
+    }
+}
+
+/**
+ * Re-runs matching for all players of a tab. Called whenever an item is added to the tab.
+ * @param {number} tabId
+ */
+function matchBlobPlayers(tabId) {
+    const playersForTab = blobPlayers.get(tabId);
+    if (!playersForTab) {
+        return;
+    }
+    for (const [blobUrl, player] of playersForTab) {
+        matchBlobPlayer(tabId, blobUrl, player);
+    }
+}
+
+/**
+ * Lists the player's page as a stream entry when none of the tab's requests could be matched with the player,
+ * e.g. because the stream is fetched in ways the URL heuristics miss. The app then extracts the stream itself.
+ * @param {number} tabId
+ * @param {string} blobUrl
+ * @param {object} player - The blobPlayers entry.
+ */
+async function addBlobPlayerFallback(tabId, blobUrl, player) {
+    player.fallbackTimer = null;
+    if (blobPlayers.get(tabId)?.get(blobUrl) !== player) {
+        return; // The tab navigated or was cleared in the meantime
+    }
+    if (findBlobPlayerSource(tabId, player.frameId)) {
+        matchBlobPlayer(tabId, blobUrl, player);
+        return;
+    }
+
+    const streamItem = await createSyntheticStreamItem(tabId, null);
+    if ((player.frameId !== 0 || !streamItem.url) && player.frameUrl) {
+        streamItem.url = player.frameUrl; // An embedded player; its own page is the one to extract from
+    }
+    streamItem.frameId = player.frameId;
+    if (blobPlayers.get(tabId)?.get(blobUrl) !== player) {
+        return;
+    }
+    if (!scrapedMediaUrls.has(tabId)) {
+        scrapedMediaUrls.set(tabId, new Map());
+    }
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    const streamKey = syntheticStreamKey(tabId);
+    if (urlsForTab.has(streamKey)) {
+        matchBlobPlayer(tabId, blobUrl, player);
+        return;
+    }
+    Object.assign(streamItem, player.metadata);
+    urlsForTab.set(streamKey, streamItem);
+    player.itemKey = streamKey;
+    console.debug(`[Background Script] No requests matched blob: player ${blobUrl}; listing ${streamItem.url} for tab ${tabId}`);
+    notifyMediaItemAdded(tabId, streamItem);
+}
+
+/**
+ * Forgets the players of a tab and cancels their pending fallbacks.
+ * @param {number} tabId
+ */
+function clearBlobPlayers(tabId) {
+    for (const player of blobPlayers.get(tabId)?.values() || []) {
+        clearTimeout(player.fallbackTimer);
+    }
+    blobPlayers.delete(tabId);
+}
+
+/**
+ * Finds the item a player on the page plays, for the hover button.
+ * blob: players resolve to the item they were matched with; other players to the item of their source URL.
+ * @param {number} tabId
+ * @param {string} playerUrl - The player's source (src or currentSrc).
+ * @returns {object | null} - The media item, or null if the player has not been matched with one (yet).
+ */
+function resolvePlayerMediaItem(tabId, playerUrl) {
+    if (playerUrl.startsWith('blob:')) {
+        const itemKey = blobPlayers.get(tabId)?.get(playerUrl)?.itemKey;
+        return (itemKey && scrapedMediaUrls.get(tabId)?.get(itemKey)) || null;
+    }
+    return findMediaItem(tabId, modifyParams(playerUrl)) || findMediaItem(tabId, playerUrl);
+}
+
+//==============================================================
+//================={Subtitle Module}============================
+//==============================================================
+
+// Subtitle and caption files found in a tab, from <track> elements and from requests. They are not listed as items
+// of their own: each is attached to the video it belongs to (as `subtitles`) and sent to Nadeko~don along with it.
+// Structure: Map<tabId, Map<url, {url, format, language, label, kind, frameId, videoUrl, itemKey}>>
+const subtitleTracks = new Map();
+
+/**
+ * Records a subtitle file found in a tab, or adds details to one already known, and attaches it to its video.
+ * Files that are renditions of a listed manifest are skipped; the manifest already carries them.
+ * @param {number} tabId
+ * @param {string} url - The subtitle file URL.
+ * @param {{format?: string, language?: string, label?: string, kind?: string, frameId?: number, videoUrl?: string}} details
+ *        - What is known about the file; `videoUrl` is the source of the <video> a <track> element belongs to.
+ */
+function addSubtitleTrack(tabId, url, details) {
+    const key = modifyParams(url);
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    for (const mediaItem of urlsForTab?.values() || []) {
+        if (mediaItem.subtitleTracks && mediaItem.subtitleTracks.some(track => track.url === key || track.url === url)) {
+            console.debug(`[Background Script] Subtitle file ${key} is a rendition of manifest ${mediaItem.url}. Skipping.`);
+            return;
+        }
+    }
+
+    if (!subtitleTracks.has(tabId)) {
+        subtitleTracks.set(tabId, new Map());
+    }
+    const tracksForTab = subtitleTracks.get(tabId);
+    let track = tracksForTab.get(key);
+    if (!track) {
+        track = { url: key, format: null, language: null, label: null, kind: 'subtitles', frameId: undefined, videoUrl: null, itemKey: null };
+        tracksForTab.set(key, track);
+        console.debug(`[Background Script] Subtitle file found in tab ${tabId}: ${key}`);
+    }
+    for (const [field, value] of Object.entries(details)) {
+        if (value !== undefined && value !== null && value !== '') {
+            track[field] = value;
+        }
+    }
+    track.format = track.format || detectSubtitleFormat(key);
+    attachSubtitleTrack(tabId, track, true);
+}
+
+/**
+ * Finds the item a subtitle file belongs to. Files of a <track> element belong to that element's video
+ * (for blob: players, the item the player was matched with). Files seen only as requests belong to what a player
+ * of their own frame plays, or else to the newest manifest of that frame; without either they stay unattached,
+ * as a subtitle request alone says nothing about which of the tab's videos it is for.
+ * @param {number} tabId
+ * @param {object} track - The subtitleTracks entry.
+ * @returns {string | null} - The scrapedMediaUrls key of the item, or null if it is not listed (yet).
+ */
+function findSubtitleOwner(tabId, track) {
+    if (!track.videoUrl) {
+        const player = Array.from(blobPlayers.get(tabId)?.values() || []).find(player => player.frameId === track.frameId && player.itemKey);
+        if (player) {
+            return player.itemKey;
+        }
+        const candidates = Array.from(scrapedMediaUrls.get(tabId) || []).filter(([key, item]) => item.frameId === track.frameId
+            && (item.isManifest || (item.source === 'contentScript' && rankBlobPlayerSource(item) > 0)));
+        candidates.sort(([, a], [, b]) => rankBlobPlayerSource(b) - rankBlobPlayerSource(a) || (b.detectedAt || 0) - (a.detectedAt || 0));
+        return candidates.length > 0 ? candidates[0][0] : null;
+    }
+    if (track.videoUrl.startsWith('blob:')) {
+        return blobPlayers.get(tabId)?.get(track.videoUrl)?.itemKey || null;
+    }
+    return findMediaItemKey(tabId, findMediaItem(tabId, modifyParams(track.videoUrl)));
+}
+
+/**
+ * Attaches a subtitle file to the item it belongs to, moving it off the item it was attached to before.
+ * @param {number} tabId
+ * @param {object} track - The subtitleTracks entry.
+ * @param {boolean} [detailsChanged=false] - Whether the file's language, label or video changed.
+ */
+function attachSubtitleTrack(tabId, track, detailsChanged = false) {
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    const itemKey = findSubtitleOwner(tabId, track);
+    if (!itemKey || !urlsForTab || !urlsForTab.has(itemKey) || (itemKey === track.itemKey && !detailsChanged)) {
+        return;
+    }
+    const previousItem = track.itemKey && track.itemKey !== itemKey ? urlsForTab.get(track.itemKey) : null;
+    if (previousItem && previousItem.subtitles) {
+        mergeMediaItemDetails(tabId, previousItem, { subtitles: previousItem.subtitles.filter(subtitle => subtitle.url !== track.url) });
+    }
+    track.itemKey = itemKey;
+    const mediaItem = urlsForTab.get(itemKey);
+    const subtitle = { url: track.url, format: track.format, language: track.language, label: track.label, kind: track.kind };
+    const subtitles = (mediaItem.subtitles || []).filter(existing => existing.url !== track.url).concat([subtitle]);
+    console.debug(`[Background Script] Attached subtitle file ${track.url} to ${mediaItem.url} in tab ${tabId}`);
+    mergeMediaItemDetails(tabId, mediaItem, { subtitles: subtitles });
+}
+
+/**
+ * Attaches the subtitle files still waiting for their video, and re-attaches those whose video went away or
+ * whose blob: player was matched with another item. Called whenever an item is added to the tab.
+ * @param {number} tabId
+ */
+function attachSubtitleTracks(tabId) {
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    for (const track of subtitleTracks.get(tabId)?.values() || []) {
+        const isBlobPlayerTrack = Boolean(track.videoUrl && track.videoUrl.startsWith('blob:'));
+        if (!track.itemKey || !urlsForTab || !urlsForTab.has(track.itemKey) || isBlobPlayerTrack) {
+            attachSubtitleTrack(tabId, track);
+        }
+    }
+}
+
+//==============================================================
+//================={Site Extractor Module}======================
+//==============================================================
+
+// Pages and frames of sites with an extractor (see lib/site-extractors.js) are listed by the extractor: it fetches
+// the JSON behind the page and lists the actual video, titled, instead of whatever the player happens to request.
+// Source URLs already fetched per tab, so an embed that reloads is not fetched again. Forgotten on navigation.
+// Structure: Map<tabId, Set<sourceUrl>>
+const extractedSources = new Map();
+
+/**
+ * Runs the site extractor for a page or frame URL, if there is one, and lists what it finds.
+ * @param {number} tabId - The tab showing the page.
+ * @param {string} url - The page or frame URL.
+ * @param {number} [frameId] - The frame showing it.
+ * @returns {Promise<boolean>} - True if the extractor found media (now or earlier in the tab); false if there is
+ *          no extractor for the URL, extractors are turned off or it found nothing.
+ */
+async function extractSiteMedia(tabId, url, frameId) {
+    const match = siteExtractorsEnabled ? findSiteExtractor(url) : null;
+    if (!match) {
+        return false;
+    }
+    const { extractor, sourceUrl } = match;
+    if (!extractedSources.has(tabId)) {
+        extractedSources.set(tabId, new Set());
+    }
+    if (extractedSources.get(tabId).has(sourceUrl)) {
+        return true;
+    }
+    extractedSources.get(tabId).add(sourceUrl);
+
+    let data;
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+        const response = await fetch(sourceUrl, { credentials: 'include', signal: controller.signal });
+        if (!response.ok) {
+            clearTimeout(timeoutId);
+            throw new Error(`HTTP ${response.status}`);
+        }
+        data = await response.json();
+        clearTimeout(timeoutId);
+    } catch (error) {
+        console.warn(`[Background Script] ${extractor.name} data for ${url} could not be loaded from ${sourceUrl}: ${error.message}`);
+        extractedSources.get(tabId)?.delete(sourceUrl); // Try again next time
+        return false;
+    }
+
+    const items = runSiteExtractor(extractor, data, url);
+    console.debug(`[Background Script] ${extractor.name} extractor found ${items.length} media items for ${url}`);
+    for (const media of items) {
+        const metadata = { title: media.title, extractor: extractor.name };
+        for (const field of ['duration', 'width', 'height', 'thumbnail']) {
+            if (media[field] !== undefined) {
+                metadata[field] = media[field];
+            }
+        }
+        const filename = extractedMediaFilename(media);
+        if (filename) {
+            metadata.filename = filename;
+        }
+        updateMediaMetadata(tabId, media.url, metadata);
+        addMediaUrl(tabId, media.url, 'extractor', frameId).catch(error => {
+            console.error(`[Background Script] Error adding URL from ${extractor.name} extractor: ${media.url}`, error);
+        });
+    }
+    return items.length > 0;
+}
+
+//==============================================================
+//================={Filename Template Module}===================
+//==============================================================
 
-    filename = sanitizeFilenameCharacters(filename);
+// The filenameTemplate setting; empty keeps the names deriveFilename suggests.
+let filenameTemplate = '';
 
-    if (filename === 'downloaded_file' && fileExtension) {
-        filename = `downloaded_file.${fileExtension}`;
-    } else if (filename === 'unknown_file' && fileExtension) {
-         filename = `unknown_file.${fileExtension}`;
-    } else if (filename === 'unknown' && fileExtension) {
-         filename = `unknown.${fileExtension}`;
-    }
-    else if (filename === '' && fileExtension) {
-        filename = `media_file.${fileExtension}`;
-    } else if (filename === '') {
-        filename = 'media_file';
-    }
+// Open Graph details of the page in each tab (og:title, og:site_name, og:video), reported by the top frame's
+// content script whenever they or the page URL change. Only used while the tab still shows that URL, since
+// single-page sites change it without loading a new document (see getPageMetadata).
+// Structure: Map<tabId, {pageUrl, title, siteName, video, videoWidth, videoHeight}>
+const pageMetadata = new Map();
 
-    return filename;
+/**
+ * Returns the Open Graph details reported for the page a tab shows now.
+ * @param {number} tabId
+ * @param {{url: string} | null} tab - The tab, if it still exists.
+ * @returns {{title?: string | null, siteName?: string | null}} - Empty if nothing was reported for the current URL.
+ */
+function getPageMetadata(tabId, tab) {
+    const page = pageMetadata.get(tabId);
+    const withoutHash = url => String(url).split('#')[0];
+    return page && tab && withoutHash(page.pageUrl) === withoutHash(tab.url) ? page : {};
 }
 
 /**
- * Modifies a given URL to remove 'bytestart' and 'byteend' query parameters,
- * and then sorts the remaining query parameters alphabetically.
- * This can be used to request the full file instead of a partial one,
- * and to get a canonical URL for comparison.
- *
- * @param {string} originalUrl The original URL string which might contain byte range parameters.
- * @returns {string} The modified URL string with 'bytestart' and 'byteend' parameters removed
- * and the remaining query parameters sorted.
+ * Formats a date as YYYY-MM-DD in local time, for {date}.
+ * @param {Date} date
+ * @returns {string}
  */
-function modifyParams(originalUrl) {
-    try {
-        const url = new URL(originalUrl);
-
-        // Delete the 'bytestart' parameter if it exists
-        if (url.searchParams.has('bytestart')) {
-            url.searchParams.delete('bytestart');
-        }
-        // Delete the 'byteend' parameter if it exists
-        if (url.searchParams.has('byteend')) {
-            url.searchParams.delete('byteend');
-        }
+function formatLocalDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
 
-        if (url.searchParams.has('_nc_cat')) {
-            url.searchParams.delete('_nc_cat')
+/**
+ * Gathers the values of the filename template placeholders for a download.
+ * @param {string} url - The URL being sent or downloaded; may be a variant of a listed manifest.
+ * @param {string} filename - The name deriveFilename suggests, for {ext} and as the last resort for {title}.
+ * @param {object} context - The send context: tabId, pageUrl and, in batches, index.
+ * @returns {Promise<{title: string, site: string, date: string, quality: string, ext: string, index: string}>}
+ */
+async function buildFilenameFields(url, filename, context) {
+    const tab = await getTabSafely(context.tabId);
+    const page = getPageMetadata(context.tabId, tab);
+    const mediaItem = context.tabId !== undefined ? findMediaItem(context.tabId, url) : null;
+    const variant = mediaItem && mediaItem.variants ? mediaItem.variants.find(candidate => candidate.url === url) : null;
+    const height = variant ? variant.height : mediaItem && mediaItem.height;
+
+    const dotIndex = filename.lastIndexOf('.');
+    const extension = dotIndex > 0 ? filename.substring(dotIndex + 1) : '';
+    let site = page.siteName || '';
+    if (!site) {
+        try {
+            site = new URL(context.pageUrl || (tab && tab.url) || url).hostname.replace(/^www\./, '');
+        } catch (e) {
+            // Left empty; the template drops it
         }
+    }
 
-        // Get all remaining parameters as an array of [key, value] pairs
-        const params = Array.from(url.searchParams.entries());
-
-        // Sort the parameters alphabetically by key.
-        // If keys are identical, sort by value to ensure stable sorting.
-        params.sort((a, b) => {
-            // Compare keys first
-            const keyComparison = a[0].localeCompare(b[0]);
-            if (keyComparison !== 0) {
-                return keyComparison;
-            }
-            // If keys are the same, compare values
-            return a[1].localeCompare(b[1]);
-        });
-
-        // Clear existing search parameters to replace with sorted ones
-        url.search = ''; // This effectively clears all parameters and the '?'
-
-        // Append the sorted parameters back to the URL's searchParams
-        for (const [key, value] of params) {
-            url.searchParams.append(key, value);
-        }
+    return {
+        title: (mediaItem && mediaItem.title) || page.title || (tab && tab.title) || (dotIndex > 0 ? filename.substring(0, dotIndex) : filename),
+        site: site,
+        date: formatLocalDate(new Date()),
+        quality: height ? `${height}p` : '',
+        ext: /^[a-z0-9]{1,5}$/i.test(extension) ? extension.toLowerCase() : '',
+        index: context.index !== undefined ? String(context.index) : ''
+    };
+}
 
-        // Return the reconstructed URL with sorted parameters
-        return url.toString();
-    } catch (error) {
-        // Log an error if the URL is invalid and return the original URL
-        console.error("Error parsing or modifying URL:", error);
-        return originalUrl;
+/**
+ * Names a download after the filename template, if one is set. Used for sends to Nadeko~don and for browser
+ * downloads alike, so both end up with the same name.
+ * @param {string} url - The URL being sent or downloaded.
+ * @param {string | null} filename - The suggested name; null lets the app decide unless a template is set.
+ * @param {object} [context={}] - The send context (see buildFilenameFields).
+ * @returns {Promise<string | null>} - The templated name, or the suggested one if there is no template or it yields nothing.
+ */
+async function applyFilenameTemplate(url, filename, context = {}) {
+    if (!filenameTemplate) {
+        return filename;
     }
+    const suggested = filename || deriveFilename(url, context.contentType || null, null);
+    const templated = renderFilenameTemplate(filenameTemplate, await buildFilenameFields(url, suggested, context));
+    return templated || filename;
 }
 
-
 //==============================================================
-//================={Media Scraper Module}=======================
+//================={Stream Grouping Module}=====================
 //==============================================================
 
-// Using a Map to store unique media URLs found across all tabs
-// Structure: Map<tabId, Map<url, {url, filename, validMedia, isManifest}>>
-const scrapedMediaUrls = new Map();
-
-// Cache for fetchMediaHeaders results.
-const mediaDetailsCache = new Map();
+// Segment sequences seen per tab, so a live stream shows up as one entry instead of hundreds of fragments.
+// Structure: Map<tabId, Map<groupKey, {key, segmentCount, firstSequence, lastSequence, lastSegmentUrl, parentKey}>>
+// `parentKey` is the scrapedMediaUrls key of the manifest item, or the tab's synthetic stream key.
+const streamGroups = new Map();
 
+// Last time a "urlUpdated" message was sent for an item, to throttle updates while segments pour in.
+const streamUpdateTimes = new WeakMap();
+const STREAM_UPDATE_THROTTLE = 1000; // At most one update per second per item
 
 /**
- * Gets full media details (validity, content type, derived filename, isManifest flag for a given URL.
- * @param {string} url - The URL of the potential media.
- * @returns {Promise<{url: string, filename: string, validMedia: boolean, isManifest: boolean}>}
+ * Returns the scrapedMediaUrls key of the synthetic stream entry for a tab.
+ * There is at most one such entry per tab; every orphaned segment sequence is counted on it.
+ * @param {number} tabId
+ * @returns {string}
  */
-async function getMediaDetails(url) {
-    url = modifyParams(url);
-    const { valid, contentType, contentDisposition, contentLength } = await fetchMediaHeaders(url);
-    const filename = deriveFilename(url, contentType, contentDisposition);
-    const isManifest = contentType && (contentType.includes('mpegurl') || contentType.includes('dash+xml'));
-
-    return { url, filename, validMedia: valid, isManifest: isManifest };
+function syntheticStreamKey(tabId) {
+    return `stream:${tabId}`;
 }
 
-
 /**
- * Adds a URL (along with its derived filename and manifest status) to the scrapedMediaUrls set for a specific tab.
- * This function also sends the `showMediaPopup` message to the content script.
- * @param {number} tabId - The ID of the tab where the URL was found.
- * @param {string} url - The raw URL of the media.
- * @param {string} source - 'webRequest' or 'contentScript' to indicate where the URL came from.
+ * Creates the logical stream entry used when segments are seen without their manifest, or when a blob: player
+ * plays something no request could be matched with (see addBlobPlayerFallback).
+ * Since no single URL covers the stream, the page URL is what gets sent so the app can extract it itself.
+ * @param {number} tabId - The ID of the tab the segments were requested from.
+ * @param {string | null} segmentUrl - The first segment URL seen, used as fallback and to pick an extension; null if none was seen.
+ * @returns {Promise<object>} - The synthetic media item.
  */
-async function addMediaUrl(tabId, url, source) {
-    const mediaItem = await getMediaDetails(url);
-
-    if (!mediaItem.validMedia) {
-        return;
+async function createSyntheticStreamItem(tabId, segmentUrl) {
+    let pageUrl = segmentUrl;
+    let title = '';
+    try {
+        const tab = await browser.tabs.get(tabId);
+        pageUrl = tab.url || segmentUrl;
+        title = tab.title || '';
+    } catch (error) {
+        console.warn(`[Background Script] Could not read tab ${tabId} for synthetic stream entry:`, error);
     }
 
-    if (!scrapedMediaUrls.has(tabId)) {
-        scrapedMediaUrls.set(tabId, new Map()); // Use a Map for media items per tab, keyed by URL
-    }
-    const urlsForTab = scrapedMediaUrls.get(tabId);
+    const extension = !segmentUrl || /\.(m4s|m4f|cmfv|cmfa|fmp4)(\?|#|$)/i.test(segmentUrl) ? 'mp4' : 'ts';
+    return {
+        url: pageUrl,
+        filename: sanitizeFilenameCharacters(`${title || 'stream'}.${extension}`),
+        validMedia: true,
+        isManifest: false,
+        isStream: true,
+        source: segmentUrl ? 'webRequest' : 'contentScript',
+        detectedAt: Date.now(),
+        sampleSegmentUrl: segmentUrl,
+        segmentCount: 0,
+        segmentGroups: 0
+    };
+}
 
-    // Check if exact URL already exists to prevent true duplicates
-    if (urlsForTab.has(mediaItem.url)) {
-        console.debug(`[Background Script] URL ${mediaItem.url} already exists for tab ${tabId}. Skipping.`);
+/**
+ * Recomputes the segment counters of a stream or manifest item and notifies the popup (throttled).
+ * @param {number} tabId
+ * @param {string} parentKey - The scrapedMediaUrls key of the item.
+ */
+function refreshStreamCounts(tabId, parentKey) {
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    const parentItem = urlsForTab && urlsForTab.get(parentKey);
+    if (!parentItem) {
         return;
     }
 
-    // Add the new media item to the tab's map
-    urlsForTab.set(mediaItem.url, mediaItem);
+    const groups = Array.from(streamGroups.get(tabId)?.values() || []).filter(group => group.parentKey === parentKey);
+    parentItem.segmentCount = groups.reduce((total, group) => total + group.segmentCount, 0);
+    parentItem.segmentGroups = groups.length;
 
-    let logMessage = `[Background Script] Added media item for tab ${tabId} (${source}): ${mediaItem.filename} (${mediaItem.url})`;
-    if (mediaItem.isManifest) {
-        logMessage += " (Type: Manifest)";
-    } else {
-        logMessage += " (Type: General Media)"; // Will only be 'General Media' for full files 
+    const now = Date.now();
+    if (now - (streamUpdateTimes.get(parentItem) || 0) < STREAM_UPDATE_THROTTLE) {
+        return;
     }
-    console.debug(logMessage);
-
-    // Notify the main browser action popup to update its list
-    browser.runtime.sendMessage({ type: "urlAdded", mediaItem: mediaItem, tabId: tabId }).catch(error => {
+    streamUpdateTimes.set(parentItem, now);
+    browser.runtime.sendMessage({ type: "urlUpdated", mediaItem: parentItem, tabId: tabId }).catch(error => {
         // This is fine if the popup isn't open
     });
-
-    // Only send message to content script if tabId is valid (>= 0)
-    if (tabId >= 0 && showPopup) {
-        // Send message to content script for popup display
-        browser.tabs.sendMessage(tabId, {
-            type: "showMediaPopup",
-            mediaItem: mediaItem
-        }).catch(error => {
-            console.warn(`[Background Script] Could not send showMediaPopup to tab ${tabId}:`, error);
-        });
-    } else {
-        console.debug(`[Background Script] Skipping showMediaPopup for invalid tabId: ${tabId}.`);
-    }
 }
 
 /**
- * Checks if an XHR URL is likely related to media, based on its path and query parameters.
- * This is a heuristic to reduce unnecessary HEAD requests and improve detection accuracy.
- * @param {string} url - The XHR URL to check.
- * @returns {boolean} - True if the URL is likely a media stream/manifest/segment.
+ * Records a stream segment for a tab, attaching its sequence to the parent manifest if one is known,
+ * or to the tab's synthetic stream entry (created on first use) otherwise.
+ * @param {number} tabId - The ID of the tab where the segment was requested.
+ * @param {string} url - The segment URL.
+ * @param {number} [frameId] - The frame that requested the segment.
  */
-function isLikelyMediaXHR(url) {
-    // Convert URL to lowercase for case-insensitive matching
-    const lowerUrl = url.toLowerCase();
-
-    // 1. **Prioritize explicit exclusions for known non-media internal APIs**
-    // These are often internal Facebook API endpoints or general analytics/tracking endpoints that are NOT media.
-    if (lowerUrl.includes('facebook.com') || lowerUrl.includes('fbcdn.net')) {
-        // Specific Facebook internal API patterns to exclude
-        if (lowerUrl.includes('/ajax/') || lowerUrl.includes('bootloader-endpoint') || lowerUrl.includes('graphql') || lowerUrl.includes('/xp/') || lowerUrl.includes('/intern/')) {
-            return false;
-        }
+async function addSegmentUrl(tabId, url, frameId) {
+    if (!streamGroups.has(tabId)) {
+        streamGroups.set(tabId, new Map());
     }
-    // General exclusions for common non-media patterns found in many web applications.
-    // This check is performed only if the URL does NOT contain strong media hints,
-    // to prevent false negatives for legitimate media URLs that might contain these strings.
-    if (lowerUrl.includes('/api/') || lowerUrl.includes('/track/') || lowerUrl.includes('/log/') || lowerUrl.includes('/analytics/') || lowerUrl.includes('/metric/') || lowerUrl.includes('/config/') || lowerUrl.includes('/preferences/')) {
-        // If it looks like an API/tracking URL, verify it's not also a media URL before excluding.
-        if (!lowerUrl.match(/\.(m3u8|mpd|ts|mp4|webm|m4s|fmp4|aac|mp3|ogg|flac|wav|mov|avi|wmv|flv)(\?.*)?$|\/(hls|dash|stream|video|audio|playlist|manifest)/)) {
-            return false;
-        }
+    const groupsForTab = streamGroups.get(tabId);
+    const key = getSegmentGroupKey(url);
+    const sequence = getSegmentSequence(url);
+
+    let group = groupsForTab.get(key);
+    if (!group) {
+        group = { key, segmentCount: 0, firstSequence: sequence, lastSequence: sequence, lastSegmentUrl: url, parentKey: null };
+        groupsForTab.set(key, group);
+        console.debug(`[Background Script] New segment sequence for tab ${tabId}: ${key}`);
+    }
+    group.segmentCount++;
+    group.lastSegmentUrl = url;
+    if (sequence !== null) {
+        group.firstSequence = group.firstSequence === null ? sequence : Math.min(group.firstSequence, sequence);
+        group.lastSequence = group.lastSequence === null ? sequence : Math.max(group.lastSequence, sequence);
     }
 
-    // 2. **Check for media-specific extensions and patterns (High Confidence)**
-    // This regex looks for common media file extensions and subtitle formats.
-    const mediaExtensions = /\.(m3u8|mpd|ts|mp4|webm|m4s|mp4a|fmp4|aac|mp3|ogg|flac|wav|mov|avi|wmv|flv|vtt|srt|ass|scc|opus|ogv|mkv)(\?.*)?$/i;
-    // This regex looks for common keywords in the URL path or query string that indicate streaming media.
-    const streamingPatterns = /(chunk|segment|playlist|manifest|stream|video|audio|hls|dash|drm|playable_url|video_play|stream_src|media|file=|\?src=|\?url=|\?video=|\?audio=|\.m3u8|\.mpd|\.ism|\.isml)/i;
-
-    if (mediaExtensions.test(lowerUrl) || streamingPatterns.test(lowerUrl)) {
-        return true;
+    if (!scrapedMediaUrls.has(tabId)) {
+        scrapedMediaUrls.set(tabId, new Map());
     }
+    let urlsForTab = scrapedMediaUrls.get(tabId);
 
-    // 3. **Broad domain checks (Medium Confidence)**
-    // This regex includes a wider range of known media platforms, CDNs, and cloud storage providers
-    // that commonly host media content.
-    const knownMediaDomains = /(youtube\.com|vimeo\.com|cdn\.videoplatform\.com|akamaihd\.net|cloudfront\.net|mediaservices\.windows\.net|video\.twimg\.com|cdninstagram\.com|v\.redd\.it|twitch\.tv|dailymotion\.com|wistia\.com|jwplatform\.com|brightcove\.com|kaltura\.com|vzaar\.com|vidyard\.com|mixcloud\.com|soundcloud\.com|bandcamp\.com|spotifycdn\.com|apple\.com\/hls|hulu\.com|netflix\.com|amazon\.com\/video|disneyplus\.com|hbomax\.com|paramountplus\.com|peacocktv\.com|plex\.tv|jellyfin\.org|s3\.amazonaws\.com|storage\.googleapis\.com|blob\.core\.windows\.net|firebasestorage\.googleapis\.com|s\.ytimg\.com|i\.ytimg\.com|vimeocdn\.com|akamaized\.net|fbcdn\.net\/v|cdn\.flowplayer\.org|d\.tube|bitchute\.com|odysee\.com|rumble\.com|bilibili\.com|youku\.com|qq\.com|iqiyi\.com|v\.douyin\.com|v\.kuaishou\.com|cdn[0-9]?\.stream|stream[0-9]?\.cdn|content\.jwplatform\.com|media\.licdn\.com|azureedge\.net|cdn\.plyr\.io|player\.vimeo\.com|players\.brightcove\.net|wmedia\.video|v\.redd\.it)/i;
-    if (knownMediaDomains.test(lowerUrl)) {
-        return true;
+    if (!group.parentKey || !urlsForTab.has(group.parentKey)) {
+        const manifestItems = Array.from(urlsForTab.values()).filter(item => item.isManifest);
+        const parentManifest = findParentManifest(url, manifestItems);
+        group.parentKey = parentManifest ? findMediaItemKey(tabId, parentManifest) : syntheticStreamKey(tabId);
     }
 
-    // 4. **Heuristic for JSON responses that might contain media URLs (Lower Confidence, but useful for API responses)**
-    // This checks for URLs ending in `.json` that also contain keywords commonly found in media-related API responses,
-    // where the actual media URL might be embedded within the JSON payload.
-    if (lowerUrl.includes('.json') && (lowerUrl.includes('video_play') || lowerUrl.includes('stream_src') || lowerUrl.includes('playable_url') || lowerUrl.includes('media_url') || lowerUrl.includes('manifest_url') || lowerUrl.includes('hls_url') || lowerUrl.includes('dash_url'))) {
-        return true;
+    if (!urlsForTab.has(group.parentKey)) {
+        const streamItem = await createSyntheticStreamItem(tabId, url);
+        streamItem.frameId = frameId;
+        // The tab may have navigated, or another segment created the entry, while we were waiting.
+        urlsForTab = scrapedMediaUrls.get(tabId);
+        if (!urlsForTab || groupsForTab !== streamGroups.get(tabId)) {
+            return;
+        }
+        if (!urlsForTab.has(group.parentKey)) {
+            urlsForTab.set(group.parentKey, streamItem);
+            console.debug(`[Background Script] Added synthetic stream entry for tab ${tabId}: ${streamItem.filename} (${streamItem.url})`);
+            refreshStreamCounts(tabId, group.parentKey);
+            notifyMediaItemAdded(tabId, streamItem);
+            return;
+        }
     }
 
-    // 5. **Generic 'data' or 'file' paths with potential media indicators (Lowest Confidence, used as a last resort)**
-    // This aims to catch cases where media might be served from generic paths like `/data/` or `/files/`
-    // but only if combined with other subtle media hints (like 'video', 'audio', 'stream' keywords or file extensions).
-    if ((lowerUrl.includes('/data/') || lowerUrl.includes('/files/')) &&
-        (lowerUrl.includes('video') || lowerUrl.includes('audio') || lowerUrl.includes('stream') || mediaExtensions.test(lowerUrl) || streamingPatterns.test(lowerUrl))) {
-        return true;
+    refreshStreamCounts(tabId, group.parentKey);
+}
+
+/**
+ * Moves segment sequences that were parked on the tab's synthetic stream entry to a newly found manifest.
+ * The synthetic entry is removed once no sequence is left on it.
+ * @param {number} tabId
+ * @param {object} manifestItem - The manifest media item that was just added.
+ */
+function reassociateStreamGroups(tabId, manifestItem) {
+    const groupsForTab = streamGroups.get(tabId);
+    if (!groupsForTab) {
+        return;
+    }
+    const streamKey = syntheticStreamKey(tabId);
+    let moved = 0;
+    for (const group of groupsForTab.values()) {
+        if (group.parentKey === streamKey && findParentManifest(group.lastSegmentUrl, [manifestItem])) {
+            group.parentKey = manifestItem.url;
+            moved++;
+        }
+    }
+    if (moved === 0) {
+        return;
     }
 
-    // If none of the above criteria are met, it's not likely media
-    return false;
+    refreshStreamCounts(tabId, manifestItem.url);
+    const stillOrphaned = Array.from(groupsForTab.values()).some(group => group.parentKey === streamKey);
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    const streamItem = urlsForTab.get(streamKey);
+    if (!stillOrphaned && streamItem) {
+        removeMediaItem(tabId, streamKey);
+        console.debug(`[Background Script] Synthetic stream entry for tab ${tabId} replaced by manifest ${manifestItem.url}`);
+    } else {
+        refreshStreamCounts(tabId, streamKey);
+    }
 }
 
 // --- WebRequest Listener for detecting media and general downloads ---
@@ -541,23 +2223,42 @@ browser.webRequest.onBeforeRequest.addListener(
         if (details.tabId < 0) {
             return
         }
+        const siteRule = findActionSiteRule(compiledSiteRules, details.url, details.documentUrl || details.originUrl);
+        if (siteRule && siteRule.action === 'ignore') {
+            return;
+        }
+        // 'detect-only' and 'always-intercept' sites bypass the URL heuristics below
+        const forceDetection = siteRule !== null && (siteRule.action === 'detect-only' || siteRule.action === 'always-intercept');
+
         // For sub_frames, specifically target known video embeds (if they are not already handled by general XHR)
         if (details.type === 'sub_frame') {
-            if (details.url.includes('youtube.com/embed/') || details.url.includes('vimeo.com/video/')) {
-                addMediaUrl(details.tabId, details.url, 'webRequest').catch(error => {
-                    console.error(`[Background Script] Error adding URL from sub_frame webRequest: ${details.url}`, error);
+            const isKnownEmbed = forceDetection || details.url.includes('youtube.com/embed/') || details.url.includes('vimeo.com/video/');
+            const addEmbedUrl = requestInFlight => addMediaUrl(details.tabId, details.url, 'webRequest', details.frameId, requestInFlight).catch(error => {
+                console.error(`[Background Script] Error adding URL from sub_frame webRequest: ${details.url}`, error);
+            });
+            if (siteExtractorsEnabled && findSiteExtractor(details.url)) {
+                // The extractor lists the embedded video itself; the embed URL is only listed if that fails,
+                // by which time the frame's response has come and gone
+                extractSiteMedia(details.tabId, details.url, details.frameId).then(found => {
+                    if (!found && isKnownEmbed) {
+                        addEmbedUrl(false);
+                    }
+                }).catch(error => {
+                    console.error(`[Background Script] Error running site extractor for ${details.url}`, error);
                 });
+            } else if (isKnownEmbed) {
+                addEmbedUrl(true);
             }
         } else if (details.type === 'xmlhttprequest') { // Corrected the typo 'xmlhtthttprequest'
             // Only process XHRs that are likely media or streaming manifests based on URL patterns
-            if (isLikelyMediaXHR(details.url)) {
-                addMediaUrl(details.tabId, details.url, 'webRequest').catch(error => {
+            if (forceDetection || isLikelyMediaXHR(details.url)) {
+                addMediaUrl(details.tabId, details.url, 'webRequest', details.frameId, true).catch(error => {
                     console.error(`[Background Script] Error adding URL from XHR webRequest: ${details.url}`, error);
                 });
             }
         } else { // 'media', 'object'
             // For direct media and object embeds, add them directly
-            addMediaUrl(details.tabId, details.url, 'webRequest').catch(error => {
+            addMediaUrl(details.tabId, details.url, 'webRequest', details.frameId, true).catch(error => {
               console.error(`[Background Script] Error adding URL from webRequest: ${details.url}`, error);
             });
         }
@@ -569,6 +2270,43 @@ browser.webRequest.onBeforeRequest.addListener(
 );
 
 
+/**
+ * Looks up the stored media item for a URL in a tab, including URLs of manifest variants.
+ * @param {number} tabId - The ID of the tab.
+ * @param {string} url - The media or variant URL.
+ * @returns {object | null} - The media item the URL belongs to, or null if unknown.
+ */
+function findMediaItem(tabId, url) {
+    const urlsForTab = scrapedMediaUrls.get(tabId);
+    if (!urlsForTab) {
+        return null;
+    }
+    for (const mediaItem of urlsForTab.values()) {
+        if (mediaItem.url === url || (mediaItem.variants && mediaItem.variants.some(variant => variant.url === url))) {
+            return mediaItem;
+        }
+    }
+    // The page may use another signature or edge host for the same file than the one listed
+    return findMediaItemByKey(tabId, mediaKey(url));
+}
+
+/**
+ * Collects what a stored media item adds to the app payload (see buildAppPayload).
+ * @param {object | null} mediaItem - From findMediaItem.
+ * @param {boolean} [includeSubtitles=true] - Whether the subtitle files attached to the item are sent along.
+ * @returns {object} - The send context; empty if the item is unknown.
+ */
+function mediaItemContext(mediaItem, includeSubtitles = true) {
+    if (!mediaItem) {
+        return {};
+    }
+    const context = { contentType: mediaItem.contentType, contentLength: mediaItem.contentLength, isManifest: mediaItem.isManifest, requestHeaders: mediaItem.requestHeaders || undefined };
+    if (includeSubtitles && mediaItem.subtitles && mediaItem.subtitles.length > 0) {
+        context.subtitles = mediaItem.subtitles;
+    }
+    return context;
+}
+
 /**
  * Handles an intercepted download request.
  * Checks localhost status and either sends to Nadeko or re-initiates browser download.
@@ -576,36 +2314,239 @@ browser.webRequest.onBeforeRequest.addListener(
  * @param {string} contentType - The Content-Type header.
  * @param {string} contentDisposition - The Content-Disposition header.
  * @param {number} tabId - The ID of the tab where the download originated.
+ * @param {object} [context={}] - Extra details for the app payload, e.g. contentLength or isManifest (see buildAppPayload).
+ * @returns {Promise<boolean>} - True if the download was put in the send queue because the app is down.
  */
-async function handleInterceptedDownload(url, contentType, contentDisposition, tabId) {
+async function handleInterceptedDownload(url, contentType, contentDisposition, tabId, context = {}) {
     console.debug(`[Background Script] Handling intercepted download: ${url}`);
-    const isAlive = await isLocalhostAlive();
-    const filename = deriveFilename(url, contentType, contentDisposition);
+    const sendContext = Object.assign({ tabId: tabId, contentType: contentType }, context);
+    const target = await resolveSendTarget(url, sendContext);
+    sendContext.targetId = target.id;
+    const isAlive = await isLocalhostAlive(false, target);
+    const filename = await applyFilenameTemplate(url, deriveFilename(url, contentType, contentDisposition), sendContext);
+    const download = { url: url, filename: filename, tabId: tabId, pageUrl: context.pageUrl, targetId: target.id };
+    const headers = context.requestHeaders || getCapturedHeaders(url);
+
+    if (!isAlive && offlineQueueEnabled) {
+        enqueueSend(url, filename, Object.assign({ requestHeaders: headers }, sendContext), 'Nadeko~don was not reachable');
+        return true;
+    }
 
     if (isAlive) {
         console.debug(`[Background Script] Localhost is alive. Sending to Nadeko: ${url} as ${filename}`);
-        sendUrlToApp(url, filename)
+        const sendStartedAt = Date.now();
+        sendUrlToApp(url, filename, sendContext)
             .then(() => {
+                recordHistory(download, 'nadeko', 'sent');
                 browser.runtime.sendMessage({ type: "downloadHandledByNadeko", url: url, filename: filename, tabId: tabId }).catch(e => {});
             })
-            .catch(error => {
+            .catch(async error => {
+                if (offlineQueueEnabled && !(await isAliveAfterSendFailure(target, sendStartedAt))) {
+                    enqueueSend(url, filename, Object.assign({ requestHeaders: headers }, sendContext), error.message);
+                    return;
+                }
                 console.error(`[Background Script] Error sending to Nadeko, falling back to browser download: ${url}`, error);
-                browser.downloads.download({
-                    url: url,
-                    filename: filename,
-                    conflictAction: 'uniquify'
-                }).catch(dlError => console.error(`[Background Script] Fallback download failed: ${url}`, dlError));
+                downloadInBrowser(url, filename, headers)
+                    .then(() => recordHistory(download, 'browser', 'started', `Sending to Nadeko failed: ${error.message}`))
+                    .catch(dlError => {
+                        console.error(`[Background Script] Fallback download failed: ${url}`, dlError);
+                        recordHistory(download, 'browser', 'failed', dlError.message);
+                    });
             });
     } else {
         console.debug(`[Background Script] Localhost is not alive. Re-initiating browser download for: ${url}`);
-        browser.downloads.download({
-            url: url,
-            filename: filename,
-            conflictAction: 'uniquify'
-        }).catch(error => console.error(`[Background Script] Re-initiated browser download failed: ${url}`, error));
+        downloadInBrowser(url, filename, headers)
+            .then(() => recordHistory(download, 'browser', 'started', 'Nadeko~don was not reachable'))
+            .catch(error => {
+                console.error(`[Background Script] Re-initiated browser download failed: ${url}`, error);
+                recordHistory(download, 'browser', 'failed', error.message);
+            });
+    }
+    return false;
+}
+
+
+//==============================================================
+//================={Interception Prompt Module}=================
+//==============================================================
+
+// Intercepted downloads waiting for the user's decision, either in the prompt window or the on-page overlay.
+// Structure: Map<promptId, {url, filename, contentType, contentDisposition, tabId, context, pageUrl, rememberHost, windowId}>
+const pendingInterceptPrompts = new Map();
+let nextInterceptPromptId = 1;
+
+/**
+ * Returns the details of a pending prompt that the prompt UIs display.
+ * @param {number} promptId
+ * @returns {object | null}
+ */
+function getInterceptPromptDetails(promptId) {
+    const prompt = pendingInterceptPrompts.get(promptId);
+    if (!prompt) {
+        return null;
+    }
+    return {
+        id: promptId,
+        url: prompt.url,
+        filename: prompt.filename,
+        contentType: prompt.contentType,
+        contentLength: prompt.context.contentLength,
+        sizeText: formatFileSize(prompt.context.contentLength),
+        pageUrl: prompt.pageUrl,
+        rememberHost: prompt.rememberHost
+    };
+}
+
+/**
+ * Opens the prompt window for a pending prompt.
+ * @param {number} promptId
+ */
+async function openInterceptPromptWindow(promptId) {
+    const promptWindow = await browser.windows.create({
+        url: browser.runtime.getURL(`prompt/prompt.html?id=${promptId}`),
+        type: "popup",
+        width: 420,
+        height: 300
+    });
+    if (pendingInterceptPrompts.has(promptId)) {
+        pendingInterceptPrompts.get(promptId).windowId = promptWindow.id;
+    }
+}
+
+/**
+ * Asks the user what to do with an intercepted download, using the on-page overlay if configured
+ * (and the tab can show it) or the prompt window otherwise.
+ * @param {string} url - The URL to download.
+ * @param {string | null} contentType - The Content-Type header.
+ * @param {string | null} contentDisposition - The Content-Disposition header.
+ * @param {number} tabId - The ID of the tab where the download originated.
+ * @param {object} [context={}] - Extra payload context, e.g. contentLength.
+ */
+async function promptForInterceptedDownload(url, contentType, contentDisposition, tabId, context = {}) {
+    const promptId = nextInterceptPromptId++;
+    const tab = await getTabSafely(tabId);
+    let rememberHost = null;
+    try {
+        rememberHost = new URL(url).hostname;
+    } catch (e) {
+        // Remembering is simply not offered for odd URLs
+    }
+    const filename = await applyFilenameTemplate(url, deriveFilename(url, contentType, contentDisposition), Object.assign({ tabId: tabId }, context));
+    pendingInterceptPrompts.set(promptId, {
+        url: url,
+        filename: filename,
+        contentType: contentType,
+        contentDisposition: contentDisposition,
+        tabId: tabId,
+        context: context,
+        pageUrl: tab ? tab.url : null,
+        rememberHost: rememberHost,
+        windowId: null
+    });
+
+    if (promptStyle === 'overlay' && tab) {
+        try {
+            await browser.tabs.sendMessage(tabId, { type: "showInterceptPrompt", prompt: getInterceptPromptDetails(promptId) }, { frameId: 0 });
+            return;
+        } catch (error) {
+            console.warn(`[Background Script] Could not show interception overlay in tab ${tabId}, using a window instead:`, error);
+        }
+    }
+
+    await askInInterceptPromptWindow(promptId);
+}
+
+/**
+ * Opens the prompt window for a pending prompt, or routes the download as usual if no window can be opened.
+ * @param {number} promptId
+ */
+async function askInInterceptPromptWindow(promptId) {
+    try {
+        await openInterceptPromptWindow(promptId);
+    } catch (error) {
+        // Without a prompt there is nobody to ask; fall back to the normal routing
+        console.error('[Background Script] Failed to open interception prompt:', error);
+        const prompt = pendingInterceptPrompts.get(promptId);
+        if (prompt) {
+            pendingInterceptPrompts.delete(promptId);
+            handleInterceptedDownload(prompt.url, prompt.contentType, prompt.contentDisposition, prompt.tabId, prompt.context);
+        }
+    }
+}
+
+/**
+ * Asks again in the prompt window when a page removed the overlay before the user chose.
+ * @param {number} promptId
+ * @param {number | undefined} tabId - The tab the report came from; only the tab that showed the overlay counts.
+ */
+function handleInterceptOverlayRemoved(promptId, tabId) {
+    const prompt = pendingInterceptPrompts.get(promptId);
+    if (!prompt || prompt.tabId !== tabId || prompt.windowId !== null) {
+        return;
+    }
+    console.warn(`[Background Script] Interception overlay ${promptId} was removed by the page, asking in a window instead`);
+    askInInterceptPromptWindow(promptId);
+}
+
+/**
+ * Stores a site rule for a host so future downloads from it are handled without asking: 'send-without-asking' sends
+ * them (still only what counts as a download, within the thresholds), 'never-intercept' leaves them to the browser.
+ * The rule is put first so it takes priority over older rules; an older rule with the same pattern is replaced.
+ * @param {string} host - The download host.
+ * @param {string} action - The site rule action.
+ */
+async function rememberSiteChoice(host, action) {
+    try {
+        const settings = await loadSettings();
+        const updatedRules = [{ pattern: host, action: action }].concat(settings.siteRules.filter(rule => rule.pattern !== host));
+        await saveSettings({ siteRules: updatedRules });
+        console.debug(`[Background Script] Remembered "${action}" for ${host}`);
+    } catch (error) {
+        console.error(`[Background Script] Failed to remember choice for ${host}:`, error);
+    }
+}
+
+/**
+ * Carries out the user's choice for a pending interception prompt.
+ * @param {number} promptId - The prompt ID.
+ * @param {'nadeko' | 'browser' | 'cancel'} choice - The button the user clicked.
+ * @param {boolean} [remember=false] - Whether to store the choice as a site rule for the download host. Only honoured
+ *        for the prompt window, the only one offering it: the overlay is shown inside a page the user may not trust.
+ */
+function resolveInterceptPrompt(promptId, choice, remember = false) {
+    const prompt = pendingInterceptPrompts.get(promptId);
+    if (!prompt) {
+        return;
+    }
+    pendingInterceptPrompts.delete(promptId);
+    console.debug(`[Background Script] Interception prompt ${promptId} resolved with "${choice}" for ${prompt.url}`);
+
+    if (remember && prompt.rememberHost && choice !== 'cancel') {
+        rememberSiteChoice(prompt.rememberHost, choice === 'nadeko' ? 'send-without-asking' : 'never-intercept');
+    }
+
+    if (choice === 'nadeko') {
+        handleInterceptedDownload(prompt.url, prompt.contentType, prompt.contentDisposition, prompt.tabId, prompt.context);
+    } else if (choice === 'browser') {
+        const download = { url: prompt.url, filename: prompt.filename, tabId: prompt.tabId, pageUrl: prompt.pageUrl };
+        downloadInBrowser(prompt.url, prompt.filename)
+            .then(() => recordHistory(download, 'browser', 'started', 'Chosen in prompt'))
+            .catch(error => {
+                console.error(`[Background Script] Browser download from prompt failed: ${prompt.url}`, error);
+                recordHistory(download, 'browser', 'failed', error.message);
+            });
     }
 }
 
+// Closing the prompt window without choosing counts as "Cancel"
+browser.windows.onRemoved.addListener((windowId) => {
+    for (const [promptId, prompt] of pendingInterceptPrompts) {
+        if (prompt.windowId === windowId) {
+            resolveInterceptPrompt(promptId, 'cancel');
+        }
+    }
+});
+
 
 // --- WebRequest Listener for intercepting browser downloads ---
 browser.webRequest.onHeadersReceived.addListener(
@@ -619,58 +2560,32 @@ browser.webRequest.onHeadersReceived.addListener(
         return { cancel: false };
     }
 
-    let isDownload = false;
-    let contentType = null;
-    let contentDisposition = null;
-    let contentLength = null; // Get content length if available
+    if (interceptionBypassUrls.delete(details.url)) {
+        // This is our own browser download (fallback or user choice); let it through
+        return { cancel: false };
+    }
 
-    for (const header of details.responseHeaders) {
-        const headerName = header.name.toLowerCase();
-        if (headerName === 'content-disposition') {
-            contentDisposition = header.value;
-            if (header.value.toLowerCase().includes('attachment')) {
-                isDownload = true; // Force download if content-disposition is attachment
-                // We don't break here, in case content-type is also needed
-            }
-        } else if (headerName === 'content-type') {
-            contentType = header.value;
-        } else if (headerName === 'content-length') {
-            contentLength = parseInt(header.value, 10);
-        }
-    }
-
-    // Heuristic for making something a download even if content-disposition isn't 'attachment'
-    if (!isDownload && contentType) {
-        // List of common downloadable file types
-        const downloadableContentTypes = [
-            'application/octet-stream', 'application/zip', 'application/x-rar-compressed',
-            'application/x-tar', 'application/gzip', 'application/pdf',
-            // Also consider direct video/audio loads in main frame as potential downloads
-            // if they are not explicitly inline.
-        ];
-
-        if (downloadableContentTypes.includes(contentType.toLowerCase())) {
-            if (!contentDisposition || !contentDisposition.toLowerCase().includes('inline')) {
-                isDownload = true;
-            }
-        } else if (contentType.startsWith('video/') || contentType.startsWith('audio/')) {
-            // If it's a video/audio content type and it's being loaded in the main frame
-            // AND not explicitly inline, treat as potential download.
-            // This is typically how fragmented pieces get loaded.
-            if (details.type === 'main_frame' && (!contentDisposition || !contentDisposition.toLowerCase().includes('inline'))) {
-                isDownload = true; // Treat as download if large video/audio in main frame
-            }
-        }
-        // Explicitly handle manifest types if they somehow trigger a download, though rare
-        else if (contentType.includes('mpegurl') || contentType.includes('dash+xml')) {
-            isDownload = true; // If a manifest itself is downloaded, treat it as a download
-        }
+    let siteRule = findActionSiteRule(compiledSiteRules, details.url, details.documentUrl || details.originUrl);
+    if (siteRule && siteRule.action === 'always-intercept' && details.type === 'sub_frame' && !siteRule.matches(details.url)) {
+        // Third-party frames on an always-intercept site are not the site's files; they get the normal checks
+        siteRule = null;
     }
+    const { decision, contentType, contentDisposition, contentLength } = evaluateDownloadResponse(details, siteRule, interceptThresholds, askBeforeSending);
 
-    if (isDownload) {
+    if (decision !== 'none') {
         console.debug(`[Background Script] Detected potential browser download for: ${details.url}. Tab ID: ${details.tabId} (Content-Type: ${contentType || 'N/A'}, Content-Disposition: ${contentDisposition || 'N/A'}, Length: ${contentLength !== null ? contentLength : 'N/A'})`);
+
+        if (decision === 'skip') {
+            console.debug(`[Background Script] Download ${details.url} is below the interception thresholds. Leaving it to the browser.`);
+            return { cancel: false };
+        }
+        if (decision === 'ask') {
+            setTimeout(() => promptForInterceptedDownload(details.url, contentType, contentDisposition, details.tabId, { contentLength: contentLength }), 0);
+            return { cancel: true };
+        }
+
         // Use a timeout to ensure `isLocalhostAlive` doesn't block the web request handling loop
-        setTimeout(() => handleInterceptedDownload(details.url, contentType, contentDisposition, details.tabId), 0);
+        setTimeout(() => handleInterceptedDownload(details.url, contentType, contentDisposition, details.tabId, { contentLength: contentLength }), 0);
         return { cancel: true }; // Cancel the browser's default download action
     }
 
@@ -694,24 +2609,115 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   else if (message.type === "mediaUrlDetected" && sender.tab) {
-    addMediaUrl(sender.tab.id, message.url, 'contentScript').catch(error => {
+    const siteRule = findActionSiteRule(compiledSiteRules, message.url, sender.url || sender.tab.url);
+    if (siteRule && siteRule.action === 'ignore') {
+        return;
+    }
+    if (message.metadata) {
+        updateMediaMetadata(sender.tab.id, message.url, message.metadata);
+    }
+    addMediaUrl(sender.tab.id, message.url, 'contentScript', sender.frameId).catch(error => {
         console.error(`[Background Script] Error adding URL from content script: ${message.url}`, error);
     });
   }
+  else if (message.type === "blobMediaDetected" && sender.tab) {
+    const siteRule = findActionSiteRule(compiledSiteRules, sender.url || sender.tab.url, null);
+    if (siteRule && siteRule.action === 'ignore') {
+        return;
+    }
+    registerBlobPlayer(sender.tab.id, sender.frameId, message.url, sender.url || sender.tab.url, message.metadata || {});
+  }
+  else if (message.type === "subtitleTrackDetected" && sender.tab) {
+    const siteRule = findActionSiteRule(compiledSiteRules, message.url, sender.url || sender.tab.url);
+    if (siteRule && siteRule.action === 'ignore') {
+        return;
+    }
+    addSubtitleTrack(sender.tab.id, message.url, {
+        language: message.language,
+        label: message.label,
+        kind: message.kind,
+        frameId: sender.frameId,
+        videoUrl: message.videoUrl
+    });
+  }
+  else if (message.type === "pageMetadataDetected" && sender.tab) {
+    pageMetadata.set(sender.tab.id, {
+        pageUrl: message.pageUrl || sender.url || sender.tab.url,
+        title: message.title || null,
+        siteName: message.siteName || null,
+        video: message.video || null,
+        videoWidth: message.videoWidth || null,
+        videoHeight: message.videoHeight || null
+    });
+    const siteRule = message.video ? findActionSiteRule(compiledSiteRules, message.video, sender.url || sender.tab.url) : null;
+    if (message.video && (!siteRule || siteRule.action !== 'ignore')) {
+        // og:video is often the page's player rather than a file; addMediaUrl drops it then
+        const metadata = {};
+        if (message.title) {
+            metadata.title = message.title;
+        }
+        if (message.videoWidth > 0 && message.videoHeight > 0) {
+            metadata.width = message.videoWidth;
+            metadata.height = message.videoHeight;
+        }
+        updateMediaMetadata(sender.tab.id, message.video, metadata);
+        addMediaUrl(sender.tab.id, message.video, 'contentScript', sender.frameId).catch(error => {
+            console.error(`[Background Script] Error adding og:video URL: ${message.video}`, error);
+        });
+    }
+  }
+  else if (message.type === "mediaMetadataDetected" && sender.tab) {
+    updateMediaMetadata(sender.tab.id, message.url, message.metadata);
+  }
   else if (message.type === "initiateSmartDownload") {
-      const { url, filename, tabId } = message;
+      const { url, filename } = message;
+      // Content-script popups don't know their tab ID, so fall back to the sender's tab.
+      const tabId = message.tabId !== undefined ? message.tabId : (sender.tab ? sender.tab.id : undefined);
       console.debug(`[Background Script] Received initiateSmartDownload request for: ${url} as ${filename} (TabId: ${tabId})`);
       // When initiateSmartDownload is triggered, it's explicitly by user intent
       // so we assume it's a valid target and send it.
-      handleInterceptedDownload(url, 'application/octet-stream', `attachment; filename="${filename}"`, tabId)
-        .then(() => {
-            sendResponse({ success: true, message: "Download initiated via smart routing." });
+      const context = mediaItemContext(findMediaItem(tabId, url), message.includeSubtitles !== false);
+      handleInterceptedDownload(url, 'application/octet-stream', `attachment; filename="${filename}"`, tabId, context)
+        .then(queued => {
+            sendResponse({ success: true, queued: queued, message: queued ? "Queued until Nadeko~don is back." : "Download initiated via smart routing." });
         })
         .catch(error => {
             sendResponse({ success: false, error: error.message, message: "Failed to initiate smart download." });
         });
       return true;
   }
+  else if (message.type === "sendPlayerMedia" && sender.tab) {
+      const tabId = sender.tab.id;
+      const mediaItem = resolvePlayerMediaItem(tabId, message.url);
+      if (!mediaItem) {
+          const reason = message.url.startsWith('blob:') ? "The player's stream has not been identified yet." : "This player's media is not in the media list.";
+          sendResponse({ success: false, error: reason });
+          return true;
+      }
+      console.debug(`[Background Script] Sending media of player ${message.url} in tab ${tabId}: ${mediaItem.url}`);
+      const contentDisposition = mediaItem.filename ? `attachment; filename="${mediaItem.filename}"` : null;
+      handleInterceptedDownload(mediaItem.url, mediaItem.contentType || 'application/octet-stream', contentDisposition, tabId, mediaItemContext(mediaItem))
+          .then(queued => sendResponse({ success: true, queued: queued }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+  }
+  else if (message.type === "getPageSettings") {
+      sendResponse(getPageSettings());
+      return true;
+  }
+  else if (message.type === "sendBatch") {
+      const tabId = message.tabId !== undefined ? message.tabId : (sender.tab ? sender.tab.id : undefined);
+      console.debug(`[Background Script] Received sendBatch request for ${message.items.length} URLs (TabId: ${tabId})`);
+      Promise.all(message.items.map(async ({ url, filename, includeSubtitles }, index) => {
+          const context = Object.assign({ tabId: tabId }, mediaItemContext(findMediaItem(tabId, url), includeSubtitles !== false));
+          const templatedFilename = await applyFilenameTemplate(url, filename, Object.assign({ index: index + 1 }, context));
+          return { url: url, filename: templatedFilename, context: context };
+      }))
+          .then(items => sendBatchToAppOrQueue(items))
+          .then(result => sendResponse(Object.assign({ success: result.failed === 0, error: result.errors[0] }, result)))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+  }
   else if (message.type === "checkLocalhostStatus") {
       console.debug("[Background Script] Received checkLocalhostStatus request.");
       isLocalhostAlive(true)
@@ -724,13 +2730,60 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
           });
       return true;
   }
-  else if (message.type === "configChanged") {
-      nadekoServerPort = message.newPort;
-      showPopup = message.showChecked == 'true' ? true : (message.showChecked === 'false' ? false : DEFAULT_SHOW);
-      localhostStatusCache.lastChecked = 0; // Clear cache so new port is checked
+  else if (message.type === "testConnection") {
+      testAppConnection(message.target).then(result => sendResponse(result));
+      return true;
+  }
+  else if (message.type === "getInterceptPrompt") {
+      sendResponse(getInterceptPromptDetails(message.id));
+      return true;
+  }
+  else if (message.type === "resolveInterceptPrompt") {
+      // Only the prompt window, an extension page, may store a choice for good
+      const fromExtensionPage = Boolean(sender.url && sender.url.startsWith(browser.runtime.getURL('')));
+      resolveInterceptPrompt(message.id, message.choice, fromExtensionPage && Boolean(message.remember));
+      sendResponse({ success: true });
+      return true;
+  }
+  else if (message.type === "interceptOverlayRemoved") {
+      handleInterceptOverlayRemoved(message.id, sender.tab ? sender.tab.id : undefined);
       sendResponse({ success: true });
       return true;
   }
+  else if (message.type === "getHistory") {
+      browser.storage.local.get(HISTORY_STORAGE_KEY)
+          .then(result => sendResponse({ entries: result[HISTORY_STORAGE_KEY] || [] }))
+          .catch(error => sendResponse({ entries: [], error: error.message }));
+      return true;
+  }
+  else if (message.type === "deleteHistoryEntry") {
+      updateHistory(entries => entries.filter(entry => entry.id !== message.id))
+          .then(() => sendResponse({ success: true }));
+      return true;
+  }
+  else if (message.type === "clearHistory") {
+      updateHistory(() => [])
+          .then(() => sendResponse({ success: true }));
+      return true;
+  }
+  else if (message.type === "resendHistoryEntry") {
+      const { entry } = message;
+      console.debug(`[Background Script] Re-sending history entry to Nadeko: ${entry.url}`);
+      sendUrlToAppOrQueue(entry.url, entry.filename, { pageUrl: entry.pageUrl || undefined })
+          .then(result => sendResponse({ success: true, queued: result.queued }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+  }
+  else if (message.type === "getSendQueue") {
+      sendResponse({ entries: sendQueue, enabled: offlineQueueEnabled });
+      return true;
+  }
+  else if (message.type === "queuedSendAction") {
+      handleQueuedSendAction(message.id, message.action)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+  }
   else if (message.type === "copyUrl") {
     console.debug(`[Background Script] Received copyUrl message. Clipboard operation is handled in popup.`);
     sendResponse({ success: true, message: "Copy initiated by popup." });
@@ -739,6 +2792,12 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       // Clear specific tab URLs or all URLs
       if (message.tabId) {
           scrapedMediaUrls.delete(message.tabId); // Clear map for this tab
+          streamGroups.delete(message.tabId);
+          domMediaMetadata.delete(message.tabId);
+          clearBlobPlayers(message.tabId);
+          subtitleTracks.delete(message.tabId);
+          extractedSources.delete(message.tabId);
+          updateMediaBadge(message.tabId);
           console.debug(`Cleared URLs for tab ${message.tabId}`);
           browser.tabs.sendMessage(message.tabId, { type: "closeAllPopups" }).catch(error => {
               console.warn(`[Background Script] Could not send closeAllPopups to tab ${message.tabId}:`, error);
@@ -747,12 +2806,18 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       } else {
           console.warn("[Background Script] ClearUrls message received without tabId. Clearing all URLs across all tabs.");
           scrapedMediaUrls.clear(); // Clear all tabs' URLs
+          streamGroups.clear();
+          domMediaMetadata.clear();
+          Array.from(blobPlayers.keys()).forEach(clearBlobPlayers);
+          subtitleTracks.clear();
+          extractedSources.clear();
           mediaDetailsCache.clear(); // Clear global cache for all URLs
 
           // Send message to all active content scripts to close popups
           browser.tabs.query({}).then(tabs => {
               tabs.forEach(tab => {
                   if (tab.id !== undefined) {
+                      updateMediaBadge(tab.id);
                       browser.tabs.sendMessage(tab.id, { type: "closeAllPopups" }).catch(error => {
                           console.warn(`[Background Script] Could not send closeAllPopups to tab ${tab.id}:`, error);
                       });
@@ -768,13 +2833,38 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // --- Tab Listener to clean up URLs when a tab is closed or navigated away ---
 browser.tabs.onRemoved.addListener((tabId) => {
     scrapedMediaUrls.delete(tabId); // Remove entries for the closed tab
+    streamGroups.delete(tabId);
+    domMediaMetadata.delete(tabId);
+    clearBlobPlayers(tabId);
+    subtitleTracks.delete(tabId);
+    extractedSources.delete(tabId);
+    pageMetadata.delete(tabId);
+    pendingMediaKeys.delete(tabId);
     console.debug(`Removed URLs for closed tab ${tabId}`);
 });
 
 browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     // Clear URLs for a tab if it navigates to a new main URL
-    if (changeInfo.url && scrapedMediaUrls.has(tabId)) {
+    if (changeInfo.url && (scrapedMediaUrls.has(tabId) || domMediaMetadata.has(tabId) || blobPlayers.has(tabId) || subtitleTracks.has(tabId))) {
         scrapedMediaUrls.delete(tabId);
+        streamGroups.delete(tabId);
+        domMediaMetadata.delete(tabId);
+        clearBlobPlayers(tabId);
+        subtitleTracks.delete(tabId);
+        updateMediaBadge(tabId);
         console.debug(`Cleared URLs for tab ${tabId} due to navigation.`);
     }
+    if (changeInfo.url) {
+        extractedSources.delete(tabId);
+        // The metadata of the new page may already have been reported; getPageMetadata skips stale entries
+        browser.tabs.sendMessage(tabId, { type: "pageUrlChanged" }, { frameId: 0 }).catch(error => {
+            // This is fine while the new document has no content script yet
+        });
+        const siteRule = findActionSiteRule(compiledSiteRules, changeInfo.url, null);
+        if (!siteRule || siteRule.action !== 'ignore') {
+            extractSiteMedia(tabId, changeInfo.url, 0).catch(error => {
+                console.error(`[Background Script] Error running site extractor for ${changeInfo.url}`, error);
+            });
+        }
+    }
 });
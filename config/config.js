@@ -1,14 +1,39 @@
 // config/config.js
 
-const serverPortInput = document.getElementById('serverPort');
+const targetsList = document.getElementById('targetsList');
+const targetsError = document.getElementById('targetsError');
+const addTargetBtn = document.getElementById('addTargetBtn');
 const showPopupCheckbox = document.getElementById('showPopup');
+const hoverButtonCheckbox = document.getElementById('hoverButton');
+const siteExtractorsCheckbox = document.getElementById('siteExtractors');
+const offlineQueueCheckbox = document.getElementById('offlineQueueEnabled');
+
+const filenameTemplateInput = document.getElementById('filenameTemplate');
+const filenameTemplatePreview = document.getElementById('filenameTemplatePreview');
+const filenameTemplateError = document.getElementById('filenameTemplateError');
+
+const askBeforeSendingCheckbox = document.getElementById('askBeforeSending');
+const promptStyleSelect = document.getElementById('promptStyle');
+const minSizeInput = document.getElementById('minSize');
+const minSizeUnitSelect = document.getElementById('minSizeUnit');
+const belowThresholdActionSelect = document.getElementById('belowThresholdAction');
+const includeTypesInput = document.getElementById('includeTypes');
+const excludeTypesInput = document.getElementById('excludeTypes');
+const typesError = document.getElementById('typesError');
+
+const rulesList = document.getElementById('rulesList');
+const rulesError = document.getElementById('rulesError');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const importRulesBtn = document.getElementById('importRulesBtn');
+const importRulesFile = document.getElementById('importRulesFile');
+const exportRulesBtn = document.getElementById('exportRulesBtn');
+
+const canonicalRulesInput = document.getElementById('canonicalRules');
+const canonicalRulesError = document.getElementById('canonicalRulesError');
 
 const saveBtn = document.getElementById('saveBtn');
 const statusMessage = document.getElementById('statusMessage');
-const portError = document.getElementById('portError');
 
-const DEFAULT_PORT = 12345;
-const DEFAULT_SHOW = true
 
 /**
  * Displays a temporary status message to the user.
@@ -36,63 +61,458 @@ function showStatusMessage(message, type) {
 }
 
 /**
- * Loads the saved port from storage and populates the input field.
+ * Reads one target card of the form.
+ * @param {HTMLElement} card
+ * @returns {{id: string, name: string, scheme: string, host: string, port: number, basePath: string, token: string}}
+ */
+function readTargetCard(card) {
+    return {
+        id: card.dataset.targetId,
+        name: card.querySelector('.target-name').value.trim(),
+        scheme: card.querySelector('.target-scheme').value,
+        host: card.querySelector('.target-host').value.trim(),
+        port: parseInt(card.querySelector('.target-port').value, 10),
+        basePath: card.querySelector('.target-base-path').value.trim() || '/',
+        token: card.querySelector('.target-token').value.trim()
+    };
+}
+
+/**
+ * Sends a target card to the background script for a connection test and shows the outcome on the card.
+ * @param {HTMLElement} card
+ */
+async function testTargetCard(card) {
+    const button = card.querySelector('.target-test');
+    const result = card.querySelector('.target-test-result');
+    button.disabled = true;
+    result.className = 'target-test-result text-xs ml-2 break-all text-gray-500';
+    result.textContent = 'Testing...';
+    try {
+        const response = await browser.runtime.sendMessage({ type: "testConnection", target: readTargetCard(card) });
+        result.className = `target-test-result text-xs ml-2 break-all ${response.success ? 'text-green-600' : 'text-red-500'}`;
+        result.textContent = response.message;
+    } catch (error) {
+        console.error('[Config] Error testing connection:', error);
+        result.className = 'target-test-result text-xs ml-2 break-all text-red-500';
+        result.textContent = `Test failed: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Appends an editable card for a Nadeko~don target to the targets list.
+ * @param {object} [target] - The target to show; defaults to a new target on localhost.
+ * @param {boolean} [isDefault] - Whether the target is the default one.
+ */
+function addTargetCard(target = Object.assign({}, DEFAULT_APP_TARGET, { id: `target-${Date.now().toString(36)}`, name: '' }), isDefault = false) {
+    const card = document.createElement('div');
+    card.className = 'target-card p-2 border border-gray-200 rounded-md bg-white';
+    card.dataset.targetId = target.id;
+    card.innerHTML = `
+        <div class="flex items-center space-x-1">
+            <input type="radio" name="defaultTarget" class="target-default" title="Default target">
+            <input type="text" class="target-name flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md text-sm" placeholder="Name, e.g. Home server">
+            <button class="target-remove bg-gray-200 hover:bg-gray-300 text-gray-700 text-xs font-semibold py-1 px-2 rounded-md" title="Remove target">✕</button>
+        </div>
+        <div class="flex space-x-1 mt-1">
+            <select class="target-scheme px-1 py-1 border border-gray-300 rounded-md bg-white text-xs" title="Scheme">
+                <option value="http">http://</option>
+                <option value="https">https://</option>
+            </select>
+            <input type="text" class="target-host flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md text-xs" placeholder="localhost" title="Host name or IP address">
+            <input type="number" class="target-port w-20 px-2 py-1 border border-gray-300 rounded-md text-xs" min="1" max="65535" title="Port">
+        </div>
+        <div class="flex space-x-1 mt-1">
+            <input type="text" class="target-base-path w-1/3 px-2 py-1 border border-gray-300 rounded-md text-xs" placeholder="/" title="Base path (behind a reverse proxy)">
+            <input type="password" class="target-token flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md text-xs" autocomplete="off" placeholder="Token (optional)">
+        </div>
+        <div class="flex items-center mt-1">
+            <button class="target-test bg-gray-200 hover:bg-gray-300 text-gray-700 text-xs font-semibold py-1 px-2 rounded-md flex-shrink-0">Test connection</button>
+            <span class="target-test-result text-xs ml-2 break-all"></span>
+        </div>
+    `;
+
+    card.querySelector('.target-default').checked = isDefault;
+    card.querySelector('.target-name').value = target.name;
+    card.querySelector('.target-scheme').value = target.scheme;
+    card.querySelector('.target-host').value = target.host;
+    card.querySelector('.target-port').value = target.port;
+    card.querySelector('.target-base-path').value = target.basePath;
+    card.querySelector('.target-token').value = target.token;
+    card.querySelector('.target-name').addEventListener('change', refreshRuleTargetOptions);
+    card.querySelector('.target-test').addEventListener('click', () => testTargetCard(card));
+    card.querySelector('.target-remove').addEventListener('click', () => {
+        if (targetsList.querySelectorAll('.target-card').length <= 1) {
+            showStatusMessage('At least one target is needed.', 'error');
+            return;
+        }
+        const wasDefault = card.querySelector('.target-default').checked;
+        card.remove();
+        if (wasDefault) {
+            targetsList.querySelector('.target-default').checked = true;
+        }
+        refreshRuleTargetOptions();
+    });
+
+    targetsList.appendChild(card);
+    refreshRuleTargetOptions();
+}
+
+/**
+ * Replaces the cards in the targets list.
+ * @param {object[]} targets
+ * @param {string} defaultTargetId
+ */
+function renderTargets(targets, defaultTargetId) {
+    targetsList.innerHTML = '';
+    targets.forEach(target => addTargetCard(target, target.id === defaultTargetId));
+}
+
+/**
+ * Reads and validates the targets from the editor.
+ * @returns {{targets: object[], defaultTargetId: string | null, error: string | null}}
+ */
+function collectTargets() {
+    const targets = [];
+    let defaultTargetId = null;
+    for (const card of targetsList.querySelectorAll('.target-card')) {
+        const target = readTargetCard(card);
+        const error = validateTarget(target);
+        if (error) {
+            return { targets: [], defaultTargetId: null, error: error };
+        }
+        targets.push(target);
+        if (card.querySelector('.target-default').checked) {
+            defaultTargetId = target.id;
+        }
+    }
+    if (targets.length === 0) {
+        return { targets: [], defaultTargetId: null, error: 'At least one target is needed.' };
+    }
+    return { targets: targets, defaultTargetId: defaultTargetId || targets[0].id, error: null };
+}
+
+/**
+ * Fills a rule's target dropdown with the targets currently in the editor, keeping the selection where possible.
+ * @param {HTMLSelectElement} select
+ * @param {string} [selectedId] - The target to select; defaults to the current selection.
+ */
+function fillRuleTargetSelect(select, selectedId = select.value) {
+    select.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default target';
+    select.appendChild(defaultOption);
+    const cards = Array.from(targetsList.querySelectorAll('.target-card'));
+    for (const card of cards) {
+        const option = document.createElement('option');
+        option.value = card.dataset.targetId;
+        option.textContent = card.querySelector('.target-name').value.trim() || '(unnamed)';
+        select.appendChild(option);
+    }
+    // A rule naming a removed target keeps it until saved, so nothing is lost by accident
+    if (selectedId && !cards.some(card => card.dataset.targetId === selectedId)) {
+        const option = document.createElement('option');
+        option.value = selectedId;
+        option.textContent = `(missing: ${selectedId})`;
+        select.appendChild(option);
+    }
+    select.value = selectedId || '';
+}
+
+/**
+ * Updates the target dropdowns of all rules after targets were added, removed or renamed.
+ */
+function refreshRuleTargetOptions() {
+    rulesList.querySelectorAll('.rule-target').forEach(select => fillRuleTargetSelect(select));
+}
+
+/**
+ * Appends an editable row for a site rule to the rules list.
+ * @param {{pattern: string, action: string, target?: string}} [rule] - The rule to show; defaults to an empty 'never-intercept' rule.
+ */
+function addRuleRow(rule = { pattern: '', action: 'never-intercept' }) {
+    const row = document.createElement('div');
+    row.className = 'rule-row flex items-center space-x-1';
+    row.innerHTML = `
+        <input type="text" class="rule-pattern flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md text-xs" placeholder="example.com">
+        <select class="rule-action px-1 py-1 border border-gray-300 rounded-md bg-white text-xs"></select>
+        <select class="rule-target w-24 px-1 py-1 border border-gray-300 rounded-md bg-white text-xs" title="Send matching downloads to"></select>
+        <button class="rule-remove bg-gray-200 hover:bg-gray-300 text-gray-700 text-xs font-semibold py-1 px-2 rounded-md" title="Remove rule">✕</button>
+    `;
+
+    const actionSelect = row.querySelector('.rule-action');
+    SITE_RULE_ACTIONS.forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = SITE_RULE_ACTION_LABELS[action];
+        actionSelect.appendChild(option);
+    });
+    row.querySelector('.rule-pattern').value = rule.pattern;
+    actionSelect.value = rule.action;
+    fillRuleTargetSelect(row.querySelector('.rule-target'), rule.target || '');
+    row.querySelector('.rule-remove').addEventListener('click', () => row.remove());
+
+    rulesList.appendChild(row);
+}
+
+/**
+ * Replaces the rows in the rules list.
+ * @param {Array<{pattern: string, action: string, target?: string}>} rules
+ */
+function renderRules(rules) {
+    rulesList.innerHTML = '';
+    rules.forEach(rule => addRuleRow(rule));
+}
+
+/**
+ * Reads the rules from the editor, skipping rows with an empty pattern.
+ * @returns {{rules: Array<{pattern: string, action: string, target?: string}>, error: string | null}}
+ */
+function collectRules() {
+    const rules = [];
+    for (const row of rulesList.querySelectorAll('.rule-row')) {
+        const rule = {
+            pattern: row.querySelector('.rule-pattern').value.trim(),
+            action: row.querySelector('.rule-action').value
+        };
+        const target = row.querySelector('.rule-target').value;
+        if (target) {
+            rule.target = target;
+        }
+        if (!rule.pattern) {
+            continue;
+        }
+        const error = validateSiteRule(rule);
+        if (error) {
+            return { rules: [], error: error };
+        }
+        rules.push(rule);
+    }
+    return { rules: rules, error: null };
+}
+
+/**
+ * Shows a byte count in the minimum size input, picking MB when it divides evenly and KB otherwise.
+ * @param {number} bytes
+ */
+function setMinSizeInput(bytes) {
+    const unit = bytes > 0 && bytes % 1048576 !== 0 ? 1024 : 1048576;
+    minSizeUnitSelect.value = String(unit);
+    minSizeInput.value = bytes / unit;
+}
+
+/**
+ * Reads and validates a MIME type list from a textarea.
+ * @param {HTMLTextAreaElement} input
+ * @returns {{types: string[], error: string | null}}
+ */
+function collectMimeTypes(input) {
+    const types = parseMimeTypeList(input.value);
+    const invalid = types.find(type => !isValidMimePattern(type));
+    return invalid ? { types: [], error: `"${invalid}" is not a MIME type (expected e.g. application/pdf or video/*).` } : { types: types, error: null };
+}
+
+/**
+ * Fills the form from a settings object.
+ * @param {object} settings - The complete settings (see lib/settings.js).
+ */
+function renderOptions(settings) {
+    renderTargets(settings.targets, settings.defaultTargetId);
+    showPopupCheckbox.checked = settings.showPopup;
+    hoverButtonCheckbox.checked = settings.hoverButton;
+    siteExtractorsCheckbox.checked = settings.siteExtractors;
+    offlineQueueCheckbox.checked = settings.offlineQueueEnabled;
+    filenameTemplateInput.value = settings.filenameTemplate;
+    updateFilenameTemplatePreview();
+    askBeforeSendingCheckbox.checked = settings.askBeforeSending;
+    promptStyleSelect.value = settings.promptStyle;
+    setMinSizeInput(settings.interceptMinSize);
+    belowThresholdActionSelect.value = settings.belowThresholdAction;
+    includeTypesInput.value = settings.interceptIncludeTypes.join('\n');
+    excludeTypesInput.value = settings.interceptExcludeTypes.join('\n');
+    renderRules(settings.siteRules);
+    canonicalRulesInput.value = settings.urlCanonicalRules.length > 0 ? JSON.stringify(settings.urlCanonicalRules, null, 2) : '';
+}
+
+/**
+ * Reads and validates the URL deduplication rules from their textarea.
+ * @returns {{rules: Array<object>, error: string | null}}
+ */
+function collectCanonicalRules() {
+    const text = canonicalRulesInput.value.trim();
+    if (!text) {
+        return { rules: [], error: null };
+    }
+    let rules;
+    try {
+        rules = JSON.parse(text);
+    } catch (error) {
+        return { rules: [], error: `Not valid JSON: ${error.message}` };
+    }
+    const error = validateSetting('urlCanonicalRules', rules);
+    return error ? { rules: [], error: error } : { rules: rules, error: null };
+}
+
+/**
+ * Shows what the filename template makes of an example video, or why it can't be used.
+ */
+function updateFilenameTemplatePreview() {
+    const template = filenameTemplateInput.value.trim();
+    if (!template) {
+        filenameTemplatePreview.textContent = '';
+        return;
+    }
+    const error = findFilenameTemplateError(template);
+    const example = renderFilenameTemplate(template, {
+        title: 'Big Buck Bunny',
+        site: 'example.com',
+        date: new Date().toISOString().slice(0, 10),
+        quality: '1080p',
+        ext: 'mp4',
+        index: 1
+    });
+    filenameTemplatePreview.textContent = error ? '' : `Example: ${example || '(empty, the suggested name is kept)'}`;
+}
+
+/**
+ * Loads the saved settings and populates the form.
  */
 async function loadOptions() {
     try {
-        const result = await browser.storage.local.get('nadekoPort');
-        serverPortInput.value = result.nadekoPort || DEFAULT_PORT;
-        const checkedValue = await browser.storage.local.get('showPopup');
-        showPopupCheckbox.checked = checkedValue.showPopup === 'true' ? true : (checkedValue.showPopup === 'false' ? false : DEFAULT_SHOW);
+        renderOptions(await loadSettings());
     } catch (error) {
         console.error('[Config] Error loading options:', error);
-        serverPortInput.value = DEFAULT_PORT;
+        renderOptions(getDefaultSettings());
         showStatusMessage('Error loading settings.', 'error');
     }
 }
 
 /**
- * Saves the port from the input field to storage.
+ * Validates the form and saves it. The background script picks the change up through storage.
  */
 async function saveOptions() {
-    portError.classList.add('hidden');
-    const port = parseInt(serverPortInput.value, 10);
-    const isChecked = showPopupCheckbox.checked.toString();
+    targetsError.classList.add('hidden');
+    const { targets, defaultTargetId, error: targetError } = collectTargets();
+    if (targetError) {
+        targetsError.textContent = targetError;
+        targetsError.classList.remove('hidden');
+        showStatusMessage('Invalid target.', 'error');
+        return;
+    }
 
-    if (isNaN(port) || port < 1 || port > 65535) {
-        portError.classList.remove('hidden');
-        showStatusMessage('Invalid port number.', 'error');
+    filenameTemplateError.classList.add('hidden');
+    const filenameTemplate = filenameTemplateInput.value.trim();
+    const templateError = validateSetting('filenameTemplate', filenameTemplate);
+    if (templateError) {
+        filenameTemplateError.textContent = templateError;
+        filenameTemplateError.classList.remove('hidden');
+        showStatusMessage('Invalid filename template.', 'error');
         return;
     }
 
-    try {
-        await browser.storage.local.set({ nadekoPort: port });
-        await browser.storage.local.set({ showPopup: isChecked })
+    const minSize = Math.round(parseFloat(minSizeInput.value || '0') * parseInt(minSizeUnitSelect.value, 10));
+    if (validateSetting('interceptMinSize', minSize)) {
+        showStatusMessage('Invalid minimum size.', 'error');
+        return;
+    }
 
-        console.debug(`[Config[ Succesfully set port to ${port} and show to ${isChecked}`)
-        showStatusMessage('Settings saved successfully!', 'success');
+    typesError.classList.add('hidden');
+    const included = collectMimeTypes(includeTypesInput);
+    const excluded = collectMimeTypes(excludeTypesInput);
+    if (included.error || excluded.error) {
+        typesError.textContent = included.error || excluded.error;
+        typesError.classList.remove('hidden');
+        showStatusMessage('Invalid MIME type.', 'error');
+        return;
+    }
 
-        // Notify background script of port change to refresh cache immediately
-        browser.runtime.sendMessage({ type: "settingChanged", newPort: port, showChecked: isChecked }).catch(e => {
-            console.warn("[Config] Could not notify background script of port change:", e);
-        });
+    rulesError.classList.add('hidden');
+    const { rules, error: ruleError } = collectRules();
+    if (ruleError) {
+        rulesError.textContent = ruleError;
+        rulesError.classList.remove('hidden');
+        showStatusMessage('Invalid site rule.', 'error');
+        return;
+    }
 
+    canonicalRulesError.classList.add('hidden');
+    const { rules: canonicalRules, error: canonicalRuleError } = collectCanonicalRules();
+    if (canonicalRuleError) {
+        canonicalRulesError.textContent = canonicalRuleError;
+        canonicalRulesError.classList.remove('hidden');
+        showStatusMessage('Invalid URL deduplication rule.', 'error');
+        return;
+    }
+
+    try {
+        await saveSettings({
+            targets: targets,
+            defaultTargetId: defaultTargetId,
+            showPopup: showPopupCheckbox.checked,
+            hoverButton: hoverButtonCheckbox.checked,
+            siteExtractors: siteExtractorsCheckbox.checked,
+            offlineQueueEnabled: offlineQueueCheckbox.checked,
+            filenameTemplate: filenameTemplate,
+            askBeforeSending: askBeforeSendingCheckbox.checked,
+            promptStyle: promptStyleSelect.value,
+            interceptMinSize: minSize,
+            interceptIncludeTypes: included.types,
+            interceptExcludeTypes: excluded.types,
+            belowThresholdAction: belowThresholdActionSelect.value,
+            siteRules: rules,
+            urlCanonicalRules: canonicalRules
+        });
+        console.debug(`[Config] Successfully saved settings (${targets.length} targets, default ${defaultTargetId}).`);
+        showStatusMessage('Settings saved successfully!', 'success');
     } catch (error) {
         console.error('[Config] Error saving options:', error);
-        showStatusMessage('Error saving settings.', 'error');
+        showStatusMessage(`Error saving settings: ${error.message}`, 'error');
     }
 }
 
 // Event listeners
 document.addEventListener('DOMContentLoaded', loadOptions);
 saveBtn.addEventListener('click', saveOptions);
+filenameTemplateInput.addEventListener('input', updateFilenameTemplatePreview);
 
-// Real-time validation feedback (optional)
-serverPortInput.addEventListener('input', () => {
-    const port = parseInt(serverPortInput.value, 10);
-    if (isNaN(port) || port < 1 || port > 65535) {
-        portError.classList.remove('hidden');
-    } else {
-        portError.classList.add('hidden');
+addTargetBtn.addEventListener('click', () => addTargetCard());
+
+addRuleBtn.addEventListener('click', () => addRuleRow());
+
+importRulesBtn.addEventListener('click', () => importRulesFile.click());
+
+importRulesFile.addEventListener('change', async () => {
+    const file = importRulesFile.files[0];
+    importRulesFile.value = '';
+    if (!file) {
+        return;
+    }
+    try {
+        const rules = parseSiteRulesJson(await file.text());
+        renderRules(rules);
+        rulesError.classList.add('hidden');
+        showStatusMessage(`Imported ${rules.length} rules. Save to apply them.`, 'success');
+    } catch (error) {
+        console.error('[Config] Error importing site rules:', error);
+        rulesError.textContent = `Import failed: ${error.message}`;
+        rulesError.classList.remove('hidden');
+        showStatusMessage('Import failed.', 'error');
+    }
+});
+
+exportRulesBtn.addEventListener('click', () => {
+    const { rules, error } = collectRules();
+    if (error) {
+        rulesError.textContent = error;
+        rulesError.classList.remove('hidden');
+        return;
     }
+    const blob = new Blob([stringifySiteRules(rules)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'nadecon-site-rules.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 });
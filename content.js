@@ -79,6 +79,28 @@ const popupCss = `
     flex-grow: 0; /* Don't allow text to grow beyond its content or max-width */
 }
 
+.media-detector-popup-item .popup-text {
+    display: flex;
+    flex-direction: column; /* Filename above its details */
+    min-width: 0;
+}
+
+.media-detector-popup-item .popup-details {
+    font-size: 0.6rem;
+    opacity: 0.7;
+    white-space: nowrap;
+    color: white;
+    line-height: 1.2;
+}
+
+.media-detector-popup-item .popup-thumb {
+    width: 48px;
+    height: 27px; /* 16:9 */
+    object-fit: cover;
+    border-radius: 4px;
+    flex-shrink: 0;
+}
+
 .media-detector-popup-item .download-btn {
     font-size: 0.7rem; /* Reduced font size */
     background: rgba(255, 255, 255, 0.1);
@@ -149,38 +171,162 @@ const popupCss = `
 }
 `;
 
-// Inject styles using adoptedStyleSheets if available (more robust against webpage CSS)
-if (document.adoptedStyleSheets && CSSStyleSheet) {
-    try {
-        const sheet = new CSSStyleSheet();
-        sheet.replaceSync(popupCss);
-        document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
-        console.debug("[Content Script] Styles injected using adoptedStyleSheets.");
-    } catch (e) {
-        console.warn("[Content Script] adoptedStyleSheets failed, falling back to <style> tag:", e);
+// Styles of the "Send to Nadeko" button shown over hovered players, injected in any frame once the button is enabled
+const hoverButtonCss = `
+#media-detector-hover-button {
+    position: fixed;
+    z-index: 2147483647;
+    display: none;
+    background: #2a2a2e;
+    color: white;
+    border: none;
+    border-left: 4px solid #0a84ff;
+    border-radius: 8px;
+    padding: 6px 10px;
+    font: bold 12px Arial, sans-serif;
+    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.4);
+    cursor: pointer;
+    opacity: 0.9;
+}
+#media-detector-hover-button.show {
+    display: block;
+}
+#media-detector-hover-button:hover {
+    opacity: 1;
+}
+#media-detector-hover-button.sent {
+    border-left-color: #30e60b;
+}
+#media-detector-hover-button.error {
+    border-left-color: #ff0039;
+}
+`;
+
+// The "Ask before sending" overlay; it lives in a closed shadow root, so these rules only apply there
+const interceptPromptCss = `
+.intercept-overlay {
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.4);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10001; /* Above the popup container */
+    font-family: Arial, sans-serif;
+}
+
+.intercept-dialog {
+    background: #2a2a2e;
+    color: white;
+    padding: 12px 16px;
+    border-radius: 12px;
+    border-left: 4px solid #0a84ff;
+    box-shadow: 0 5px 20px rgba(0, 0, 0, 0.4);
+    width: 360px;
+    max-width: calc(100vw - 32px);
+    box-sizing: border-box;
+}
+
+p {
+    margin: 0 0 6px 0;
+    font-size: 0.75rem;
+    line-height: 1.3;
+    color: white;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+
+.intercept-filename {
+    font-size: 0.85rem;
+    font-weight: bold;
+}
+
+.intercept-muted {
+    opacity: 0.7;
+}
+
+.intercept-buttons {
+    display: flex;
+    gap: 6px;
+}
+
+button {
+    flex: 1;
+    font-size: 0.7rem;
+    background: rgba(255, 255, 255, 0.1);
+    color: #fff;
+    border: none;
+    border-radius: 6px;
+    cursor: pointer;
+    padding: 6px 4px;
+    transition: background 0.3s;
+}
+
+button:hover {
+    background: rgba(255, 255, 255, 0.2);
+}
+
+button.intercept-send {
+    background: #0a84ff;
+}
+`;
+
+// The script runs in every frame so media inside frames is found, but the on-page UI (popups, prompt overlay)
+// lives in the top frame only.
+const isTopFrame = window.top === window;
+
+/**
+ * Injects styles into the page, or into one of our shadow roots.
+ * Uses adoptedStyleSheets if available (more robust against webpage CSS).
+ * @param {string} css - The style sheet to inject.
+ * @param {Document | ShadowRoot} [root=document] - Where the styles apply.
+ */
+function injectStyles(css, root = document) {
+    const styleParent = root === document ? document.head : root;
+    if (root.adoptedStyleSheets && CSSStyleSheet) {
+        try {
+            const sheet = new CSSStyleSheet();
+            sheet.replaceSync(css);
+            root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+            console.debug("[Content Script] Styles injected using adoptedStyleSheets.");
+        } catch (e) {
+            console.warn("[Content Script] adoptedStyleSheets failed, falling back to <style> tag:", e);
+            const styleElement = document.createElement('style');
+            styleElement.textContent = css;
+            styleParent.appendChild(styleElement);
+            console.debug("[Content Script] Styles injected using <style> tag.");
+        }
+    } else {
+        // Fallback for older browsers or environments without adoptedStyleSheets
         const styleElement = document.createElement('style');
-        styleElement.textContent = popupCss;
-        document.head.appendChild(styleElement);
+        styleElement.textContent = css;
+        styleParent.appendChild(styleElement);
         console.debug("[Content Script] Styles injected using <style> tag.");
     }
-} else {
-    // Fallback for older browsers or environments without adoptedStyleSheets
-    const styleElement = document.createElement('style');
-    styleElement.textContent = popupCss;
-    document.head.appendChild(styleElement);
-    console.debug("[Content Script] Styles injected using <style> tag.");
 }
 
+/**
+ * Ensures the popup container exists and is added to the DOM.
+ * @returns {HTMLElement}
+ */
+function ensurePopupContainer() {
+    let container = document.getElementById('media-detector-popup-container');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'media-detector-popup-container';
+        document.body.appendChild(container);
+        console.debug("[Content Script] Created and appended #media-detector-popup-container to body.");
+    } else {
+        console.debug("[Content Script] #media-detector-popup-container already exists.");
+    }
+    return container;
+}
 
-// Ensure the popup container exists and is added to the DOM
-let popupContainer = document.getElementById('media-detector-popup-container');
-if (!popupContainer) {
-    popupContainer = document.createElement('div');
-    popupContainer.id = 'media-detector-popup-container';
-    document.body.appendChild(popupContainer);
-    console.debug("[Content Script] Created and appended #media-detector-popup-container to body.");
-} else {
-    console.debug("[Content Script] #media-detector-popup-container already exists.");
+let popupContainer = null;
+if (isTopFrame) {
+    injectStyles(popupCss);
+    popupContainer = ensurePopupContainer();
 }
 
 
@@ -212,13 +358,17 @@ function handleDownloadError(downloadButton, popupElement, url) {
 
         browser.runtime.sendMessage({
             type: 'initiateSmartDownload',
-            url: url,
+            url: popupElement.dataset.url,
             filename: popupElement.querySelector('p').textContent
         }).then(response => {
-            if (response && response.success) {
+            if (response && response.success && response.queued) {
+                downloadButton.textContent = '⏳ Queued';
+                console.debug(`[Content Script] Nadeko~don is down, URL queued by background: ${url}`);
+                setTimeout(() => { popupElement.remove(); activePopupUrls.delete(popupElement.dataset.url); }, 1500);
+            } else if (response && response.success) {
                 downloadButton.textContent = '✓ URL Sent!';
                 downloadButton.style.background = '#30e60b';
-                setTimeout(() => { popupElement.remove(); activePopupUrls.delete(url); }, 1500);
+                setTimeout(() => { popupElement.remove(); activePopupUrls.delete(popupElement.dataset.url); }, 1500);
             } else {
                 console.error(`[Content Script] Background script reported error for ${url}: ${response.error}`);
                 handleDownloadError(downloadButton, popupElement, url);
@@ -241,9 +391,26 @@ function handleDownloadError(downloadButton, popupElement, url) {
     }, 5000);
 }
 
+/**
+ * Shows a media item's details (resolution, duration, size, type) and thumbnail on its popup.
+ * The thumbnail replaces the type icon once one is known.
+ * @param {HTMLElement} popup - The popup element.
+ * @param {object} mediaItem - The media item (see describeMediaDetails in lib/media-details.js).
+ */
+function renderPopupDetails(popup, mediaItem) {
+    popup.querySelector('.popup-details').textContent = describeMediaDetails(mediaItem).join(' · ');
+    if (mediaItem.thumbnail) {
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'popup-thumb';
+        thumbnail.src = mediaItem.thumbnail;
+        thumbnail.alt = '';
+        popup.querySelector('.popup-icon, .popup-thumb').replaceWith(thumbnail);
+    }
+}
+
 /**
  * Displays an individual media download popup.
- * @param {object} mediaItem - The media item object ({url, filename})
+ * @param {object} mediaItem - The media item object ({url, filename} and the details shown by renderPopupDetails)
  */
 function showMediaDownloadPopup(mediaItem) {
     const { url, filename } = mediaItem;
@@ -259,12 +426,13 @@ function showMediaDownloadPopup(mediaItem) {
     
     const popup = document.createElement('div');
     popup.className = 'media-detector-popup-item';
+    popup.dataset.url = url;
 
     let icon = '🔗';
     const extMatch = filename.match(/\.([a-z0-9]+)$/i);
     const extension = extMatch ? extMatch[1].toLowerCase() : '';
 
-    if (['mp4', 'webm', 'mov', 'avi', 'mkv', 'ts', 'm3u8', 'mpd'].includes(extension)) {
+    if (mediaItem.isStream || ['mp4', 'webm', 'mov', 'avi', 'mkv', 'ts', 'm3u8', 'mpd'].includes(extension)) {
         icon = '🎬';
     } else if (['mp3', 'wav', 'aac', 'flac', 'ogg'].includes(extension)) {
         icon = '🔊';
@@ -275,12 +443,16 @@ function showMediaDownloadPopup(mediaItem) {
     popup.innerHTML = `
         <div class="popup-icon">${icon}</div>
         <div class="popup-content">
-            <p title="${filename}">${filename.length > 12 ? filename.substring(0, 12) + '...' : filename}</p>
+            <div class="popup-text">
+                <p title="${filename}">${filename.length > 12 ? filename.substring(0, 12) + '...' : filename}</p>
+                <span class="popup-details"></span>
+            </div>
             <button class="download-btn">Download</button>
         </div>
         <button class="close-btn">✕</button>
     `;
 
+    renderPopupDetails(popup, mediaItem);
     popupContainer.appendChild(popup);
     activePopupUrls.add(url);
 
@@ -298,7 +470,7 @@ function showMediaDownloadPopup(mediaItem) {
     popup.querySelector('.close-btn').addEventListener('click', () => {
         console.debug(`[Content Script] Popup closed by user for ${url}.`);
         popup.remove();
-        activePopupUrls.delete(url);
+        activePopupUrls.delete(popup.dataset.url);
     });
 
     const downloadButton = popup.querySelector('.download-btn');
@@ -308,14 +480,18 @@ function showMediaDownloadPopup(mediaItem) {
 
         browser.runtime.sendMessage({
             type: 'initiateSmartDownload',
-            url: url,
+            url: popup.dataset.url,
             filename: filename
         }).then(response => {
-            if (response && response.success) {
+            if (response && response.success && response.queued) {
+                downloadButton.textContent = '⏳ Queued';
+                console.debug(`[Content Script] Nadeko~don is down, URL queued by background: ${url}`);
+                setTimeout(() => { popup.remove(); activePopupUrls.delete(popup.dataset.url); }, 1500);
+            } else if (response && response.success) {
                 downloadButton.textContent = '✓ URL Sent!';
                 downloadButton.style.background = '#30e60b';
                 console.debug(`[Content Script] Successfully sent URL to background: ${url}`);
-                setTimeout(() => { popup.remove(); activePopupUrls.delete(url); }, 1500);
+                setTimeout(() => { popup.remove(); activePopupUrls.delete(popup.dataset.url); }, 1500);
             } else {
                 console.error(`[Content Script] Background script reported error for ${url}: ${response.error}`);
                 handleDownloadError(downloadButton, popup, url);
@@ -327,6 +503,479 @@ function showMediaDownloadPopup(mediaItem) {
     });
 }
 
+// The overlay currently shown, if any: {host, settle}
+let interceptOverlay = null;
+
+/**
+ * Shows the "Ask before sending" question for an intercepted download as an overlay on the page.
+ * The answer goes back to the background script, which carries it out. The overlay is built in a closed shadow root
+ * and only takes trusted clicks, so page scripts can neither read nor press its buttons. They can still remove it;
+ * the background script then asks in the prompt window instead. "Remember for this site" is left to that window.
+ * @param {object} prompt - The prompt details ({id, url, filename, contentType, sizeText, pageUrl})
+ */
+function showInterceptPrompt(prompt) {
+    if (interceptOverlay) {
+        // Only one question at a time; the older one counts as cancelled
+        interceptOverlay.settle('cancel');
+    }
+
+    const host = document.createElement('div');
+    host.id = 'media-detector-intercept-overlay';
+    const shadowRoot = host.attachShadow({ mode: 'closed' });
+    injectStyles(interceptPromptCss, shadowRoot);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'intercept-overlay';
+    overlay.innerHTML = `
+        <div class="intercept-dialog">
+            <p class="intercept-muted">Send this download to Nadeko~don?</p>
+            <p class="intercept-filename"></p>
+            <p class="intercept-details intercept-muted"></p>
+            <p class="intercept-source intercept-muted"></p>
+            <div class="intercept-buttons">
+                <button class="intercept-send">Send to Nadeko</button>
+                <button class="intercept-browser">Download in browser</button>
+                <button class="intercept-cancel">Cancel</button>
+            </div>
+        </div>
+    `;
+    shadowRoot.appendChild(overlay);
+
+    // Filled in via textContent since these come from the server and the URL
+    overlay.querySelector('.intercept-filename').textContent = prompt.filename;
+    overlay.querySelector('.intercept-filename').title = prompt.filename;
+    overlay.querySelector('.intercept-details').textContent = `${prompt.sizeText} · ${(prompt.contentType || 'unknown type').split(';')[0]}`;
+    overlay.querySelector('.intercept-source').textContent = `From: ${prompt.url}`;
+    overlay.querySelector('.intercept-source').title = prompt.url;
+
+    const removalObserver = new MutationObserver(() => {
+        if (!host.isConnected) {
+            console.warn(`[Content Script] Interception prompt ${prompt.id} was removed by the page.`);
+            settle(null);
+        }
+    });
+
+    /**
+     * Sends the choice to the background script and takes the overlay down.
+     * @param {'nadeko' | 'browser' | 'cancel' | null} choice - null if the page removed the overlay before a choice.
+     */
+    function settle(choice) {
+        if (!interceptOverlay || interceptOverlay.host !== host) {
+            return;
+        }
+        interceptOverlay = null;
+        removalObserver.disconnect();
+        host.remove();
+        const message = choice
+            ? { type: "resolveInterceptPrompt", id: prompt.id, choice: choice }
+            : { type: "interceptOverlayRemoved", id: prompt.id };
+        browser.runtime.sendMessage(message).catch(error => {
+            console.error("[Content Script] Failed to send interception choice to background:", error);
+        });
+    }
+
+    const onTrustedClick = (selector, choice) => {
+        overlay.querySelector(selector).addEventListener('click', (event) => {
+            // Synthetic clicks (element.click(), dispatchEvent) are not the user's choice
+            if (event.isTrusted) {
+                settle(choice);
+            }
+        });
+    };
+    onTrustedClick('.intercept-send', 'nadeko');
+    onTrustedClick('.intercept-browser', 'browser');
+    onTrustedClick('.intercept-cancel', 'cancel');
+
+    interceptOverlay = { host: host, settle: settle };
+    document.body.appendChild(host);
+    removalObserver.observe(document.documentElement, { childList: true, subtree: true });
+    console.debug(`[Content Script] Showing interception prompt ${prompt.id} for ${prompt.url}`);
+}
+
+// Width of the frames captured as thumbnails, in pixels; keeps the messages small
+const THUMBNAIL_MAX_WIDTH = 160;
+
+/**
+ * Captures the current frame of a video as a small JPEG.
+ * @param {HTMLVideoElement} video
+ * @returns {string | null} - A data: URL, or null if no frame is loaded or the video is cross-origin (tainted canvas).
+ */
+function captureVideoFrame(video) {
+    if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || !video.videoWidth) {
+        return null;
+    }
+    try {
+        const scale = Math.min(1, THUMBNAIL_MAX_WIDTH / video.videoWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        console.debug(`[Content Script] Could not capture a thumbnail frame: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Reads what a <video> or <audio> element knows about its media so far.
+ * The poster is preferred as thumbnail; otherwise the current frame is captured if possible.
+ * @param {HTMLMediaElement} element
+ * @returns {{duration?: number, width?: number, height?: number, thumbnail?: string}} - Only the known fields.
+ */
+function collectMediaMetadata(element) {
+    const metadata = {};
+    if (element.readyState >= HTMLMediaElement.HAVE_METADATA) {
+        if (element.duration > 0) {
+            metadata.duration = element.duration; // Infinity for live streams
+        }
+        if (element.videoWidth > 0) {
+            metadata.width = element.videoWidth;
+            metadata.height = element.videoHeight;
+        }
+    }
+    const thumbnail = element.poster || (element.tagName === 'VIDEO' ? captureVideoFrame(element) : null);
+    if (thumbnail) {
+        metadata.thumbnail = thumbnail;
+    }
+    return metadata;
+}
+
+/**
+ * Reports the metadata of a media element to the background script once it has loaded,
+ * for elements discovered before their metadata or first frame were available.
+ * @param {HTMLMediaElement} element
+ * @param {string} url - The URL the element was reported with.
+ * @param {string} [messageType="mediaMetadataDetected"] - The message to report with; blob: players use "blobMediaDetected".
+ */
+function watchMediaMetadata(element, url, messageType = "mediaMetadataDetected") {
+    const report = () => {
+        const metadata = collectMediaMetadata(element);
+        if (Object.keys(metadata).length === 0) {
+            return;
+        }
+        browser.runtime.sendMessage({ type: messageType, url: url, metadata: metadata })
+            .catch(error => {
+                console.warn(`[Content Script] Failed to send '${messageType}' message to background:`, error);
+            });
+    };
+    if (element.readyState < HTMLMediaElement.HAVE_METADATA) {
+        element.addEventListener('loadedmetadata', report, { once: true });
+    }
+    if (element.tagName === 'VIDEO' && !element.poster && element.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+        element.addEventListener('loadeddata', report, { once: true });
+    }
+}
+
+// blob: URL last reported for each MSE player, so a player is reported again when it switches streams
+const reportedBlobPlayers = new WeakMap();
+
+/**
+ * Reports a <video>/<audio> element playing a blob: URL (Media Source Extensions). The URL itself cannot be
+ * downloaded; the background script matches the player with the manifest and segment requests of this frame.
+ * @param {HTMLMediaElement} element
+ * @param {string} blobUrl - The element's blob: source.
+ */
+function reportBlobPlayer(element, blobUrl) {
+    if (reportedBlobPlayers.get(element) === blobUrl) {
+        return;
+    }
+    reportedBlobPlayers.set(element, blobUrl);
+    console.debug("[Content Script] Discovered blob: media player:", blobUrl);
+    browser.runtime.sendMessage({ type: "blobMediaDetected", url: blobUrl, metadata: collectMediaMetadata(element) })
+      .catch(error => {
+        console.warn("[Content Script] Failed to send 'blobMediaDetected' message to background:", error);
+      });
+    watchMediaMetadata(element, blobUrl, "blobMediaDetected");
+}
+
+// --- "Send to Nadeko" button over hovered players (optional, see the hoverButton setting) ---
+
+const HOVER_BUTTON_LABEL = '⇩ Send to Nadeko';
+const HOVER_BUTTON_HIDE_DELAY = 400; // How long the button stays after the pointer left the player, in ms
+const HOVER_BUTTON_RESULT_DELAY = 2000; // How long "✓ Sent" and errors are shown before the label returns
+
+// <video>/<audio> elements reported to the background script. Their rectangles are checked on hover because
+// players are usually covered by their own controls, so the pointer is rarely over the element itself.
+const detectedPlayers = new Set();
+let hoverButtonEnabled = false;
+let hoverButtonStylesInjected = false;
+let hoverButton = null;
+let hoveredPlayer = null;
+let hoverHideTimer = null;
+
+/**
+ * Remembers a detected <video>/<audio> element for the hover button.
+ * @param {Element | null} element - The element the media was found on, or the parent of its <source>.
+ */
+function trackPlayer(element) {
+    if (element && (element.tagName === 'VIDEO' || element.tagName === 'AUDIO')) {
+        detectedPlayers.add(element);
+    }
+}
+
+/**
+ * Finds the detected player under the pointer, dropping players that left the page.
+ * @param {number} x - Pointer position in viewport coordinates.
+ * @param {number} y
+ * @returns {HTMLMediaElement | null} - The smallest player containing the point, e.g. a preview over a main player.
+ */
+function findPlayerAt(x, y) {
+    let found = null;
+    let foundArea = Infinity;
+    for (const player of detectedPlayers) {
+        if (!player.isConnected) {
+            detectedPlayers.delete(player);
+            continue;
+        }
+        const rect = player.getBoundingClientRect();
+        const area = rect.width * rect.height;
+        if (area > 0 && area < foundArea && x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+            found = player;
+            foundArea = area;
+        }
+    }
+    return found;
+}
+
+/**
+ * Creates the hover button on first use.
+ * @returns {HTMLButtonElement}
+ */
+function ensureHoverButton() {
+    if (!hoverButton) {
+        hoverButton = document.createElement('button');
+        hoverButton.id = 'media-detector-hover-button';
+        hoverButton.textContent = HOVER_BUTTON_LABEL;
+        hoverButton.addEventListener('click', handleHoverButtonClick);
+        // Keep the page's player from reacting (e.g. pausing) to clicks on the button
+        hoverButton.addEventListener('mousedown', event => event.stopPropagation());
+        document.documentElement.appendChild(hoverButton);
+    }
+    return hoverButton;
+}
+
+/**
+ * Shows the hover button at the top-right corner of a player.
+ * @param {HTMLMediaElement} player
+ */
+function showHoverButton(player) {
+    clearTimeout(hoverHideTimer);
+    hoverHideTimer = null;
+    const button = ensureHoverButton();
+    if (hoveredPlayer !== player && !button.disabled) {
+        button.textContent = HOVER_BUTTON_LABEL;
+        button.classList.remove('sent', 'error');
+        button.title = '';
+    }
+    hoveredPlayer = player;
+    button.classList.add('show');
+    const rect = player.getBoundingClientRect();
+    button.style.top = `${Math.max(rect.top, 0) + 8}px`;
+    button.style.left = `${Math.max(rect.right - button.offsetWidth - 8, rect.left)}px`;
+}
+
+/**
+ * Hides the hover button.
+ */
+function hideHoverButton() {
+    clearTimeout(hoverHideTimer);
+    hoverHideTimer = null;
+    if (hoverButton) {
+        hoverButton.classList.remove('show');
+    }
+    hoveredPlayer = null;
+}
+
+/**
+ * Shows or schedules hiding the button as the pointer moves over the page.
+ * @param {MouseEvent} event - A `mouseover` event, captured at the document.
+ */
+function handlePlayerHover(event) {
+    if (hoverButton && event.composedPath().includes(hoverButton)) {
+        clearTimeout(hoverHideTimer);
+        hoverHideTimer = null;
+        return;
+    }
+    const player = findPlayerAt(event.clientX, event.clientY);
+    if (player) {
+        showHoverButton(player);
+    } else if (hoveredPlayer && !hoverHideTimer) {
+        hoverHideTimer = setTimeout(hideHoverButton, HOVER_BUTTON_HIDE_DELAY);
+    }
+}
+
+/**
+ * Sends the hovered player's media to Nadeko~don. The background script resolves the player's source
+ * (for blob: players, the stream it was matched with) to the item in its media list.
+ * @param {MouseEvent} event
+ */
+function handleHoverButtonClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const player = hoveredPlayer;
+    const playerUrl = player && (player.src || player.currentSrc);
+    if (!playerUrl || hoverButton.disabled) {
+        return;
+    }
+    const button = hoverButton;
+    button.disabled = true;
+    button.textContent = 'Sending...';
+    button.classList.remove('sent', 'error');
+
+    const showResult = (text, className, title = '') => {
+        button.disabled = false;
+        button.textContent = text;
+        button.classList.add(className);
+        button.title = title;
+        setTimeout(() => {
+            if (!button.disabled) {
+                button.textContent = HOVER_BUTTON_LABEL;
+                button.classList.remove('sent', 'error');
+                button.title = '';
+            }
+        }, HOVER_BUTTON_RESULT_DELAY);
+    };
+
+    browser.runtime.sendMessage({ type: "sendPlayerMedia", url: playerUrl }).then(response => {
+        if (response && response.success) {
+            console.debug(`[Content Script] Sent media of player ${playerUrl} (queued: ${Boolean(response.queued)}).`);
+            showResult(response.queued ? '⏳ Queued' : '✓ Sent', 'sent');
+        } else {
+            const reason = (response && response.error) || 'Unknown error';
+            console.warn(`[Content Script] Could not send media of player ${playerUrl}: ${reason}`);
+            showResult('✗ Not sent', 'error', reason);
+        }
+    }).catch(error => {
+        console.error(`[Content Script] Error sending player media to background for ${playerUrl}:`, error);
+        showResult('✗ Not sent', 'error', error.message);
+    });
+}
+
+/**
+ * Turns the hover button on or off.
+ * @param {boolean} enabled
+ */
+function setHoverButtonEnabled(enabled) {
+    if (enabled === hoverButtonEnabled) {
+        return;
+    }
+    hoverButtonEnabled = enabled;
+    if (enabled) {
+        if (!hoverButtonStylesInjected) {
+            injectStyles(hoverButtonCss);
+            hoverButtonStylesInjected = true;
+        }
+        document.addEventListener('mouseover', handlePlayerHover, true);
+        window.addEventListener('scroll', hideHoverButton, { capture: true, passive: true });
+    } else {
+        document.removeEventListener('mouseover', handlePlayerHover, true);
+        window.removeEventListener('scroll', hideHoverButton, { capture: true });
+        hideHoverButton();
+    }
+}
+
+browser.runtime.sendMessage({ type: "getPageSettings" }).then(settings => {
+    setHoverButtonEnabled(Boolean(settings && settings.hoverButton));
+}).catch(error => {
+    console.warn("[Content Script] Could not load page settings:", error);
+});
+
+// Kinds of <track> elements that carry text worth downloading; chapters, descriptions and metadata tracks are skipped
+const SUBTITLE_TRACK_KINDS = ['subtitles', 'captions'];
+
+/**
+ * Reports a <track> element's subtitle file together with the source of its <video>, so the background script
+ * can attach the file to that video. Its language and label aren't visible in the request itself.
+ * @param {HTMLTrackElement} element
+ */
+function reportSubtitleTrack(element) {
+    const trackUrl = element.src;
+    if (!trackUrl || trackUrl.startsWith('data:') || !SUBTITLE_TRACK_KINDS.includes(element.kind)) {
+        return;
+    }
+    const player = element.parentElement;
+    const videoUrl = player && (player.tagName === 'VIDEO' || player.tagName === 'AUDIO') ? (player.src || player.currentSrc) : '';
+    const reportKey = `${trackUrl} ${videoUrl}`;
+    if (processedUrls.has(reportKey)) {
+        return;
+    }
+    processedUrls.add(reportKey);
+    console.debug("[Content Script] Discovered subtitle track:", trackUrl);
+    browser.runtime.sendMessage({
+        type: "subtitleTrackDetected",
+        url: trackUrl,
+        language: element.srclang || null,
+        label: element.label || null,
+        kind: element.kind,
+        videoUrl: videoUrl || null
+    }).catch(error => {
+        console.warn("[Content Script] Failed to send 'subtitleTrackDetected' message to background:", error);
+    });
+}
+
+// --- Page metadata (Open Graph tags), used by the background script to name files ---
+
+/**
+ * Reads the Open Graph tags that describe the page's video.
+ * @returns {{title: string | null, siteName: string | null, video: string | null, videoWidth: number | null, videoHeight: number | null}}
+ */
+function collectPageMetadata() {
+    const meta = property => {
+        const element = document.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+        return element && element.content ? element.content.trim() : null;
+    };
+    let video = meta('og:video:secure_url') || meta('og:video:url') || meta('og:video');
+    try {
+        video = video ? new URL(video, document.baseURI).href : null;
+    } catch (e) {
+        video = null;
+    }
+    return {
+        title: meta('og:title') || meta('twitter:title'),
+        siteName: meta('og:site_name'),
+        video: video,
+        videoWidth: parseInt(meta('og:video:width'), 10) || null,
+        videoHeight: parseInt(meta('og:video:height'), 10) || null
+    };
+}
+
+// The last report, so the background script is only told about changes
+let reportedPageMetadata = null;
+let pageMetadataTimer = null;
+
+/**
+ * Tells the background script about the page's Open Graph tags and the URL they were read at, if either changed.
+ */
+function reportPageMetadata() {
+    const pageMetadata = Object.assign({ pageUrl: location.href }, collectPageMetadata());
+    const serialized = JSON.stringify(pageMetadata);
+    if (serialized === reportedPageMetadata || !(pageMetadata.title || pageMetadata.siteName || pageMetadata.video)) {
+        return;
+    }
+    reportedPageMetadata = serialized;
+    browser.runtime.sendMessage(Object.assign({ type: "pageMetadataDetected" }, pageMetadata)).catch(error => {
+        console.warn("[Content Script] Failed to send 'pageMetadataDetected' message to background:", error);
+    });
+}
+
+/**
+ * Reports the page metadata again once the page has settled. Single-page sites switch the URL through the
+ * History API and rewrite the tags in <head> some time later.
+ */
+function schedulePageMetadataReport() {
+    clearTimeout(pageMetadataTimer);
+    pageMetadataTimer = setTimeout(reportPageMetadata, 500);
+}
+
+if (isTopFrame) {
+    reportPageMetadata();
+    new MutationObserver(schedulePageMetadataReport).observe(document.head || document.documentElement, {
+        childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['content']
+    });
+    window.addEventListener('popstate', schedulePageMetadataReport);
+}
+
 /**
  * Processes a given HTML element to extract potential media URLs.
  * Sends valid, unique URLs to the background script.
@@ -336,27 +985,90 @@ const processMediaElement = (element) => {
   let mediaUrl = '';
   const tagName = element.tagName;
 
+  if (tagName === 'TRACK') {
+    reportSubtitleTrack(element);
+    return;
+  }
+
   if (tagName === 'VIDEO' || tagName === 'AUDIO') {
     mediaUrl = element.src || element.currentSrc;
+    // Tracks found before the player got its source are reported again with it
+    element.querySelectorAll('track').forEach(reportSubtitleTrack);
   } else if (tagName === 'IFRAME' || tagName === 'EMBED' || tagName === 'OBJECT') {
     mediaUrl = element.src || element.data;
   } else if (tagName === 'SOURCE') {
     mediaUrl = element.src;
   }
 
+  if (mediaUrl) {
+    trackPlayer(tagName === 'SOURCE' ? element.parentElement : element);
+  }
+
+  if (mediaUrl && mediaUrl.startsWith('blob:') && (tagName === 'VIDEO' || tagName === 'AUDIO')) {
+    reportBlobPlayer(element, mediaUrl);
+    return;
+  }
+
   if (mediaUrl && !mediaUrl.startsWith('blob:') && !mediaUrl.startsWith('data:') && !processedUrls.has(mediaUrl)) {
     console.debug("[Content Script] Discovered potential media URL from DOM:", mediaUrl);
     processedUrls.add(mediaUrl);
-    browser.runtime.sendMessage({ type: "mediaUrlDetected", url: mediaUrl })
+    // <source> elements carry no metadata themselves; their <video>/<audio> parent does
+    const mediaElement = tagName === 'SOURCE' ? element.parentElement : element;
+    let metadata = null;
+    if (mediaElement && (mediaElement.tagName === 'VIDEO' || mediaElement.tagName === 'AUDIO')) {
+        const known = collectMediaMetadata(mediaElement);
+        metadata = Object.keys(known).length > 0 ? known : null;
+        watchMediaMetadata(mediaElement, mediaUrl);
+    }
+    browser.runtime.sendMessage({ type: "mediaUrlDetected", url: mediaUrl, metadata: metadata })
       .catch(error => {
         console.warn("[Content Script] Failed to send 'mediaUrlDetected' message to background:", error);
       });
   }
 };
 
+// Elements that may point at media
+const MEDIA_SELECTOR = 'video, audio, iframe, embed, source, object, track';
+
+// The document and every open shadow root found in it, once scanned and observed
+const observedRoots = new WeakSet();
+let observingStopped = false;
+
+/**
+ * Processes an element and everything below it, descending into open shadow roots.
+ * @param {Element | Document | ShadowRoot} node
+ */
+const scanSubtree = (node) => {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    processMediaElement(node);
+    if (node.shadowRoot) {
+      scanRoot(node.shadowRoot);
+    }
+  }
+  node.querySelectorAll(MEDIA_SELECTOR).forEach(processMediaElement);
+  // Only shadow hosts are of interest; a walker finds them without building a list of every element per mutation
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT, {
+    acceptNode: element => element.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP
+  });
+  while (walker.nextNode()) {
+    scanRoot(walker.currentNode.shadowRoot);
+  }
+};
+
+/**
+ * Handles a media element that loaded (new) media. Players often set `src` or pick a <source> after the
+ * element was inserted, and `currentSrc` changes without any attribute mutation.
+ * @param {Event} event - A `loadedmetadata` event, captured at the root.
+ */
+const handleMediaLoaded = (event) => {
+  if (!observingStopped && event.target instanceof HTMLMediaElement) {
+    processMediaElement(event.target);
+  }
+};
+
 /**
  * Callback function for MutationObserver.
- * Iterates through added nodes and processes them for media URLs.
+ * Processes added nodes (and the shadow roots inside them) and elements whose `src`/`data` changed.
  * @param {MutationRecord[]} mutationList - List of mutations observed.
  * @param {MutationObserver} observer - The observer instance.
  */
@@ -365,42 +1077,81 @@ const mutationCallback = (mutationList, observer) => {
     if (mutation.type === "childList") {
       mutation.addedNodes.forEach(node => {
         if (node.nodeType === Node.ELEMENT_NODE) {
-          processMediaElement(node);
-          const mediaElementsInSubtree = node.querySelectorAll('video, audio, iframe, embed, source, object');
-          mediaElementsInSubtree.forEach(processMediaElement);
+          scanSubtree(node);
         }
       });
+    } else if (mutation.type === "attributes") {
+      processMediaElement(mutation.target);
     }
   }
 };
 
 const observer = new MutationObserver(mutationCallback);
-const targetNode = document.body;
-const config = { childList: true, subtree: true };
+const config = { childList: true, subtree: true, attributes: true, attributeFilter: ['src', 'data'] };
 
-if (targetNode) {
-    observer.observe(targetNode, config);
-    console.debug("[Content Script] MutationObserver started.");
-} else {
-    console.warn("[Content Script] Document body not found, MutationObserver could not be started.");
+/**
+ * Scans a document or shadow root and starts observing it. Shadow roots need their own observation and
+ * listener: mutations inside them aren't reported to the document, and media events don't cross the boundary.
+ * @param {Document | ShadowRoot} root
+ */
+function scanRoot(root) {
+  if (observedRoots.has(root) || observingStopped) {
+    return;
+  }
+  observedRoots.add(root);
+  observer.observe(root, config);
+  root.addEventListener('loadedmetadata', handleMediaLoaded, true);
+  scanSubtree(root);
 }
 
-
-document.querySelectorAll('video, audio, iframe, embed, source, object')
-   .forEach(processMediaElement);
-
-console.debug("[Content Script] Initial DOM scan complete.");
+scanRoot(document);
+console.debug(`[Content Script] MutationObserver started and initial DOM scan complete (${isTopFrame ? 'top frame' : 'sub frame'}).`);
 
 browser.runtime.onMessage.addListener((message) => {
     console.debug(`[Content Script] Received message from background: Type = ${message.type}`, message);
 
-    if (message.type === "showMediaPopup" && message.mediaItem) {
-        showMediaDownloadPopup(message.mediaItem);
-    }
     if (message.type === "stopObserving") {
+        observingStopped = true;
         observer.disconnect();
         console.debug("[Content Script] MutationObserver disconnected as requested by background.");
     }
+    if (message.type === "pageSettingsChanged") {
+        setHoverButtonEnabled(Boolean(message.hoverButton));
+    }
+    if (!isTopFrame) {
+        return; // The remaining messages are about the on-page UI
+    }
+    if (message.type === "pageUrlChanged") {
+        schedulePageMetadataReport();
+    }
+
+    if (message.type === "showMediaPopup" && message.mediaItem) {
+        showMediaDownloadPopup(message.mediaItem);
+    }
+    if (message.type === "removeMediaPopup" && message.url) {
+        document.querySelectorAll('.media-detector-popup-item').forEach(popup => {
+            if (popup.dataset.url === message.url) {
+                popup.remove();
+            }
+        });
+        activePopupUrls.delete(message.url);
+    }
+    if (message.type === "updateMediaPopup" && message.mediaItem) {
+        // previousUrl is set when the item now points at a newer URL of the same file
+        const shownUrl = message.previousUrl || message.mediaItem.url;
+        document.querySelectorAll('.media-detector-popup-item').forEach(popup => {
+            if (popup.dataset.url === shownUrl) {
+                popup.dataset.url = message.mediaItem.url;
+                renderPopupDetails(popup, message.mediaItem);
+            }
+        });
+        if (activePopupUrls.delete(shownUrl)) {
+            activePopupUrls.add(message.mediaItem.url);
+        }
+    }
+    if (message.type === "showInterceptPrompt" && message.prompt) {
+        showInterceptPrompt(message.prompt);
+    }
     if (message.type === "closeAllPopups") {
         console.debug("[Content Script] Received closeAllPopups message. Clearing all popups.");
         const allPopups = document.querySelectorAll('.media-detector-popup-item');
@@ -0,0 +1,179 @@
+// history/history.js
+
+const historyListDiv = document.getElementById('historyList');
+const noHistoryMessage = document.getElementById('noHistoryMessage');
+const searchInput = document.getElementById('searchInput');
+const routeFilter = document.getElementById('routeFilter');
+const outcomeFilter = document.getElementById('outcomeFilter');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const messageBox = document.getElementById('messageBox');
+
+const HISTORY_STORAGE_KEY = 'downloadHistory';
+
+const ROUTE_LABELS = { nadeko: 'Nadeko~don', browser: 'Browser' };
+const OUTCOME_STYLES = {
+    sent: 'bg-green-100 text-green-700',
+    started: 'bg-blue-100 text-blue-700',
+    failed: 'bg-red-100 text-red-700'
+};
+
+let historyEntries = [];
+
+/**
+ * Displays a temporary message at the bottom of the page.
+ * @param {string} message - The message to display.
+ * @param {string} type - 'success', 'error', 'info' (optional, for styling)
+ */
+function showMessageBox(message, type = 'info') {
+    messageBox.textContent = message;
+    messageBox.classList.remove('hidden', 'bg-green-600', 'bg-red-600', 'bg-gray-800');
+    messageBox.classList.add('text-white', type === 'success' ? 'bg-green-600' : (type === 'error' ? 'bg-red-600' : 'bg-gray-800'));
+    setTimeout(() => messageBox.classList.add('hidden'), 2000);
+}
+
+/**
+ * Checks an entry against the search box and both filters.
+ * @param {object} entry - A history entry.
+ * @returns {boolean}
+ */
+function matchesFilters(entry) {
+    if (routeFilter.value && entry.route !== routeFilter.value) {
+        return false;
+    }
+    if (outcomeFilter.value && entry.outcome !== outcomeFilter.value) {
+        return false;
+    }
+    const query = searchInput.value.trim().toLowerCase();
+    if (!query) {
+        return true;
+    }
+    return [entry.filename, entry.url, entry.pageUrl, entry.pageTitle, entry.target]
+        .some(value => value && value.toLowerCase().includes(query));
+}
+
+/**
+ * Creates the list element for one history entry.
+ * @param {object} entry - A history entry.
+ * @returns {HTMLElement}
+ */
+function createHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'bg-white p-3 rounded-lg shadow-sm flex items-start justify-between text-sm break-all';
+    item.innerHTML = `
+        <div class="flex-grow pr-2">
+            <div class="flex items-center gap-2 mb-1">
+                <span class="entry-outcome text-xs font-semibold px-2 rounded"></span>
+                <span class="entry-route text-xs text-gray-500"></span>
+                <span class="entry-time text-xs text-gray-500"></span>
+            </div>
+            <span class="entry-filename block font-semibold"></span>
+            <a class="entry-url block text-xs text-blue-600 hover:underline" target="_blank" rel="noreferrer"></a>
+            <span class="entry-page block text-xs text-gray-500"></span>
+            <span class="entry-reason block text-xs text-gray-500 italic"></span>
+        </div>
+        <div class="flex-shrink-0 flex space-x-2">
+            <button class="resend-btn bg-green-500 hover:bg-green-600 text-white font-semibold py-1 px-2 rounded-md transition duration-150 ease-in-out">Re-send</button>
+            <button class="copy-btn bg-blue-500 hover:bg-blue-600 text-white font-semibold py-1 px-2 rounded-md transition duration-150 ease-in-out">Copy</button>
+            <button class="delete-btn bg-gray-200 hover:bg-gray-300 text-gray-700 font-semibold py-1 px-2 rounded-md transition duration-150 ease-in-out">✕</button>
+        </div>
+    `;
+
+    const outcome = item.querySelector('.entry-outcome');
+    outcome.textContent = entry.outcome;
+    outcome.className += ` ${OUTCOME_STYLES[entry.outcome] || 'bg-gray-100 text-gray-700'}`;
+    item.querySelector('.entry-route').textContent = `via ${ROUTE_LABELS[entry.route] || entry.route}${entry.target ? ` (${entry.target})` : ''}`;
+    item.querySelector('.entry-time').textContent = new Date(entry.timestamp).toLocaleString() + (entry.attempts > 1 ? ` (${entry.attempts} attempts)` : '');
+    item.querySelector('.entry-filename').textContent = entry.filename || '(no filename)';
+    const link = item.querySelector('.entry-url');
+    link.textContent = entry.url;
+    link.href = entry.url;
+    item.querySelector('.entry-page').textContent = entry.pageUrl ? `From: ${entry.pageTitle || entry.pageUrl}` : '';
+    item.querySelector('.entry-reason').textContent = entry.reason || '';
+
+    item.querySelector('.resend-btn').addEventListener('click', async () => {
+        try {
+            const response = await browser.runtime.sendMessage({ type: "resendHistoryEntry", entry: entry });
+            if (response && response.success) {
+                showMessageBox(response.queued ? 'Nadeko~don is down; queued until it is back.' : 'Sent to Nadeko!', response.queued ? 'info' : 'success');
+            } else {
+                showMessageBox(`Re-send failed: ${response?.error || 'Unknown error'}`, 'error');
+            }
+        } catch (error) {
+            showMessageBox(`Re-send failed: ${error.message}`, 'error');
+            console.error('[History] Error re-sending entry:', error);
+        }
+    });
+
+    item.querySelector('.copy-btn').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(entry.url);
+            showMessageBox('URL copied to clipboard!', 'success');
+        } catch (error) {
+            showMessageBox('Failed to copy URL.', 'error');
+            console.error('[History] Error copying to clipboard:', error);
+        }
+    });
+
+    item.querySelector('.delete-btn').addEventListener('click', () => {
+        browser.runtime.sendMessage({ type: "deleteHistoryEntry", id: entry.id }).catch(error => {
+            console.error('[History] Error deleting entry:', error);
+        });
+    });
+
+    return item;
+}
+
+/**
+ * Re-renders the list from historyEntries using the current search and filters.
+ */
+function renderHistory() {
+    historyListDiv.innerHTML = '';
+    const visibleEntries = historyEntries.filter(matchesFilters);
+    visibleEntries.forEach(entry => historyListDiv.appendChild(createHistoryItem(entry)));
+
+    if (visibleEntries.length === 0) {
+        noHistoryMessage.textContent = historyEntries.length === 0 ? 'Nothing here yet.' : 'No entries match the current filters.';
+        noHistoryMessage.classList.remove('hidden');
+    } else {
+        noHistoryMessage.classList.add('hidden');
+    }
+}
+
+/**
+ * Loads the history from the background script and renders it.
+ */
+async function loadHistory() {
+    try {
+        const response = await browser.runtime.sendMessage({ type: "getHistory" });
+        historyEntries = (response && response.entries) || [];
+    } catch (error) {
+        console.error('[History] Error loading history:', error);
+        historyEntries = [];
+    }
+    renderHistory();
+}
+
+// --- Event Listeners ---
+
+document.addEventListener('DOMContentLoaded', loadHistory);
+searchInput.addEventListener('input', renderHistory);
+routeFilter.addEventListener('change', renderHistory);
+outcomeFilter.addEventListener('change', renderHistory);
+
+clearHistoryBtn.addEventListener('click', async () => {
+    try {
+        await browser.runtime.sendMessage({ type: "clearHistory" });
+        showMessageBox('History cleared.', 'info');
+    } catch (error) {
+        showMessageBox(`Error clearing history: ${error.message}`, 'error');
+        console.error('[History] Error clearing history:', error);
+    }
+});
+
+// Keep the page live while downloads happen in the background.
+browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+        historyEntries = changes[HISTORY_STORAGE_KEY].newValue || [];
+        renderHistory();
+    }
+});
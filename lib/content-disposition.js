@@ -0,0 +1,166 @@
+// lib/content-disposition.js - Parses Content-Disposition headers (RFC 6266) and their extended parameters (RFC 5987/8187)
+
+/**
+ * Decodes percent-escapes into bytes; other characters are taken as single bytes.
+ * @param {string} text
+ * @returns {Uint8Array | null} - The bytes, or null if the text holds characters that aren't bytes.
+ */
+function percentDecodeBytes(text) {
+    const bytes = [];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '%' && /^[0-9a-f]{2}$/i.test(text.substr(i + 1, 2))) {
+            bytes.push(parseInt(text.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            const code = text.charCodeAt(i);
+            if (code > 0xff) {
+                return null;
+            }
+            bytes.push(code);
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Decodes bytes in a given charset, rejecting malformed input.
+ * @param {Uint8Array} bytes
+ * @param {string} charset - A charset label, e.g. "UTF-8" or "ISO-8859-1".
+ * @returns {string | null} - The text, or null if the charset is unknown or the bytes aren't valid in it.
+ */
+function decodeCharset(bytes, charset) {
+    try {
+        return new TextDecoder(charset.trim().toLowerCase(), { fatal: true }).decode(bytes);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Decodes an RFC 5987 extended value: `charset'language'percent-encoded-text`.
+ * Values wrongly sent as quoted strings are accepted as well.
+ * @param {string} value - The raw parameter value.
+ * @returns {{value: string, language: string | null} | null} - Null if the value is malformed or the charset unsupported.
+ */
+function decodeExtendedValue(value) {
+    const match = /^([^']*)'([^']*)'(.*)$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    const bytes = percentDecodeBytes(match[3]);
+    const decoded = bytes && decodeCharset(bytes, match[1] || 'utf-8');
+    return decoded === null ? null : { value: decoded, language: match[2] || null };
+}
+
+/**
+ * Repairs a plain `filename` value. Servers put raw UTF-8 into the header (which reaches us as one character per byte)
+ * or percent-encode it; both are decoded when the result is valid UTF-8, as browsers do.
+ * @param {string} value
+ * @returns {string}
+ */
+function decodePlainFilename(value) {
+    if (/[\u0080-\u00ff]/.test(value) && !/[^\u0000-\u00ff]/.test(value)) {
+        const decoded = decodeCharset(percentDecodeBytes(value.replace(/%/g, '%25')), 'utf-8');
+        if (decoded !== null) {
+            return decoded;
+        }
+    }
+    if (/%[0-9a-f]{2}/i.test(value)) {
+        const bytes = percentDecodeBytes(value);
+        const decoded = bytes && decodeCharset(bytes, 'utf-8');
+        if (decoded !== null) {
+            return decoded;
+        }
+    }
+    return value;
+}
+
+/**
+ * Reduces a suggested filename to its last path segment, as RFC 6266 section 4.3 asks, and trims it.
+ * @param {string} filename
+ * @returns {string | null} - Null if nothing usable is left.
+ */
+function cleanDispositionFilename(filename) {
+    const name = filename.split(/[/\\]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    return name && name !== '.' && name !== '..' ? name : null;
+}
+
+/**
+ * Parses a Content-Disposition header value.
+ * Parameter names are case-insensitive; quoted strings may contain escaped characters and semicolons;
+ * of parameters given twice, the first counts. Malformed parts are skipped rather than failing the whole header.
+ * @param {string | null} header - e.g. `attachment; filename="a.mp4"; filename*=UTF-8''%C3%A4.mp4`
+ * @returns {{type: string | null, parameters: Object<string, string>, filename: string | null}}
+ *          - The lower-cased disposition type, the raw (unquoted) parameters keyed by lower-cased name,
+ *            and the suggested filename: `filename*` if it decodes, otherwise `filename`, otherwise null.
+ */
+function parseContentDisposition(header) {
+    const result = { type: null, parameters: {}, filename: null };
+    if (!header) {
+        return result;
+    }
+
+    let position = 0;
+    const skipWhitespace = () => {
+        while (position < header.length && /[ \t]/.test(header[position])) {
+            position++;
+        }
+    };
+    const readUntil = (stopCharacters) => {
+        const start = position;
+        while (position < header.length && !stopCharacters.includes(header[position])) {
+            position++;
+        }
+        return header.slice(start, position).trim();
+    };
+
+    skipWhitespace();
+    // Some servers omit the type and start with the parameters
+    if (!/^[^;=]*=/.test(header.slice(position))) {
+        const type = readUntil(';').toLowerCase();
+        result.type = type || null;
+    }
+
+    while (position < header.length) {
+        if (header[position] === ';') {
+            position++;
+        }
+        skipWhitespace();
+        const name = readUntil('=;').toLowerCase();
+        if (header[position] !== '=') {
+            continue; // A stray token or an empty segment
+        }
+        position++;
+        skipWhitespace();
+
+        let value;
+        if (header[position] === '"') {
+            position++;
+            value = '';
+            while (position < header.length && header[position] !== '"') {
+                if (header[position] === '\\' && position + 1 < header.length) {
+                    position++;
+                }
+                value += header[position];
+                position++;
+            }
+            position++; // The closing quote, if any
+            readUntil(';'); // Anything after the closing quote is junk
+        } else {
+            value = readUntil(';');
+        }
+
+        if (name && !(name in result.parameters)) {
+            result.parameters[name] = value;
+        }
+    }
+
+    const extended = 'filename*' in result.parameters ? decodeExtendedValue(result.parameters['filename*']) : null;
+    if (extended) {
+        result.filename = cleanDispositionFilename(extended.value);
+    }
+    if (!result.filename && 'filename' in result.parameters) {
+        result.filename = cleanDispositionFilename(decodePlainFilename(result.parameters.filename));
+    }
+    return result;
+}
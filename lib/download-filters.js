@@ -0,0 +1,205 @@
+// lib/download-filters.js - Size and MIME type thresholds applied before a browser download is intercepted
+
+// Defaults used until the user saves their own thresholds in the config window.
+const DEFAULT_INTERCEPT_THRESHOLDS = {
+    minSize: 0,                  // Bytes; downloads with a known Content-Length below this are not intercepted
+    includeTypes: [],            // Extra MIME patterns to intercept on top of the built-in list
+    excludeTypes: [],            // MIME patterns that are never intercepted
+    belowThresholdAction: 'browser' // 'browser' to let the browser download small files, 'ask' to ask the user
+};
+
+/**
+ * Formats a byte count as a short human-readable size.
+ * @param {number | null} bytes
+ * @returns {string} - e.g. "40 KB", "1.5 GB", or "Unknown size".
+ */
+function formatFileSize(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) {
+        return 'Unknown size';
+    }
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 || value >= 10 ? Math.round(value) : value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+/**
+ * Extracts the bare, lower-cased MIME type from a Content-Type header value.
+ * @param {string | null} contentType - e.g. "Application/PDF; charset=binary"
+ * @returns {string} - e.g. "application/pdf", or an empty string.
+ */
+function bareMimeType(contentType) {
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Checks a MIME type against a pattern. Patterns are exact types (`application/pdf`)
+ * or wildcards on the subtype (`video/*`).
+ * @param {string} mimeType - A bare MIME type.
+ * @param {string} pattern - The pattern to test.
+ * @returns {boolean}
+ */
+function mimeTypeMatches(mimeType, pattern) {
+    const normalized = pattern.trim().toLowerCase();
+    if (!normalized || !mimeType) {
+        return false;
+    }
+    if (normalized.endsWith('/*')) {
+        return mimeType.startsWith(normalized.slice(0, -1));
+    }
+    return mimeType === normalized;
+}
+
+/**
+ * Checks whether a MIME type is file content rather than a page, data or script a site loads for itself.
+ * @param {string} mimeType - A bare MIME type; empty if the server sent none.
+ * @returns {boolean}
+ */
+function isFileMimeType(mimeType) {
+    if (!mimeType || mimeType.startsWith('text/') || mimeType === 'application/xhtml+xml') {
+        return false;
+    }
+    if (mimeType.includes('dash+xml')) {
+        return true;
+    }
+    return !/^application\/(json|xml|javascript|ecmascript|x-javascript|x-www-form-urlencoded)$|[+/](json|xml)$/.test(mimeType);
+}
+
+/**
+ * Parses a user-entered list of MIME patterns separated by commas or new lines.
+ * @param {string} text
+ * @returns {string[]} - Trimmed, lower-cased patterns without empties or duplicates.
+ */
+function parseMimeTypeList(text) {
+    const patterns = (text || '').split(/[\s,]+/).map(pattern => pattern.trim().toLowerCase()).filter(Boolean);
+    return Array.from(new Set(patterns));
+}
+
+/**
+ * Checks if a pattern looks like a MIME type or subtype wildcard.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isValidMimePattern(pattern) {
+    return /^[a-z0-9!#$&^_.+-]+\/([a-z0-9!#$&^_.+-]+|\*)$/.test(pattern);
+}
+
+/**
+ * Decides what to do with a response that looks like a download.
+ * The exclude list always wins; the size threshold only applies when the server sent a Content-Length.
+ * @param {string | null} contentType - The Content-Type header.
+ * @param {number | null} contentLength - The Content-Length header, parsed.
+ * @param {{minSize: number, excludeTypes: string[], belowThresholdAction: string}} thresholds
+ * @returns {'intercept' | 'skip' | 'ask'}
+ */
+function evaluateDownloadThresholds(contentType, contentLength, thresholds) {
+    const mimeType = bareMimeType(contentType);
+    if (thresholds.excludeTypes.some(pattern => mimeTypeMatches(mimeType, pattern))) {
+        return 'skip';
+    }
+    if (Number.isFinite(contentLength) && contentLength < thresholds.minSize) {
+        return thresholds.belowThresholdAction === 'ask' ? 'ask' : 'skip';
+    }
+    return 'intercept';
+}
+
+/**
+ * Decides what to do with a response the browser may be about to download (webRequest.onHeadersReceived).
+ * Only successful responses with a body can be downloads. Attachments, common archive/document types, the user's
+ * extra MIME types, and video/audio loaded as a page count as downloads; those must then pass the thresholds. Sites
+ * with an 'always-intercept' rule also hand over every other file (see isFileMimeType), but no pages, data or redirects,
+ * and skip the thresholds and the prompt; 'send-without-asking' sites only skip the prompt, 'route' rules change
+ * nothing here, and the other site rules leave downloads to the browser.
+ * @param {{url: string, type: string, statusCode?: number, responseHeaders: Array<{name: string, value: string}>}} details - The webRequest details.
+ * @param {{action: string} | null} siteRule - The site rule matching the request, if any (see findActionSiteRule).
+ * @param {{minSize: number, includeTypes: string[], excludeTypes: string[], belowThresholdAction: string}} thresholds
+ * @param {boolean} askBeforeSending - Whether downloads passing the thresholds are put to the user first.
+ * @returns {{decision: 'none' | 'skip' | 'ask' | 'intercept', contentType: string | null, contentDisposition: string | null, contentLength: number | null}}
+ *          - 'none' if the response is not a download at all.
+ */
+function evaluateDownloadResponse(details, siteRule, thresholds, askBeforeSending) {
+    if (siteRule && (siteRule.action === 'route' || siteRule.action === 'send-without-asking')) {
+        askBeforeSending = askBeforeSending && siteRule.action === 'route';
+        siteRule = null;
+    }
+    if (siteRule && siteRule.action !== 'always-intercept') {
+        // 'never-intercept', 'detect-only' and 'ignore' all leave downloads to the browser
+        return { decision: 'none', contentType: null, contentDisposition: null, contentLength: null };
+    }
+
+    let isDownload = false;
+    let contentType = null;
+    let contentDisposition = null;
+    let contentLength = null; // Get content length if available
+
+    for (const header of details.responseHeaders) {
+        const headerName = header.name.toLowerCase();
+        if (headerName === 'content-disposition') {
+            contentDisposition = header.value;
+            if (header.value.toLowerCase().includes('attachment')) {
+                isDownload = true; // Force download if content-disposition is attachment
+                // We don't break here, in case content-type is also needed
+            }
+        } else if (headerName === 'content-type') {
+            contentType = header.value;
+        } else if (headerName === 'content-length') {
+            contentLength = parseInt(header.value, 10);
+        }
+    }
+
+    const mimeType = bareMimeType(contentType);
+
+    // Redirects, "no content", revalidations and errors have nothing to download
+    const status = details.statusCode;
+    if ((Number.isFinite(status) && (status < 200 || status >= 300 || status === 204 || status === 205)) || contentLength === 0) {
+        return { decision: 'none', contentType, contentDisposition, contentLength };
+    }
+
+    // 'always-intercept' sites hand over every file, but not their pages, API responses or scripts
+    if (siteRule && !isDownload) {
+        isDownload = isFileMimeType(mimeType);
+    }
+
+    // Heuristic for making something a download even if content-disposition isn't 'attachment'
+    if (!isDownload && contentType) {
+        // List of common downloadable file types
+        const downloadableContentTypes = [
+            'application/octet-stream', 'application/zip', 'application/x-rar-compressed',
+            'application/x-tar', 'application/gzip', 'application/pdf',
+            // Also consider direct video/audio loads in main frame as potential downloads
+            // if they are not explicitly inline.
+        ];
+
+        if (downloadableContentTypes.includes(mimeType) || thresholds.includeTypes.some(pattern => mimeTypeMatches(mimeType, pattern))) {
+            if (!contentDisposition || !contentDisposition.toLowerCase().includes('inline')) {
+                isDownload = true;
+            }
+        } else if (contentType.startsWith('video/') || contentType.startsWith('audio/')) {
+            // If it's a video/audio content type and it's being loaded in the main frame
+            // AND not explicitly inline, treat as potential download.
+            // This is typically how fragmented pieces get loaded.
+            if (details.type === 'main_frame' && (!contentDisposition || !contentDisposition.toLowerCase().includes('inline'))) {
+                isDownload = true; // Treat as download if large video/audio in main frame
+            }
+        }
+        // Explicitly handle manifest types if they somehow trigger a download, though rare
+        else if (contentType.includes('mpegurl') || contentType.includes('dash+xml')) {
+            isDownload = true; // If a manifest itself is downloaded, treat it as a download
+        }
+    }
+
+    if (!isDownload) {
+        return { decision: 'none', contentType, contentDisposition, contentLength };
+    }
+
+    // 'always-intercept' sites skip the thresholds and the prompt; everything else must pass them
+    let decision = siteRule ? 'intercept' : evaluateDownloadThresholds(contentType, contentLength, thresholds);
+    if (decision === 'intercept' && askBeforeSending && !siteRule) {
+        decision = 'ask';
+    }
+    return { decision, contentType, contentDisposition, contentLength };
+}
@@ -0,0 +1,52 @@
+// lib/extractors/reddit.js - Videos of Reddit posts (v.redd.it), from the post's JSON
+
+registerSiteExtractor({
+    id: 'reddit',
+    name: 'Reddit',
+
+    /**
+     * Post pages (/r/<sub>/comments/<id>/..., /comments/<id>, /user/<name>/comments/<id>) and redd.it short links.
+     * @param {URL} url
+     * @returns {string | null}
+     */
+    resolve(url) {
+        let postId = null;
+        if (hostMatchesDomain(url.hostname, ['reddit.com'])) {
+            const match = /^\/(?:(?:r|u|user)\/[^/]+\/)?comments\/([a-z0-9]+)(?:\/|$)/i.exec(url.pathname);
+            postId = match ? match[1] : null;
+        } else if (url.hostname === 'redd.it') {
+            const match = /^\/([a-z0-9]+)\/?$/i.exec(url.pathname);
+            postId = match ? match[1] : null;
+        }
+        // raw_json=1 keeps "&" in the media URLs from being HTML-escaped
+        return postId ? `https://www.reddit.com/comments/${postId.toLowerCase()}.json?raw_json=1` : null;
+    },
+
+    /**
+     * @param {Array<object> | object} data - The post listing, alone or followed by the comments listing as Reddit sends it.
+     * @returns {Array<ExtractedMedia>}
+     */
+    extract(data) {
+        const listing = Array.isArray(data) ? data[0] : data;
+        const post = listing.data.children[0].data;
+        // Crossposts carry the video of the original post
+        const source = post.crosspost_parent_list && post.crosspost_parent_list.length > 0 ? post.crosspost_parent_list[0] : post;
+        const video = (source.secure_media && source.secure_media.reddit_video) ||
+            (source.media && source.media.reddit_video) ||
+            (source.preview && source.preview.reddit_video_preview);
+        if (!video) {
+            return [];
+        }
+
+        const previewImage = source.preview && source.preview.images && source.preview.images[0];
+        return [{
+            // The playlists have the audio; the fallback MP4 is video only
+            url: video.dash_url || video.hls_url || video.fallback_url,
+            title: post.title,
+            duration: video.duration,
+            width: video.width,
+            height: video.height,
+            thumbnail: previewImage && previewImage.source ? previewImage.source.url : source.thumbnail
+        }];
+    }
+});
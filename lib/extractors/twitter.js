@@ -0,0 +1,65 @@
+// lib/extractors/twitter.js - Videos and GIFs of posts on X (Twitter), from the public embed data
+
+/**
+ * Computes the token the embed data endpoint expects for a post ID, the way the embed widget does.
+ * @param {string} postId
+ * @returns {string}
+ */
+function twitterSyndicationToken(postId) {
+    return ((Number(postId) / 1e15) * Math.PI).toString(36).replace(/(0+|\.)/g, '');
+}
+
+registerSiteExtractor({
+    id: 'twitter',
+    name: 'X (Twitter)',
+
+    /**
+     * Post pages (/<user>/status/<id>, /i/status/<id>, /i/web/status/<id>) and embedded posts.
+     * @param {URL} url
+     * @returns {string | null}
+     */
+    resolve(url) {
+        let postId = null;
+        if (url.hostname === 'platform.twitter.com' && url.pathname.startsWith('/embed/')) {
+            postId = url.searchParams.get('id');
+        } else if (hostMatchesDomain(url.hostname, ['twitter.com', 'x.com'])) {
+            const match = /^\/(?:[^/]+|i(?:\/web)?)\/status(?:es)?\/(\d+)/.exec(url.pathname);
+            postId = match ? match[1] : null;
+        }
+        if (!postId || !/^\d+$/.test(postId)) {
+            return null;
+        }
+        return `https://cdn.syndication.twimg.com/tweet-result?id=${postId}&lang=en&token=${twitterSyndicationToken(postId)}`;
+    },
+
+    /**
+     * @param {object} data - The embed data of the post.
+     * @returns {Array<ExtractedMedia>}
+     */
+    extract(data) {
+        const videos = (data.mediaDetails || []).filter(media => (media.type === 'video' || media.type === 'animated_gif') && media.video_info);
+        // Links to the media itself end up in the text; they make poor titles
+        const text = (data.text || '').replace(/https:\/\/t\.co\/\S+/g, '').trim();
+        const author = data.user ? data.user.name || data.user.screen_name : null;
+        const title = [author, text].filter(Boolean).join(' - ').slice(0, 100);
+
+        return videos.map((media, index) => {
+            // The MP4s have video and audio in one file; take the one with the highest bitrate
+            const best = media.video_info.variants
+                .filter(variant => variant.content_type === 'video/mp4')
+                .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))[0];
+            if (!best) {
+                return null;
+            }
+            const size = /\/(\d+)x(\d+)\//.exec(best.url);
+            return {
+                url: best.url,
+                title: videos.length > 1 ? `${title} (${index + 1})` : title,
+                duration: media.video_info.duration_millis / 1000,
+                width: size ? parseInt(size[1], 10) : undefined,
+                height: size ? parseInt(size[2], 10) : undefined,
+                thumbnail: media.media_url_https
+            };
+        }).filter(Boolean);
+    }
+});
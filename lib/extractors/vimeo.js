@@ -0,0 +1,66 @@
+// lib/extractors/vimeo.js - Vimeo videos, from the player configuration
+
+/**
+ * Picks the URL of a Vimeo stream from its CDN list, preferring the CDN the player would use.
+ * @param {{default_cdn?: string, cdns?: Object<string, {url: string}>} | undefined} stream - `request.files.hls` or `.dash`.
+ * @returns {string | null}
+ */
+function vimeoStreamUrl(stream) {
+    if (!stream || !stream.cdns) {
+        return null;
+    }
+    const cdn = stream.cdns[stream.default_cdn] || Object.values(stream.cdns)[0];
+    return cdn ? cdn.url : null;
+}
+
+registerSiteExtractor({
+    id: 'vimeo',
+    name: 'Vimeo',
+
+    /**
+     * Video pages (vimeo.com/<id>, and under channels, groups and showcases) and the embedded player
+     * (player.vimeo.com/video/<id>). Unlisted videos carry a hash that the configuration needs as well.
+     * @param {URL} url
+     * @returns {string | null}
+     */
+    resolve(url) {
+        let match = null;
+        let hash = url.searchParams.get('h');
+        if (url.hostname === 'player.vimeo.com') {
+            match = /^\/video\/(\d+)(?:\/|$)/.exec(url.pathname);
+        } else if (hostMatchesDomain(url.hostname, ['vimeo.com'])) {
+            match = /^\/(?:channels\/[^/]+\/|groups\/[^/]+\/videos\/|showcase\/[^/]+\/video\/)?(\d+)(?:\/([0-9a-f]+))?\/?$/.exec(url.pathname);
+            hash = hash || (match && match[2]) || null;
+        }
+        if (!match) {
+            return null;
+        }
+        return `https://player.vimeo.com/video/${match[1]}/config${hash ? `?h=${encodeURIComponent(hash)}` : ''}`;
+    },
+
+    /**
+     * @param {object} data - The player configuration.
+     * @returns {Array<ExtractedMedia>}
+     */
+    extract(data) {
+        const files = data.request.files;
+        const video = data.video;
+        const progressive = (files.progressive || []).slice().sort((a, b) => (b.height || 0) - (a.height || 0))[0];
+        // The HLS playlist has every quality with its audio; older or smaller videos may only have MP4s
+        const url = vimeoStreamUrl(files.hls) || (progressive && progressive.url) || vimeoStreamUrl(files.dash);
+        if (!url) {
+            return [];
+        }
+
+        const thumbs = video.thumbs || {};
+        const largestThumb = Object.keys(thumbs).filter(key => /^\d+$/.test(key)).sort((a, b) => b - a)[0];
+        return [{
+            url: url,
+            title: video.title,
+            duration: video.duration,
+            width: video.width,
+            height: video.height,
+            thumbnail: largestThumb ? thumbs[largestThumb] : thumbs.base
+        }];
+    }
+});
@@ -0,0 +1,179 @@
+// lib/filenames.js - Derives and sanitises the filenames suggested to Nadeko~don and the browser
+
+/**
+ * Sanitizes a string to be a valid filename.
+ * @param {string} filename - The original filename.
+ * @returns {string} - The sanitized filename.
+ */
+function sanitizeFilenameCharacters(filename) {
+    const lastDotIndex = filename.lastIndexOf('.');
+    let namePart = filename;
+    let extPart = '';
+
+    if (lastDotIndex > 0) {
+        namePart = filename.substring(0, lastDotIndex);
+        extPart = filename.substring(lastDotIndex);
+    }
+
+    namePart = namePart.replace(/[/?%*:|"<>\\/]/g, '_');
+    namePart = namePart.replace(/^\.+|\.+$/g, '').trim();
+
+    let cleanedFilename = namePart + extPart;
+
+    const MAX_LENGTH = 200;
+    if (cleanedFilename.length > MAX_LENGTH) {
+        if (lastDotIndex > 0) {
+            const originalNameLength = namePart.length;
+            const originalExtLength = extPart.length;
+            const availableNameLength = MAX_LENGTH - originalExtLength;
+
+            if (availableNameLength > 0) {
+                cleanedFilename = namePart.substring(0, availableNameLength) + extPart;
+            } else {
+                cleanedFilename = extPart.substring(0, MAX_LENGTH);
+            }
+        } else {
+            cleanedFilename = cleanedFilename.substring(0, MAX_LENGTH);
+        }
+    }
+
+    if (cleanedFilename.length === 0) {
+        return 'downloaded_file';
+    }
+
+    return cleanedFilename;
+}
+
+/**
+ * Derives a suitable filename from a URL, Content-Type, and Content-Disposition.
+ * @param {string} url - The original URL.
+ * @param {string | null} contentType - The Content-Type header.
+ * @param {string | null} contentDisposition - The Content-Disposition header.
+ * @returns {string} - The derived filename.
+ */
+function deriveFilename(url, contentType, contentDisposition) {
+    let filename = '';
+
+    if (contentDisposition) {
+        filename = parseContentDisposition(contentDisposition).filename || '';
+    }
+
+    if (!filename) {
+        try {
+            const urlObj = new URL(url);
+            filename = urlObj.pathname.split('/').pop() || 'unknown';
+            filename = filename.split('?')[0].split('#')[0];
+        } catch (e) {
+            console.warn(`[Filenames] Failed to parse URL for filename: ${url}`, e);
+            filename = 'unknown_file';
+        }
+    }
+
+    let fileExtension = '';
+    if (contentType) {
+        const typeParts = contentType.split('/');
+        if (typeParts.length > 1) {
+            fileExtension = typeParts[1].toLowerCase().split(';')[0];
+            if (fileExtension === 'jpeg') fileExtension = 'jpg';
+            if (fileExtension === 'x-mpegurl') fileExtension = 'm3u8';
+            if (fileExtension === 'vnd.apple.mpegurl') fileExtension = 'm3u8';
+            if (fileExtension === 'dash+xml') fileExtension = 'mpd';
+            if (fileExtension === 'octet-stream' && (url.includes('.bin') || url.includes('.dat'))) fileExtension = 'bin'; // Added .dat
+            if (fileExtension === 'octet-stream' && url.includes('.ts')) fileExtension = 'ts';
+            if (fileExtension === 'mp4a-latm') fileExtension = 'aac';
+        }
+    }
+
+    const currentExt = filename.includes('.') ? filename.split('.').pop() : '';
+
+    if (fileExtension && currentExt.toLowerCase() !== fileExtension) {
+        const mediaExtensions = ['mp4', 'webm', 'ogg', 'mp3', 'wav', 'flac', 'aac', 'avi', 'mov', 'mkv', 'wmv', 'gif', 'jpg', 'jpeg', 'png', 'svg', 'webp', 'm3u8', 'mpd', 'ts', 'bin', 'dat']; // Added .dat
+        if (!mediaExtensions.includes(currentExt.toLowerCase())) {
+            filename = `${filename}.${fileExtension}`;
+        }
+    }
+
+    filename = sanitizeFilenameCharacters(filename);
+
+    if (filename === 'downloaded_file' && fileExtension) {
+        filename = `downloaded_file.${fileExtension}`;
+    } else if (filename === 'unknown_file' && fileExtension) {
+         filename = `unknown_file.${fileExtension}`;
+    } else if (filename === 'unknown' && fileExtension) {
+         filename = `unknown.${fileExtension}`;
+    }
+    else if (filename === '' && fileExtension) {
+        filename = `media_file.${fileExtension}`;
+    } else if (filename === '') {
+        filename = 'media_file';
+    }
+
+    return filename;
+}
+
+// Placeholders of filename templates (the filenameTemplate setting)
+const FILENAME_TEMPLATE_FIELDS = ['title', 'site', 'date', 'quality', 'ext', 'index'];
+
+/**
+ * Checks a filename template for unknown placeholders.
+ * @param {string} template - e.g. "{site} - {title} [{quality}].{ext}"
+ * @returns {string | null} - An error message, or null if the template is valid.
+ */
+function findFilenameTemplateError(template) {
+    const unknown = (template.match(/\{[^{}]*\}/g) || []).find(placeholder => !FILENAME_TEMPLATE_FIELDS.includes(placeholder.slice(1, -1)));
+    if (unknown) {
+        return `${unknown} is not a placeholder (use ${FILENAME_TEMPLATE_FIELDS.map(field => `{${field}}`).join(', ')})`;
+    }
+    return /[/\\]/.test(template) ? 'must not contain folders' : null;
+}
+
+/**
+ * Makes a value safe to put into a filename: no control or private-use characters (see renderFilenameTemplate)
+ * or path separators, whitespace collapsed.
+ * @param {*} value
+ * @returns {string}
+ */
+function cleanTemplateValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value).replace(/\s+/g, ' ').replace(/[\u0000-\u001f\u007f\ue000-\uf8ff]/g, '').replace(/[/\\]/g, '_').trim();
+}
+
+/**
+ * Fills a filename template. Placeholders without a value are left out together with the separators and brackets
+ * around them, so "{title} [{quality}]" becomes "Title" rather than "Title []" when the quality is unknown.
+ * The extension is appended if the template has no {ext}.
+ * @param {string} template
+ * @param {{title?: string, site?: string, date?: string, quality?: string, ext?: string, index?: number | string}} fields
+ * @returns {string | null} - The sanitized filename, or null if the template yields no name.
+ */
+function renderFilenameTemplate(template, fields) {
+    const ext = cleanTemplateValue(fields.ext).replace(/^\.+/, '');
+    // A trailing ".{ext}" is added back after the clean-up, which must not eat its dot
+    let body = template.trim();
+    const appendExt = /\.\{ext\}$/.test(body) || !body.includes('{ext}');
+    body = body.replace(/\.\{ext\}$/, '');
+
+    // Values are swapped for markers while the template's own separators are tidied, so the values stay untouched
+    const values = [];
+    body = body.replace(/\{(\w+)\}/g, (match, field) => {
+        const value = field === 'ext' ? ext : cleanTemplateValue(fields[field]);
+        if (!value) {
+            return '';
+        }
+        values.push(value);
+        return String.fromCharCode(0xe000 + values.length - 1);
+    });
+    body = body
+        .replace(/\(\s*\)|\[\s*\]/g, '')
+        .replace(/(\s*[-_,.|]\s*)(?:[-_,.|]\s*)+/g, '$1')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s\-_,.|]+|[\s\-_,.|]+$/g, '')
+        .replace(/[\ue000-\uf8ff]/g, marker => values[marker.charCodeAt(0) - 0xe000]);
+
+    if (!body) {
+        return null;
+    }
+    return sanitizeFilenameCharacters(appendExt && ext ? `${body}.${ext}` : body);
+}
@@ -0,0 +1,50 @@
+// lib/lru-cache.js - A Map with a size limit that evicts the least recently used entries first
+
+/**
+ * Creates a cache holding at most `maxEntries` entries. Reading an entry with get() makes it the most recently
+ * used one; adding an entry beyond the limit evicts the entry that was used longest ago.
+ * @param {number} maxEntries - A positive integer.
+ * @returns {{get: function(*): *, set: function(*, *): void, has: function(*): boolean, delete: function(*): boolean, clear: function(): void, keys: function(): Iterator, size: number}}
+ */
+function createLruCache(maxEntries) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new Error(`LRU cache size must be a positive integer, got ${maxEntries}.`);
+    }
+    // A Map iterates in insertion order, so re-inserting an entry on use keeps the least recently used one first
+    const entries = new Map();
+    return {
+        get(key) {
+            if (!entries.has(key)) {
+                return undefined;
+            }
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, value);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        // Does not count as a use
+        has(key) {
+            return entries.has(key);
+        },
+        delete(key) {
+            return entries.delete(key);
+        },
+        clear() {
+            entries.clear();
+        },
+        // From the least to the most recently used
+        keys() {
+            return entries.keys();
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
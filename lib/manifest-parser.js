@@ -0,0 +1,332 @@
+// lib/manifest-parser.js - Parses HLS master playlists and DASH MPDs into a list of selectable variants
+
+/**
+ * Resolves a possibly relative URL against a base URL.
+ * @param {string} url - The URL as written in the manifest.
+ * @param {string} baseUrl - The URL the manifest was loaded from.
+ * @returns {string} - The absolute URL, or the input unchanged if it cannot be resolved.
+ */
+function resolveManifestUrl(url, baseUrl) {
+    try {
+        return new URL(url, baseUrl).toString();
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Formats a bitrate in bits per second as a short human-readable string.
+ * @param {number | null} bandwidth - Bitrate in bits per second.
+ * @returns {string} - e.g. "5.2 Mbps", "128 kbps" or an empty string.
+ */
+function formatBitrate(bandwidth) {
+    if (!bandwidth) {
+        return '';
+    }
+    if (bandwidth >= 1000000) {
+        return `${(bandwidth / 1000000).toFixed(1)} Mbps`;
+    }
+    return `${Math.round(bandwidth / 1000)} kbps`;
+}
+
+/**
+ * Builds the label shown in the popup's quality dropdown for a variant.
+ * @param {{width: number | null, height: number | null, bandwidth: number | null, codecs: string | null, frameRate: number | null, videoOnly?: boolean}} variant
+ * @returns {string} - e.g. "1920x1080 · 60fps · 5.2 Mbps · avc1", with "video only" added if the audio is separate.
+ */
+function describeVariant(variant) {
+    const parts = [];
+    if (variant.width && variant.height) {
+        parts.push(`${variant.width}x${variant.height}`);
+    } else if (variant.height) {
+        parts.push(`${variant.height}p`);
+    }
+    if (variant.frameRate && variant.frameRate > 30) {
+        parts.push(`${Math.round(variant.frameRate)}fps`);
+    }
+    const bitrate = formatBitrate(variant.bandwidth);
+    if (bitrate) {
+        parts.push(bitrate);
+    }
+    if (variant.codecs) {
+        // Only the codec family is interesting to the user, not the profile/level suffix.
+        parts.push(variant.codecs.split(',').map(codec => codec.trim().split('.')[0]).join('+'));
+    }
+    if (variant.videoOnly) {
+        // Sending the variant alone gets a silent video; the whole manifest keeps the audio
+        parts.push('video only');
+    }
+    return parts.join(' · ') || 'Unknown quality';
+}
+
+//=============================================================
+//========================{HLS}================================
+//=============================================================
+
+/**
+ * Parses the attribute list of an HLS tag, e.g. `BANDWIDTH=1280000,CODECS="avc1.4d401e,mp4a.40.2"`.
+ * Quoted values may contain commas, so a plain split is not enough.
+ * @param {string} attributeList - Everything after the `#EXT-X-...:` prefix.
+ * @returns {Object<string, string>} - Attribute names mapped to their unquoted values.
+ */
+function parseHlsAttributes(attributeList) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(attributeList)) !== null) {
+        let value = match[2];
+        if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
+        }
+        attributes[match[1]] = value;
+    }
+    return attributes;
+}
+
+/**
+ * Parses an HLS playlist. Media playlists (segment lists) yield no variants.
+ * @param {string} text - The playlist body.
+ * @param {string} baseUrl - The URL the playlist was loaded from, used to resolve relative URIs.
+ * @returns {{type: 'hls', isMaster: boolean, variants: Array<object>, audioTracks: Array<object>, subtitleTracks: Array<object>}}
+ */
+function parseHlsPlaylist(text, baseUrl) {
+    const result = { type: 'hls', isMaster: false, variants: [], audioTracks: [], subtitleTracks: [] };
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    let pendingStreamInf = null;
+
+    for (const line of lines) {
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            pendingStreamInf = parseHlsAttributes(line.substring('#EXT-X-STREAM-INF:'.length));
+        } else if (line.startsWith('#EXT-X-MEDIA:')) {
+            const attributes = parseHlsAttributes(line.substring('#EXT-X-MEDIA:'.length));
+            const rendition = {
+                groupId: attributes['GROUP-ID'] || null,
+                name: attributes.NAME || attributes.LANGUAGE || 'Unnamed',
+                language: attributes.LANGUAGE || null,
+                isDefault: attributes.DEFAULT === 'YES',
+                url: attributes.URI ? resolveManifestUrl(attributes.URI, baseUrl) : null
+            };
+            if (attributes.TYPE === 'AUDIO') {
+                result.audioTracks.push(rendition);
+            } else if (attributes.TYPE === 'SUBTITLES') {
+                result.subtitleTracks.push(rendition);
+            }
+        } else if (!line.startsWith('#') && pendingStreamInf) {
+            const resolution = /^(\d+)x(\d+)$/.exec(pendingStreamInf.RESOLUTION || '');
+            const variant = {
+                id: `hls-${result.variants.length}`,
+                url: resolveManifestUrl(line, baseUrl),
+                bandwidth: parseInt(pendingStreamInf.BANDWIDTH, 10) || null,
+                width: resolution ? parseInt(resolution[1], 10) : null,
+                height: resolution ? parseInt(resolution[2], 10) : null,
+                frameRate: parseFloat(pendingStreamInf['FRAME-RATE']) || null,
+                codecs: pendingStreamInf.CODECS || null,
+                audioGroup: pendingStreamInf.AUDIO || null,
+                subtitleGroup: pendingStreamInf.SUBTITLES || null
+            };
+            result.variants.push(variant);
+            pendingStreamInf = null;
+        }
+    }
+
+    for (const variant of result.variants) {
+        // A rendition without a URI is carried in the variant stream itself; if every rendition of the group has
+        // one, the variant has no audio of its own
+        const audioGroup = result.audioTracks.filter(track => track.groupId === variant.audioGroup);
+        variant.videoOnly = audioGroup.length > 0 && audioGroup.every(track => track.url);
+        variant.label = describeVariant(variant);
+    }
+    result.isMaster = result.variants.length > 0;
+    result.variants.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0));
+    return result;
+}
+
+//=============================================================
+//========================{DASH}===============================
+//=============================================================
+
+// Codecs strings that include one of these carry audio
+const DASH_AUDIO_CODECS = /(^|,)\s*(mp4a|ac-3|ec-3|ac-4|opus|vorbis|flac|dtsc|dtse|dtsh|dtsl)\b/i;
+
+/**
+ * Returns the direct child elements of `element` with the given local name.
+ * MPDs use a default namespace, so matching on localName avoids namespace handling.
+ * @param {Element} element - The parent element.
+ * @param {string} name - The local name to match (e.g. 'Representation').
+ * @returns {Element[]}
+ */
+function dashChildren(element, name) {
+    return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * Resolves the effective BaseURL for an MPD element, given the base inherited from its parent.
+ * @param {Element} element - MPD, Period, AdaptationSet or Representation element.
+ * @param {string} inheritedBase - The base URL in effect for the parent element.
+ * @returns {string}
+ */
+function dashBaseUrl(element, inheritedBase) {
+    const baseElement = dashChildren(element, 'BaseURL')[0];
+    if (baseElement && baseElement.textContent.trim()) {
+        return resolveManifestUrl(baseElement.textContent.trim(), inheritedBase);
+    }
+    return inheritedBase;
+}
+
+/**
+ * Parses an ISO 8601 duration as used by MPDs, e.g. "PT1H2M3.5S".
+ * @param {string | null} value - The attribute value.
+ * @returns {number | null} - Seconds, or null if the value is missing or not a duration.
+ */
+function parseDashDuration(value) {
+    const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec((value || '').trim());
+    if (!match || match.slice(1).every(part => part === undefined)) {
+        return null;
+    }
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+/**
+ * Picks the period holding the main content. With server-side ad insertion the first period is often the pre-roll,
+ * so the longest period wins; a period's length is its duration, or the time until the next one (or the end of
+ * the presentation) starts. If no lengths are known, the period with the most video representations wins.
+ * @param {Element} mpd - The MPD element.
+ * @returns {Element | null}
+ */
+function findMainDashPeriod(mpd) {
+    const periods = dashChildren(mpd, 'Period');
+    const presentationDuration = parseDashDuration(mpd.getAttribute('mediaPresentationDuration'));
+    const videoCount = period => dashChildren(period, 'AdaptationSet')
+        .filter(set => set.getAttribute('contentType') === 'video' || (set.getAttribute('mimeType') || '').startsWith('video/')
+            || dashChildren(set, 'Representation').some(representation => (representation.getAttribute('mimeType') || '').startsWith('video/')))
+        .reduce((count, set) => count + dashChildren(set, 'Representation').length, 0);
+
+    let start = 0;
+    const candidates = periods.map((period, index) => {
+        start = parseDashDuration(period.getAttribute('start')) ?? start;
+        const nextStart = periods[index + 1] ? parseDashDuration(periods[index + 1].getAttribute('start')) : presentationDuration;
+        let length = parseDashDuration(period.getAttribute('duration'));
+        if (length === null && nextStart !== null) {
+            length = nextStart - start;
+        }
+        const candidate = { period: period, length: length, videoCount: videoCount(period) };
+        start += length || 0;
+        return candidate;
+    });
+
+    const byLength = candidates.every(candidate => candidate.length !== null);
+    let best = null;
+    for (const candidate of candidates) {
+        const better = byLength ? candidate.length > best?.length : candidate.videoCount > best?.videoCount;
+        if (!best || better) {
+            best = candidate;
+        }
+    }
+    return best ? best.period : null;
+}
+
+/**
+ * Parses the main period of a DASH MPD (see findMainDashPeriod). Representations that are addressed by a single BaseURL (no segment template
+ * or list) get their own direct URL; everything else has a null URL, as it can only be fetched through the MPD itself.
+ * @param {string} text - The MPD XML.
+ * @param {string} baseUrl - The URL the MPD was loaded from.
+ * @returns {{type: 'dash', isMaster: boolean, variants: Array<object>, audioTracks: Array<object>, subtitleTracks: Array<object>}}
+ */
+function parseDashManifest(text, baseUrl) {
+    const result = { type: 'dash', isMaster: false, variants: [], audioTracks: [], subtitleTracks: [] };
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Manifest is not a valid MPD document.');
+    }
+
+    const mpd = doc.documentElement;
+    const mpdBase = dashBaseUrl(mpd, baseUrl);
+    // Only one period is listed: multi-period MPDs are usually ads inserted around the content
+    const period = findMainDashPeriod(mpd);
+    if (!period) {
+        return result;
+    }
+    const periodBase = dashBaseUrl(period, mpdBase);
+
+    for (const adaptationSet of dashChildren(period, 'AdaptationSet')) {
+        const setBase = dashBaseUrl(adaptationSet, periodBase);
+        const setMimeType = adaptationSet.getAttribute('mimeType') || '';
+        const setHasSegments = dashChildren(adaptationSet, 'SegmentTemplate').length > 0 || dashChildren(adaptationSet, 'SegmentList').length > 0;
+        const language = adaptationSet.getAttribute('lang');
+        const labelElement = dashChildren(adaptationSet, 'Label')[0];
+
+        for (const representation of dashChildren(adaptationSet, 'Representation')) {
+            const mimeType = representation.getAttribute('mimeType') || setMimeType;
+            const contentType = adaptationSet.getAttribute('contentType') || mimeType.split('/')[0];
+            const hasOwnBase = dashChildren(representation, 'BaseURL').length > 0;
+            const hasSegments = setHasSegments || dashChildren(representation, 'SegmentTemplate').length > 0 || dashChildren(representation, 'SegmentList').length > 0;
+            const directUrl = hasOwnBase && !hasSegments ? dashBaseUrl(representation, setBase) : null;
+            const codecs = representation.getAttribute('codecs') || adaptationSet.getAttribute('codecs');
+            const bandwidth = parseInt(representation.getAttribute('bandwidth'), 10) || null;
+
+            if (contentType === 'video') {
+                const frameRateAttr = representation.getAttribute('frameRate') || adaptationSet.getAttribute('frameRate') || '';
+                const [numerator, denominator] = frameRateAttr.split('/').map(Number);
+                const variant = {
+                    id: representation.getAttribute('id') || `dash-${result.variants.length}`,
+                    // Without a direct URL the representation can only be fetched through the MPD, which
+                    // would make every such variant send the same URL; the popup does not offer those.
+                    url: directUrl,
+                    bandwidth: bandwidth,
+                    width: parseInt(representation.getAttribute('width') || adaptationSet.getAttribute('width'), 10) || null,
+                    height: parseInt(representation.getAttribute('height') || adaptationSet.getAttribute('height'), 10) || null,
+                    frameRate: numerator ? numerator / (denominator || 1) : null,
+                    codecs: codecs || null,
+                    audioGroup: null,
+                    subtitleGroup: null
+                };
+                result.variants.push(variant);
+            } else if (contentType === 'audio') {
+                result.audioTracks.push({
+                    groupId: adaptationSet.getAttribute('id') || null,
+                    name: labelElement ? labelElement.textContent.trim() : (language || `Audio ${formatBitrate(bandwidth)}`.trim()),
+                    language: language,
+                    isDefault: false,
+                    url: directUrl,
+                    bandwidth: bandwidth,
+                    codecs: codecs || null
+                });
+            } else if (contentType === 'text' || mimeType.startsWith('text/') || mimeType === 'application/ttml+xml') {
+                result.subtitleTracks.push({
+                    groupId: adaptationSet.getAttribute('id') || null,
+                    name: labelElement ? labelElement.textContent.trim() : (language || 'Subtitles'),
+                    language: language,
+                    isDefault: false,
+                    url: directUrl
+                });
+            }
+        }
+    }
+
+    for (const variant of result.variants) {
+        // Video representations rarely carry audio; they do if their codecs name an audio codec too
+        variant.videoOnly = result.audioTracks.length > 0 && !DASH_AUDIO_CODECS.test(variant.codecs || '');
+        variant.label = describeVariant(variant);
+    }
+    result.isMaster = result.variants.length > 0;
+    result.variants.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0));
+    return result;
+}
+
+/**
+ * Detects the manifest flavour from its body and parses it.
+ * @param {string} text - The manifest body.
+ * @param {string} baseUrl - The URL the manifest was loaded from.
+ * @returns {object | null} - The parsed manifest, or null if the body is neither HLS nor DASH.
+ */
+function parseManifest(text, baseUrl) {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('#EXTM3U')) {
+        return parseHlsPlaylist(trimmed, baseUrl);
+    }
+    if (/<MPD[\s>]/.test(trimmed)) {
+        return parseDashManifest(trimmed, baseUrl);
+    }
+    return null;
+}
@@ -0,0 +1,69 @@
+// lib/media-details.js - Formats the metadata of media items for the popup list and the on-page popups
+
+// Where an item was found: in the network traffic, or as a <video>/<audio>/... element on the page.
+// Items found by a site extractor are labelled with the extractor's name instead.
+const MEDIA_SOURCE_LABELS = {
+    webRequest: 'Network',
+    contentScript: 'Page'
+};
+
+/**
+ * Formats a duration in seconds as m:ss or h:mm:ss.
+ * @param {number | null | undefined} seconds
+ * @returns {string | null} - e.g. "3:07" or "1:02:03"; "Live" for endless streams; null if unknown.
+ */
+function formatDuration(seconds) {
+    if (seconds === Infinity) {
+        return 'Live';
+    }
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+        return null;
+    }
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Lists the known details of a media item in display order, skipping unknown ones.
+ * @param {{width?: number, height?: number, duration?: number, sizeText?: string | null, mimeType?: string | null, source?: string, extractor?: string, subtitles?: Array<object>}} mediaItem
+ * @param {{includeSource?: boolean}} [options] - includeSource adds where the item was found.
+ * @returns {string[]} - e.g. ["1920×1080", "3:07", "45 MB", "video/mp4", "2 subtitles"]
+ */
+function describeMediaDetails(mediaItem, options = {}) {
+    const details = [];
+    if (mediaItem.width > 0 && mediaItem.height > 0) {
+        details.push(`${mediaItem.width}×${mediaItem.height}`);
+    }
+    const duration = formatDuration(mediaItem.duration);
+    if (duration) {
+        details.push(duration);
+    }
+    if (mediaItem.sizeText) {
+        details.push(mediaItem.sizeText);
+    }
+    if (mediaItem.mimeType) {
+        details.push(mediaItem.mimeType);
+    }
+    if (mediaItem.subtitles && mediaItem.subtitles.length > 0) {
+        details.push(`${mediaItem.subtitles.length} subtitle${mediaItem.subtitles.length === 1 ? '' : 's'}`);
+    }
+    if (options.includeSource && mediaItem.source === 'extractor' && mediaItem.extractor) {
+        details.push(mediaItem.extractor);
+    } else if (options.includeSource && MEDIA_SOURCE_LABELS[mediaItem.source]) {
+        details.push(MEDIA_SOURCE_LABELS[mediaItem.source]);
+    }
+    return details;
+}
+
+/**
+ * Names a subtitle file attached to a media item.
+ * @param {{url: string, format?: string | null, language?: string | null, label?: string | null}} subtitle
+ * @returns {string} - e.g. "English (vtt)", "de (srt)", or the file name if nothing else is known.
+ */
+function describeSubtitleTrack(subtitle) {
+    const name = subtitle.label || subtitle.language || subtitle.url.split(/[?#]/)[0].split('/').pop() || 'Subtitles';
+    return subtitle.format ? `${name} (${subtitle.format})` : name;
+}
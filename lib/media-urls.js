@@ -0,0 +1,316 @@
+// lib/media-urls.js - Canonical forms of media URLs and the heuristics that tell media requests from other traffic
+
+/**
+ * Modifies a given URL to remove 'bytestart' and 'byteend' query parameters,
+ * and then sorts the remaining query parameters alphabetically.
+ * This can be used to request the full file instead of a partial one,
+ * and to get a canonical URL for comparison.
+ *
+ * @param {string} originalUrl The original URL string which might contain byte range parameters.
+ * @returns {string} The modified URL string with 'bytestart' and 'byteend' parameters removed
+ * and the remaining query parameters sorted.
+ */
+function modifyParams(originalUrl) {
+    try {
+        const url = new URL(originalUrl);
+
+        // Delete the 'bytestart' parameter if it exists
+        if (url.searchParams.has('bytestart')) {
+            url.searchParams.delete('bytestart');
+        }
+        // Delete the 'byteend' parameter if it exists
+        if (url.searchParams.has('byteend')) {
+            url.searchParams.delete('byteend');
+        }
+
+        if (url.searchParams.has('_nc_cat')) {
+            url.searchParams.delete('_nc_cat')
+        }
+
+        // Get all remaining parameters as an array of [key, value] pairs
+        const params = Array.from(url.searchParams.entries());
+
+        // Sort the parameters alphabetically by key.
+        // If keys are identical, sort by value to ensure stable sorting.
+        params.sort((a, b) => {
+            // Compare keys first
+            const keyComparison = a[0].localeCompare(b[0]);
+            if (keyComparison !== 0) {
+                return keyComparison;
+            }
+            // If keys are the same, compare values
+            return a[1].localeCompare(b[1]);
+        });
+
+        // Clear existing search parameters to replace with sorted ones
+        url.search = ''; // This effectively clears all parameters and the '?'
+
+        // Append the sorted parameters back to the URL's searchParams
+        for (const [key, value] of params) {
+            url.searchParams.append(key, value);
+        }
+
+        // Return the reconstructed URL with sorted parameters
+        return url.toString();
+    } catch (error) {
+        // Log an error if the URL is invalid and return the original URL
+        console.error("[Media URLs] Error parsing or modifying URL:", error);
+        return originalUrl;
+    }
+}
+
+// Rules for telling whether two URLs are the same media. Byte ranges, expiring signatures, session tokens and
+// CDN edge hosts change from request to request; they are left out of the key items are deduplicated by, but the
+// URL that is listed and sent keeps them. Each rule has:
+//  - pattern:    "*" for every URL, or a site rule pattern (domain, glob or /regex/, see compileSitePattern).
+//  - dropParams: query parameters to leave out (case-insensitive); a trailing "*" matches a prefix, e.g. "X-Amz-*".
+//  - keepParams: if set, only these parameters identify the media; takes precedence over dropParams.
+//  - host:       the host to use in the key, for CDNs that serve the same file from many edge hosts.
+//  - dropPath:   a regular expression for path parts to leave out, e.g. signatures embedded in the path.
+// All rules matching a URL apply. User rules (the urlCanonicalRules setting) come before these, so their
+// keepParams and host win.
+const DEFAULT_CANONICAL_RULES = [
+    {
+        pattern: '*',
+        dropParams: ['range', 'bytestart', 'byteend', 'expires', 'expire', 'signature', 'sig', 'Key-Pair-Id', 'Policy', 'X-Amz-*', 'hdnts', 'hdnea', '__gda__']
+    },
+    // YouTube: every chunk comes from another edge host with its own range, session and signature parameters
+    { pattern: 'googlevideo.com', keepParams: ['id', 'itag', 'xtags'], host: 'googlevideo.com' },
+    // Facebook and Instagram: "oh"/"oe" are the signature and its expiry, _nc_* are cache and routing hints
+    { pattern: 'fbcdn.net', dropParams: ['oh', 'oe', 'efg', 'ccb', 'dl', '_nc_*'], host: 'fbcdn.net' },
+    { pattern: 'cdninstagram.com', dropParams: ['oh', 'oe', 'efg', 'ccb', '_nc_*'], host: 'cdninstagram.com' },
+    // Vimeo: the expiry and signature are path segments ("exp=...~acl=...~hmac=..." or "1731000000-0x1a2b")
+    { pattern: 'vimeocdn.com', dropPath: '/(exp=[^/]*~hmac=[0-9a-f]+|\\d{9,}-0x[0-9a-f]+)(?=/)', host: 'vimeocdn.com' },
+    { pattern: 'akamaized.net', dropPath: '/exp=[^/]*~hmac=[0-9a-f]+(?=/)' },
+    { pattern: 'v.redd.it', dropParams: ['a', 'v', 'f', 'source'] },
+    { pattern: 'video.twimg.com', dropParams: ['tag'] }
+];
+
+/**
+ * Validates a canonicalisation rule as entered in the settings.
+ * @param {{pattern: string, dropParams?: string[], keepParams?: string[], host?: string, dropPath?: string}} rule
+ * @returns {string | null} - An error message, or null if the rule is valid.
+ */
+function validateCanonicalRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'Each rule must be an object.';
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+        return 'Each rule needs a pattern.';
+    }
+    if (rule.pattern.trim() !== '*') {
+        try {
+            compileSitePattern(rule.pattern);
+        } catch (error) {
+            return `Invalid pattern "${rule.pattern}": ${error.message}`;
+        }
+    }
+    for (const field of ['dropParams', 'keepParams']) {
+        if (rule[field] !== undefined && (!Array.isArray(rule[field]) || rule[field].some(name => typeof name !== 'string' || !name.trim()))) {
+            return `${field} of "${rule.pattern}" must be a list of parameter names.`;
+        }
+    }
+    if (rule.host !== undefined && (typeof rule.host !== 'string' || !/^[a-z0-9.-]+$/i.test(rule.host))) {
+        return `host of "${rule.pattern}" must be a host name.`;
+    }
+    if (rule.dropPath !== undefined) {
+        try {
+            new RegExp(rule.dropPath);
+        } catch (error) {
+            return `dropPath of "${rule.pattern}" is not a valid regular expression.`;
+        }
+    }
+    const known = ['pattern', 'dropParams', 'keepParams', 'host', 'dropPath'];
+    const unknown = Object.keys(rule).find(key => !known.includes(key));
+    return unknown ? `Unknown field "${unknown}" in the rule for "${rule.pattern}".` : null;
+}
+
+/**
+ * Turns a list of parameter names (with optional trailing "*") into a predicate.
+ * @param {string[]} names
+ * @returns {function(string): boolean}
+ */
+function compileParamMatcher(names) {
+    const exact = new Set();
+    const prefixes = [];
+    for (const name of names) {
+        const lower = name.trim().toLowerCase();
+        if (lower.endsWith('*')) {
+            prefixes.push(lower.slice(0, -1));
+        } else {
+            exact.add(lower);
+        }
+    }
+    return param => {
+        const lower = param.toLowerCase();
+        return exact.has(lower) || prefixes.some(prefix => lower.startsWith(prefix));
+    };
+}
+
+/**
+ * Compiles the user's canonicalisation rules followed by the built-in ones. Invalid rules are skipped.
+ * @param {Array<object>} [userRules=[]]
+ * @returns {Array<{matches: function(string): boolean, dropParam: function(string): boolean | null, keepParam: function(string): boolean | null, host: string | null, dropPath: RegExp | null}>}
+ */
+function compileCanonicalRules(userRules = []) {
+    const compiled = [];
+    for (const rule of userRules.concat(DEFAULT_CANONICAL_RULES)) {
+        const error = validateCanonicalRule(rule);
+        if (error) {
+            console.warn(`[Media URLs] Skipping canonicalisation rule: ${error}`);
+            continue;
+        }
+        compiled.push({
+            matches: rule.pattern.trim() === '*' ? () => true : compileSitePattern(rule.pattern),
+            dropParam: rule.dropParams ? compileParamMatcher(rule.dropParams) : null,
+            keepParam: rule.keepParams ? compileParamMatcher(rule.keepParams) : null,
+            host: rule.host ? rule.host.toLowerCase() : null,
+            dropPath: rule.dropPath ? new RegExp(rule.dropPath, 'gi') : null
+        });
+    }
+    return compiled;
+}
+
+/**
+ * Computes the key media URLs are deduplicated by: the URL as normalised by modifyParams, with the parameters,
+ * path parts and host variations the matching rules name left out, and without the fragment.
+ * @param {string} url
+ * @param {Array<object>} compiledRules - From compileCanonicalRules.
+ * @returns {string} - The key; the URL itself if it can't be parsed.
+ */
+function canonicalMediaKey(url, compiledRules) {
+    let parsed;
+    try {
+        parsed = new URL(modifyParams(url));
+    } catch (e) {
+        return url;
+    }
+    const rules = compiledRules.filter(rule => rule.matches(url));
+    const keepRule = rules.find(rule => rule.keepParam);
+    const hostRule = rules.find(rule => rule.host);
+
+    const params = Array.from(parsed.searchParams.entries()).filter(([name]) => {
+        if (keepRule) {
+            return keepRule.keepParam(name);
+        }
+        return !rules.some(rule => rule.dropParam && rule.dropParam(name));
+    });
+    let pathname = parsed.pathname;
+    for (const rule of rules) {
+        if (rule.dropPath) {
+            pathname = pathname.replace(rule.dropPath, '');
+        }
+    }
+
+    const query = params.map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`).join('&');
+    return `${parsed.protocol}//${hostRule ? hostRule.host : parsed.host.toLowerCase()}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Reads the headers that classify a media response, from webRequest's responseHeaders or a fetch Response.
+ * For partial content (206) the size is the total from Content-Range, not the length of the range that was sent.
+ * @param {Array<{name: string, value?: string}> | Headers} responseHeaders
+ * @param {number} [statusCode=200]
+ * @returns {{contentType: string | null, contentDisposition: string | null, contentLength: number | null}}
+ */
+function readMediaHeaders(responseHeaders, statusCode = 200) {
+    const headers = {};
+    for (const header of responseHeaders || []) {
+        // Headers objects iterate as [name, value] pairs
+        const [name, value] = Array.isArray(header) ? header : [header.name, header.value];
+        if (value !== undefined && !(name.toLowerCase() in headers)) {
+            headers[name.toLowerCase()] = value;
+        }
+    }
+
+    let contentLength = null;
+    if (statusCode === 206) {
+        const total = /\/\s*(\d+)\s*$/.exec(headers['content-range'] || '');
+        contentLength = total ? parseInt(total[1], 10) : null;
+    } else if (/^\d+$/.test((headers['content-length'] || '').trim())) {
+        contentLength = parseInt(headers['content-length'], 10);
+    }
+    return {
+        contentType: headers['content-type'] || null,
+        contentDisposition: headers['content-disposition'] || null,
+        contentLength: contentLength
+    };
+}
+
+/**
+ * Decides from its response headers whether a URL serves media.
+ * @param {{contentType: string | null, contentDisposition: string | null, contentLength: number | null}} headers - From readMediaHeaders.
+ * @returns {{valid: boolean, contentType: string | null, contentDisposition: string | null, contentLength: number | null}}
+ */
+function classifyMediaHeaders(headers) {
+    const contentType = headers.contentType;
+    // Explicitly check for known media and streaming types
+    const isMedia = Boolean(contentType) && (
+        contentType.startsWith('video/') ||
+        contentType.startsWith('audio/') ||
+        contentType.startsWith('image/gif') ||
+        contentType.includes('mpegurl') || // HLS
+        contentType.includes('dash+xml') || // DASH
+        contentType.includes('application/octet-stream') // Generic binary, might be media
+    );
+    return { valid: isMedia, contentType: contentType, contentDisposition: headers.contentDisposition, contentLength: headers.contentLength };
+}
+
+/**
+ * Checks if an XHR URL is likely related to media, based on its path and query parameters.
+ * This is a heuristic to reduce unnecessary probes of the URL and improve detection accuracy.
+ * @param {string} url - The XHR URL to check.
+ * @returns {boolean} - True if the URL is likely a media stream/manifest/segment.
+ */
+function isLikelyMediaXHR(url) {
+    // Convert URL to lowercase for case-insensitive matching
+    const lowerUrl = url.toLowerCase();
+
+    // 1. **Prioritize explicit exclusions for known non-media internal APIs**
+    // Site-specific exclusions (e.g. Facebook's internal APIs) live in the user-editable site rules.
+    // General exclusions for common non-media patterns found in many web applications.
+    // This check is performed only if the URL does NOT contain strong media hints,
+    // to prevent false negatives for legitimate media URLs that might contain these strings.
+    if (lowerUrl.includes('/api/') || lowerUrl.includes('/track/') || lowerUrl.includes('/log/') || lowerUrl.includes('/analytics/') || lowerUrl.includes('/metric/') || lowerUrl.includes('/config/') || lowerUrl.includes('/preferences/')) {
+        // If it looks like an API/tracking URL, verify it's not also a media URL before excluding.
+        if (!lowerUrl.match(/\.(m3u8|mpd|ts|mp4|webm|m4s|fmp4|aac|mp3|ogg|flac|wav|mov|avi|wmv|flv)(\?.*)?$|\/(hls|dash|stream|video|audio|playlist|manifest)/)) {
+            return false;
+        }
+    }
+
+    // 2. **Check for media-specific extensions and patterns (High Confidence)**
+    // This regex looks for common media file extensions and subtitle formats.
+    const mediaExtensions = /\.(m3u8|mpd|ts|mp4|webm|m4s|mp4a|fmp4|aac|mp3|ogg|flac|wav|mov|avi|wmv|flv|vtt|srt|ass|scc|opus|ogv|mkv)(\?.*)?$/i;
+    // This regex looks for common keywords in the URL path or query string that indicate streaming media.
+    const streamingPatterns = /(chunk|segment|playlist|manifest|stream|video|audio|hls|dash|drm|playable_url|video_play|stream_src|media|file=|\?src=|\?url=|\?video=|\?audio=|\.m3u8|\.mpd|\.ism|\.isml)/i;
+
+    if (mediaExtensions.test(lowerUrl) || streamingPatterns.test(lowerUrl)) {
+        return true;
+    }
+
+    // 3. **Broad domain checks (Medium Confidence)**
+    // This regex includes a wider range of known media platforms, CDNs, and cloud storage providers
+    // that commonly host media content.
+    const knownMediaDomains = /(youtube\.com|vimeo\.com|cdn\.videoplatform\.com|akamaihd\.net|cloudfront\.net|mediaservices\.windows\.net|video\.twimg\.com|cdninstagram\.com|v\.redd\.it|twitch\.tv|dailymotion\.com|wistia\.com|jwplatform\.com|brightcove\.com|kaltura\.com|vzaar\.com|vidyard\.com|mixcloud\.com|soundcloud\.com|bandcamp\.com|spotifycdn\.com|apple\.com\/hls|hulu\.com|netflix\.com|amazon\.com\/video|disneyplus\.com|hbomax\.com|paramountplus\.com|peacocktv\.com|plex\.tv|jellyfin\.org|s3\.amazonaws\.com|storage\.googleapis\.com|blob\.core\.windows\.net|firebasestorage\.googleapis\.com|s\.ytimg\.com|i\.ytimg\.com|vimeocdn\.com|akamaized\.net|fbcdn\.net\/v|cdn\.flowplayer\.org|d\.tube|bitchute\.com|odysee\.com|rumble\.com|bilibili\.com|youku\.com|qq\.com|iqiyi\.com|v\.douyin\.com|v\.kuaishou\.com|cdn[0-9]?\.stream|stream[0-9]?\.cdn|content\.jwplatform\.com|media\.licdn\.com|azureedge\.net|cdn\.plyr\.io|player\.vimeo\.com|players\.brightcove\.net|wmedia\.video|v\.redd\.it)/i;
+    if (knownMediaDomains.test(lowerUrl)) {
+        return true;
+    }
+
+    // 4. **Heuristic for JSON responses that might contain media URLs (Lower Confidence, but useful for API responses)**
+    // This checks for URLs ending in `.json` that also contain keywords commonly found in media-related API responses,
+    // where the actual media URL might be embedded within the JSON payload.
+    if (lowerUrl.includes('.json') && (lowerUrl.includes('video_play') || lowerUrl.includes('stream_src') || lowerUrl.includes('playable_url') || lowerUrl.includes('media_url') || lowerUrl.includes('manifest_url') || lowerUrl.includes('hls_url') || lowerUrl.includes('dash_url'))) {
+        return true;
+    }
+
+    // 5. **Generic 'data' or 'file' paths with potential media indicators (Lowest Confidence, used as a last resort)**
+    // This aims to catch cases where media might be served from generic paths like `/data/` or `/files/`
+    // but only if combined with other subtle media hints (like 'video', 'audio', 'stream' keywords or file extensions).
+    if ((lowerUrl.includes('/data/') || lowerUrl.includes('/files/')) &&
+        (lowerUrl.includes('video') || lowerUrl.includes('audio') || lowerUrl.includes('stream') || mediaExtensions.test(lowerUrl) || streamingPatterns.test(lowerUrl))) {
+        return true;
+    }
+
+    // If none of the above criteria are met, it's not likely media
+    return false;
+}
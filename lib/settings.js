@@ -0,0 +1,379 @@
+// lib/settings.js - The extension settings: schema, defaults, validation, migrations and storage
+// Loaded after lib/site-rules.js and lib/download-filters.js, whose defaults and validators it reuses.
+
+// All settings are stored together under this key as `{version, values}`.
+const SETTINGS_STORAGE_KEY = 'settings';
+// Bumped whenever a migration is added to SETTINGS_MIGRATIONS.
+const SETTINGS_VERSION = 2;
+
+// The target a fresh install sends to: a Nadeko~don running on this machine.
+const DEFAULT_APP_TARGET = { id: 'default', name: 'Nadeko~don', scheme: 'http', host: 'localhost', port: 12345, basePath: '/', token: '' };
+
+/**
+ * Checks that a value is an integer within a range.
+ * @param {number} min
+ * @param {number} max
+ * @returns {function(*): (string | null)}
+ */
+function integerInRange(min, max) {
+    return value => (Number.isInteger(value) && value >= min && value <= max) ? null : `must be a whole number between ${min} and ${max}`;
+}
+
+/**
+ * Checks that a value is one of a fixed set of strings.
+ * @param {string[]} allowed
+ * @returns {function(*): (string | null)}
+ */
+function oneOf(allowed) {
+    return value => allowed.includes(value) ? null : `must be one of ${allowed.join(', ')}`;
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isBoolean(value) {
+    return typeof value === 'boolean' ? null : 'must be true or false';
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isHostName(value) {
+    const hostPattern = /^(\[[0-9a-f:.]+\]|[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*)$/i;
+    return typeof value === 'string' && hostPattern.test(value) ? null : 'must be a host name or IP address, without scheme, port or path';
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isUrlPath(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9\-._~!$&'()*+,;=:@%/]*$/.test(value) ? null : 'must be a URL path such as /nadeko/';
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isHeaderToken(value) {
+    // Printable ASCII without spaces, so it can be sent as-is in the Authorization header
+    return typeof value === 'string' && /^[\x21-\x7e]*$/.test(value) ? null : 'must not contain spaces or special characters';
+}
+
+/**
+ * Validates one Nadeko~don target as entered in the config window.
+ * @param {{id: string, name: string, scheme: string, host: string, port: number, basePath: string, token: string}} target
+ * @returns {string | null} - An error message, or null if the target is valid.
+ */
+function validateTarget(target) {
+    if (!target || typeof target !== 'object') {
+        return 'Target must be an object.';
+    }
+    if (typeof target.id !== 'string' || !target.id) {
+        return 'Target is missing its ID.';
+    }
+    if (typeof target.name !== 'string' || !target.name.trim()) {
+        return 'Every target needs a name.';
+    }
+    const checks = [
+        ['scheme', oneOf(['http', 'https'])],
+        ['host', isHostName],
+        ['port', integerInRange(1, 65535)],
+        ['basePath', isUrlPath],
+        ['token', isHeaderToken]
+    ];
+    for (const [field, validate] of checks) {
+        const error = validate(target[field]);
+        if (error) {
+            return `${target.name}: ${field} ${error}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isTargetList(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return 'must be a non-empty list of targets';
+    }
+    for (const target of value) {
+        const error = validateTarget(target);
+        if (error) {
+            return error;
+        }
+    }
+    const ids = value.map(target => target.id);
+    return new Set(ids).size === ids.length ? null : 'must not contain the same target twice';
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value ? null : 'must not be empty';
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isFilenameTemplate(value) {
+    if (typeof value !== 'string') {
+        return 'must be text';
+    }
+    return value.length > 200 ? 'must be at most 200 characters' : findFilenameTemplateError(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isMimePatternList(value) {
+    if (!Array.isArray(value)) {
+        return 'must be a list of MIME types';
+    }
+    const invalid = value.find(pattern => typeof pattern !== 'string' || !isValidMimePattern(pattern));
+    return invalid === undefined ? null : `"${invalid}" is not a MIME type (expected e.g. application/pdf or video/*)`;
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isSiteRuleList(value) {
+    if (!Array.isArray(value)) {
+        return 'must be a list of rules';
+    }
+    for (const rule of value) {
+        const error = validateSiteRule(rule);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {*} value
+ * @returns {string | null}
+ */
+function isCanonicalRuleList(value) {
+    if (!Array.isArray(value)) {
+        return 'must be a list of rules';
+    }
+    for (const rule of value) {
+        const error = validateCanonicalRule(rule);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+// Every setting with its default and validator. A validator returns null for a valid value or the reason it is not.
+const SETTINGS_SCHEMA = {
+    targets: { default: [DEFAULT_APP_TARGET], validate: isTargetList },
+    defaultTargetId: { default: DEFAULT_APP_TARGET.id, validate: isNonEmptyString },
+    showPopup: { default: true, validate: isBoolean },
+    hoverButton: { default: false, validate: isBoolean },
+    // Site extractors fetch the site's own video data with the user's cookies (see lib/site-extractors.js)
+    siteExtractors: { default: true, validate: isBoolean },
+    offlineQueueEnabled: { default: false, validate: isBoolean },
+    askBeforeSending: { default: false, validate: isBoolean },
+    promptStyle: { default: 'window', validate: oneOf(['window', 'overlay']) },
+    // Empty keeps the name the server or the URL suggests (see renderFilenameTemplate in lib/filenames.js)
+    filenameTemplate: { default: '', validate: isFilenameTemplate },
+    interceptMinSize: { default: DEFAULT_INTERCEPT_THRESHOLDS.minSize, validate: integerInRange(0, Number.MAX_SAFE_INTEGER) },
+    interceptIncludeTypes: { default: DEFAULT_INTERCEPT_THRESHOLDS.includeTypes, validate: isMimePatternList },
+    interceptExcludeTypes: { default: DEFAULT_INTERCEPT_THRESHOLDS.excludeTypes, validate: isMimePatternList },
+    belowThresholdAction: { default: DEFAULT_INTERCEPT_THRESHOLDS.belowThresholdAction, validate: oneOf(['browser', 'ask']) },
+    siteRules: { default: DEFAULT_SITE_RULES, validate: isSiteRuleList },
+    // Added before the built-in DEFAULT_CANONICAL_RULES of lib/media-urls.js
+    urlCanonicalRules: { default: [], validate: isCanonicalRuleList }
+};
+
+// Settings that used to be stored as loose top-level keys, read once by the version 1 migration.
+const LEGACY_SETTING_KEYS = [
+    'nadekoPort', 'showPopup', 'offlineQueueEnabled', 'askBeforeSending', 'promptStyle',
+    'interceptMinSize', 'interceptIncludeTypes', 'interceptExcludeTypes', 'belowThresholdAction', 'siteRules'
+];
+
+// Migrations by the version they produce. Each receives the values of the previous version and
+// the raw legacy keys, and returns the new values.
+const SETTINGS_MIGRATIONS = {
+    1: (values, legacy) => {
+        const migrated = Object.assign({}, values);
+        for (const key of LEGACY_SETTING_KEYS) {
+            if (legacy[key] !== undefined) {
+                migrated[key] = legacy[key];
+            }
+        }
+        // showPopup used to be stored as the string "true" or "false"
+        if (typeof migrated.showPopup === 'string') {
+            migrated.showPopup = migrated.showPopup !== 'false';
+        }
+        if (typeof migrated.nadekoPort === 'string') {
+            migrated.nadekoPort = parseInt(migrated.nadekoPort, 10);
+        }
+        return migrated;
+    },
+    // The single endpoint (nadekoScheme, nadekoHost, nadekoPort, nadekoBasePath, nadekoToken) becomes the first target
+    2: values => {
+        const migrated = Object.assign({}, values);
+        migrated.targets = [{
+            id: DEFAULT_APP_TARGET.id,
+            name: DEFAULT_APP_TARGET.name,
+            scheme: values.nadekoScheme || DEFAULT_APP_TARGET.scheme,
+            host: values.nadekoHost || DEFAULT_APP_TARGET.host,
+            port: values.nadekoPort || DEFAULT_APP_TARGET.port,
+            basePath: values.nadekoBasePath || DEFAULT_APP_TARGET.basePath,
+            token: values.nadekoToken || DEFAULT_APP_TARGET.token
+        }];
+        migrated.defaultTargetId = DEFAULT_APP_TARGET.id;
+        for (const key of ['nadekoScheme', 'nadekoHost', 'nadekoPort', 'nadekoBasePath', 'nadekoToken']) {
+            delete migrated[key];
+        }
+        return migrated;
+    }
+};
+
+/**
+ * Returns a fresh copy of the default settings.
+ * @returns {object}
+ */
+function getDefaultSettings() {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+        defaults[key] = JSON.parse(JSON.stringify(definition.default));
+    }
+    return defaults;
+}
+
+/**
+ * Validates a single setting.
+ * @param {string} key - The setting name.
+ * @param {*} value - The proposed value.
+ * @returns {string | null} - An error message, or null if the value is valid.
+ */
+function validateSetting(key, value) {
+    const definition = SETTINGS_SCHEMA[key];
+    if (!definition) {
+        return `Unknown setting "${key}".`;
+    }
+    const error = definition.validate(value);
+    return error ? `${key} ${error}` : null;
+}
+
+/**
+ * Completes a set of stored values: unknown keys are dropped, and missing or invalid ones get their default.
+ * @param {object} values - Stored values, possibly from an older version.
+ * @returns {object} - A complete, valid settings object.
+ */
+function normalizeSettings(values) {
+    const settings = getDefaultSettings();
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+        if (!values || values[key] === undefined) {
+            continue;
+        }
+        const error = validateSetting(key, values[key]);
+        if (error) {
+            console.warn(`[Settings] Ignoring stored value: ${error}`);
+            continue;
+        }
+        settings[key] = values[key];
+    }
+    if (!settings.targets.some(target => target.id === settings.defaultTargetId)) {
+        settings.defaultTargetId = settings.targets[0].id;
+    }
+    return settings;
+}
+
+/**
+ * Brings stored settings up to SETTINGS_VERSION by running the missing migrations in order.
+ * @param {{version: number, values: object} | undefined} stored - The stored settings record, if any.
+ * @param {object} legacy - The legacy top-level keys found in storage.
+ * @returns {{version: number, values: object}}
+ */
+function migrateSettings(stored, legacy) {
+    let version = stored && Number.isInteger(stored.version) ? stored.version : 0;
+    let values = (stored && stored.values) || {};
+    while (version < SETTINGS_VERSION) {
+        version++;
+        values = SETTINGS_MIGRATIONS[version](values, legacy);
+        console.debug(`[Settings] Migrated settings to version ${version}.`);
+    }
+    return { version: version, values: normalizeSettings(values) };
+}
+
+/**
+ * Builds the base URL of a Nadeko~don target.
+ * @param {{scheme: string, host: string, port: number, basePath: string}} target
+ * @returns {string} - e.g. "http://localhost:12345/" or "https://nas.lan:8443/nadeko/"; always ends with a slash.
+ */
+function formatAppEndpoint(target) {
+    const basePath = target.basePath.replace(/^\/*/, '/').replace(/\/*$/, '/');
+    return `${target.scheme}://${target.host}:${target.port}${basePath}`;
+}
+
+/**
+ * Loads the settings, migrating (and removing) the old loose keys on first use.
+ * @returns {Promise<object>} - A complete, valid settings object.
+ */
+async function loadSettings() {
+    const result = await browser.storage.local.get([SETTINGS_STORAGE_KEY].concat(LEGACY_SETTING_KEYS));
+    const stored = result[SETTINGS_STORAGE_KEY];
+    if (stored && stored.version === SETTINGS_VERSION) {
+        return normalizeSettings(stored.values);
+    }
+
+    const migrated = migrateSettings(stored, result);
+    await browser.storage.local.set({ [SETTINGS_STORAGE_KEY]: migrated });
+    await browser.storage.local.remove(LEGACY_SETTING_KEYS);
+    return migrated.values;
+}
+
+/**
+ * Validates and stores changed settings. Every context is told about the change through onSettingsChanged.
+ * @param {object} changes - The settings to change; others keep their current value.
+ * @returns {Promise<object>} - The complete settings after the change.
+ * @throws {Error} - If any changed value is invalid; nothing is stored in that case.
+ */
+async function saveSettings(changes) {
+    for (const [key, value] of Object.entries(changes)) {
+        const error = validateSetting(key, value);
+        if (error) {
+            throw new Error(error);
+        }
+    }
+    const settings = Object.assign(await loadSettings(), changes);
+    if (!settings.targets.some(target => target.id === settings.defaultTargetId)) {
+        throw new Error(`defaultTargetId "${settings.defaultTargetId}" is not one of the targets`);
+    }
+    await browser.storage.local.set({ [SETTINGS_STORAGE_KEY]: { version: SETTINGS_VERSION, values: settings } });
+    return settings;
+}
+
+/**
+ * Calls back whenever the stored settings change, from any context.
+ * @param {function(object, string[]): void} callback - Receives the new settings and the names of the settings that changed.
+ */
+function onSettingsChanged(callback) {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+        const change = changes[SETTINGS_STORAGE_KEY];
+        if (areaName !== 'local' || !change || !change.newValue) {
+            return;
+        }
+        const newSettings = normalizeSettings(change.newValue.values);
+        const oldValues = (change.oldValue && change.oldValue.values) || {};
+        const changedKeys = Object.keys(newSettings).filter(key => JSON.stringify(newSettings[key]) !== JSON.stringify(oldValues[key]));
+        if (changedKeys.length > 0) {
+            callback(newSettings, changedKeys);
+        }
+    });
+}
@@ -0,0 +1,143 @@
+// lib/site-extractors.js - Registry of site extractors, which turn the JSON behind a site's pages into titled media items
+
+/**
+ * A media item found by an extractor.
+ * @typedef {object} ExtractedMedia
+ * @property {string} url - What to download: a manifest or a complete file, never a stream segment.
+ * @property {string | null} title - The video's title, used for the filename.
+ * @property {number} [duration] - In seconds.
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} [thumbnail] - URL of a still image.
+ */
+
+/**
+ * A site extractor. Extractors only map URLs and parse JSON; the background script does the fetching, so every
+ * extractor can be tested against saved responses.
+ * @typedef {object} SiteExtractor
+ * @property {string} id - e.g. "reddit".
+ * @property {string} name - Shown in the popup, e.g. "Reddit".
+ * @property {function(URL): (string | null)} resolve - Returns the URL of the JSON describing the media of a page
+ *           or frame URL, or null if the URL is not one of the site's media pages.
+ * @property {function(object, URL): Array<ExtractedMedia>} extract - Turns that JSON into media items; may throw on
+ *           JSON of an unexpected shape.
+ */
+
+// Registered extractors, in the order their scripts are loaded (see lib/extractors/)
+const SITE_EXTRACTORS = [];
+
+/**
+ * Adds an extractor to the registry. Called by the scripts in lib/extractors/ when they load.
+ * @param {SiteExtractor} extractor
+ */
+function registerSiteExtractor(extractor) {
+    if (SITE_EXTRACTORS.some(existing => existing.id === extractor.id)) {
+        console.warn(`[Site Extractors] An extractor with ID "${extractor.id}" is already registered; ignoring the new one.`);
+        return;
+    }
+    SITE_EXTRACTORS.push(extractor);
+}
+
+/**
+ * Finds the extractor for a page or frame URL.
+ * @param {string} url
+ * @returns {{extractor: SiteExtractor, sourceUrl: string} | null} - The extractor and the JSON URL to fetch, or null.
+ */
+function findSiteExtractor(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+        return null;
+    }
+    for (const extractor of SITE_EXTRACTORS) {
+        const sourceUrl = extractor.resolve(parsedUrl);
+        if (sourceUrl) {
+            return { extractor: extractor, sourceUrl: sourceUrl };
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a host is a domain or one of its subdomains.
+ * @param {string} hostname - e.g. "old.reddit.com"
+ * @param {string[]} domains - e.g. ["reddit.com"]
+ * @returns {boolean}
+ */
+function hostMatchesDomain(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Converts a value to a positive number, for the fields of ExtractedMedia.
+ * @param {*} value
+ * @returns {number | undefined}
+ */
+function positiveNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Runs an extractor on its JSON and cleans up the result: items without a usable http(s) URL are dropped,
+ * duplicates removed, unknown fields left out and titles trimmed.
+ * @param {SiteExtractor} extractor
+ * @param {object} data - The parsed JSON from the extractor's source URL.
+ * @param {string} pageUrl - The page or frame URL the extractor was found for.
+ * @returns {Array<ExtractedMedia>} - Empty if the JSON holds no media or could not be understood.
+ */
+function runSiteExtractor(extractor, data, pageUrl) {
+    let items;
+    try {
+        items = extractor.extract(data, new URL(pageUrl)) || [];
+    } catch (error) {
+        console.warn(`[Site Extractors] ${extractor.name} could not read the data for ${pageUrl}: ${error.message}`);
+        return [];
+    }
+
+    const seenUrls = new Set();
+    const cleaned = [];
+    for (const item of items) {
+        let url;
+        try {
+            url = new URL(item.url);
+        } catch (e) {
+            continue;
+        }
+        if ((url.protocol !== 'https:' && url.protocol !== 'http:') || seenUrls.has(url.href)) {
+            continue;
+        }
+        seenUrls.add(url.href);
+
+        const media = { url: url.href, title: typeof item.title === 'string' && item.title.trim() ? item.title.replace(/\s+/g, ' ').trim() : null };
+        for (const field of ['duration', 'width', 'height']) {
+            const value = positiveNumber(item[field]);
+            if (value !== undefined) {
+                media[field] = value;
+            }
+        }
+        if (typeof item.thumbnail === 'string' && /^https?:\/\//.test(item.thumbnail)) {
+            media.thumbnail = item.thumbnail;
+        }
+        cleaned.push(media);
+    }
+    return cleaned;
+}
+
+/**
+ * Names the file of an extracted item after its title, keeping the extension of its URL.
+ * @param {ExtractedMedia} media
+ * @returns {string | null} - e.g. "My cat.mpd"; null if the item has no title.
+ */
+function extractedMediaFilename(media) {
+    if (!media.title) {
+        return null;
+    }
+    const extension = /\.([a-z0-9]{2,5})$/i.exec(new URL(media.url).pathname);
+    const title = media.title.slice(0, 150);
+    return sanitizeFilenameCharacters(extension ? `${title}.${extension[1].toLowerCase()}` : title);
+}
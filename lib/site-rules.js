@@ -0,0 +1,201 @@
+// lib/site-rules.js - User-editable per-site rules for media detection and download interception
+
+// What a rule does to matching requests:
+//  - 'never-intercept':  downloads are left to the browser; media detection is unchanged.
+//  - 'always-intercept': every file response (not pages, data, scripts or redirects) is handed to Nadeko, and
+//                        XHRs/frames skip the URL heuristics.
+//  - 'detect-only':      XHRs/frames skip the URL heuristics, but downloads are never intercepted.
+//  - 'ignore':           no detection and no interception at all.
+//  - 'send-without-asking': downloads are detected as usual but sent without the "Ask before sending" prompt;
+//                        what "Remember for this site" stores for "Send to Nadeko".
+//  - 'route':            detection and interception are unchanged; the rule only picks the target (see below).
+// Any rule may also name a `target` (a Nadeko~don target ID from the settings) that matching URLs are sent to
+// instead of the default target.
+const SITE_RULE_ACTIONS = ['never-intercept', 'always-intercept', 'send-without-asking', 'detect-only', 'ignore', 'route'];
+
+const SITE_RULE_ACTION_LABELS = {
+    'never-intercept': 'Never intercept',
+    'always-intercept': 'Always intercept',
+    'send-without-asking': 'Send without asking',
+    'detect-only': 'Detect only',
+    'ignore': 'Ignore',
+    'route': 'Route only'
+};
+
+// Rules a fresh install starts with. These used to be hard-coded in isLikelyMediaXHR.
+const DEFAULT_SITE_RULES = [
+    { pattern: '/(facebook\\.com|fbcdn\\.net).*(\\/ajax\\/|bootloader-endpoint|graphql|\\/xp\\/|\\/intern\\/)/', action: 'ignore' }
+];
+
+/**
+ * Turns a rule pattern into a predicate over URLs. Three pattern forms are supported:
+ *  - `/regex/`: tested case-insensitively against the full URL.
+ *  - A glob containing `/`, where `*` matches anything: tested against the full URL if the pattern has a
+ *    scheme (`*://example.com/dl/*`), otherwise against host + path + query (`example.com/dl/*`).
+ *  - A domain (`example.com` or `*.example.com`): matches that host and all of its subdomains.
+ * @param {string} pattern - The rule pattern.
+ * @returns {function(string): boolean} - Returns true for matching URLs.
+ * @throws {Error} - If the pattern is empty or an invalid regular expression.
+ */
+function compileSitePattern(pattern) {
+    const trimmed = (pattern || '').trim();
+    if (!trimmed) {
+        throw new Error('Pattern is empty.');
+    }
+
+    if (trimmed.length > 2 && trimmed.startsWith('/') && trimmed.endsWith('/')) {
+        const regex = new RegExp(trimmed.slice(1, -1), 'i');
+        return url => regex.test(url);
+    }
+
+    if (trimmed.includes('/')) {
+        const hasScheme = trimmed.includes('://');
+        const escaped = trimmed.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        const regex = new RegExp(`^${escaped}$`, 'i');
+        return url => {
+            if (hasScheme) {
+                return regex.test(url);
+            }
+            try {
+                const urlObj = new URL(url);
+                return regex.test(urlObj.host + urlObj.pathname + urlObj.search);
+            } catch (e) {
+                return false;
+            }
+        };
+    }
+
+    const domain = trimmed.replace(/^\*\./, '').toLowerCase();
+    return url => {
+        try {
+            const hostname = new URL(url).hostname.toLowerCase();
+            return hostname === domain || hostname.endsWith(`.${domain}`);
+        } catch (e) {
+            return false;
+        }
+    };
+}
+
+/**
+ * Validates a rule as entered in the config window or found in an imported file.
+ * Whether the target exists is not checked here; sends to an unknown target go to the default one.
+ * @param {{pattern: string, action: string, target?: string}} rule
+ * @returns {string | null} - An error message, or null if the rule is valid.
+ */
+function validateSiteRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return 'Rule must be an object.';
+    }
+    if (typeof rule.pattern !== 'string') {
+        return 'Rule pattern must be a string.';
+    }
+    if (!SITE_RULE_ACTIONS.includes(rule.action)) {
+        return `Unknown action "${rule.action}" for pattern "${rule.pattern}".`;
+    }
+    if (rule.target !== undefined && (typeof rule.target !== 'string' || !rule.target)) {
+        return `Target of pattern "${rule.pattern}" must be a target ID.`;
+    }
+    if (rule.action === 'route' && !rule.target) {
+        return `"${SITE_RULE_ACTION_LABELS.route}" rule for pattern "${rule.pattern}" needs a target.`;
+    }
+    try {
+        compileSitePattern(rule.pattern);
+    } catch (error) {
+        return `Invalid pattern "${rule.pattern}": ${error.message}`;
+    }
+    return null;
+}
+
+/**
+ * Compiles a rule list for repeated matching. Invalid rules are skipped with a warning.
+ * @param {Array<{pattern: string, action: string}>} rules - Rules in priority order.
+ * @returns {Array<{pattern: string, action: string, matches: function(string): boolean}>}
+ */
+function compileSiteRules(rules) {
+    const compiled = [];
+    for (const rule of rules || []) {
+        const error = validateSiteRule(rule);
+        if (error) {
+            console.warn(`[Site Rules] Skipping invalid rule: ${error}`);
+            continue;
+        }
+        compiled.push(Object.assign({}, rule, { matches: compileSitePattern(rule.pattern) }));
+    }
+    return compiled;
+}
+
+/**
+ * Finds the first rule matching either the request URL or the page it was made from.
+ * @param {Array<{action: string, matches: function(string): boolean}>} compiledRules - From compileSiteRules.
+ * @param {string} url - The request URL.
+ * @param {string | null | undefined} pageUrl - The URL of the document that made the request, if known.
+ * @param {function(object): boolean} [filter] - Only rules passing this are considered, e.g. only rules with a target.
+ * @returns {object | null} - The matching rule, or null if none applies.
+ */
+function findMatchingSiteRule(compiledRules, url, pageUrl, filter = null) {
+    for (const rule of compiledRules) {
+        if (filter && !filter(rule)) {
+            continue;
+        }
+        if (rule.matches(url) || (pageUrl && rule.matches(pageUrl))) {
+            return rule;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the first rule deciding whether a request is detected and intercepted. 'route' rules are skipped: they only
+ * pick a target (see resolveSendTarget), and must neither turn interception off nor hide a later rule for the URL.
+ * @param {Array<{action: string, matches: function(string): boolean}>} compiledRules - From compileSiteRules.
+ * @param {string} url - The request URL.
+ * @param {string | null | undefined} pageUrl - The URL of the document that made the request, if known.
+ * @returns {object | null} - The matching rule, or null if none applies.
+ */
+function findActionSiteRule(compiledRules, url, pageUrl) {
+    return findMatchingSiteRule(compiledRules, url, pageUrl, rule => rule.action !== 'route');
+}
+
+/**
+ * Copies only the stored fields of a rule, dropping the target when it is not set.
+ * @param {{pattern: string, action: string, target?: string}} rule
+ * @returns {{pattern: string, action: string, target?: string}}
+ */
+function cleanSiteRule(rule) {
+    const cleaned = { pattern: rule.pattern.trim(), action: rule.action };
+    if (rule.target) {
+        cleaned.target = rule.target;
+    }
+    return cleaned;
+}
+
+/**
+ * Parses a rules file as produced by "Export" in the config window.
+ * Accepts `{"version": 1, "rules": [...]}` as well as a bare rule array.
+ * @param {string} text - The file contents.
+ * @returns {Array<{pattern: string, action: string, target?: string}>}
+ * @throws {Error} - If the JSON is malformed or any rule is invalid.
+ */
+function parseSiteRulesJson(text) {
+    const data = JSON.parse(text);
+    const rules = Array.isArray(data) ? data : (data && data.rules);
+    if (!Array.isArray(rules)) {
+        throw new Error('Expected an array of rules or an object with a "rules" array.');
+    }
+    return rules.map(rule => {
+        const error = validateSiteRule(rule);
+        if (error) {
+            throw new Error(error);
+        }
+        return cleanSiteRule(rule);
+    });
+}
+
+/**
+ * Serialises rules for export.
+ * @param {Array<{pattern: string, action: string, target?: string}>} rules
+ * @returns {string}
+ */
+function stringifySiteRules(rules) {
+    return JSON.stringify({ version: 1, rules: rules.map(cleanSiteRule) }, null, 2);
+}
@@ -0,0 +1,135 @@
+// lib/stream-grouping.js - Recognises streaming segment requests and groups them into logical streams
+
+// Extensions that are (almost) only ever used for streaming fragments.
+const SEGMENT_EXTENSIONS = /\.(m4s|m4f|cmfv|cmfa)$/;
+// Extensions used by fragments and standalone files alike (`seg_0012.ts` but also `episode.ts`).
+const AMBIGUOUS_SEGMENT_EXTENSIONS = /\.(ts|fmp4)$/;
+// Numbered fragments that use a regular media extension, e.g. `seg-12.m4a`, `chunk_00034.mp4`, `fragment123.aac`.
+const NUMBERED_SEGMENT_NAME = /(chunk|segment|seg|frag|fragment)[-_]?\d+[^/]*\.(mp4|m4a|m4v|aac|mp3|webm|vtt)$/;
+// Numbered names that standalone files use too, e.g. `part1.mp4`; only fragments next to a known manifest.
+const NUMBERED_PART_NAME = /part[-_]?\d+[^/]*\.(mp4|m4a|m4v|aac|mp3|webm)$/;
+// Initialisation segments of fragmented MP4 streams, e.g. `init.mp4`, `init-v1.m4s`, `header_0.mp4`.
+const INIT_SEGMENT_NAME = /^(init|header)[^/]*\.(mp4|m4a|m4v|m4s|webm)$/;
+
+/**
+ * Returns the lower-cased pathname of a URL, or null if it cannot be parsed.
+ * @param {string} url
+ * @returns {string | null}
+ */
+function segmentPathname(url) {
+    try {
+        return new URL(url).pathname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Checks if a URL looks like a single fragment of a stream rather than a standalone media file.
+ * Names that standalone files use as well (`episode.ts`, `part1.mp4`) only count as fragments with more evidence:
+ * a sequence number ending the name of a `.ts` file, or a listed manifest in the same directory or above.
+ * @param {string} url - The request URL.
+ * @param {Array<object>} [manifestItems=[]] - The manifest media items of the tab (see findParentManifest).
+ * @returns {boolean} - True if the URL is likely one segment out of a sequence.
+ */
+function isLikelySegmentUrl(url, manifestItems = []) {
+    const pathname = segmentPathname(url);
+    if (!pathname || /\.(m3u8|mpd)$/.test(pathname)) {
+        return false;
+    }
+    const lastComponent = pathname.split('/').pop();
+    if (SEGMENT_EXTENSIONS.test(pathname) || NUMBERED_SEGMENT_NAME.test(lastComponent) || INIT_SEGMENT_NAME.test(lastComponent)) {
+        return true;
+    }
+    const isAmbiguous = AMBIGUOUS_SEGMENT_EXTENSIONS.test(pathname);
+    if (isAmbiguous && /\d+$/.test(splitSegmentName(lastComponent)[0])) {
+        return true;
+    }
+    return (isAmbiguous || NUMBERED_PART_NAME.test(lastComponent)) && findParentManifest(url, manifestItems) !== null;
+}
+
+/**
+ * Splits a file name into its base name and extension (including the dot).
+ * @param {string} name - e.g. 'seg_0012.m4s'
+ * @returns {[string, string]} - e.g. ['seg_0012', '.m4s']
+ */
+function splitSegmentName(name) {
+    const dotIndex = name.lastIndexOf('.');
+    return dotIndex > 0 ? [name.substring(0, dotIndex), name.substring(dotIndex)] : [name, ''];
+}
+
+/**
+ * Returns the "directory" of a URL (origin + pathname up to and including the last slash), without the query.
+ * @param {string} url
+ * @returns {string | null}
+ */
+function urlDirectory(url) {
+    try {
+        const urlObj = new URL(url);
+        return urlObj.origin + urlObj.pathname.substring(0, urlObj.pathname.lastIndexOf('/') + 1);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Derives a key shared by every segment of the same sequence: the segment directory plus the file name
+ * with digit runs replaced, so `/hls/720p/seg_0012.ts` and `/hls/720p/seg_0013.ts` share `.../hls/720p/seg_#.ts`.
+ * Query strings are ignored since they usually carry per-request tokens.
+ * @param {string} url - A segment URL.
+ * @returns {string}
+ */
+function getSegmentGroupKey(url) {
+    const directory = urlDirectory(url);
+    if (!directory) {
+        return url;
+    }
+    const [baseName, extension] = splitSegmentName(new URL(url).pathname.split('/').pop());
+    return directory + baseName.replace(/\d+/g, '#') + extension;
+}
+
+/**
+ * Extracts the sequence number of a segment, taken from the last digit run in its file name.
+ * @param {string} url - A segment URL.
+ * @returns {number | null}
+ */
+function getSegmentSequence(url) {
+    const pathname = segmentPathname(url);
+    if (!pathname) {
+        return null;
+    }
+    const matches = splitSegmentName(pathname.split('/').pop())[0].match(/\d+/g);
+    return matches ? parseInt(matches[matches.length - 1], 10) : null;
+}
+
+/**
+ * Finds the manifest a segment most likely belongs to: the one whose own URL, variant URLs or rendition URLs
+ * share the longest directory prefix with the segment.
+ * @param {string} segmentUrl - The segment URL.
+ * @param {Array<{url: string, variants?: Array<{url: string}>, audioTracks?: Array<{url: string | null}>, subtitleTracks?: Array<{url: string | null}>}>} manifestItems - Known manifest media items.
+ * @returns {object | null} - The matching manifest item, or null if none is related.
+ */
+function findParentManifest(segmentUrl, manifestItems) {
+    const segmentDirectory = urlDirectory(segmentUrl);
+    if (!segmentDirectory) {
+        return null;
+    }
+
+    let bestMatch = null;
+    let bestLength = 0;
+    for (const manifestItem of manifestItems) {
+        const candidateUrls = [manifestItem.url]
+            .concat((manifestItem.variants || []).map(variant => variant.url))
+            .concat((manifestItem.audioTracks || []).map(track => track.url))
+            .concat((manifestItem.subtitleTracks || []).map(track => track.url));
+
+        for (const candidateUrl of candidateUrls) {
+            const candidateDirectory = candidateUrl ? urlDirectory(candidateUrl) : null;
+            if (candidateDirectory && segmentDirectory.startsWith(candidateDirectory) && candidateDirectory.length > bestLength) {
+                bestMatch = manifestItem;
+                bestLength = candidateDirectory.length;
+            }
+        }
+    }
+    return bestMatch;
+}
@@ -0,0 +1,55 @@
+// lib/subtitles.js - Recognises subtitle and caption files by URL or Content-Type
+
+// File extensions of subtitle formats, mapped to the format name used in media items and the app payload.
+const SUBTITLE_EXTENSION_FORMATS = {
+    vtt: 'vtt',
+    webvtt: 'vtt',
+    srt: 'srt',
+    ass: 'ass',
+    ssa: 'ass',
+    scc: 'scc',
+    ttml: 'ttml',
+    dfxp: 'ttml'
+};
+
+// MIME types of subtitle formats. Servers often send .srt/.ass files as text/plain, which is left to the extension.
+const SUBTITLE_MIME_FORMATS = {
+    'text/vtt': 'vtt',
+    'application/x-subrip': 'srt',
+    'text/srt': 'srt',
+    'text/x-ssa': 'ass',
+    'text/x-ass': 'ass',
+    'application/x-ass': 'ass',
+    'application/ttml+xml': 'ttml',
+    'application/ttaf+xml': 'ttml'
+};
+
+/**
+ * Determines the subtitle format of a file from its Content-Type or, failing that, its URL extension.
+ * @param {string} url - The file URL.
+ * @param {string | null} [contentType=null] - The Content-Type header, if known.
+ * @returns {string | null} - 'vtt', 'srt', 'ass', 'scc' or 'ttml'; null if the file is not a subtitle file.
+ */
+function detectSubtitleFormat(url, contentType = null) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (SUBTITLE_MIME_FORMATS[mimeType]) {
+        return SUBTITLE_MIME_FORMATS[mimeType];
+    }
+    let pathname;
+    try {
+        pathname = new URL(url).pathname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+    const extension = /\.([a-z]+)$/.exec(pathname);
+    return extension ? SUBTITLE_EXTENSION_FORMATS[extension[1]] || null : null;
+}
+
+/**
+ * Checks if a URL points at a subtitle file, judging by its extension.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLikelySubtitleUrl(url) {
+    return detectSubtitleFormat(url) !== null;
+}
@@ -7,6 +7,24 @@ const clearUrlsBtn = document.getElementById('clearUrlsBtn');
 const serverStatusText = document.getElementById('serverStatusText');
 const serverStatusReloadBtn = document.getElementById('serverStatusReloadBtn');
 const configBtn = document.getElementById('configBtn');
+const historyBtn = document.getElementById('historyBtn');
+const sendQueueSection = document.getElementById('sendQueueSection');
+const sendQueueCount = document.getElementById('sendQueueCount');
+const sendQueueList = document.getElementById('sendQueueList');
+const batchToolbar = document.getElementById('batchToolbar');
+const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+const selectedCount = document.getElementById('selectedCount');
+const typeFilter = document.getElementById('typeFilter');
+const copySelectedBtn = document.getElementById('copySelectedBtn');
+const sendSelectedBtn = document.getElementById('sendSelectedBtn');
+
+// File extensions used to guess the type of items whose Content-Type is unknown or generic
+const MEDIA_KIND_EXTENSIONS = {
+    video: ['mp4', 'm4v', 'webm', 'mkv', 'mov', 'avi', 'flv', 'ts'],
+    audio: ['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'flac', 'wav'],
+    image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'bmp', 'svg'],
+    manifest: ['m3u8', 'mpd']
+};
 
 let currentTabId = null;
 
@@ -42,8 +60,179 @@ function showMessageBox(message, type = 'info') {
 }
 
 /**
- * Creates and appends a media item (filename + buttons) to the list in the popup.
- * @param {{url: string, filename: string}} mediaItem - The media item object to display.
+ * Builds the quality dropdown for a manifest media item.
+ * The first option keeps the whole manifest so the app can pick the best quality itself. Variants without
+ * their own URL (DASH representations addressed through the MPD) are left out; they could not be told apart.
+ * Variants whose audio is a separate rendition are labelled "video only", since sending one gets a silent video.
+ * @param {{url: string, manifestType?: string, variants: Array<{url: string | null, label: string}>}} mediaItem - The manifest media item.
+ * @returns {HTMLSelectElement}
+ */
+function createQualitySelect(mediaItem) {
+    const select = document.createElement('select');
+    select.className = 'quality-select mt-1 block w-full text-xs border border-gray-300 rounded-md bg-white py-1 px-1';
+    select.title = 'Select quality';
+
+    const autoOption = document.createElement('option');
+    autoOption.value = mediaItem.url;
+    autoOption.textContent = `Auto (whole ${mediaItem.manifestType === 'dash' ? 'MPD' : 'playlist'})`;
+    select.appendChild(autoOption);
+
+    mediaItem.variants.filter(variant => variant.url).forEach(variant => {
+        const option = document.createElement('option');
+        option.value = variant.url;
+        option.textContent = variant.label;
+        select.appendChild(option);
+    });
+
+    const renditions = [];
+    if (mediaItem.audioTracks && mediaItem.audioTracks.length > 0) {
+        renditions.push(`${mediaItem.audioTracks.length} audio`);
+    }
+    if (mediaItem.subtitleTracks && mediaItem.subtitleTracks.length > 0) {
+        renditions.push(`${mediaItem.subtitleTracks.length} subtitle`);
+    }
+    if (renditions.length > 0) {
+        select.title += ` (also has ${renditions.join(', ')} rendition(s))`;
+    }
+
+    return select;
+}
+
+/**
+ * Adds the quality dropdown of a manifest item to its list entry, or replaces the one it has, keeping the chosen
+ * quality where the new manifest still offers it.
+ * @param {HTMLElement} urlItem - The item's entry in the list.
+ * @param {object} mediaItem - The media item.
+ */
+function renderQualitySelect(urlItem, mediaItem) {
+    const previousSelect = urlItem.querySelector('.quality-select');
+    if (!mediaItem.variants || !mediaItem.variants.some(variant => variant.url)) {
+        previousSelect?.remove();
+        return;
+    }
+    const qualitySelect = createQualitySelect(mediaItem);
+    if (previousSelect) {
+        const chosenLabel = previousSelect.selectedIndex > 0 ? previousSelect.selectedOptions[0].textContent : null;
+        const option = Array.from(qualitySelect.options).find(candidate => candidate.index > 0 && candidate.textContent === chosenLabel);
+        qualitySelect.selectedIndex = option ? option.index : 0;
+        previousSelect.replaceWith(qualitySelect);
+    } else {
+        urlItem.querySelector('.flex-grow').appendChild(qualitySelect);
+    }
+}
+
+/**
+ * Describes how many stream segments were folded into a media item.
+ * @param {{isStream?: boolean, segmentCount?: number}} mediaItem
+ * @returns {string} - e.g. "Stream · 124 segments", or an empty string if the item has no segments.
+ */
+function describeSegments(mediaItem) {
+    if (!mediaItem.segmentCount) {
+        return mediaItem.isStream ? 'Stream (no manifest seen)' : '';
+    }
+    const prefix = mediaItem.isStream ? 'Stream (no manifest seen)' : 'Stream';
+    return `${prefix} · ${mediaItem.segmentCount} segment${mediaItem.segmentCount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Classifies a media item for the type filter.
+ * @param {{url: string, filename: string, contentType?: string | null, isManifest?: boolean, isStream?: boolean}} mediaItem
+ * @returns {'video' | 'audio' | 'image' | 'manifest' | 'other'}
+ */
+function getMediaKind(mediaItem) {
+    if (mediaItem.isManifest) {
+        return 'manifest';
+    }
+    const mimeType = (mediaItem.contentType || '').split(';')[0].trim().toLowerCase();
+    for (const kind of ['video', 'audio', 'image']) {
+        if (mimeType.startsWith(`${kind}/`)) {
+            return kind;
+        }
+    }
+    if (mediaItem.isStream) {
+        return 'video';
+    }
+    const extension = (mediaItem.filename || '').split('.').pop().toLowerCase();
+    for (const [kind, extensions] of Object.entries(MEDIA_KIND_EXTENSIONS)) {
+        if (extensions.includes(extension)) {
+            return kind;
+        }
+    }
+    return 'other';
+}
+
+/**
+ * Returns the list entries that are checked and not hidden by the type filter.
+ * @returns {HTMLElement[]}
+ */
+function getSelectedUrlItems() {
+    return Array.from(urlListDiv.querySelectorAll('.url-item'))
+        .filter(urlItem => !urlItem.classList.contains('hidden') && urlItem.querySelector('.select-checkbox').checked);
+}
+
+/**
+ * Shows or hides list entries according to the type filter, then updates the toolbar.
+ */
+function applyTypeFilter() {
+    for (const urlItem of urlListDiv.querySelectorAll('.url-item')) {
+        urlItem.classList.toggle('hidden', Boolean(typeFilter.value) && urlItem.dataset.kind !== typeFilter.value);
+    }
+    updateBatchToolbar();
+}
+
+/**
+ * Updates the selection count, the select-all checkbox and the bulk buttons. The toolbar is hidden while the list is empty.
+ */
+function updateBatchToolbar() {
+    const urlItems = Array.from(urlListDiv.querySelectorAll('.url-item'));
+    const visibleItems = urlItems.filter(urlItem => !urlItem.classList.contains('hidden'));
+    const selected = getSelectedUrlItems().length;
+    batchToolbar.classList.toggle('hidden', urlItems.length === 0);
+    selectedCount.textContent = `${selected} selected`;
+    selectAllCheckbox.checked = visibleItems.length > 0 && selected === visibleItems.length;
+    selectAllCheckbox.indeterminate = selected > 0 && selected < visibleItems.length;
+    copySelectedBtn.disabled = selected === 0;
+    sendSelectedBtn.disabled = selected === 0;
+}
+
+/**
+ * Shows a media item's details and thumbnail on its list entry. Called again when the details change.
+ * @param {HTMLElement} urlItem - The list entry.
+ * @param {object} mediaItem - The media item (see describeMediaDetails in lib/media-details.js).
+ */
+function renderItemDetails(urlItem, mediaItem) {
+    urlItem.querySelector('.segment-count').textContent = describeSegments(mediaItem);
+    const details = urlItem.querySelector('.item-details');
+    details.textContent = describeMediaDetails(mediaItem, { includeSource: true }).join(' · ');
+    details.title = mediaItem.contentType || '';
+    const thumbnail = urlItem.querySelector('.item-thumb');
+    if (mediaItem.thumbnail) {
+        thumbnail.src = mediaItem.thumbnail;
+        thumbnail.classList.remove('hidden');
+    }
+    const subtitles = mediaItem.subtitles || [];
+    urlItem.querySelector('.item-subtitles').classList.toggle('hidden', subtitles.length === 0);
+    urlItem.querySelector('.subtitle-names').textContent = `Send with subtitles: ${subtitles.map(describeSubtitleTrack).join(', ')}`;
+}
+
+/**
+ * Finds the list entry displaying a given URL.
+ * @param {string} url - The media item URL.
+ * @returns {HTMLElement | null} - The entry's root element.
+ */
+function findUrlItemElement(url) {
+    for (const span of urlListDiv.querySelectorAll('.url-item-text')) {
+        if (span.dataset.originalUrl === url) {
+            return span.closest('.url-item');
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates and appends a media item (filename, details + buttons) to the list in the popup.
+ * Manifests with parsed variants also get a quality dropdown; the selected variant's URL is what gets copied or sent.
+ * @param {{url: string, filename: string, variants?: Array<{url: string, label: string}>}} mediaItem - The media item object to display.
  */
 function addUrlToPopup(mediaItem) {
     const { url, filename } = mediaItem;
@@ -59,10 +248,19 @@ function addUrlToPopup(mediaItem) {
     }
 
     const urlItem = document.createElement('div');
-    urlItem.className = 'bg-white p-3 rounded-lg shadow-sm flex items-center justify-between text-sm break-all';
+    urlItem.className = 'url-item bg-white p-3 rounded-lg shadow-sm flex items-center justify-between text-sm break-all';
+    urlItem.dataset.kind = getMediaKind(mediaItem);
     urlItem.innerHTML = `
+        <input type="checkbox" class="select-checkbox flex-shrink-0 mr-2" title="Select for bulk actions">
+        <img class="item-thumb hidden flex-shrink-0 w-16 h-9 mr-2 object-cover rounded bg-gray-200" alt="">
         <div class="flex-grow pr-2">
             <span class="url-item-text block line-clamp-2" data-original-url="${url}">${filename}</span>
+            <span class="item-details block text-xs text-gray-500"></span>
+            <span class="segment-count block text-xs text-gray-500"></span>
+            <label class="item-subtitles hidden flex items-center space-x-1 text-xs text-gray-500">
+                <input type="checkbox" class="include-subtitles" checked>
+                <span class="subtitle-names"></span>
+            </label>
         </div>
         <div class="flex-shrink-0 flex space-x-2">
             <button class="copy-btn bg-blue-500 hover:bg-blue-600 text-white font-semibold py-1 px-2 rounded-md transition duration-150 ease-in-out">Copy</button>
@@ -70,11 +268,25 @@ function addUrlToPopup(mediaItem) {
         </div>
     `;
 
+    renderItemDetails(urlItem, mediaItem);
+
+    renderQualitySelect(urlItem, mediaItem);
+    // Both may change when the background script points the item at a newer URL (see the urlUpdated message)
+    const selectedUrl = () => {
+        const qualitySelect = urlItem.querySelector('.quality-select');
+        return qualitySelect ? qualitySelect.value : urlItem.querySelector('.url-item-text').dataset.originalUrl;
+    };
+    // Read by the bulk actions, which only see the DOM
+    urlItem.selectedUrl = selectedUrl;
+    urlItem.filename = filename;
+    urlItem.includeSubtitles = () => urlItem.querySelector('.include-subtitles').checked;
+    urlItem.querySelector('.select-checkbox').addEventListener('change', updateBatchToolbar);
+
     urlItem.querySelector('.copy-btn').addEventListener('click', async () => {
         try {
-            await navigator.clipboard.writeText(url);
+            await navigator.clipboard.writeText(selectedUrl());
             showMessageBox('URL copied to clipboard!', 'success');
-            console.debug(`[Popup] Copied URL to clipboard: ${url}`);
+            console.debug(`[Popup] Copied URL to clipboard: ${selectedUrl()}`);
         } catch (err) {
             showMessageBox('Failed to copy URL.', 'error');
             console.error(`[Popup] Error copying to clipboard: ${err}`);
@@ -82,10 +294,13 @@ function addUrlToPopup(mediaItem) {
     });
 
     urlItem.querySelector('.download-btn').addEventListener('click', () => {
-        console.debug(`[Popup] Sending initiateSmartDownload request for URL: ${url}, Filename: ${filename}`);
-        browser.runtime.sendMessage({ type: "initiateSmartDownload", url: url, filename: filename, tabId: currentTabId })
+        const downloadUrl = selectedUrl();
+        console.debug(`[Popup] Sending initiateSmartDownload request for URL: ${downloadUrl}, Filename: ${filename}`);
+        browser.runtime.sendMessage({ type: "initiateSmartDownload", url: downloadUrl, filename: filename, includeSubtitles: urlItem.includeSubtitles(), tabId: currentTabId })
             .then(response => {
-                if (response.success) {
+                if (response.success && response.queued) {
+                    showMessageBox('Nadeko~don is down; queued until it is back.', 'info');
+                } else if (response.success) {
                     showMessageBox('Download initiated!', 'success');
                 } else {
                     showMessageBox(`Download failed: ${response.error || 'Unknown error'}`, 'error');
@@ -95,6 +310,7 @@ function addUrlToPopup(mediaItem) {
     });
 
     urlListDiv.appendChild(urlItem);
+    applyTypeFilter();
     console.debug(`[Popup] Successfully added media item to UI: ${filename}`);
 }
 
@@ -113,6 +329,59 @@ function refreshUrlList(mediaItems) {
         noUrlsMessage.classList.remove('hidden');
         console.debug("[Popup] Showing 'No URLs found' message.");
     }
+    updateBatchToolbar();
+}
+
+/**
+ * Creates the list element for one queued send, with its Retry, Browser and Drop buttons.
+ * @param {{id: string, url: string, filename: string | null, attempts: number, lastError: string | null}} entry - A send queue entry.
+ * @returns {HTMLElement}
+ */
+function createQueueItem(entry) {
+    const queueItem = document.createElement('div');
+    queueItem.className = 'bg-white p-2 rounded-lg shadow-sm flex items-center justify-between text-xs break-all';
+    queueItem.innerHTML = `
+        <div class="flex-grow pr-2">
+            <span class="queue-item-name block line-clamp-2"></span>
+            <span class="queue-item-status block text-gray-500"></span>
+        </div>
+        <div class="flex-shrink-0 flex space-x-1">
+            <button class="retry-btn bg-green-500 hover:bg-green-600 text-white font-semibold py-1 px-2 rounded-md transition duration-150 ease-in-out" title="Send to Nadeko now">Retry</button>
+            <button class="browser-btn bg-blue-500 hover:bg-blue-600 text-white font-semibold py-1 px-2 rounded-md transition duration-150 ease-in-out" title="Download in the browser instead">Browser</button>
+            <button class="drop-btn bg-gray-200 hover:bg-gray-300 text-gray-700 font-semibold py-1 px-2 rounded-md transition duration-150 ease-in-out" title="Drop from the queue">✕</button>
+        </div>
+    `;
+    queueItem.querySelector('.queue-item-name').textContent = entry.filename || entry.url;
+    queueItem.querySelector('.queue-item-name').title = entry.url;
+    const attempts = entry.attempts ? `${entry.attempts} failed attempt${entry.attempts === 1 ? '' : 's'}` : 'Not tried yet';
+    queueItem.querySelector('.queue-item-status').textContent = entry.lastError ? `${attempts} · ${entry.lastError}` : attempts;
+
+    const sendAction = (action, successMessage) => {
+        browser.runtime.sendMessage({ type: "queuedSendAction", id: entry.id, action: action })
+            .then(response => {
+                if (response && response.success) {
+                    showMessageBox(successMessage, 'success');
+                } else {
+                    showMessageBox(`Failed: ${response?.error || 'Unknown error'}`, 'error');
+                }
+            })
+            .catch(error => showMessageBox(`Error: ${error.message}`, 'error'));
+    };
+    queueItem.querySelector('.retry-btn').addEventListener('click', () => sendAction('retry', 'Sent to Nadeko!'));
+    queueItem.querySelector('.browser-btn').addEventListener('click', () => sendAction('browser', 'Download started in browser.'));
+    queueItem.querySelector('.drop-btn').addEventListener('click', () => sendAction('drop', 'Dropped from the queue.'));
+    return queueItem;
+}
+
+/**
+ * Shows the sends waiting for Nadeko~don. The section is hidden while the queue is empty.
+ * @param {Array<object>} entries - The send queue entries, oldest first.
+ */
+function renderSendQueue(entries) {
+    sendQueueList.innerHTML = '';
+    entries.forEach(entry => sendQueueList.appendChild(createQueueItem(entry)));
+    sendQueueCount.textContent = entries.length;
+    sendQueueSection.classList.toggle('hidden', entries.length === 0);
 }
 
 /**
@@ -163,11 +432,31 @@ browser.runtime.onMessage.addListener((message) => {
     if (message.type === "urlAdded" && message.tabId === currentTabId && message.mediaItem) {
         addUrlToPopup(message.mediaItem);
         console.debug(`[Popup] New media item received and added: ${message.mediaItem.filename}`);
+    } else if (message.type === "urlUpdated" && message.tabId === currentTabId && message.mediaItem) {
+        const urlItem = findUrlItemElement(message.previousUrl || message.mediaItem.url);
+        if (urlItem) {
+            urlItem.querySelector('.url-item-text').dataset.originalUrl = message.mediaItem.url;
+            renderItemDetails(urlItem, message.mediaItem);
+            renderQualitySelect(urlItem, message.mediaItem);
+        } else {
+            addUrlToPopup(message.mediaItem);
+        }
+    } else if (message.type === "urlRemoved" && message.tabId === currentTabId) {
+        const urlItem = findUrlItemElement(message.url);
+        if (urlItem) {
+            urlItem.remove();
+        }
+        if (!urlListDiv.querySelector('.url-item')) {
+            noUrlsMessage.classList.remove('hidden');
+        }
+        updateBatchToolbar();
     } else if (message.type === "clearUrlsDisplay" && message.tabId === currentTabId) {
         refreshUrlList([]);
         console.debug(`[Popup] Display cleared for tab ${currentTabId}`);
     } else if (message.type === "downloadHandledByNadeko" && message.tabId === currentTabId) {
         showMessageBox(`Sent ${message.filename} to Nadeko!`, 'success');
+    } else if (message.type === "sendQueueUpdated" && message.entries) {
+        renderSendQueue(message.entries);
     }
 });
 
@@ -192,6 +481,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             checkServerStatus(); // Initial check for server status
 
+            const queueResponse = await browser.runtime.sendMessage({ type: "getSendQueue" });
+            renderSendQueue((queueResponse && queueResponse.entries) || []);
+
         } else {
             console.warn("[Popup] No active tab found. Showing 'No URLs found' message.");
             noUrlsMessage.textContent = "Please ensure a tab is active. No media URLs found yet.";
@@ -229,13 +521,57 @@ clearUrlsBtn.addEventListener('click', async () => {
 
 serverStatusReloadBtn.addEventListener('click', checkServerStatus);
 
+typeFilter.addEventListener('change', applyTypeFilter);
+
+selectAllCheckbox.addEventListener('change', () => {
+    for (const urlItem of urlListDiv.querySelectorAll('.url-item')) {
+        if (!urlItem.classList.contains('hidden')) {
+            urlItem.querySelector('.select-checkbox').checked = selectAllCheckbox.checked;
+        }
+    }
+    updateBatchToolbar();
+});
+
+copySelectedBtn.addEventListener('click', async () => {
+    const urls = getSelectedUrlItems().map(urlItem => urlItem.selectedUrl());
+    try {
+        await navigator.clipboard.writeText(urls.join('\n'));
+        showMessageBox(`Copied ${urls.length} URL${urls.length === 1 ? '' : 's'} to clipboard!`, 'success');
+        console.debug(`[Popup] Copied ${urls.length} URLs to clipboard.`);
+    } catch (err) {
+        showMessageBox('Failed to copy URLs.', 'error');
+        console.error(`[Popup] Error copying to clipboard: ${err}`);
+    }
+});
+
+sendSelectedBtn.addEventListener('click', async () => {
+    const items = getSelectedUrlItems().map(urlItem => ({ url: urlItem.selectedUrl(), filename: urlItem.filename, includeSubtitles: urlItem.includeSubtitles() }));
+    console.debug(`[Popup] Sending a batch of ${items.length} URLs for tab ${currentTabId}.`);
+    sendSelectedBtn.disabled = true;
+    try {
+        const response = await browser.runtime.sendMessage({ type: "sendBatch", items: items, tabId: currentTabId });
+        if (response.success && response.queued > 0) {
+            showMessageBox(`Sent ${response.sent}, queued ${response.queued} until Nadeko~don is back.`, 'info');
+        } else if (response.success) {
+            showMessageBox(`Sent ${response.sent} item${response.sent === 1 ? '' : 's'} to Nadeko!`, 'success');
+        } else {
+            showMessageBox(`${response.failed || items.length} of ${items.length} failed: ${response.error || 'Unknown error'}`, 'error');
+        }
+    } catch (error) {
+        showMessageBox(`Error sending selection: ${error.message}`, 'error');
+        console.error('[Popup] Error sending batch:', error);
+    } finally {
+        updateBatchToolbar();
+    }
+});
+
 // New: Listener for the configuration button to open a new popup window
 configBtn.addEventListener('click', () => {
     browser.windows.create({
         url: browser.runtime.getURL("config/config.html"),
         type: "popup", // Opens as a small, floating window
         width: 450, // Adjust size as needed
-        height: 350,
+        height: 600,
         left: 100, // Optional: position it
         top: 100
     }).catch(error => {
@@ -243,3 +579,11 @@ configBtn.addEventListener('click', () => {
         showMessageBox("Failed to open configuration window.", "error");
     });
 });
+
+// Listener for the history button: the history page gets a full tab since it can hold many entries
+historyBtn.addEventListener('click', () => {
+    browser.tabs.create({ url: browser.runtime.getURL("history/history.html") }).catch(error => {
+        console.error("[Popup] Failed to open history page:", error);
+        showMessageBox("Failed to open history page.", "error");
+    });
+});
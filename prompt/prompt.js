@@ -0,0 +1,56 @@
+// prompt/prompt.js
+
+const promptFilename = document.getElementById('promptFilename');
+const promptDetails = document.getElementById('promptDetails');
+const promptSource = document.getElementById('promptSource');
+const sendBtn = document.getElementById('sendBtn');
+const browserBtn = document.getElementById('browserBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+const rememberLabel = document.getElementById('rememberLabel');
+const rememberChoice = document.getElementById('rememberChoice');
+const rememberHost = document.getElementById('rememberHost');
+
+const promptId = parseInt(new URLSearchParams(window.location.search).get('id'), 10);
+
+/**
+ * Sends the user's choice (and whether to remember it for the site) to the background script and closes the window.
+ * @param {'nadeko' | 'browser' | 'cancel'} choice
+ */
+async function resolvePrompt(choice) {
+    try {
+        await browser.runtime.sendMessage({ type: "resolveInterceptPrompt", id: promptId, choice: choice, remember: rememberChoice.checked });
+    } catch (error) {
+        console.error('[Prompt] Error sending choice to background:', error);
+    }
+    window.close();
+}
+
+/**
+ * Loads the intercepted download's details from the background script.
+ */
+async function loadPrompt() {
+    try {
+        const details = await browser.runtime.sendMessage({ type: "getInterceptPrompt", id: promptId });
+        if (!details) {
+            // Already answered (e.g. from another window) or the extension was reloaded
+            window.close();
+            return;
+        }
+        promptFilename.textContent = details.filename;
+        promptDetails.textContent = `${details.sizeText} · ${bareMimeType(details.contentType) || 'unknown type'}`;
+        promptSource.textContent = `From: ${details.pageUrl || details.url}`;
+        promptSource.title = details.url;
+        if (details.rememberHost) {
+            rememberHost.textContent = details.rememberHost;
+            rememberLabel.classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('[Prompt] Error loading prompt details:', error);
+        promptFilename.textContent = 'Could not load download details.';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadPrompt);
+sendBtn.addEventListener('click', () => resolvePrompt('nadeko'));
+browserBtn.addEventListener('click', () => resolvePrompt('browser'));
+cancelBtn.addEventListener('click', () => resolvePrompt('cancel'));
@@ -0,0 +1,615 @@
+// test/background.test.js - The background page end to end, against a browser stub and a fake Nadeko~don
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserStub } = require('./helpers/browser-stub');
+const { startFakeNadeko } = require('./helpers/fake-nadeko');
+const { loadBackground, storedSettingsFor, waitFor } = require('./helpers/load-scripts');
+
+const TAB = { id: 1, url: 'https://example.com/watch', title: 'Example' };
+
+/**
+ * Starts a fake app and a background page configured to send to it.
+ * @param {object} [appOptions] - For startFakeNadeko.
+ * @param {object} [settings] - Other settings to store.
+ * @returns {Promise<{app: object, browser: object, background: object, cleanup: function(): Promise<void>}>}
+ */
+async function setup(appOptions = {}, settings = {}) {
+    const app = await startFakeNadeko(appOptions);
+    const browser = createBrowserStub({ tabs: [TAB], storage: storedSettingsFor(app, settings) });
+    const background = await loadBackground(browser);
+    return {
+        app: app,
+        browser: browser,
+        background: background,
+        cleanup: async () => {
+            background.dispose();
+            await app.close();
+        }
+    };
+}
+
+/**
+ * Builds onHeadersReceived details for a file download in the test tab.
+ * @param {string} url
+ * @param {object} [headers]
+ */
+function downloadResponse(url, headers = { 'Content-Type': 'application/zip', 'Content-Length': '123456' }) {
+    return {
+        url: url,
+        type: 'main_frame',
+        statusCode: 200,
+        tabId: TAB.id,
+        documentUrl: TAB.url,
+        responseHeaders: Object.entries(headers).map(([name, value]) => ({ name: name, value: value }))
+    };
+}
+
+/**
+ * Copies a value out of the sandbox, whose objects have their own prototypes and fail deepStrictEqual.
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Sends a runtime message as the popup would and waits for the response.
+ * @param {object} browser - The browser stub.
+ * @param {object} message
+ * @param {object} [sender={}]
+ * @returns {Promise<*>}
+ */
+function sendMessage(browser, message, sender = {}) {
+    return new Promise(resolve => browser.runtime.onMessage.dispatch(message, sender, response => resolve(plain(response))));
+}
+
+/**
+ * Reads the stored download history.
+ * @param {object} browser
+ * @returns {Promise<Array<object>>}
+ */
+async function history(browser) {
+    return (await browser.storage.local.get('downloadHistory')).downloadHistory || [];
+}
+
+test('an intercepted download is cancelled and sent to the app', async () => {
+    const { app, browser, cleanup } = await setup();
+    try {
+        const [result] = browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/archive.zip'));
+        assert.deepEqual(plain(result), { cancel: true });
+
+        await waitFor(() => app.sends.length === 1);
+        assert.equal(app.sends[0].url, 'https://files.example/archive.zip');
+        assert.equal(app.sends[0].filename, 'archive.zip');
+        const [entry] = await waitFor(async () => (await history(browser)).length > 0 && history(browser));
+        assert.equal(entry.route, 'nadeko');
+        assert.equal(entry.outcome, 'sent');
+        assert.equal(browser.calls['downloads.download'], undefined);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('responses that are not downloads are left alone', async () => {
+    const { app, browser, cleanup } = await setup();
+    try {
+        const [result] = browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://example.com/', { 'Content-Type': 'text/html' }));
+        assert.deepEqual(plain(result), { cancel: false });
+        // Scripts are not among the types the interceptor listens for
+        const scriptResults = browser.webRequest.onHeadersReceived.dispatch(Object.assign(downloadResponse('https://example.com/a.zip'), { type: 'script' }));
+        assert.deepEqual(scriptResults, []);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(app.sends.length, 0);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('when the app is down the download goes back to the browser, once', async () => {
+    const { app, browser, cleanup } = await setup();
+    await app.close();
+    try {
+        const url = 'https://files.example/down.zip';
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse(url));
+
+        const [[options]] = await waitFor(() => browser.calls['downloads.download']);
+        assert.equal(options.url, url);
+        assert.equal(options.filename, 'down.zip');
+        const [entry] = await waitFor(async () => (await history(browser)).length > 0 && history(browser));
+        assert.equal(entry.route, 'browser');
+        assert.equal(entry.reason, 'Nadeko~don was not reachable');
+
+        // The browser's own request for the fallback must not be intercepted again
+        const [result] = browser.webRequest.onHeadersReceived.dispatch(downloadResponse(url));
+        assert.deepEqual(plain(result), { cancel: false });
+    } finally {
+        await cleanup();
+    }
+});
+
+test('a failed send falls back to a browser download', async () => {
+    const { app, browser, cleanup } = await setup({ postStatus: 500 });
+    try {
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/rejected.zip'));
+
+        await waitFor(() => browser.calls['downloads.download']);
+        assert.equal(app.sends.length, 1);
+        const [entry] = await waitFor(async () => (await history(browser)).length > 0 && history(browser));
+        assert.equal(entry.route, 'browser');
+        assert.match(entry.reason, /^Sending to Nadeko failed/);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('with the offline queue on, sends wait for the app instead', async () => {
+    const { app, browser, background, cleanup } = await setup({}, { offlineQueueEnabled: true });
+    await app.close();
+    try {
+        browser.webRequest.onSendHeaders.dispatch({
+            url: 'https://files.example/later.zip',
+            type: 'main_frame',
+            tabId: TAB.id,
+            requestId: '1',
+            requestHeaders: [{ name: 'Authorization', value: 'Bearer secret' }, { name: 'Referer', value: TAB.url }]
+        });
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/later.zip'));
+
+        const queue = await waitFor(async () => {
+            const { sendQueue } = await browser.storage.local.get('sendQueue');
+            return sendQueue && sendQueue.length > 0 && sendQueue;
+        });
+        assert.equal(queue.length, 1);
+        assert.equal(queue[0].url, 'https://files.example/later.zip');
+        assert.equal(browser.calls['downloads.download'], undefined);
+        // Credentials stay in memory only
+        assert.deepEqual(queue[0].context.requestHeaders, { Referer: TAB.url });
+        assert.equal(background.evaluate('sendQueue[0].context.requestHeaders.Authorization'), 'Bearer secret');
+
+        const response = await sendMessage(browser, { type: 'getSendQueue' });
+        assert.equal(response.enabled, true);
+        assert.equal(response.entries.length, 1);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('the message router answers the popup and content scripts', async () => {
+    const { browser, cleanup } = await setup();
+    try {
+        assert.deepEqual(await sendMessage(browser, { type: 'getMediaUrls', tabId: TAB.id }), { mediaItems: [] });
+        assert.deepEqual(await sendMessage(browser, { type: 'getPageSettings' }), { hoverButton: false });
+        assert.deepEqual(await sendMessage(browser, { type: 'getHistory' }), { entries: [] });
+    } finally {
+        await cleanup();
+    }
+});
+
+test('a protocol answer that is not a version is not cached', async () => {
+    const { app, browser, cleanup } = await setup({ protocol: '<html><body>Welcome to nginx!</body></html>' });
+    try {
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/one.zip'));
+        await waitFor(() => app.sends.length === 1);
+        assert.equal(app.sends[0].protocol, undefined);
+
+        app.protocol = 3;
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/two.zip'));
+        await waitFor(() => app.sends.length === 2);
+        assert.equal(app.sends[1].protocol, 3);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('testConnection reports the protocol and rejected tokens', async () => {
+    const { app, browser, cleanup } = await setup({ token: 'secret' });
+    try {
+        const target = { id: 'default', name: 'Fake Nadeko', scheme: 'http', host: '127.0.0.1', port: app.port, basePath: '/' };
+        const rejected = await sendMessage(browser, { type: 'testConnection', target: Object.assign({ token: 'wrong' }, target) });
+        assert.equal(rejected.success, false);
+        assert.match(rejected.message, /token was rejected/);
+
+        const accepted = await sendMessage(browser, { type: 'testConnection', target: Object.assign({ token: 'secret' }, target) });
+        assert.equal(accepted.success, true);
+        assert.match(accepted.message, /protocol v3/);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('an app without the protocol endpoint is asked again once it has been upgraded', async () => {
+    const { app, browser, cleanup } = await setup({ protocol: null });
+    try {
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/one.zip'));
+        await waitFor(() => app.sends.length === 1);
+        assert.equal(app.sends[0].protocol, undefined);
+
+        app.protocol = 3;
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/two.zip'));
+        await waitFor(() => app.sends.length === 2);
+        assert.equal(app.sends[1].protocol, 3);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('a routed site is still intercepted, sends go to its target, and later rules still apply', async () => {
+    const nas = await startFakeNadeko();
+    const nasTarget = { id: 'nas', name: 'NAS', scheme: 'http', host: '127.0.0.1', port: nas.port, basePath: '/', token: '' };
+    const { app, browser, background, cleanup } = await setup({}, {
+        siteRules: [
+            { pattern: 'files.example', action: 'route', target: 'nas' },
+            { pattern: 'files.example/private/*', action: 'never-intercept' }
+        ]
+    });
+    try {
+        const { settings } = await browser.storage.local.get('settings');
+        settings.values.targets.push(nasTarget);
+        await browser.storage.local.set({ settings: settings });
+        await waitFor(() => background.evaluate('appTargets.has("nas")'));
+        const [result] = browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/archive.zip'));
+        assert.deepEqual(plain(result), { cancel: true });
+        await waitFor(() => nas.sends.length === 1);
+        assert.equal(nas.sends[0].url, 'https://files.example/archive.zip');
+        assert.equal(app.sends.length, 0);
+
+        const [privateResult] = browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/private/archive.zip'));
+        assert.deepEqual(plain(privateResult), { cancel: false });
+    } finally {
+        await cleanup();
+        await nas.close();
+    }
+});
+
+test('always-intercept sites do not take over third-party frames', async () => {
+    const { app, browser, cleanup } = await setup({}, { siteRules: [{ pattern: 'example.com', action: 'always-intercept' }] });
+    try {
+        const frame = Object.assign(downloadResponse('https://ads.example.net/banner.bin', { 'Content-Type': 'application/octet-stream', 'Content-Length': '10' }), { type: 'sub_frame' });
+        // Frames also reach the media classification listener, which returns nothing
+        const [frameResult] = browser.webRequest.onHeadersReceived.dispatch(Object.assign({}, frame, { responseHeaders: [{ name: 'Content-Type', value: 'image/webp' }] })).filter(Boolean);
+        assert.deepEqual(plain(frameResult), { cancel: false });
+
+        const [ownResult] = browser.webRequest.onHeadersReceived.dispatch(Object.assign({}, frame, { url: 'https://example.com/embed/clip.webm', responseHeaders: [{ name: 'Content-Type', value: 'video/webm' }] })).filter(Boolean);
+        assert.deepEqual(plain(ownResult), { cancel: true });
+        await waitFor(() => app.sends.length === 1);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('"remember for this site" is only stored from the prompt window, and only skips the prompt', async () => {
+    const { app, browser, cleanup } = await setup({}, { askBeforeSending: true });
+    try {
+        const storedRules = async () => (await browser.storage.local.get('settings')).settings.values.siteRules || [];
+
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/one.zip'));
+        await waitFor(() => browser.calls['windows.create']);
+        // The overlay is part of the page, so its answers come from a content script
+        await sendMessage(browser, { type: 'resolveInterceptPrompt', id: 1, choice: 'nadeko', remember: true }, { tab: TAB, url: TAB.url });
+        await waitFor(() => app.sends.length === 1);
+        assert.deepEqual((await storedRules()).filter(rule => rule.pattern === 'files.example'), []);
+
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/two.zip'));
+        await waitFor(() => browser.calls['windows.create'].length === 2);
+        await sendMessage(browser, { type: 'resolveInterceptPrompt', id: 2, choice: 'nadeko', remember: true }, { url: 'moz-extension://nadecon-test/prompt/prompt.html?id=2' });
+        await waitFor(() => app.sends.length === 2);
+        await waitFor(async () => (await storedRules()).some(rule => rule.pattern === 'files.example'));
+        assert.deepEqual(plain((await storedRules())[0]), { pattern: 'files.example', action: 'send-without-asking' });
+
+        // Sent without asking, but still only downloads
+        const [download] = browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/three.zip'));
+        assert.deepEqual(plain(download), { cancel: true });
+        await waitFor(() => app.sends.length === 3);
+        assert.equal(browser.calls['windows.create'].length, 2);
+        const [page] = browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/data', { 'Content-Type': 'application/json' }));
+        assert.deepEqual(plain(page), { cancel: false });
+    } finally {
+        await cleanup();
+    }
+});
+
+test('an overlay removed by the page is asked again in the prompt window', async () => {
+    const { app, browser, cleanup } = await setup({}, { askBeforeSending: true, promptStyle: 'overlay' });
+    try {
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/one.zip'));
+        await waitFor(() => (browser.calls['tabs.sendMessage'] || []).some(([, message]) => message.type === 'showInterceptPrompt'));
+        assert.equal(browser.calls['windows.create'], undefined);
+
+        // Only the tab showing the overlay can report it gone
+        await sendMessage(browser, { type: 'interceptOverlayRemoved', id: 1 }, { tab: Object.assign({}, TAB, { id: TAB.id + 1 }), url: TAB.url });
+        assert.equal(browser.calls['windows.create'], undefined);
+        await sendMessage(browser, { type: 'interceptOverlayRemoved', id: 1 }, { tab: TAB, url: TAB.url });
+        await waitFor(() => browser.calls['windows.create']);
+        assert.equal(browser.calls['windows.create'].length, 1);
+        assert.equal(app.sends.length, 0);
+
+        await sendMessage(browser, { type: 'resolveInterceptPrompt', id: 1, choice: 'nadeko' }, { url: 'moz-extension://nadecon-test/prompt/prompt.html?id=1' });
+        await waitFor(() => app.sends.length === 1);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('the filename template names sends and fallback downloads alike', async () => {
+    const { app, browser, cleanup } = await setup({}, { filenameTemplate: '{site} - {title}.{ext}' });
+    try {
+        browser.runtime.onMessage.dispatch({ type: 'pageMetadataDetected', title: 'Launch day', siteName: 'Example' }, { tab: TAB, url: TAB.url, frameId: 0 }, () => {});
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/a1b2c3.zip'));
+        await waitFor(() => app.sends.length === 1);
+        assert.equal(app.sends[0].filename, 'Example - Launch day.zip');
+
+        await app.close();
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/d4e5f6.zip'));
+        const [[options]] = await waitFor(() => browser.calls['downloads.download']);
+        assert.equal(options.filename, 'Example - Launch day.zip');
+    } finally {
+        await cleanup();
+    }
+});
+
+test('page metadata reported before the tab announces its new URL is kept, and only used on that URL', async () => {
+    const { app, browser, cleanup } = await setup({}, { filenameTemplate: '{title}.{ext}' });
+    try {
+        const sender = { tab: TAB, url: TAB.url, frameId: 0 };
+        browser.runtime.onMessage.dispatch({ type: 'pageMetadataDetected', pageUrl: TAB.url, title: 'Launch day' }, sender, () => {});
+        browser.tabs.onUpdated.dispatch(TAB.id, { url: TAB.url }, TAB);
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/a1b2c3.zip'));
+        await waitFor(() => app.sends.length === 1);
+        assert.equal(app.sends[0].filename, 'Launch day.zip');
+        assert.ok(browser.calls['tabs.sendMessage'].some(([tabId, message]) => tabId === TAB.id && message.type === 'pageUrlChanged'));
+
+        browser.runtime.onMessage.dispatch({ type: 'pageMetadataDetected', pageUrl: 'https://example.com/next', title: 'Next video' }, sender, () => {});
+        browser.webRequest.onHeadersReceived.dispatch(downloadResponse('https://files.example/d4e5f6.zip'));
+        await waitFor(() => app.sends.length === 2);
+        assert.equal(app.sends[1].filename, `${TAB.title}.zip`);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('batches number their files with {index}', async () => {
+    const { app, browser, cleanup } = await setup({}, { filenameTemplate: '{index} {title}' });
+    try {
+        const response = await sendMessage(browser, {
+            type: 'sendBatch',
+            tabId: TAB.id,
+            items: [
+                { url: 'https://cdn.example/one.mp4', filename: 'one.mp4' },
+                { url: 'https://cdn.example/two.mp4', filename: 'two.mp4' }
+            ]
+        });
+        assert.equal(response.success, true);
+        assert.deepEqual(app.sends[0].items.map(item => item.filename), ['1 Example.mp4', '2 Example.mp4']);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('failed sends check the app once and keep one history entry per download', async () => {
+    const { app, browser, background, cleanup } = await setup({ protocol: 2, postStatus: 500 });
+    try {
+        // Let the health check made on startup answer first
+        await waitFor(() => background.evaluate('appOnlineStates.size > 0'));
+        const items = [
+            { url: 'https://cdn.example/one.mp4', filename: 'one.mp4' },
+            { url: 'https://cdn.example/two.mp4', filename: 'two.mp4' },
+            { url: 'https://cdn.example/three.mp4', filename: 'three.mp4' }
+        ];
+        const checksBefore = app.requests.filter(request => request.method === 'HEAD').length;
+        const first = await sendMessage(browser, { type: 'sendBatch', tabId: TAB.id, items: items });
+        assert.equal(first.failed, 3);
+        assert.equal(app.requests.filter(request => request.method === 'HEAD').length - checksBefore, 1);
+
+        await sendMessage(browser, { type: 'sendBatch', tabId: TAB.id, items: items });
+        const entries = await waitFor(async () => {
+            const stored = await history(browser);
+            return stored.length > 0 && stored.every(entry => entry.attempts === 2) && stored;
+        });
+        assert.equal(entries.length, 3);
+        assert.ok(entries.every(entry => entry.outcome === 'failed'));
+    } finally {
+        await cleanup();
+    }
+});
+
+test('a blob: player only borrows a stream from another frame if the tab has no other', async () => {
+    const { background, cleanup } = await setup();
+    try {
+        background.evaluate(`scrapedMediaUrls.set(${TAB.id}, new Map([['one', { frameId: 1, isStream: true }]]))`);
+        assert.equal(background.evaluate(`findBlobPlayerSource(${TAB.id}, 3)`), 'one');
+
+        background.evaluate(`scrapedMediaUrls.get(${TAB.id}).set('two', { frameId: 2, isStream: true })`);
+        assert.equal(background.evaluate(`findBlobPlayerSource(${TAB.id}, 3)`), null);
+        assert.equal(background.evaluate(`findBlobPlayerSource(${TAB.id}, 2)`), 'two');
+    } finally {
+        await cleanup();
+    }
+});
+
+test('subtitles seen only as requests need a manifest or player in their frame', async () => {
+    const { background, cleanup } = await setup();
+    try {
+        background.evaluate(`scrapedMediaUrls.set(${TAB.id}, new Map([
+            ['clip', { frameId: 0, source: 'webRequest', mimeType: 'video/mp4' }],
+            ['other', { frameId: 2, isManifest: true }]
+        ]))`);
+        assert.equal(background.evaluate(`findSubtitleOwner(${TAB.id}, { frameId: 0 })`), null);
+
+        background.evaluate(`scrapedMediaUrls.get(${TAB.id}).set('master', { frameId: 0, isManifest: true })`);
+        assert.equal(background.evaluate(`findSubtitleOwner(${TAB.id}, { frameId: 0 })`), 'master');
+    } finally {
+        await cleanup();
+    }
+});
+
+test('site extractors can be turned off', async () => {
+    const { browser, background, cleanup } = await setup({}, { siteExtractors: false });
+    try {
+        const fetched = [];
+        const realFetch = background.fetch;
+        background.fetch = (url, options) => {
+            fetched.push(String(url));
+            return realFetch(url, options);
+        };
+        assert.equal(await background.evaluate(`extractSiteMedia(${TAB.id}, 'https://vimeo.com/123456', 0)`), false);
+        browser.tabs.onUpdated.dispatch(TAB.id, { url: 'https://vimeo.com/123456' }, TAB);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(fetched.filter(url => url.includes('vimeo')), []);
+    } finally {
+        await cleanup();
+    }
+});
+
+/**
+ * Answers the background page's ranged GET probes of media URLs, passing its other requests through.
+ * @param {object} background - From loadBackground.
+ * @param {function(string): Response} respond - Builds the probe response for a URL.
+ * @returns {Array<string>} - The probed URLs, filled in as probes are made.
+ */
+function stubProbes(background, respond) {
+    const realFetch = background.fetch;
+    const probes = [];
+    background.fetch = (url, options = {}) => {
+        if (!options.headers || options.headers.Range !== 'bytes=0-0') {
+            return realFetch(url, options);
+        }
+        probes.push(url);
+        return Promise.resolve(respond(url));
+    };
+    return probes;
+}
+
+/**
+ * Reads the media items listed for the test tab.
+ * @param {object} browser
+ * @returns {Promise<Array<object>>}
+ */
+async function listedMedia(browser) {
+    return (await sendMessage(browser, { type: 'getMediaUrls', tabId: TAB.id })).mediaItems;
+}
+
+test('requests for the same file under other signatures are listed once, with the newest URL', async () => {
+    const { browser, background, cleanup } = await setup({}, { urlCanonicalRules: [{ pattern: 'cdn.example', dropParams: ['token'] }] });
+    const probes = stubProbes(background, () => new Response('x', { status: 206, headers: { 'Content-Type': 'video/mp4', 'Content-Range': 'bytes 0-0/1000' } }));
+    try {
+        const sender = { tab: TAB, url: TAB.url, frameId: 0 };
+        const first = 'https://cdn.example/clip.mp4?token=a1&Expires=1';
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: first }, sender, () => {});
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: 'https://cdn.example/clip.mp4?token=b2&Expires=2' }, sender, () => {});
+        await waitFor(async () => (await listedMedia(browser)).length > 0);
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: 'https://cdn.example/clip.mp4?token=c3&Expires=3' }, sender, () => {});
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: 'https://cdn.example/other.mp4?token=a1' }, sender, () => {});
+        await waitFor(async () => (await listedMedia(browser)).length > 1);
+
+        const mediaItems = await listedMedia(browser);
+        assert.deepEqual(mediaItems.map(item => item.url), ['https://cdn.example/clip.mp4?Expires=3&token=c3', 'https://cdn.example/other.mp4?token=a1']);
+        assert.equal(probes.length, 2);
+        // The popup moves its entry over to the new URL
+        const update = browser.calls['runtime.sendMessage'].map(([message]) => message).find(message => message.type === 'urlUpdated');
+        assert.equal(update.previousUrl, 'https://cdn.example/clip.mp4?Expires=1&token=a1');
+        assert.equal(update.mediaItem.url, 'https://cdn.example/clip.mp4?Expires=3&token=c3');
+    } finally {
+        await cleanup();
+    }
+});
+
+test('a listed manifest seen under a newer signature is parsed again from the new URL', async () => {
+    const { browser, background, cleanup } = await setup({}, { urlCanonicalRules: [{ pattern: 'cdn.example', dropParams: ['token'] }] });
+    const manifests = [];
+    background.fetch = (url, options = {}) => {
+        if (options.headers && options.headers.Range) {
+            return Promise.resolve(new Response('#', { status: 206, headers: { 'Content-Type': 'application/vnd.apple.mpegurl' } }));
+        }
+        manifests.push(String(url));
+        const token = new URL(url).searchParams.get('token');
+        return Promise.resolve(new Response(`#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360\n360p.m3u8?token=${token}\n`));
+    };
+    try {
+        const sender = { tab: TAB, url: TAB.url, frameId: 0 };
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: 'https://cdn.example/show/master.m3u8?token=old' }, sender, () => {});
+        await waitFor(async () => (await listedMedia(browser)).length > 0);
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: 'https://cdn.example/show/master.m3u8?token=new' }, sender, () => {});
+
+        const [item] = await waitFor(() => listedMedia(browser).then(items => items[0].url.endsWith('token=new') && items));
+        assert.deepEqual(manifests, ['https://cdn.example/show/master.m3u8?token=old', 'https://cdn.example/show/master.m3u8?token=new']);
+        assert.deepEqual(item.variants.map(variant => variant.url), ['https://cdn.example/show/360p.m3u8?token=new']);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('media requests are classified from their own response, without probing', async () => {
+    const { browser, background, cleanup } = await setup();
+    const probes = stubProbes(background, () => new Response(null, { status: 404 }));
+    try {
+        const request = { url: 'https://cdn.example/live/master.m3u8', type: 'xmlhttprequest', tabId: TAB.id, frameId: 0, documentUrl: TAB.url };
+        browser.webRequest.onBeforeRequest.dispatch(request);
+        browser.webRequest.onHeadersReceived.dispatch(Object.assign({}, request, {
+            statusCode: 206,
+            responseHeaders: [{ name: 'Content-Type', value: 'video/mp4' }, { name: 'Content-Range', value: 'bytes 0-1023/5242880' }]
+        }));
+        const [item] = await waitFor(() => listedMedia(browser).then(items => items.length > 0 && items));
+        assert.equal(item.contentType, 'video/mp4');
+        assert.equal(item.contentLength, 5242880);
+        assert.deepEqual(probes, []);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('a URL whose probe failed is probed again the next time it comes up', async () => {
+    const { browser, background, cleanup } = await setup();
+    let status = 503;
+    const probes = stubProbes(background, () => new Response('x', { status: status, headers: { 'Content-Type': 'video/mp4', 'Content-Range': 'bytes 0-0/4096' } }));
+    try {
+        const sender = { tab: TAB, url: TAB.url, frameId: 0 };
+        const url = 'https://cdn.example/clip.mp4';
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: url }, sender, () => {});
+        await waitFor(() => probes.length === 1);
+        await waitFor(() => !background.evaluate(`pendingMediaKeys.get(${TAB.id}).size`));
+        assert.deepEqual(await listedMedia(browser), []);
+
+        status = 206;
+        browser.runtime.onMessage.dispatch({ type: 'mediaUrlDetected', url: url }, sender, () => {});
+        const [item] = await waitFor(() => listedMedia(browser).then(items => items.length > 0 && items));
+        assert.equal(probes.length, 2);
+        assert.equal(item.contentLength, 4096);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('an embed listed after its extractor failed is probed right away', async () => {
+    const { browser, background, cleanup } = await setup();
+    const probes = stubProbes(background, () => new Response('x', { status: 206, headers: { 'Content-Type': 'video/mp4', 'Content-Range': 'bytes 0-0/1000' } }));
+    const probingFetch = background.fetch;
+    background.fetch = (url, options = {}) => (options.headers && options.headers.Range) ? probingFetch(url, options) : Promise.resolve(new Response(null, { status: 404 }));
+    try {
+        const embedUrl = 'https://player.vimeo.com/video/123456';
+        browser.webRequest.onBeforeRequest.dispatch({ url: embedUrl, type: 'sub_frame', tabId: TAB.id, frameId: 3, documentUrl: TAB.url });
+        // Without waiting RESPONSE_WAIT_TIMEOUT for a response that has already gone by
+        await waitFor(() => probes.length > 0, 1000);
+        assert.deepEqual(probes.map(String), [embedUrl]);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('URLs whose response is not usable are probed with a ranged GET instead', async () => {
+    const { browser, background, cleanup } = await setup();
+    const probes = stubProbes(background, () => new Response('x', { status: 206, headers: { 'Content-Type': 'audio/mpeg', 'Content-Range': 'bytes 0-0/2048' } }));
+    try {
+        const request = { url: 'https://cdn.example/audio/track.mp3', type: 'media', tabId: TAB.id, frameId: 0, documentUrl: TAB.url };
+        browser.webRequest.onBeforeRequest.dispatch(request);
+        browser.webRequest.onHeadersReceived.dispatch(Object.assign({}, request, { statusCode: 302, responseHeaders: [{ name: 'Location', value: 'https://edge.example/track.mp3' }] }));
+        const [item] = await waitFor(() => listedMedia(browser).then(items => items.length > 0 && items));
+        assert.deepEqual(probes, ['https://cdn.example/audio/track.mp3']);
+        assert.equal(item.contentType, 'audio/mpeg');
+        assert.equal(item.contentLength, 2048);
+    } finally {
+        await cleanup();
+    }
+});
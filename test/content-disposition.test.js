@@ -0,0 +1,90 @@
+// test/content-disposition.test.js - Run with `npm test`
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { parseContentDisposition } = loadScripts(['lib/content-disposition.js']);
+
+// [header, expected filename] - mostly values seen from real servers
+const FILENAME_CASES = [
+    ['attachment; filename="video.mp4"', 'video.mp4'],
+    ['attachment; filename=video.mp4', 'video.mp4'],
+    ['inline; filename="video.mp4"', 'video.mp4'],
+    ['Attachment; FILENAME="video.mp4"', 'video.mp4'],
+    ['attachment;filename="video.mp4"', 'video.mp4'],
+    ['attachment ;  filename = "video.mp4" ', 'video.mp4'],
+    ['attachment; filename="my video.mp4"', 'my video.mp4'],
+    ['attachment; filename=my video.mp4', 'my video.mp4'],
+    ['attachment; filename="a;b.mp4"', 'a;b.mp4'],
+    ['attachment; filename="say \\"hi\\".mp4"', 'say "hi".mp4'],
+    ['attachment; filename="video.mp4"; size=123', 'video.mp4'],
+    ['attachment; size=123; filename="video.mp4"', 'video.mp4'],
+    ['attachment; filename="first.mp4"; filename="second.mp4"', 'first.mp4'],
+    ['filename="no-type.mp4"', 'no-type.mp4'],
+    // RFC 5987 extended values, which win over the plain filename wherever they appear
+    ["attachment; filename*=UTF-8''%E2%82%AC%20rates.mp4", '€ rates.mp4'],
+    ["attachment; filename*=utf-8''na%C3%AFve.mp4", 'naïve.mp4'],
+    ["attachment; filename=\"EURO rates.mp4\"; filename*=UTF-8''%E2%82%AC%20rates.mp4", '€ rates.mp4'],
+    ["attachment; filename*=UTF-8''%E2%82%AC%20rates.mp4; filename=\"EURO rates.mp4\"", '€ rates.mp4'],
+    ["attachment; filename*=UTF-8'en'%E2%82%AC%20rates.mp4", '€ rates.mp4'],
+    ["attachment; filename*=iso-8859-1'en'%A3%20rates.mp4", '£ rates.mp4'],
+    ["attachment; filename*=ISO-8859-1''caf%E9.mp4", 'café.mp4'],
+    ["attachment; filename*=Shift_JIS''%83e%83X%83g.mp4", 'テスト.mp4'],
+    ["attachment; filename*=\"UTF-8''quoted%20ext.mp4\"", 'quoted ext.mp4'],
+    ["attachment; FILENAME*=UTF-8''upper.mp4", 'upper.mp4'],
+    // Broken extended values fall back to the plain filename
+    ["attachment; filename*=UTF-8''%E2%82.mp4; filename=\"fallback.mp4\"", 'fallback.mp4'],
+    ["attachment; filename*=no-such-charset''x.mp4; filename=\"fallback.mp4\"", 'fallback.mp4'],
+    ["attachment; filename*=missing-quotes.mp4; filename=\"fallback.mp4\"", 'fallback.mp4'],
+    // Plain filenames sent as raw UTF-8 bytes (one character per byte in fetch headers) or percent-encoded
+    ['attachment; filename="Ã©tÃ©.mp4"', 'été.mp4'],
+    ['attachment; filename="%E6%97%A5%E6%9C%AC.mp4"', '日本.mp4'],
+    ['attachment; filename="100%.mp4"', '100%.mp4'],
+    ['attachment; filename="café.mp4"', 'café.mp4'],
+    // Paths are reduced to their last segment
+    ['attachment; filename="../../etc/passwd"', 'passwd'],
+    ["attachment; filename*=UTF-8''..%2F..%2Fevil.mp4", 'evil.mp4'],
+    ['attachment; filename="dir/sub/video.mp4"', 'video.mp4'],
+    ['attachment; filename="C:\\\\Videos\\\\video.mp4"', 'video.mp4'],
+    // No usable filename
+    ['attachment', null],
+    ['inline', null],
+    ['attachment; filename=""', null],
+    ['attachment; filename=".."', null],
+    ['attachment; name="field"', null],
+    ['', null],
+    [null, null]
+];
+
+for (const [header, expected] of FILENAME_CASES) {
+    test(`filename of ${JSON.stringify(header)}`, () => {
+        assert.equal(parseContentDisposition(header).filename, expected);
+    });
+}
+
+test('disposition type is lower-cased', () => {
+    assert.equal(parseContentDisposition('ATTACHMENT; filename="a.mp4"').type, 'attachment');
+    assert.equal(parseContentDisposition('inline').type, 'inline');
+    assert.equal(parseContentDisposition('filename="a.mp4"').type, null);
+});
+
+test('parameters are unquoted and keyed by lower-cased name', () => {
+    const { parameters } = parseContentDisposition('form-data; Name="field"; filename="a;b.mp4"; creation-date="Wed, 12 Feb 1997 16:29:51 -0500"');
+    assert.deepEqual({ ...parameters }, {
+        name: 'field',
+        filename: 'a;b.mp4',
+        'creation-date': 'Wed, 12 Feb 1997 16:29:51 -0500'
+    });
+});
+
+test('junk after a closing quote and stray tokens are ignored', () => {
+    const result = parseContentDisposition('attachment; filename="a.mp4"junk; stray; size=5');
+    assert.equal(result.filename, 'a.mp4');
+    assert.equal(result.parameters.size, '5');
+});
+
+test('an unterminated quoted string runs to the end of the header', () => {
+    assert.equal(parseContentDisposition('attachment; filename="open.mp4').filename, 'open.mp4');
+});
@@ -0,0 +1,157 @@
+// test/download-filters.test.js
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+    evaluateDownloadResponse,
+    evaluateDownloadThresholds,
+    formatFileSize,
+    mimeTypeMatches,
+    parseMimeTypeList
+} = loadScripts(['lib/download-filters.js']);
+
+const DEFAULTS = { minSize: 0, includeTypes: [], excludeTypes: [], belowThresholdAction: 'browser' };
+
+/**
+ * Builds webRequest details for a response with the given headers.
+ * @param {object} headers - Header names and values.
+ * @param {string} [type='main_frame']
+ * @param {number} [statusCode=200]
+ */
+function response(headers, type = 'main_frame', statusCode = 200) {
+    return {
+        url: 'https://files.example/download',
+        type: type,
+        statusCode: statusCode,
+        responseHeaders: Object.entries(headers).map(([name, value]) => ({ name: name, value: value }))
+    };
+}
+
+test('formatFileSize', () => {
+    assert.equal(formatFileSize(512), '512 B');
+    assert.equal(formatFileSize(1536), '1.5 KB');
+    assert.equal(formatFileSize(40 * 1024), '40 KB');
+    assert.equal(formatFileSize(3 * 1024 ** 3), '3.0 GB');
+    assert.equal(formatFileSize(null), 'Unknown size');
+    assert.equal(formatFileSize(-1), 'Unknown size');
+});
+
+test('mimeTypeMatches exact types and subtype wildcards', () => {
+    assert.ok(mimeTypeMatches('application/pdf', 'application/pdf'));
+    assert.ok(mimeTypeMatches('video/mp4', 'video/*'));
+    assert.ok(mimeTypeMatches('video/mp4', ' VIDEO/* '));
+    assert.ok(!mimeTypeMatches('audio/mp4', 'video/*'));
+    assert.ok(!mimeTypeMatches('', 'video/*'));
+});
+
+test('parseMimeTypeList splits, lower-cases and de-duplicates', () => {
+    assert.deepEqual([...parseMimeTypeList('Video/*, application/pdf\napplication/pdf  ')], ['video/*', 'application/pdf']);
+    assert.deepEqual([...parseMimeTypeList('')], []);
+});
+
+test('evaluateDownloadThresholds: excluded types are never intercepted', () => {
+    const thresholds = Object.assign({}, DEFAULTS, { excludeTypes: ['application/pdf'] });
+    assert.equal(evaluateDownloadThresholds('application/pdf; charset=binary', 10 ** 9, thresholds), 'skip');
+});
+
+test('evaluateDownloadThresholds: small files go to the browser or to the user', () => {
+    const thresholds = Object.assign({}, DEFAULTS, { minSize: 1000 });
+    assert.equal(evaluateDownloadThresholds('application/zip', 999, thresholds), 'skip');
+    assert.equal(evaluateDownloadThresholds('application/zip', 1000, thresholds), 'intercept');
+    assert.equal(evaluateDownloadThresholds('application/zip', null, thresholds), 'intercept');
+    assert.equal(evaluateDownloadThresholds('application/zip', 999, Object.assign(thresholds, { belowThresholdAction: 'ask' })), 'ask');
+});
+
+test('evaluateDownloadResponse: attachments are intercepted', () => {
+    const result = evaluateDownloadResponse(response({
+        'Content-Type': 'text/plain',
+        'Content-Disposition': 'attachment; filename="notes.txt"',
+        'Content-Length': '2048'
+    }), null, DEFAULTS, false);
+    assert.deepEqual({ ...result }, {
+        decision: 'intercept',
+        contentType: 'text/plain',
+        contentDisposition: 'attachment; filename="notes.txt"',
+        contentLength: 2048
+    });
+});
+
+test('evaluateDownloadResponse: archives and documents are downloads unless inline', () => {
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'application/zip' }), null, DEFAULTS, false).decision, 'intercept');
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'application/pdf', 'Content-Disposition': 'inline' }), null, DEFAULTS, false).decision, 'none');
+});
+
+test('evaluateDownloadResponse: pages and other content are not downloads', () => {
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'text/html' }), null, DEFAULTS, false).decision, 'none');
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'image/png' }), null, DEFAULTS, false).decision, 'none');
+    assert.equal(evaluateDownloadResponse(response({}), null, DEFAULTS, false).decision, 'none');
+});
+
+test('evaluateDownloadResponse: video loaded as a page is a download, but not in a frame', () => {
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'video/mp4' }), null, DEFAULTS, false).decision, 'intercept');
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'video/mp4' }, 'sub_frame'), null, DEFAULTS, false).decision, 'none');
+});
+
+test('evaluateDownloadResponse: the user\'s extra types count as downloads', () => {
+    const thresholds = Object.assign({}, DEFAULTS, { includeTypes: ['image/*'] });
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'image/png' }), null, thresholds, false).decision, 'intercept');
+});
+
+test('evaluateDownloadResponse: thresholds and "ask before sending" apply', () => {
+    const thresholds = Object.assign({}, DEFAULTS, { minSize: 10000 });
+    const small = response({ 'Content-Type': 'application/zip', 'Content-Length': '10' });
+    const large = response({ 'Content-Type': 'application/zip', 'Content-Length': '20000' });
+    assert.equal(evaluateDownloadResponse(small, null, thresholds, false).decision, 'skip');
+    assert.equal(evaluateDownloadResponse(large, null, thresholds, true).decision, 'ask');
+    assert.equal(evaluateDownloadResponse(small, null, thresholds, true).decision, 'skip');
+});
+
+test('evaluateDownloadResponse: site rules', () => {
+    const always = { action: 'always-intercept' };
+    const thresholds = Object.assign({}, DEFAULTS, { minSize: 10000 });
+    const image = response({ 'Content-Type': 'image/png', 'Content-Length': '10' });
+    assert.equal(evaluateDownloadResponse(image, always, thresholds, true).decision, 'intercept');
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'text/html' }), always, thresholds, false).decision, 'none');
+    const attachment = response({ 'Content-Type': 'application/zip', 'Content-Disposition': 'attachment' });
+    for (const action of ['never-intercept', 'detect-only', 'ignore']) {
+        assert.equal(evaluateDownloadResponse(attachment, { action: action }, DEFAULTS, false).decision, 'none', action);
+    }
+    // Remembered "send" choices skip the prompt but nothing else
+    const allowed = { action: 'send-without-asking' };
+    assert.equal(evaluateDownloadResponse(attachment, allowed, DEFAULTS, true).decision, 'intercept');
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'image/png' }), allowed, DEFAULTS, true).decision, 'none');
+    assert.equal(evaluateDownloadResponse(response({ 'Content-Type': 'application/zip', 'Content-Length': '10' }), allowed, thresholds, true).decision, 'skip');
+    // Route rules only pick the target
+    assert.equal(evaluateDownloadResponse(attachment, { action: 'route', target: 'nas' }, DEFAULTS, false).decision, 'intercept');
+    assert.equal(evaluateDownloadResponse(attachment, { action: 'route', target: 'nas' }, DEFAULTS, true).decision, 'ask');
+});
+
+test('evaluateDownloadResponse: responses without a file are never downloads', () => {
+    const always = { action: 'always-intercept' };
+    const redirect = response({ 'Location': 'https://files.example/elsewhere.zip' }, 'main_frame', 302);
+    const redirectedAttachment = response({ 'Content-Type': 'application/zip', 'Content-Disposition': 'attachment' }, 'main_frame', 302);
+    const noContent = response({}, 'other', 204);
+    const notModified = response({ 'Content-Type': 'application/zip' }, 'main_frame', 304);
+    const empty = response({ 'Content-Type': 'application/zip', 'Content-Length': '0' });
+    for (const [name, details] of Object.entries({ redirect, redirectedAttachment, noContent, notModified, empty })) {
+        assert.equal(evaluateDownloadResponse(details, null, DEFAULTS, false).decision, 'none', name);
+        assert.equal(evaluateDownloadResponse(details, always, DEFAULTS, false).decision, 'none', `${name} (always-intercept)`);
+    }
+});
+
+test('evaluateDownloadResponse: always-intercept sites keep their pages, data and scripts', () => {
+    const always = { action: 'always-intercept' };
+    for (const contentType of ['application/json', 'application/ld+json', 'text/plain', 'application/xml', 'image/svg+xml', 'application/javascript', 'text/css']) {
+        assert.equal(evaluateDownloadResponse(response({ 'Content-Type': contentType }, 'other'), always, DEFAULTS, false).decision, 'none', contentType);
+    }
+    assert.equal(evaluateDownloadResponse(response({}, 'other'), always, DEFAULTS, false).decision, 'none', 'no Content-Type');
+    for (const contentType of ['application/x-7z-compressed', 'video/mp4', 'application/dash+xml', 'application/octet-stream']) {
+        assert.equal(evaluateDownloadResponse(response({ 'Content-Type': contentType }, 'other'), always, DEFAULTS, false).decision, 'intercept', contentType);
+    }
+    // Attachments are files whatever their type
+    const jsonAttachment = response({ 'Content-Type': 'application/json', 'Content-Disposition': 'attachment; filename="export.json"' });
+    assert.equal(evaluateDownloadResponse(jsonAttachment, always, DEFAULTS, false).decision, 'intercept');
+});
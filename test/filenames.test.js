@@ -0,0 +1,100 @@
+// test/filenames.test.js
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { sanitizeFilenameCharacters, deriveFilename, renderFilenameTemplate, findFilenameTemplateError } = loadScripts(['lib/content-disposition.js', 'lib/filenames.js']);
+
+test('sanitizeFilenameCharacters replaces characters that filesystems reject', () => {
+    assert.equal(sanitizeFilenameCharacters('a/b\\c:d*e?f"g<h>i|j.mp4'), 'a_b_c_d_e_f_g_h_i_j.mp4');
+    assert.equal(sanitizeFilenameCharacters('100%.mp4'), '100_.mp4');
+});
+
+test('sanitizeFilenameCharacters trims dots and spaces around the name but keeps the extension', () => {
+    assert.equal(sanitizeFilenameCharacters('..hidden name...mp4'), 'hidden name.mp4');
+    assert.equal(sanitizeFilenameCharacters('  video .mp4'), 'video.mp4');
+});
+
+test('sanitizeFilenameCharacters shortens long names to 200 characters, keeping the extension', () => {
+    const result = sanitizeFilenameCharacters(`${'a'.repeat(300)}.mp4`);
+    assert.equal(result.length, 200);
+    assert.ok(result.endsWith('.mp4'));
+    assert.equal(sanitizeFilenameCharacters('b'.repeat(250)).length, 200);
+});
+
+test('sanitizeFilenameCharacters names an empty result', () => {
+    assert.equal(sanitizeFilenameCharacters(''), 'downloaded_file');
+});
+
+test('deriveFilename prefers the Content-Disposition filename', () => {
+    assert.equal(deriveFilename('https://cdn.example/x/123', 'video/mp4', 'attachment; filename="My Video.mp4"'), 'My Video.mp4');
+    assert.equal(deriveFilename('https://cdn.example/x/123', 'video/mp4', "attachment; filename*=UTF-8''%E6%97%A5%E6%9C%AC.mp4"), '日本.mp4');
+});
+
+test('deriveFilename falls back to the last path segment without query or fragment', () => {
+    assert.equal(deriveFilename('https://cdn.example/media/clip.webm?token=abc#t=10', 'video/webm', null), 'clip.webm');
+    assert.equal(deriveFilename('https://cdn.example/media/clip.webm', null, 'inline'), 'clip.webm');
+});
+
+test('deriveFilename adds the extension of the Content-Type when the name has none', () => {
+    assert.equal(deriveFilename('https://cdn.example/watch/123', 'video/mp4', null), '123.mp4');
+    assert.equal(deriveFilename('https://cdn.example/live/index', 'application/vnd.apple.mpegurl', null), 'index.m3u8');
+    assert.equal(deriveFilename('https://cdn.example/live/index', 'application/dash+xml', null), 'index.mpd');
+    assert.equal(deriveFilename('https://cdn.example/img/cover', 'image/jpeg', null), 'cover.jpg');
+});
+
+test('deriveFilename keeps known media extensions even if the Content-Type disagrees', () => {
+    assert.equal(deriveFilename('https://cdn.example/a.mkv', 'video/x-matroska', null), 'a.mkv');
+    assert.equal(deriveFilename('https://cdn.example/a.mp4', 'application/octet-stream', null), 'a.mp4');
+});
+
+test('deriveFilename names URLs without a path', () => {
+    assert.equal(deriveFilename('https://cdn.example/', 'video/mp4', null), 'unknown.mp4');
+    assert.equal(deriveFilename('https://cdn.example/', null, null), 'unknown');
+    assert.equal(deriveFilename('not a url', 'audio/mpeg', null), 'unknown_file.mpeg');
+});
+
+test('deriveFilename sanitises names from the server', () => {
+    assert.equal(deriveFilename('https://cdn.example/x', 'video/mp4', 'attachment; filename="a:b?.mp4"'), 'a_b_.mp4');
+    assert.equal(deriveFilename('https://cdn.example/x', 'video/mp4', 'attachment; filename="../../evil.mp4"'), 'evil.mp4');
+});
+
+const TEMPLATE_FIELDS = { title: 'Big Buck Bunny', site: 'example.com', date: '2026-10-19', quality: '1080p', ext: 'mp4', index: '3' };
+
+// [template, fields, expected filename]
+const TEMPLATE_CASES = [
+    ['{title}.{ext}', TEMPLATE_FIELDS, 'Big Buck Bunny.mp4'],
+    ['{site} - {title} [{quality}] {date}.{ext}', TEMPLATE_FIELDS, 'example.com - Big Buck Bunny [1080p] 2026-10-19.mp4'],
+    ['{index}. {title}', TEMPLATE_FIELDS, '3. Big Buck Bunny.mp4'],
+    ['{title}_{ext}', TEMPLATE_FIELDS, 'Big Buck Bunny_mp4'],
+    // Empty placeholders take their brackets and separators with them
+    ['{title} [{quality}].{ext}', { title: 'Clip', ext: 'webm' }, 'Clip.webm'],
+    ['{site} - {title} - {quality}.{ext}', { site: 'example.com', title: 'Clip', ext: 'mp4' }, 'example.com - Clip.mp4'],
+    ['{site} - {quality} - {title}', { site: 'example.com', title: 'Clip', ext: 'mp4' }, 'example.com - Clip.mp4'],
+    ['{date}_{title}_{index}.{ext}', { date: '2026-10-19', title: 'Clip', ext: 'mp4' }, '2026-10-19_Clip.mp4'],
+    ['({index}) {title}', { title: 'Clip', ext: 'mp4' }, 'Clip.mp4'],
+    // Values are kept as they are, apart from characters that can't be in a filename
+    ['{title}.{ext}', { title: 'Wait... what - really?', ext: 'mp4' }, 'Wait... what - really_.mp4'],
+    ['{title}.{ext}', { title: 'AC/DC\\Live', ext: 'mp4' }, 'AC_DC_Live.mp4'],
+    ['{title}.{ext}', { title: '  Line\nbreak  ', ext: 'mp4' }, 'Line break.mp4'],
+    ['{title}', { title: 'No extension known' }, 'No extension known'],
+    // Nothing but the extension: no name
+    ['{title}.{ext}', { ext: 'mp4' }, null],
+    ['[{quality}]', { ext: 'mp4' }, null]
+];
+
+for (const [template, fields, expected] of TEMPLATE_CASES) {
+    test(`renderFilenameTemplate(${JSON.stringify(template)}, ${JSON.stringify(fields)})`, () => {
+        assert.equal(renderFilenameTemplate(template, fields), expected);
+    });
+}
+
+test('findFilenameTemplateError rejects unknown placeholders and folders', () => {
+    assert.equal(findFilenameTemplateError('{site} - {title} [{quality}] {date} {index}.{ext}'), null);
+    assert.equal(findFilenameTemplateError('plain'), null);
+    assert.match(findFilenameTemplateError('{titel}.{ext}'), /^\{titel\} is not a placeholder/);
+    assert.match(findFilenameTemplateError('{}'), /not a placeholder/);
+    assert.equal(findFilenameTemplateError('videos/{title}'), 'must not contain folders');
+});
@@ -0,0 +1,193 @@
+// test/helpers/browser-stub.js - A stand-in for the parts of the WebExtension `browser` namespace the extension uses
+'use strict';
+
+/**
+ * Creates an event like browser.runtime.onMessage whose listeners tests can call directly.
+ * @returns {{addListener: function, removeListener: function, hasListener: function, listeners: function[], dispatch: function(...*): Array<*>}}
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners: listeners,
+        addListener(listener) {
+            listeners.push(listener);
+        },
+        removeListener(listener) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        },
+        hasListener(listener) {
+            return listeners.includes(listener);
+        },
+        /**
+         * Calls every listener with the given arguments.
+         * @returns {Array<*>} - What each listener returned.
+         */
+        dispatch(...args) {
+            return listeners.map(listener => listener(...args));
+        }
+    };
+}
+
+/**
+ * Creates a webRequest event. Like the real one, it only calls listeners whose filter lists the request's type.
+ * @returns {{addListener: function, removeListener: function, hasListener: function, listeners: function[], dispatch: function(object): Array<*>}}
+ */
+function createWebRequestEvent() {
+    const event = createEvent();
+    const filters = new Map();
+    return Object.assign({}, event, {
+        addListener(listener, filter) {
+            filters.set(listener, filter || {});
+            event.addListener(listener);
+        },
+        /**
+         * Calls the listeners interested in a request.
+         * @param {object} details - The request details, with at least `type`.
+         * @returns {Array<*>} - What each of those listeners returned.
+         */
+        dispatch(details) {
+            return event.listeners
+                .filter(listener => !filters.get(listener).types || filters.get(listener).types.includes(details.type))
+                .map(listener => listener(details));
+        }
+    });
+}
+
+/**
+ * Creates a storage area like browser.storage.local, backed by a plain object.
+ * Values are copied in and out, as the real storage serialises them.
+ * @param {string} areaName
+ * @param {object} onChanged - The storage.onChanged event to fire.
+ * @param {object} [initialData={}]
+ */
+function createStorageArea(areaName, onChanged, initialData = {}) {
+    const data = structuredClone(initialData);
+    const copy = value => (value === undefined ? undefined : structuredClone(value));
+    return {
+        data: data,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return copy(data);
+            }
+            const result = {};
+            if (typeof keys === 'string' || Array.isArray(keys)) {
+                for (const key of [].concat(keys)) {
+                    if (key in data) {
+                        result[key] = copy(data[key]);
+                    }
+                }
+            } else {
+                for (const [key, fallback] of Object.entries(keys)) {
+                    result[key] = key in data ? copy(data[key]) : fallback;
+                }
+            }
+            return result;
+        },
+        async set(items) {
+            const changes = {};
+            for (const [key, value] of Object.entries(items)) {
+                changes[key] = { oldValue: copy(data[key]), newValue: copy(value) };
+                data[key] = copy(value);
+            }
+            onChanged.dispatch(changes, areaName);
+        },
+        async remove(keys) {
+            const changes = {};
+            for (const key of [].concat(keys)) {
+                if (key in data) {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+            }
+            if (Object.keys(changes).length > 0) {
+                onChanged.dispatch(changes, areaName);
+            }
+        },
+        async clear() {
+            await this.remove(Object.keys(data));
+        }
+    };
+}
+
+/**
+ * Creates the `browser` namespace for one test. Calls that talk to other parts of the browser are recorded in `calls`
+ * (keyed like "tabs.sendMessage") so tests can check what the extension did.
+ * @param {{tabs?: Array<object>, storage?: object}} [options] - The open tabs, and what browser.storage.local holds at first.
+ * @returns {object}
+ */
+function createBrowserStub(options = {}) {
+    const tabs = new Map((options.tabs || []).map(tab => [tab.id, Object.assign({ url: 'about:blank', title: '', cookieStoreId: 'firefox-default' }, tab)]));
+    const calls = {};
+    const record = (name, result) => (...args) => {
+        (calls[name] = calls[name] || []).push(args);
+        return Promise.resolve(typeof result === 'function' ? result(...args) : result);
+    };
+    let nextDownloadId = 1;
+    let nextWindowId = 100;
+    const storageOnChanged = createEvent();
+
+    return {
+        calls: calls,
+        runtime: {
+            onMessage: createEvent(),
+            onInstalled: createEvent(),
+            // Nobody listens in tests (no popup is open), which the extension treats like the real "no receiver" error
+            sendMessage: record('runtime.sendMessage', undefined),
+            getURL: path => `moz-extension://nadecon-test/${path.replace(/^\//, '')}`
+        },
+        tabs: {
+            onRemoved: createEvent(),
+            onUpdated: createEvent(),
+            get: (...args) => {
+                (calls['tabs.get'] = calls['tabs.get'] || []).push(args);
+                const tab = tabs.get(args[0]);
+                return tab ? Promise.resolve(Object.assign({}, tab)) : Promise.reject(new Error(`Invalid tab ID: ${args[0]}`));
+            },
+            query: record('tabs.query', () => Array.from(tabs.values())),
+            sendMessage: record('tabs.sendMessage', undefined),
+            create: record('tabs.create', properties => Object.assign({ id: 1000 }, properties))
+        },
+        windows: {
+            onRemoved: createEvent(),
+            create: record('windows.create', properties => Object.assign({ id: nextWindowId++ }, properties)),
+            update: record('windows.update', {})
+        },
+        storage: {
+            onChanged: storageOnChanged,
+            local: createStorageArea('local', storageOnChanged, options.storage)
+        },
+        browserAction: {
+            setBadgeText: record('browserAction.setBadgeText', undefined),
+            setBadgeBackgroundColor: record('browserAction.setBadgeBackgroundColor', undefined),
+            setTitle: record('browserAction.setTitle', undefined)
+        },
+        contextMenus: {
+            onClicked: createEvent(),
+            // The real create() returns the menu item ID right away rather than a promise
+            create: properties => {
+                (calls['contextMenus.create'] = calls['contextMenus.create'] || []).push([properties]);
+                return properties.id;
+            },
+            removeAll: record('contextMenus.removeAll', undefined)
+        },
+        notifications: {
+            create: record('notifications.create', 'notification')
+        },
+        downloads: {
+            download: record('downloads.download', () => nextDownloadId++)
+        },
+        cookies: {
+            getAll: record('cookies.getAll', [])
+        },
+        webRequest: {
+            onBeforeRequest: createWebRequestEvent(),
+            onSendHeaders: createWebRequestEvent(),
+            onHeadersReceived: createWebRequestEvent()
+        }
+    };
+}
+
+module.exports = { createBrowserStub, createEvent };
@@ -0,0 +1,72 @@
+// test/helpers/fake-nadeko.js - A local HTTP server that answers like Nadeko~don, for end-to-end tests of the send flows
+'use strict';
+
+const http = require('node:http');
+
+/**
+ * Starts a fake Nadeko~don on a free port of 127.0.0.1. It speaks the protocol described in the README:
+ * `GET protocol`, `HEAD` health checks, `POST` of single items and `POST batch`.
+ * @param {{protocol?: number | string | null, token?: string, postStatus?: number}} [options]
+ *        - protocol: the version announced on `GET protocol`; null answers 404 like builds from before versioning,
+ *          a string is sent as the body of a 200 answer, like a proxy's landing page.
+ *        - token: if set, requests without `Authorization: Bearer <token>` get 401.
+ *        - postStatus: the status sends are answered with (default 200); change it on the returned object at any time.
+ * @returns {Promise<{endpoint: string, port: number, requests: Array<object>, sends: Array<object>, protocol: number | string | null, postStatus: number, close: function(): Promise<void>}>}
+ *          - `requests` lists every request as {method, path, headers, body}; `sends` the parsed bodies of sends only.
+ */
+async function startFakeNadeko(options = {}) {
+    const app = {
+        endpoint: null,
+        port: null,
+        requests: [],
+        sends: [],
+        protocol: options.protocol === undefined ? 3 : options.protocol,
+        token: options.token || '',
+        postStatus: options.postStatus || 200
+    };
+
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            const path = request.url.replace(/^\//, '');
+            const entry = { method: request.method, path: path, headers: request.headers, body: body ? JSON.parse(body) : null };
+            app.requests.push(entry);
+
+            if (app.token && request.headers.authorization !== `Bearer ${app.token}`) {
+                response.writeHead(401).end();
+                return;
+            }
+            if (request.method === 'HEAD' && path === '') {
+                response.writeHead(200).end();
+            } else if (request.method === 'GET' && path === 'protocol') {
+                if (app.protocol === null) {
+                    response.writeHead(404).end('Not found');
+                } else if (typeof app.protocol === 'string') {
+                    response.writeHead(200, { 'Content-Type': 'text/html' }).end(app.protocol);
+                } else {
+                    response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ protocol: app.protocol }));
+                }
+            } else if (request.method === 'POST' && (path === '' || (path === 'batch' && app.protocol >= 3))) {
+                app.sends.push(entry.body);
+                response.writeHead(app.postStatus, { 'Content-Type': 'application/json' }).end('{}');
+            } else {
+                response.writeHead(404).end('Not found');
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    app.port = server.address().port;
+    app.endpoint = `http://127.0.0.1:${app.port}/`;
+    app.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+    return app;
+}
+
+module.exports = { startFakeNadeko };
@@ -0,0 +1,126 @@
+// test/helpers/load-scripts.js - Runs the extension's classic scripts in a sandbox, as the browser would
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// The extension logs a lot at debug level; set NADECON_TEST_VERBOSE=1 to see it
+const quietConsole = { debug() {}, log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Wraps the timer functions so everything a sandbox scheduled can be cancelled when a test is done.
+ * @returns {{setTimeout: function, clearTimeout: function, setInterval: function, clearInterval: function, clearAll: function}}
+ */
+function createTimers() {
+    const handles = new Set();
+    return {
+        setTimeout(callback, delay, ...args) {
+            const handle = setTimeout(() => {
+                handles.delete(handle);
+                callback(...args);
+            }, delay);
+            handles.add(handle);
+            return handle;
+        },
+        clearTimeout(handle) {
+            handles.delete(handle);
+            clearTimeout(handle);
+        },
+        setInterval(callback, delay, ...args) {
+            const handle = setInterval(callback, delay, ...args);
+            handles.add(handle);
+            return handle;
+        },
+        clearInterval(handle) {
+            handles.delete(handle);
+            clearInterval(handle);
+        },
+        clearAll() {
+            for (const handle of handles) {
+                clearTimeout(handle);
+                clearInterval(handle);
+            }
+            handles.clear();
+        }
+    };
+}
+
+/**
+ * Runs scripts in a fresh global scope, one after the other like the <script> tags or manifest entries they come from.
+ * Their top-level functions become properties of the returned context; use `evaluate` for `const`/`let` bindings.
+ * @param {string[]} files - Paths relative to the repository root, e.g. "lib/filenames.js".
+ * @param {object} [globals={}] - Extra globals such as `browser` or `fetch`.
+ * @returns {object} - The context, with `evaluate(expression)` and `dispose()` added.
+ */
+function loadScripts(files, globals = {}) {
+    const timers = createTimers();
+    const context = vm.createContext(Object.assign({
+        console: process.env.NADECON_TEST_VERBOSE ? console : quietConsole,
+        URL, URLSearchParams, TextDecoder, TextEncoder, AbortController, Headers, structuredClone,
+        navigator: { userAgent: 'Mozilla/5.0 (NadeCon tests)' },
+        setTimeout: timers.setTimeout,
+        clearTimeout: timers.clearTimeout,
+        setInterval: timers.setInterval,
+        clearInterval: timers.clearInterval
+    }, globals));
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: path.join(ROOT, file) });
+    }
+    context.evaluate = expression => vm.runInContext(expression, context);
+    context.dispose = () => timers.clearAll();
+    return context;
+}
+
+/**
+ * Lists the background scripts in the order the manifest loads them.
+ * @returns {string[]}
+ */
+function backgroundScripts() {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).background.scripts;
+}
+
+/**
+ * Loads the whole background page against a browser stub and waits until its settings are loaded.
+ * @param {object} browser - From createBrowserStub.
+ * @returns {Promise<object>} - The context (see loadScripts).
+ */
+async function loadBackground(browser) {
+    const context = loadScripts(backgroundScripts(), { browser: browser, fetch: fetch });
+    await context.evaluate('configReady');
+    return context;
+}
+
+/**
+ * Builds the stored settings for a single target pointing at a fake Nadeko~don.
+ * @param {{port: number}} app - From startFakeNadeko.
+ * @param {object} [values={}] - Other settings to store.
+ * @returns {object} - The browser.storage.local contents.
+ */
+function storedSettingsFor(app, values = {}) {
+    const target = { id: 'default', name: 'Fake Nadeko', scheme: 'http', host: '127.0.0.1', port: app.port, basePath: '/', token: '' };
+    return { settings: { version: 2, values: Object.assign({ targets: [target], defaultTargetId: 'default' }, values) } };
+}
+
+/**
+ * Polls until a condition holds, for effects the extension starts without awaiting them.
+ * @param {function(): *} condition
+ * @param {number} [timeout=3000] - In milliseconds.
+ * @returns {Promise<*>} - The first truthy value of the condition.
+ * @throws {Error} - If the condition still fails after the timeout.
+ */
+async function waitFor(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const value = await condition();
+        if (value) {
+            return value;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Condition not met within ${timeout} ms: ${condition}`);
+}
+
+module.exports = { loadScripts, loadBackground, backgroundScripts, storedSettingsFor, waitFor };
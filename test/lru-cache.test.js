@@ -0,0 +1,63 @@
+// test/lru-cache.test.js - Run with `npm test`
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { createLruCache } = loadScripts(['lib/lru-cache.js']);
+
+test('entries beyond the limit evict the oldest ones', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+    assert.equal(cache.size, 2);
+    assert.equal(cache.has('a'), false);
+    assert.equal(cache.get('b'), 2);
+    assert.equal(cache.get('c'), 3);
+});
+
+test('reading an entry makes it the most recently used', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.deepEqual(Array.from(cache.keys()), ['a', 'c']);
+});
+
+test('has() does not count as a use', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.has('a');
+    cache.set('c', 3);
+    assert.deepEqual(Array.from(cache.keys()), ['b', 'c']);
+});
+
+test('setting an existing key replaces its value and refreshes it', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+    assert.deepEqual(Array.from(cache.keys()), ['a', 'c']);
+    assert.equal(cache.get('a'), 10);
+});
+
+test('missing keys read as undefined; delete and clear remove entries', () => {
+    const cache = createLruCache(3);
+    assert.equal(cache.get('missing'), undefined);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.equal(cache.delete('a'), true);
+    assert.equal(cache.delete('a'), false);
+    cache.clear();
+    assert.equal(cache.size, 0);
+});
+
+test('the size limit must be a positive integer', () => {
+    assert.throws(() => createLruCache(0), /positive integer/);
+    assert.throws(() => createLruCache(1.5), /positive integer/);
+});
@@ -0,0 +1,216 @@
+// test/manifest-parser.test.js - Run with `npm test`
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { DOMParser } = require('@xmldom/xmldom');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { parseHlsAttributes, parseHlsPlaylist, parseDashDuration, parseDashManifest, parseManifest } =
+    loadScripts(['lib/manifest-parser.js'], { DOMParser });
+
+const HLS_URL = 'https://cdn.example/vod/show/master.m3u8';
+const DASH_URL = 'https://cdn.example/vod/movie/manifest.mpd';
+
+/**
+ * Reads a saved manifest from test/fixtures/manifests.
+ * @param {string} name - e.g. "hls-master.m3u8"
+ * @returns {string}
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'manifests', name), 'utf8');
+}
+
+/**
+ * Copies a value out of the sandbox so deepEqual does not trip over its prototypes.
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Builds a minimal MPD around the given periods.
+ * @param {string} periods - The Period elements.
+ * @param {string} [attributes=''] - Extra attributes for the MPD element.
+ * @returns {string}
+ */
+function mpd(periods, attributes = '') {
+    return `<?xml version="1.0"?><MPD xmlns="urn:mpeg:dash:schema:mpd:2011" ${attributes}>${periods}</MPD>`;
+}
+
+/**
+ * Builds a Period with one video adaptation set of directly addressed representations.
+ * @param {string} id - Used as the period id and as the prefix of the media file names.
+ * @param {number} count - Number of representations.
+ * @param {string} [attributes=''] - Extra attributes for the Period element.
+ * @returns {string}
+ */
+function videoPeriod(id, count, attributes = '') {
+    const representations = Array.from({ length: count }, (_, index) =>
+        `<Representation id="${id}-${index}" bandwidth="${(index + 1) * 1000000}" height="${(index + 1) * 360}"><BaseURL>${id}-${index}.mp4</BaseURL></Representation>`);
+    return `<Period id="${id}" ${attributes}><AdaptationSet contentType="video" mimeType="video/mp4">${representations.join('')}</AdaptationSet></Period>`;
+}
+
+test('parseHlsAttributes keeps commas inside quoted values', () => {
+    const attributes = parseHlsAttributes('BANDWIDTH=1280000,CODECS="avc1.4d401e,mp4a.40.2",RESOLUTION=640x360,AUDIO="aac"');
+    assert.equal(attributes.BANDWIDTH, '1280000');
+    assert.equal(attributes.CODECS, 'avc1.4d401e,mp4a.40.2');
+    assert.equal(attributes.RESOLUTION, '640x360');
+    assert.equal(attributes.AUDIO, 'aac');
+});
+
+test('parseHlsAttributes handles names with digits and dashes and empty quoted values', () => {
+    const attributes = parseHlsAttributes('TYPE=AUDIO,GROUP-ID="",FRAME-RATE=29.970');
+    assert.equal(attributes['GROUP-ID'], '');
+    assert.equal(attributes['FRAME-RATE'], '29.970');
+    assert.equal(attributes.TYPE, 'AUDIO');
+});
+
+test('a master playlist lists its variants, best first, with relative URIs resolved', () => {
+    const result = parseHlsPlaylist(fixture('hls-master.m3u8'), HLS_URL);
+    assert.equal(result.isMaster, true);
+    assert.deepEqual(plain(result.variants.map(variant => variant.url)), [
+        'https://cdn.example/vod/show/1080p/index.m3u8',
+        'https://cdn.example/vod/show/720p/index.m3u8?token=abc',
+        'https://cdn.example/vod/show/360p/index.m3u8'
+    ]);
+    const [best] = result.variants;
+    assert.equal(best.bandwidth, 5200000);
+    assert.equal(best.width, 1920);
+    assert.equal(best.height, 1080);
+    assert.equal(best.frameRate, 59.94);
+    assert.equal(best.codecs, 'avc1.640028');
+    assert.equal(best.audioGroup, 'aac');
+    assert.equal(best.subtitleGroup, 'subs');
+});
+
+test('a master playlist lists its audio and subtitle renditions', () => {
+    const result = parseHlsPlaylist(fixture('hls-master.m3u8'), HLS_URL);
+    assert.deepEqual(plain(result.audioTracks.map(track => [track.name, track.language, track.isDefault, track.url])), [
+        ['English', 'en', true, 'https://cdn.example/vod/show/audio/en/index.m3u8'],
+        ['Deutsch', 'de', false, 'https://cdn.example/vod/show/audio/de/index.m3u8']
+    ]);
+    assert.equal(result.subtitleTracks.length, 1);
+    assert.equal(result.subtitleTracks[0].url, 'https://subs.example/en.m3u8');
+    assert.equal(result.subtitleTracks[0].groupId, 'subs');
+});
+
+test('variants whose audio group has its own URIs are labelled video only', () => {
+    const variants = parseHlsPlaylist(fixture('hls-master.m3u8'), HLS_URL).variants;
+    assert.equal(variants[0].videoOnly, true);
+    assert.equal(variants[0].label, '1920x1080 · 60fps · 5.2 Mbps · avc1 · video only');
+    // The 720p variant has no audio group and muxed audio
+    assert.equal(variants[1].videoOnly, false);
+    assert.equal(variants[1].label, '1280x720 · 2.5 Mbps · avc1+mp4a');
+});
+
+test('a variant whose audio rendition has no URI carries its audio itself', () => {
+    const text = [
+        '#EXTM3U',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="main",NAME="Main",DEFAULT=YES',
+        '#EXT-X-STREAM-INF:BANDWIDTH=800000,AUDIO="main"',
+        'low.m3u8'
+    ].join('\r\n');
+    const [variant] = parseHlsPlaylist(text, HLS_URL).variants;
+    assert.equal(variant.videoOnly, false);
+    assert.equal(variant.label, '800 kbps');
+});
+
+test('a media playlist has no variants', () => {
+    const result = parseHlsPlaylist(fixture('hls-media.m3u8'), HLS_URL);
+    assert.equal(result.isMaster, false);
+    assert.equal(result.variants.length, 0);
+    assert.equal(result.audioTracks.length, 0);
+});
+
+test('parseDashDuration reads ISO 8601 durations', () => {
+    assert.equal(parseDashDuration('PT1H2M3.5S'), 3723.5);
+    assert.equal(parseDashDuration('PT15S'), 15);
+    assert.equal(parseDashDuration('P1DT1M'), 86460);
+    assert.equal(parseDashDuration(' PT0S '), 0);
+});
+
+test('parseDashDuration rejects missing and malformed durations', () => {
+    assert.equal(parseDashDuration(null), null);
+    assert.equal(parseDashDuration(''), null);
+    assert.equal(parseDashDuration('P'), null);
+    assert.equal(parseDashDuration('PT'), null);
+    assert.equal(parseDashDuration('15 seconds'), null);
+});
+
+test('the main period is listed instead of a pre-roll ad', () => {
+    const result = parseDashManifest(fixture('dash-multi-period.mpd'), DASH_URL);
+    assert.ok(result.variants.length > 0);
+    assert.ok(result.variants.every(variant => !variant.url || variant.url.startsWith('https://cdn.example/')));
+    assert.deepEqual(plain(result.variants.map(variant => variant.id)), ['v2160', 'v1080', 'v360']);
+});
+
+test('BaseURL-addressed representations get a direct URL, templated ones do not', () => {
+    const variants = parseDashManifest(fixture('dash-multi-period.mpd'), DASH_URL).variants;
+    const byId = Object.fromEntries(variants.map(variant => [variant.id, variant]));
+    assert.equal(byId.v1080.url, 'https://cdn.example/vod/movie/content/video-1080.mp4');
+    assert.equal(byId.v360.url, 'https://cdn.example/vod/movie/content/video-360.mp4');
+    assert.equal(byId.v2160.url, null);
+    assert.equal(byId.v2160.frameRate, 60);
+    assert.equal(Math.round(byId.v1080.frameRate * 100), 2997);
+});
+
+test('DASH audio and subtitle adaptation sets become renditions', () => {
+    const result = parseDashManifest(fixture('dash-multi-period.mpd'), DASH_URL);
+    assert.equal(result.audioTracks.length, 1);
+    assert.equal(result.audioTracks[0].name, 'English (Stereo)');
+    assert.equal(result.audioTracks[0].groupId, 'audio-en');
+    assert.equal(result.audioTracks[0].url, 'https://cdn.example/vod/movie/content/audio-en.mp4');
+    assert.equal(result.subtitleTracks.length, 1);
+    assert.equal(result.subtitleTracks[0].language, 'fr');
+    assert.equal(result.subtitleTracks[0].url, 'https://cdn.example/vod/movie/content/subs/fr.vtt');
+});
+
+test('DASH video with separate audio is labelled video only', () => {
+    const variants = parseDashManifest(fixture('dash-multi-period.mpd'), DASH_URL).variants;
+    assert.ok(variants.every(variant => variant.videoOnly));
+    assert.equal(variants.find(variant => variant.id === 'v360').label, '640x360 · 800 kbps · avc1 · video only');
+});
+
+test('DASH video is not labelled video only without separate audio or with an audio codec of its own', () => {
+    const muxed = mpd('<Period><AdaptationSet contentType="video"><Representation id="v" bandwidth="1000000" codecs="avc1.4d401f,mp4a.40.2"><BaseURL>v.mp4</BaseURL></Representation></AdaptationSet>'
+        + '<AdaptationSet contentType="audio"><Representation id="a" bandwidth="96000" codecs="mp4a.40.2"><BaseURL>a.mp4</BaseURL></Representation></AdaptationSet></Period>');
+    assert.equal(parseDashManifest(muxed, DASH_URL).variants[0].videoOnly, false);
+    assert.equal(parseDashManifest(mpd(videoPeriod('only', 1)), DASH_URL).variants[0].videoOnly, false);
+});
+
+test('period lengths come from the next start or the presentation duration', () => {
+    const text = mpd(videoPeriod('intro', 3, 'start="PT0S"') + videoPeriod('show', 1, 'start="PT5S"') + videoPeriod('outro', 2, 'start="PT20M"'),
+        'mediaPresentationDuration="PT20M30S"');
+    assert.deepEqual(plain(parseDashManifest(text, DASH_URL).variants.map(variant => variant.id)), ['show-0']);
+});
+
+test('without known period lengths the period with the most video representations is listed', () => {
+    const text = mpd(videoPeriod('ad', 1) + videoPeriod('show', 3) + videoPeriod('bumper', 2));
+    assert.deepEqual(plain(parseDashManifest(text, DASH_URL).variants.map(variant => variant.id)), ['show-2', 'show-1', 'show-0']);
+});
+
+test('an MPD without periods has no variants', () => {
+    const result = parseDashManifest(mpd(''), DASH_URL);
+    assert.equal(result.isMaster, false);
+    assert.equal(result.variants.length, 0);
+});
+
+test('a malformed MPD is rejected', () => {
+    assert.throws(() => parseDashManifest('<MPD><Period></MPD>', DASH_URL));
+});
+
+test('parseManifest detects HLS and DASH from the body', () => {
+    assert.equal(parseManifest(`\n  ${fixture('hls-master.m3u8')}`, HLS_URL).type, 'hls');
+    assert.equal(parseManifest(fixture('dash-multi-period.mpd'), DASH_URL).type, 'dash');
+});
+
+test('parseManifest returns null for anything else', () => {
+    assert.equal(parseManifest('<html><body>Not found</body></html>', HLS_URL), null);
+    assert.equal(parseManifest('{"error": "expired"}', HLS_URL), null);
+    assert.equal(parseManifest('', HLS_URL), null);
+});
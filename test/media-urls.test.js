@@ -0,0 +1,199 @@
+// test/media-urls.test.js
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+    modifyParams,
+    isLikelyMediaXHR,
+    compileCanonicalRules,
+    canonicalMediaKey,
+    validateCanonicalRule,
+    readMediaHeaders,
+    classifyMediaHeaders
+} = loadScripts(['lib/site-rules.js', 'lib/media-urls.js']);
+
+const DEFAULT_RULES = compileCanonicalRules();
+
+test('modifyParams drops byte range and cache parameters', () => {
+    assert.equal(
+        modifyParams('https://video.fbcdn.net/v/t42/clip.mp4?bytestart=0&byteend=1024&_nc_cat=1&oh=abc'),
+        'https://video.fbcdn.net/v/t42/clip.mp4?oh=abc'
+    );
+    assert.equal(modifyParams('https://cdn.example/a.mp4?bytestart=0&byteend=99'), 'https://cdn.example/a.mp4');
+});
+
+test('modifyParams sorts the remaining parameters by key, then value', () => {
+    assert.equal(modifyParams('https://cdn.example/a.mp4?b=2&a=1&c=3'), 'https://cdn.example/a.mp4?a=1&b=2&c=3');
+    assert.equal(modifyParams('https://cdn.example/a.mp4?k=z&k=a'), 'https://cdn.example/a.mp4?k=a&k=z');
+});
+
+test('modifyParams gives equal results for URLs that only differ in parameter order', () => {
+    assert.equal(modifyParams('https://cdn.example/a.mp4?x=1&y=2'), modifyParams('https://cdn.example/a.mp4?y=2&x=1'));
+});
+
+test('modifyParams leaves URLs without parameters and invalid URLs alone', () => {
+    assert.equal(modifyParams('https://cdn.example/a.mp4'), 'https://cdn.example/a.mp4');
+    assert.equal(modifyParams('not a url'), 'not a url');
+});
+
+// [url, expected]
+const XHR_CASES = [
+    ['https://cdn.example/live/master.m3u8', true],
+    ['https://cdn.example/vod/manifest.mpd?token=1', true],
+    ['https://cdn.example/files/clip.MP4', true],
+    ['https://cdn.example/subs/en.vtt', true],
+    ['https://cdn.example/seg/chunk_0001.m4s', true],
+    ['https://example.com/hls/1080p/index', true],
+    ['https://example.com/player?video=123', true],
+    ['https://d1234.cloudfront.net/abc', true],
+    ['https://example.com/data/stream/42', true],
+    ['https://example.com/api/v1/hls/master.m3u8', true],
+    ['https://example.com/api/v1/user', false],
+    ['https://example.com/analytics/collect', false],
+    ['https://example.com/track/event', false],
+    ['https://example.com/config/settings.json', false],
+    ['https://example.com/search?q=cats', false],
+    ['https://example.com/static/app.js', false]
+];
+
+for (const [url, expected] of XHR_CASES) {
+    test(`isLikelyMediaXHR(${url}) is ${expected}`, () => {
+        assert.equal(isLikelyMediaXHR(url), expected);
+    });
+}
+
+// [first url, second url] - requests for the same media that must get the same key
+const SAME_MEDIA_CASES = [
+    ['https://cdn.example/a.mp4?range=0-1023', 'https://cdn.example/a.mp4?range=1024-2047'],
+    ['https://cdn.example/a.mp4?Expires=1&Signature=x&Key-Pair-Id=k', 'https://cdn.example/a.mp4?Key-Pair-Id=k2&Expires=2&Signature=y'],
+    ['https://bucket.s3.amazonaws.com/a.mp4?X-Amz-Date=1&X-Amz-Signature=a', 'https://bucket.s3.amazonaws.com/a.mp4?X-Amz-Date=2&X-Amz-Signature=b'],
+    ['https://cdn.example/a.mp4#t=10', 'https://cdn.example/a.mp4'],
+    [
+        'https://rr3---sn-abc.googlevideo.com/videoplayback?expire=1&id=o-AB&itag=137&range=0-99&sig=x&mn=sn-abc',
+        'https://rr5---sn-xyz.googlevideo.com/videoplayback?itag=137&id=o-AB&range=100-199&sig=y&mn=sn-xyz'
+    ],
+    [
+        'https://scontent-ams2-1.xx.fbcdn.net/v/t42/clip.mp4?_nc_cat=1&efg=e1&oh=00_a&oe=65A',
+        'https://video-lhr8-1.xx.fbcdn.net/v/t42/clip.mp4?_nc_ht=h&efg=e2&oh=00_b&oe=65B'
+    ],
+    [
+        'https://skyfire.vimeocdn.com/1731000000-0x1a2b/123/sep/video/456/chunk.mp4',
+        'https://vod-adaptive-ak.vimeocdn.com/1731003600-0x3c4d/123/sep/video/456/chunk.mp4'
+    ],
+    [
+        'https://vod.akamaized.net/exp=1731000000~acl=%2F*~hmac=abc123/v/master.m3u8',
+        'https://vod.akamaized.net/exp=1731003600~acl=%2F*~hmac=def456/v/master.m3u8'
+    ],
+    ['https://v.redd.it/abc/DASHPlaylist.mpd?a=1&v=1&f=sd', 'https://v.redd.it/abc/DASHPlaylist.mpd?a=2&v=1&f=hd'],
+    ['https://video.twimg.com/ext_tw_video/1/pu/vid/720x1280/a.mp4?tag=12', 'https://video.twimg.com/ext_tw_video/1/pu/vid/720x1280/a.mp4']
+];
+
+for (const [first, second] of SAME_MEDIA_CASES) {
+    test(`canonicalMediaKey treats ${first} and ${second} as the same media`, () => {
+        assert.equal(canonicalMediaKey(first, DEFAULT_RULES), canonicalMediaKey(second, DEFAULT_RULES));
+    });
+}
+
+// [first url, second url] - different media that must stay apart
+const DIFFERENT_MEDIA_CASES = [
+    ['https://cdn.example/a.mp4', 'https://cdn.example/b.mp4'],
+    ['https://cdn.example/watch?v=1', 'https://cdn.example/watch?v=2'],
+    ['https://rr3---sn-abc.googlevideo.com/videoplayback?id=o-AB&itag=137', 'https://rr3---sn-abc.googlevideo.com/videoplayback?id=o-AB&itag=140'],
+    ['https://scontent.xx.fbcdn.net/v/t42/one.mp4?oh=a', 'https://scontent.xx.fbcdn.net/v/t42/two.mp4?oh=a'],
+    ['https://skyfire.vimeocdn.com/1731000000-0x1a2b/123/sep/video/456/chunk.mp4', 'https://skyfire.vimeocdn.com/1731000000-0x1a2b/123/sep/video/789/chunk.mp4'],
+    ['https://one.example/a.mp4', 'https://two.example/a.mp4']
+];
+
+for (const [first, second] of DIFFERENT_MEDIA_CASES) {
+    test(`canonicalMediaKey keeps ${first} and ${second} apart`, () => {
+        assert.notEqual(canonicalMediaKey(first, DEFAULT_RULES), canonicalMediaKey(second, DEFAULT_RULES));
+    });
+}
+
+test('canonicalMediaKey leaves invalid URLs alone', () => {
+    assert.equal(canonicalMediaKey('not a url', DEFAULT_RULES), 'not a url');
+});
+
+test('user rules add to the built-in ones, and their keepParams and host win', () => {
+    const rules = compileCanonicalRules([
+        { pattern: 'cdn.example', dropParams: ['token'] },
+        { pattern: 'media.example', keepParams: ['file'], host: 'media.example' }
+    ]);
+    assert.equal(canonicalMediaKey('https://cdn.example/a.mp4?token=1&range=0-9&q=hd', rules), 'https://cdn.example/a.mp4?q=hd');
+    assert.equal(canonicalMediaKey('https://edge7.media.example/get?file=a&sid=1', rules), 'https://media.example/get?file=a');
+    assert.equal(canonicalMediaKey('https://other.example/a.mp4?token=1', rules), 'https://other.example/a.mp4?token=1');
+});
+
+test('parameter names match case-insensitively and with a trailing *', () => {
+    const rules = compileCanonicalRules([{ pattern: '*', dropParams: ['utm_*'] }]);
+    assert.equal(canonicalMediaKey('https://cdn.example/a.mp4?UTM_source=x&utm_medium=y&id=1', rules), 'https://cdn.example/a.mp4?id=1');
+});
+
+test('invalid user rules are skipped', () => {
+    const rules = compileCanonicalRules([{ pattern: '/(/', dropParams: ['id'] }]);
+    assert.equal(canonicalMediaKey('https://cdn.example/a.mp4?id=1', rules), 'https://cdn.example/a.mp4?id=1');
+});
+
+// [rule, expected error or null]
+const RULE_VALIDATION_CASES = [
+    [{ pattern: 'cdn.example', dropParams: ['token'] }, null],
+    [{ pattern: '*', keepParams: ['id'], host: 'cdn.example', dropPath: '/sig=[^/]+' }, null],
+    ['cdn.example', 'Each rule must be an object.'],
+    [{ dropParams: ['token'] }, 'Each rule needs a pattern.'],
+    [{ pattern: 'cdn.example', dropParams: 'token' }, 'dropParams of "cdn.example" must be a list of parameter names.'],
+    [{ pattern: 'cdn.example', keepParams: [''] }, 'keepParams of "cdn.example" must be a list of parameter names.'],
+    [{ pattern: 'cdn.example', host: 'https://cdn.example' }, 'host of "cdn.example" must be a host name.'],
+    [{ pattern: 'cdn.example', dropPath: '(' }, 'dropPath of "cdn.example" is not a valid regular expression.'],
+    [{ pattern: 'cdn.example', drop: ['token'] }, 'Unknown field "drop" in the rule for "cdn.example".']
+];
+
+for (const [rule, expected] of RULE_VALIDATION_CASES) {
+    test(`validateCanonicalRule(${JSON.stringify(rule)})`, () => {
+        assert.equal(validateCanonicalRule(rule), expected);
+    });
+}
+
+test('readMediaHeaders reads webRequest header lists case-insensitively', () => {
+    const headers = readMediaHeaders([
+        { name: 'content-type', value: 'video/mp4' },
+        { name: 'Content-Length', value: '1234' },
+        { name: 'CONTENT-DISPOSITION', value: 'attachment; filename="a.mp4"' }
+    ]);
+    assert.deepEqual({ ...headers }, { contentType: 'video/mp4', contentDisposition: 'attachment; filename="a.mp4"', contentLength: 1234 });
+});
+
+test('readMediaHeaders reads fetch Headers', () => {
+    const headers = readMediaHeaders(new Headers({ 'Content-Type': 'audio/mpeg', 'Content-Length': '99' }));
+    assert.deepEqual({ ...headers }, { contentType: 'audio/mpeg', contentDisposition: null, contentLength: 99 });
+});
+
+test('readMediaHeaders takes the size of partial content from Content-Range', () => {
+    assert.equal(readMediaHeaders([{ name: 'Content-Range', value: 'bytes 0-0/5242880' }, { name: 'Content-Length', value: '1' }], 206).contentLength, 5242880);
+    assert.equal(readMediaHeaders([{ name: 'Content-Range', value: 'bytes 0-0/*' }, { name: 'Content-Length', value: '1' }], 206).contentLength, null);
+    assert.equal(readMediaHeaders([{ name: 'Content-Length', value: 'lots' }]).contentLength, null);
+    assert.equal(readMediaHeaders([]).contentType, null);
+});
+
+// [Content-Type, valid]
+const CLASSIFY_CASES = [
+    ['video/mp4', true],
+    ['audio/ogg; codecs=opus', true],
+    ['image/gif', true],
+    ['application/vnd.apple.mpegurl', true],
+    ['application/x-mpegURL', false],
+    ['application/dash+xml', true],
+    ['application/octet-stream', true],
+    ['text/html; charset=utf-8', false],
+    ['application/json', false],
+    ['image/png', false],
+    [null, false]
+];
+
+for (const [contentType, valid] of CLASSIFY_CASES) {
+    test(`classifyMediaHeaders treats ${contentType} as ${valid ? 'media' : 'not media'}`, () => {
+        assert.equal(classifyMediaHeaders({ contentType: contentType, contentDisposition: null, contentLength: null }).valid, valid);
+    });
+}
@@ -0,0 +1,175 @@
+// test/site-extractors.test.js
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const context = loadScripts([
+    'lib/content-disposition.js',
+    'lib/filenames.js',
+    'lib/site-extractors.js',
+    'lib/extractors/reddit.js',
+    'lib/extractors/twitter.js',
+    'lib/extractors/vimeo.js'
+]);
+const { findSiteExtractor, runSiteExtractor, extractedMediaFilename, registerSiteExtractor } = context;
+
+/**
+ * Reads a saved response from test/fixtures/extractors.
+ * @param {string} name - e.g. "reddit-post.json"
+ * @returns {object}
+ */
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'extractors', name), 'utf8'));
+}
+
+/**
+ * Finds the extractor for a page URL and runs it on a fixture.
+ * @param {string} pageUrl
+ * @param {object} data
+ * @returns {Array<object>} - Plain copies of the extracted items.
+ */
+function extract(pageUrl, data) {
+    const match = findSiteExtractor(pageUrl);
+    assert.ok(match, `no extractor for ${pageUrl}`);
+    return JSON.parse(JSON.stringify(runSiteExtractor(match.extractor, data, pageUrl)));
+}
+
+// [page or frame URL, expected extractor ID, expected source URL or null]
+const RESOLVE_CASES = [
+    ['https://www.reddit.com/r/aww/comments/1abcd2/my_cat_discovers_the_printer/', 'reddit', 'https://www.reddit.com/comments/1abcd2.json?raw_json=1'],
+    ['https://old.reddit.com/r/aww/comments/1ABCD2/', 'reddit', 'https://www.reddit.com/comments/1abcd2.json?raw_json=1'],
+    ['https://www.reddit.com/user/someone/comments/1abcd2/title/', 'reddit', 'https://www.reddit.com/comments/1abcd2.json?raw_json=1'],
+    ['https://www.reddit.com/comments/1abcd2', 'reddit', 'https://www.reddit.com/comments/1abcd2.json?raw_json=1'],
+    ['https://redd.it/1abcd2', 'reddit', 'https://www.reddit.com/comments/1abcd2.json?raw_json=1'],
+    ['https://www.reddit.com/r/aww/', null, null],
+    ['https://notreddit.com/r/aww/comments/1abcd2/', null, null],
+    ['https://x.com/spacefan/status/1790000000000000001', 'twitter', 'https://cdn.syndication.twimg.com/tweet-result?id=1790000000000000001&lang=en&token=4c7g8auqyik'],
+    ['https://twitter.com/spacefan/status/1790000000000000001/video/1', 'twitter', 'https://cdn.syndication.twimg.com/tweet-result?id=1790000000000000001&lang=en&token=4c7g8auqyik'],
+    ['https://mobile.twitter.com/i/web/status/1790000000000000001', 'twitter', 'https://cdn.syndication.twimg.com/tweet-result?id=1790000000000000001&lang=en&token=4c7g8auqyik'],
+    ['https://platform.twitter.com/embed/Tweet.html?dnt=false&id=1790000000000000001', 'twitter', 'https://cdn.syndication.twimg.com/tweet-result?id=1790000000000000001&lang=en&token=4c7g8auqyik'],
+    ['https://x.com/spacefan', null, null],
+    ['https://x.com/home', null, null],
+    ['https://vimeo.com/76979871', 'vimeo', 'https://player.vimeo.com/video/76979871/config'],
+    ['https://vimeo.com/channels/staffpicks/76979871', 'vimeo', 'https://player.vimeo.com/video/76979871/config'],
+    ['https://vimeo.com/76979871/a1b2c3d4e5', 'vimeo', 'https://player.vimeo.com/video/76979871/config?h=a1b2c3d4e5'],
+    ['https://player.vimeo.com/video/76979871?h=a1b2c3d4e5&autoplay=1', 'vimeo', 'https://player.vimeo.com/video/76979871/config?h=a1b2c3d4e5'],
+    ['https://vimeo.com/watch', null, null],
+    ['https://example.com/video/76979871', null, null],
+    ['ftp://vimeo.com/76979871', null, null],
+    ['not a url', null, null]
+];
+
+for (const [url, extractorId, sourceUrl] of RESOLVE_CASES) {
+    test(`extractor for ${url}`, () => {
+        const match = findSiteExtractor(url);
+        assert.equal(match ? match.extractor.id : null, extractorId);
+        assert.equal(match ? match.sourceUrl : null, sourceUrl);
+    });
+}
+
+test('reddit: the DASH playlist of a video post, with its title and details', () => {
+    assert.deepEqual(extract('https://www.reddit.com/r/aww/comments/1abcd2/', fixture('reddit-post.json')), [{
+        url: 'https://v.redd.it/x7k2m9q4pq1d1/DASHPlaylist.mpd?a=1731000000%2CNjQ5&v=1&f=sd',
+        title: 'My cat discovers the printer',
+        duration: 27,
+        width: 720,
+        height: 1280,
+        thumbnail: 'https://external-preview.redd.it/Zx9Vb.png?format=pjpg&auto=webp&s=4f1c2a'
+    }]);
+});
+
+test('reddit: crossposts list the original video under the crosspost title', () => {
+    const [item] = extract('https://www.reddit.com/r/cats/comments/1efgh3/', fixture('reddit-crosspost.json'));
+    assert.equal(item.url, 'https://v.redd.it/x7k2m9q4pq1d1/DASHPlaylist.mpd?a=1731000000%2CNjQ5&v=1&f=sd');
+    assert.equal(item.title, 'Crossposting this because it is great');
+    assert.equal(item.thumbnail, 'https://b.thumbs.redditmedia.com/Qw3rTy.jpg');
+});
+
+test('reddit: posts without a video yield nothing', () => {
+    const data = fixture('reddit-post.json');
+    const post = data[0].data.children[0].data;
+    post.media = null;
+    post.secure_media = null;
+    delete post.preview;
+    assert.deepEqual(extract('https://www.reddit.com/r/aww/comments/1abcd2/', data), []);
+});
+
+test('twitter: the best MP4 of every video and GIF, photos skipped', () => {
+    assert.deepEqual(extract('https://x.com/spacefan/status/1790000000000000001', fixture('twitter-post.json')), [
+        {
+            url: 'https://video.twimg.com/ext_tw_video/1790000000000000100/pu/vid/1280x720/Hi.mp4?tag=12',
+            title: 'Space Fan - Two clips from today\'s launch (1)',
+            duration: 12.345,
+            width: 1280,
+            height: 720,
+            thumbnail: 'https://pbs.twimg.com/ext_tw_video_thumb/1790000000000000100/pu/img/aBcD.jpg'
+        },
+        {
+            url: 'https://video.twimg.com/tweet_video/GNqGif.mp4',
+            title: 'Space Fan - Two clips from today\'s launch (2)',
+            thumbnail: 'https://pbs.twimg.com/tweet_video_thumb/GNqGif.jpg'
+        }
+    ]);
+});
+
+test('twitter: posts without media yield nothing', () => {
+    assert.deepEqual(extract('https://x.com/spacefan/status/1', { text: 'Just text', user: { name: 'Space Fan' } }), []);
+});
+
+test('vimeo: the HLS playlist of the default CDN', () => {
+    assert.deepEqual(extract('https://vimeo.com/76979871', fixture('vimeo-config.json')), [{
+        url: 'https://skyfire.vimeocdn.com/1731000000-0x1/v2/playlist/av/primary/playlist.m3u8?omit=av1-hevc',
+        title: 'The New Vimeo Player (You Know, For Videos)',
+        duration: 62,
+        width: 1280,
+        height: 720,
+        thumbnail: 'https://i.vimeocdn.com/video/452001751-1280.jpg'
+    }]);
+});
+
+test('vimeo: without HLS, the largest MP4', () => {
+    const data = fixture('vimeo-config.json');
+    delete data.request.files.hls;
+    const [item] = extract('https://player.vimeo.com/video/76979871', data);
+    assert.equal(item.url, 'https://vod-progressive.akamaized.net/exp=1731000000~hmac=def/vimeo-prod/1080.mp4');
+});
+
+test('malformed data yields nothing instead of throwing', () => {
+    assert.deepEqual(extract('https://www.reddit.com/comments/1abcd2', { error: 404 }), []);
+    assert.deepEqual(extract('https://vimeo.com/76979871', { message: 'Because of its privacy settings, this video cannot be played here.' }), []);
+});
+
+test('results are cleaned: bad URLs, duplicates and invalid details are dropped', () => {
+    const extractor = {
+        id: 'test',
+        name: 'Test',
+        resolve: () => null,
+        extract: () => [
+            { url: 'javascript:alert(1)', title: 'Script' },
+            { url: '/relative.mp4', title: 'Relative' },
+            { url: 'https://cdn.example/a.mp4', title: '  A  ', duration: -1, width: '640', height: NaN, thumbnail: 'data:image/png;base64,AA' },
+            { url: 'https://cdn.example/a.mp4', title: 'Duplicate' },
+            { url: 'https://cdn.example/b.mp4', title: '' }
+        ]
+    };
+    assert.deepEqual(JSON.parse(JSON.stringify(runSiteExtractor(extractor, {}, 'https://example.com/'))), [
+        { url: 'https://cdn.example/a.mp4', title: 'A', width: 640 },
+        { url: 'https://cdn.example/b.mp4', title: null }
+    ]);
+});
+
+test('extractors are registered once per ID', () => {
+    registerSiteExtractor({ id: 'reddit', name: 'Other Reddit', resolve: () => 'https://other.example/', extract: () => [] });
+    assert.equal(findSiteExtractor('https://redd.it/1abcd2').extractor.name, 'Reddit');
+});
+
+test('filenames of extracted items come from their titles', () => {
+    assert.equal(extractedMediaFilename({ url: 'https://v.redd.it/x/DASHPlaylist.mpd?a=1', title: 'My cat: the movie' }), 'My cat_ the movie.mpd');
+    assert.equal(extractedMediaFilename({ url: 'https://video.twimg.com/x/Hi.MP4', title: 'Launch' }), 'Launch.mp4');
+    assert.equal(extractedMediaFilename({ url: 'https://cdn.example/stream', title: 'No extension' }), 'No extension');
+    assert.equal(extractedMediaFilename({ url: 'https://cdn.example/a.mp4', title: null }), null);
+});
@@ -0,0 +1,178 @@
+// test/site-rules.test.js
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+    compileSitePattern,
+    compileSiteRules,
+    findActionSiteRule,
+    findMatchingSiteRule,
+    parseSiteRulesJson,
+    stringifySiteRules,
+    validateSiteRule
+} = loadScripts(['lib/site-rules.js']);
+
+/**
+ * Copies a value out of the sandbox so deepEqual does not trip over its prototypes.
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('compileSitePattern: /regex/ is tested case-insensitively against the full URL', () => {
+    const matches = compileSitePattern('/\\/ajax\\/|graphql/');
+    assert.ok(matches('https://www.example.com/ajax/feed'));
+    assert.ok(matches('https://api.example.com/GraphQL?query=1'));
+    assert.ok(!matches('https://www.example.com/video.mp4'));
+});
+
+test('compileSitePattern: a glob with a scheme is tested against the full URL', () => {
+    const matches = compileSitePattern('*://example.com/dl/*');
+    assert.ok(matches('https://example.com/dl/file.zip'));
+    assert.ok(matches('http://EXAMPLE.com/dl/a/b?c=d'));
+    assert.ok(!matches('https://cdn.example.com/dl/file.zip'));
+    assert.ok(!matches('https://example.com/other/dl/file.zip'));
+});
+
+test('compileSitePattern: a glob without a scheme is tested against host, path and query', () => {
+    const matches = compileSitePattern('example.com/dl/*.zip');
+    assert.ok(matches('https://example.com/dl/file.zip'));
+    assert.ok(matches('ftp://example.com/dl/nested/file.zip'));
+    assert.ok(!matches('https://example.com/dl/file.tar'));
+    assert.ok(!matches('https://www.example.com/dl/file.zip'));
+    assert.ok(!matches('not a url/dl/file.zip'));
+});
+
+test('compileSitePattern: glob characters other than * are literal', () => {
+    const matches = compileSitePattern('example.com/watch?v=*');
+    assert.ok(matches('https://example.com/watch?v=abc'));
+    assert.ok(!matches('https://example.com/watchXv=abc'));
+    assert.ok(!matches('https://exampleXcom/watch?v=abc'));
+});
+
+test('compileSitePattern: a domain matches the host and its subdomains', () => {
+    for (const pattern of ['example.com', '*.example.com', '  Example.COM ']) {
+        const matches = compileSitePattern(pattern);
+        assert.ok(matches('https://example.com/'), pattern);
+        assert.ok(matches('https://cdn.media.example.com/video.mp4'), pattern);
+        assert.ok(!matches('https://notexample.com/'), pattern);
+        assert.ok(!matches('https://example.com.evil.test/'), pattern);
+        assert.ok(!matches('garbage'), pattern);
+    }
+});
+
+test('compileSitePattern rejects empty patterns and invalid regular expressions', () => {
+    assert.throws(() => compileSitePattern(''), /empty/);
+    assert.throws(() => compileSitePattern('   '), /empty/);
+    assert.throws(() => compileSitePattern('/(unclosed/'));
+});
+
+test('validateSiteRule accepts every action with a valid pattern', () => {
+    for (const action of ['never-intercept', 'always-intercept', 'send-without-asking', 'detect-only', 'ignore']) {
+        assert.equal(validateSiteRule({ pattern: 'example.com', action: action }), null, action);
+    }
+    assert.equal(validateSiteRule({ pattern: 'example.com', action: 'ignore', target: 'nas' }), null);
+});
+
+test('validateSiteRule reports what is wrong with a rule', () => {
+    assert.match(validateSiteRule(null), /must be an object/);
+    assert.match(validateSiteRule('example.com'), /must be an object/);
+    assert.match(validateSiteRule({ pattern: 42, action: 'ignore' }), /pattern must be a string/);
+    assert.match(validateSiteRule({ pattern: 'example.com', action: 'block' }), /Unknown action "block"/);
+    assert.match(validateSiteRule({ pattern: 'example.com', action: 'ignore', target: '' }), /must be a target ID/);
+    assert.match(validateSiteRule({ pattern: 'example.com', action: 'ignore', target: 7 }), /must be a target ID/);
+    assert.match(validateSiteRule({ pattern: '/[/', action: 'ignore' }), /Invalid pattern "\/\[\/"/);
+    assert.match(validateSiteRule({ pattern: '', action: 'ignore' }), /Pattern is empty/);
+});
+
+test('compileSiteRules skips invalid rules and keeps the order of the rest', () => {
+    const compiled = compileSiteRules([
+        { pattern: 'a.example', action: 'ignore' },
+        { pattern: '/[/', action: 'ignore' },
+        { pattern: 'b.example', action: 'nonsense' },
+        { pattern: 'example', action: 'detect-only' }
+    ]);
+    assert.deepEqual(plain(compiled.map(rule => rule.pattern)), ['a.example', 'example']);
+    assert.deepEqual(plain(compileSiteRules(undefined)), []);
+});
+
+test('findMatchingSiteRule returns the first rule matching the URL or the page', () => {
+    const compiled = compileSiteRules([
+        { pattern: 'cdn.example', action: 'always-intercept' },
+        { pattern: 'example', action: 'never-intercept' },
+        { pattern: 'video.test', action: 'detect-only' }
+    ]);
+    assert.equal(findMatchingSiteRule(compiled, 'https://cdn.example/a.mp4', null).action, 'always-intercept');
+    assert.equal(findMatchingSiteRule(compiled, 'https://www.example/a.mp4', null).action, 'never-intercept');
+    assert.equal(findMatchingSiteRule(compiled, 'https://files.host/a.mp4', 'https://video.test/watch').action, 'detect-only');
+    assert.equal(findMatchingSiteRule(compiled, 'https://files.host/a.mp4', undefined), null);
+});
+
+test('findActionSiteRule skips route rules so a later action rule still applies', () => {
+    const compiled = compileSiteRules([
+        { pattern: 'example.com', action: 'route', target: 'nas' },
+        { pattern: 'cdn.example.com', action: 'always-intercept' },
+        { pattern: 'example.com', action: 'never-intercept' }
+    ]);
+    assert.equal(findActionSiteRule(compiled, 'https://cdn.example.com/a.mp4', null).action, 'always-intercept');
+    assert.equal(findActionSiteRule(compiled, 'https://files.host/a.mp4', 'https://www.example.com/').action, 'never-intercept');
+    // The route rule is still the first match when a target is wanted
+    assert.equal(findMatchingSiteRule(compiled, 'https://cdn.example.com/a.mp4', null, rule => rule.target).target, 'nas');
+});
+
+test('findActionSiteRule finds nothing when only route rules match', () => {
+    const compiled = compileSiteRules([{ pattern: 'example.com', action: 'route', target: 'nas' }]);
+    assert.equal(findActionSiteRule(compiled, 'https://example.com/a.mp4', null), null);
+});
+
+test('a route rule needs a target', () => {
+    assert.equal(validateSiteRule({ pattern: 'example.com', action: 'route', target: 'nas' }), null);
+    assert.match(validateSiteRule({ pattern: 'example.com', action: 'route' }), /"Route only" rule for pattern "example.com" needs a target/);
+    assert.match(validateSiteRule({ pattern: 'example.com', action: 'route', target: '' }), /must be a target ID/);
+    assert.equal(compileSiteRules([{ pattern: 'example.com', action: 'route' }]).length, 0);
+    assert.throws(() => parseSiteRulesJson('[{"pattern": "example.com", "action": "route"}]'), /needs a target/);
+});
+
+test('parseSiteRulesJson accepts a bare array and an exported file', () => {
+    const rules = [{ pattern: ' example.com ', action: 'ignore' }, { pattern: '*.video.test', action: 'detect-only', target: 'nas' }];
+    const expected = [{ pattern: 'example.com', action: 'ignore' }, { pattern: '*.video.test', action: 'detect-only', target: 'nas' }];
+    assert.deepEqual(plain(parseSiteRulesJson(JSON.stringify(rules))), expected);
+    assert.deepEqual(plain(parseSiteRulesJson(JSON.stringify({ version: 1, rules: rules }))), expected);
+});
+
+test('parseSiteRulesJson drops unknown fields and empty targets are rejected', () => {
+    const parsed = parseSiteRulesJson('[{"pattern": "example.com", "action": "ignore", "comment": "old", "matches": 1}]');
+    assert.deepEqual(plain(parsed), [{ pattern: 'example.com', action: 'ignore' }]);
+    assert.throws(() => parseSiteRulesJson('[{"pattern": "example.com", "action": "ignore", "target": ""}]'), /target ID/);
+});
+
+test('parseSiteRulesJson rejects malformed files and invalid rules', () => {
+    assert.throws(() => parseSiteRulesJson('not json'), { name: 'SyntaxError' });
+    assert.throws(() => parseSiteRulesJson('null'), /Expected an array of rules/);
+    assert.throws(() => parseSiteRulesJson('{"version": 1}'), /Expected an array of rules/);
+    assert.throws(() => parseSiteRulesJson('{"rules": {"pattern": "example.com"}}'), /Expected an array of rules/);
+    assert.throws(() => parseSiteRulesJson('[{"pattern": "example.com", "action": "block"}]'), /Unknown action "block"/);
+});
+
+test('stringifySiteRules writes a versioned file that parses back to the same rules', () => {
+    const rules = [
+        { pattern: '/\\.example\\/(dl|files)\\//', action: 'always-intercept' },
+        { pattern: 'example.com', action: 'send-without-asking', target: 'desktop' },
+        { pattern: ' *.video.test ', action: 'ignore', target: '' }
+    ];
+    const text = stringifySiteRules(rules);
+    const data = JSON.parse(text);
+    assert.equal(data.version, 1);
+    assert.deepEqual(data.rules, [
+        { pattern: '/\\.example\\/(dl|files)\\//', action: 'always-intercept' },
+        { pattern: 'example.com', action: 'send-without-asking', target: 'desktop' },
+        { pattern: '*.video.test', action: 'ignore' }
+    ]);
+    assert.deepEqual(plain(parseSiteRulesJson(text)), data.rules);
+    assert.equal(stringifySiteRules(parseSiteRulesJson(text)), text);
+});
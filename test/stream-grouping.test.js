@@ -0,0 +1,37 @@
+// test/stream-grouping.test.js - Run with `npm test`
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { isLikelySegmentUrl, getSegmentGroupKey } = loadScripts(['lib/stream-grouping.js']);
+
+const MANIFESTS = [{ url: 'https://cdn.example/show/master.m3u8', variants: [], audioTracks: [], subtitleTracks: [] }];
+
+// [url, is a segment without a manifest, is a segment next to MANIFESTS]
+const SEGMENT_CASES = [
+    ['https://cdn.example/hls/720p/seg_0012.ts', true, true],
+    ['https://cdn.example/hls/720p/12.ts', true, true],
+    ['https://cdn.example/dash/video/chunk-3.m4s', true, true],
+    ['https://cdn.example/dash/video/init.mp4', true, true],
+    ['https://cdn.example/vod/fragment123.aac', true, true],
+    ['https://cdn.example/show/episode.ts', false, true],
+    ['https://cdn.example/show/part1.mp4', false, true],
+    ['https://cdn.example/other/part1.mp4', false, false],
+    ['https://cdn.example/downloads/episode.ts', false, false],
+    ['https://cdn.example/movie.mp4', false, false],
+    ['https://cdn.example/show/master.m3u8', false, false]
+];
+
+for (const [url, alone, withManifest] of SEGMENT_CASES) {
+    test(`isLikelySegmentUrl(${url})`, () => {
+        assert.equal(isLikelySegmentUrl(url), alone);
+        assert.equal(isLikelySegmentUrl(url, MANIFESTS), withManifest);
+    });
+}
+
+test('segments of one sequence share a group key', () => {
+    assert.equal(getSegmentGroupKey('https://cdn.example/hls/seg_0012.ts?token=a'), getSegmentGroupKey('https://cdn.example/hls/seg_0013.ts?token=b'));
+    assert.notEqual(getSegmentGroupKey('https://cdn.example/hls/720p/seg_1.ts'), getSegmentGroupKey('https://cdn.example/hls/1080p/seg_1.ts'));
+});